@@ -0,0 +1,74 @@
+/**
+ * Database Migration Script
+ * Usage: node migrate.js [migrate|rollback|status] [--steps=N]
+ */
+
+import dotenv from 'dotenv';
+import { connectDatabase, closeDatabase } from './src/config/database.js';
+import { migrateLatest, rollback, migrationStatus } from './src/database/migrator.js';
+import { logger } from './src/utils/logger.js';
+
+dotenv.config();
+
+const parseSteps = (args) => {
+  const flag = args.find(arg => arg.startsWith('--steps='));
+  const steps = flag ? parseInt(flag.split('=')[1]) : 1;
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps must be a positive integer');
+  }
+  return steps;
+};
+
+const printStatus = (status) => {
+  for (const migration of status) {
+    const state = migration.missing
+      ? 'applied (file missing)'
+      : migration.applied
+        ? `applied ${migration.appliedAt}${migration.modified ? ' (modified since)' : ''}`
+        : 'pending';
+    console.log(`${migration.version}_${migration.name}: ${state}`);
+  }
+};
+
+async function runCommand(command, args) {
+  await connectDatabase({ migrate: false });
+
+  try {
+    switch (command) {
+      case 'migrate': {
+        const applied = await migrateLatest();
+        applied.forEach(({ version, name }) => console.log(`Applied ${version}_${name}`));
+        break;
+      }
+      case 'rollback': {
+        const reverted = await rollback({ steps: parseSteps(args) });
+        reverted.forEach(({ version, name }) => console.log(`Reverted ${version}_${name}`));
+        if (reverted.length === 0) {
+          console.log('Nothing to roll back');
+        }
+        break;
+      }
+      case 'status':
+        printStatus(await migrationStatus());
+        break;
+      default:
+        throw new Error(`Unknown command "${command}". Use migrate, rollback or status.`);
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'migrate', ...args] = process.argv.slice(2);
+
+  runCommand(command, args)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Migration command failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runCommand };
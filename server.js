@@ -19,10 +19,31 @@ import eventRoutes from './src/routes/events.js';
 import ticketRoutes from './src/routes/tickets.js';
 import userRoutes from './src/routes/users.js';
 import paymentRoutes from './src/routes/payments.js';
+import orderRoutes from './src/routes/orders.js';
+import promoCodeRoutes from './src/routes/promoCodes.js';
+import waitlistRoutes from './src/routes/waitlist.js';
+import refundRequestRoutes from './src/routes/refundRequests.js';
+import eventOrderRoutes from './src/routes/eventOrders.js';
+import eventLedgerRoutes from './src/routes/eventLedger.js';
+import ledgerRoutes from './src/routes/ledger.js';
+import organizerRoutes from './src/routes/organizers.js';
+import pricingRuleRoutes from './src/routes/pricingRules.js';
+import currencyRoutes from './src/routes/currencies.js';
+import roleRoutes from './src/routes/roles.js';
+import eventStaffRoutes from './src/routes/eventStaff.js';
+import organizationRoutes from './src/routes/organizations.js';
+import apiKeyRoutes from './src/routes/apiKeys.js';
 
 // Database import
 import { connectDatabase } from './src/config/database.js';
 
+// Background jobs
+import { startReservationSweeper } from './src/jobs/reservationSweeper.js';
+import { startInventoryReconciliation } from './src/jobs/inventoryReconciliation.js';
+import { startIdempotencyKeyPurge } from './src/jobs/idempotencyKeyPurge.js';
+import { startPayoutScheduler } from './src/jobs/payoutScheduler.js';
+import { startRefundReconciliation } from './src/jobs/refundReconciliation.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -79,7 +100,8 @@ app.use(cors({
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-API-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Compression middleware
@@ -146,10 +168,24 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/events/:id/promo-codes', promoCodeRoutes);
+app.use('/api/events/:id/waitlist', waitlistRoutes);
+app.use('/api/events/:id/refund-requests', refundRequestRoutes);
+app.use('/api/events/:id/orders', eventOrderRoutes);
+app.use('/api/events/:id/ledger', eventLedgerRoutes);
+app.use('/api/events/:id/staff', eventStaffRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/organizers', organizerRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/pricing-rules', pricingRuleRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Serve frontend application
 app.get('/', (req, res) => {
@@ -190,9 +226,17 @@ process.on('SIGINT', () => {
 // Start server
 async function startServer() {
   try {
-    // Connect to database and create tables if they don't exist
+    // Connect to database and apply any pending migrations
     await connectDatabase();
     
+    // Release expired ticket holds, watch for inventory drift, drop stale idempotency keys, pay organizers
+    // and retry refunds the payment provider has not confirmed
+    startReservationSweeper();
+    startInventoryReconciliation();
+    startIdempotencyKeyPurge();
+    startPayoutScheduler();
+    startRefundReconciliation();
+    
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
       logger.info(`Health check available at http://localhost:${PORT}/health`);
@@ -204,6 +248,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests import the app and manage the database themselves
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
+}
 
 export default app;
\ No newline at end of file
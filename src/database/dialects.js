@@ -0,0 +1,95 @@
+/**
+ * RobustTicketing - SQL Dialects
+ * Column types and DDL helpers for PostgreSQL and SQLite so migrations
+ * can describe the schema once for both backends
+ */
+
+// SQLite has no UUID generator, so build a random v4 UUID from randomblob()
+const SQLITE_UUID = `(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' ||
+  substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) ||
+  substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))))`;
+
+// ISO-8601 UTC timestamps sort correctly as text and match Date#toISOString()
+const SQLITE_NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const postgres = {
+  name: 'postgres',
+  now: 'CURRENT_TIMESTAMP',
+  types: {
+    id: 'UUID PRIMARY KEY DEFAULT uuid_generate_v4()',
+    uuid: 'UUID',
+    string: (length = 255) => `VARCHAR(${length})`,
+    text: 'TEXT',
+    integer: 'INTEGER',
+    bigint: 'BIGINT',
+    real: 'DOUBLE PRECISION',
+    decimal: (precision = 10, scale = 2) => `DECIMAL(${precision}, ${scale})`,
+    boolean: 'BOOLEAN',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP',
+    json: 'JSONB',
+    textArray: 'TEXT[]',
+    inet: 'INET'
+  },
+
+  placeholder: (index) => `$${index}`,
+
+  // Statements that must run once before any table is created
+  setup: ['CREATE EXTENSION IF NOT EXISTS "uuid-ossp"'],
+
+  addColumn: (table, column, definition) =>
+    `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`,
+
+  dropColumn: (table, column) =>
+    `ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}`,
+
+  renameColumn: (table, from, to) =>
+    `ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`
+};
+
+const sqlite = {
+  name: 'sqlite',
+  now: `(${SQLITE_NOW})`,
+  types: {
+    id: `TEXT PRIMARY KEY DEFAULT ${SQLITE_UUID}`,
+    uuid: 'TEXT',
+    string: () => 'TEXT',
+    text: 'TEXT',
+    integer: 'INTEGER',
+    bigint: 'INTEGER',
+    real: 'REAL',
+    decimal: () => 'REAL',
+    boolean: 'BOOLEAN',
+    date: 'DATE',
+    timestamp: 'DATETIME',
+    json: 'TEXT',
+    textArray: 'TEXT',
+    inet: 'TEXT'
+  },
+
+  placeholder: () => '?',
+
+  setup: [],
+
+  // SQLite has no ADD COLUMN IF NOT EXISTS; migrations only run once so this is safe
+  addColumn: (table, column, definition) =>
+    `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`,
+
+  dropColumn: (table, column) =>
+    `ALTER TABLE ${table} DROP COLUMN ${column}`,
+
+  renameColumn: (table, from, to) =>
+    `ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`
+};
+
+export const dialects = { postgres, sqlite };
+
+export const getDialectByName = (name) => {
+  const dialect = dialects[name];
+  if (!dialect) {
+    throw new Error(`Unsupported SQL dialect: ${name}`);
+  }
+  return dialect;
+};
+
+export default dialects;
@@ -0,0 +1,187 @@
+/**
+ * Migration 001 - Initial schema
+ * The tables previously created by createTables/createSQLiteTables. Uses
+ * IF NOT EXISTS so databases created before migrations adopt it unchanged.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  for (const statement of dialect.setup) {
+    await exec(statement);
+  }
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id ${t.id},
+      email ${t.string(255)} UNIQUE NOT NULL,
+      password_hash ${t.string(255)} NOT NULL,
+      first_name ${t.string(100)} NOT NULL,
+      last_name ${t.string(100)} NOT NULL,
+      phone ${t.string(20)},
+      date_of_birth ${t.date},
+      profile_image ${t.string(500)},
+      role ${t.string(20)} DEFAULT 'user' CHECK (role IN ('user', 'organizer', 'admin')),
+      email_verified ${t.boolean} DEFAULT FALSE,
+      two_factor_enabled ${t.boolean} DEFAULT FALSE,
+      two_factor_secret ${t.string(32)},
+      last_login ${t.timestamp},
+      login_attempts ${t.integer} DEFAULT 0,
+      locked_until ${t.timestamp},
+      preferences ${t.json} DEFAULT '{}',
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id ${t.id},
+      title ${t.string(255)} NOT NULL,
+      description ${t.text},
+      short_description ${t.string(500)},
+      category ${t.string(50)} NOT NULL,
+      subcategory ${t.string(50)},
+      organizer_id ${t.uuid} REFERENCES users(id) ON DELETE CASCADE,
+      venue_name ${t.string(255)} NOT NULL,
+      venue_address ${t.text} NOT NULL,
+      venue_city ${t.string(100)} NOT NULL,
+      venue_state ${t.string(100)},
+      venue_country ${t.string(100)} NOT NULL,
+      venue_postal_code ${t.string(20)},
+      venue_latitude ${t.decimal(10, 8)},
+      venue_longitude ${t.decimal(11, 8)},
+      venue_capacity ${t.integer},
+      start_datetime ${t.timestamp} NOT NULL,
+      end_datetime ${t.timestamp} NOT NULL,
+      timezone ${t.string(50)} DEFAULT 'UTC',
+      status ${t.string(20)} DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'cancelled', 'completed')),
+      featured_image ${t.string(500)},
+      gallery_images ${t.json} DEFAULT '[]',
+      tags ${t.textArray},
+      age_restriction ${t.integer} DEFAULT 0,
+      dress_code ${t.string(100)},
+      parking_info ${t.text},
+      accessibility_info ${t.text},
+      refund_policy ${t.text},
+      terms_conditions ${t.text},
+      social_links ${t.json} DEFAULT '{}',
+      seo_title ${t.string(255)},
+      seo_description ${t.string(500)},
+      seo_keywords ${t.textArray},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS ticket_types (
+      id ${t.id},
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE CASCADE,
+      name ${t.string(100)} NOT NULL,
+      description ${t.text},
+      price ${t.decimal(10, 2)} NOT NULL,
+      currency ${t.string(3)} DEFAULT 'USD',
+      quantity_total ${t.integer} NOT NULL,
+      quantity_sold ${t.integer} DEFAULT 0,
+      min_purchase ${t.integer} DEFAULT 1,
+      max_purchase ${t.integer} DEFAULT 10,
+      sale_start ${t.timestamp},
+      sale_end ${t.timestamp},
+      is_active ${t.boolean} DEFAULT TRUE,
+      perks ${t.json} DEFAULT '[]',
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS tickets (
+      id ${t.id},
+      ticket_type_id ${t.uuid} REFERENCES ticket_types(id) ON DELETE CASCADE,
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE CASCADE,
+      order_id ${t.uuid} NOT NULL,
+      ticket_code ${t.string(50)} UNIQUE NOT NULL,
+      qr_code ${t.string(500)},
+      nft_token_id ${t.string(100)},
+      status ${t.string(20)} DEFAULT 'active' CHECK (status IN ('active', 'used', 'refunded', 'transferred')),
+      purchase_price ${t.decimal(10, 2)} NOT NULL,
+      fees ${t.decimal(10, 2)} DEFAULT 0,
+      attendee_name ${t.string(200)},
+      attendee_email ${t.string(255)},
+      check_in_time ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id ${t.id},
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE CASCADE,
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE CASCADE,
+      order_number ${t.string(20)} UNIQUE NOT NULL,
+      total_amount ${t.decimal(10, 2)} NOT NULL,
+      fees ${t.decimal(10, 2)} DEFAULT 0,
+      tax ${t.decimal(10, 2)} DEFAULT 0,
+      currency ${t.string(3)} DEFAULT 'USD',
+      payment_status ${t.string(20)} DEFAULT 'pending' CHECK (payment_status IN ('pending', 'completed', 'failed', 'refunded')),
+      payment_method ${t.string(50)},
+      payment_reference ${t.string(255)},
+      billing_address ${t.json},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS analytics_events (
+      id ${t.id},
+      event_type ${t.string(50)} NOT NULL,
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE SET NULL,
+      properties ${t.json} DEFAULT '{}',
+      session_id ${t.string(100)},
+      ip_address ${t.inet},
+      user_agent ${t.text},
+      referrer ${t.string(500)},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id ${t.id},
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE CASCADE,
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE CASCADE,
+      rating ${t.integer} NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      comment ${t.text},
+      is_verified ${t.boolean} DEFAULT FALSE,
+      helpful_count ${t.integer} DEFAULT 0,
+      reported_count ${t.integer} DEFAULT 0,
+      status ${t.string(20)} DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')),
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now},
+      UNIQUE(event_id, user_id)
+    )
+  `);
+
+  // Indexes for performance
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_organizer ON events(organizer_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_category ON events(category)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_datetime ON events(start_datetime)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_location ON events(venue_city, venue_country)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_tickets_user ON tickets(user_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_tickets_order ON tickets(order_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_analytics_event_type ON analytics_events(event_type)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_analytics_created ON analytics_events(created_at)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS reviews');
+  await exec('DROP TABLE IF EXISTS analytics_events');
+  await exec('DROP TABLE IF EXISTS orders');
+  await exec('DROP TABLE IF EXISTS tickets');
+  await exec('DROP TABLE IF EXISTS ticket_types');
+  await exec('DROP TABLE IF EXISTS events');
+  await exec('DROP TABLE IF EXISTS users');
+};
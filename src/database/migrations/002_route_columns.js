@@ -0,0 +1,54 @@
+/**
+ * Migration 002 - Columns the routes already rely on
+ * Soft-delete markers, event visibility flags, the user_roles table, and
+ * renames of ticket_code/check_in_time/max_purchase to the names the
+ * routes query (code, validated_at, max_per_order).
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  for (const table of ['users', 'events', 'ticket_types', 'tickets']) {
+    await exec(dialect.addColumn(table, 'deleted_at', t.timestamp));
+  }
+
+  await exec(dialect.addColumn('events', 'is_public', `${t.boolean} DEFAULT TRUE`));
+  await exec(dialect.addColumn('events', 'is_featured', `${t.boolean} DEFAULT FALSE`));
+
+  await exec(dialect.renameColumn('tickets', 'ticket_code', 'code'));
+  await exec(dialect.renameColumn('tickets', 'check_in_time', 'validated_at'));
+  await exec(dialect.renameColumn('ticket_types', 'max_purchase', 'max_per_order'));
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS user_roles (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role ${t.string(20)} NOT NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      UNIQUE(user_id, role)
+    )
+  `);
+
+  // Every existing user keeps the role stored on users.role
+  await exec(`
+    INSERT INTO user_roles (user_id, role)
+    SELECT id, role FROM users WHERE role IS NOT NULL
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_user_roles_user ON user_roles(user_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_public ON events(is_public, is_featured)');
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec('DROP INDEX IF EXISTS idx_events_public');
+  await exec('DROP TABLE IF EXISTS user_roles');
+
+  await exec(dialect.renameColumn('ticket_types', 'max_per_order', 'max_purchase'));
+  await exec(dialect.renameColumn('tickets', 'validated_at', 'check_in_time'));
+  await exec(dialect.renameColumn('tickets', 'code', 'ticket_code'));
+
+  await exec(dialect.dropColumn('events', 'is_featured'));
+  await exec(dialect.dropColumn('events', 'is_public'));
+
+  for (const table of ['tickets', 'ticket_types', 'events', 'users']) {
+    await exec(dialect.dropColumn(table, 'deleted_at'));
+  }
+};
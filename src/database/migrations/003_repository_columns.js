@@ -0,0 +1,56 @@
+/**
+ * Migration 003 - Columns behind the repository layer
+ * Event approval/refund flags, the customer details captured at checkout,
+ * ticket transfer markers, refund totals and the 'cancelled' statuses the
+ * ticket and order workflows write.
+ */
+
+const TICKET_STATUSES = ['active', 'used', 'refunded', 'transferred'];
+const ORDER_PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+
+export const up = async ({ exec, dialect, types: t, replaceCheckConstraint }) => {
+  await exec(dialect.addColumn('events', 'requires_approval', `${t.boolean} DEFAULT FALSE`));
+  await exec(dialect.addColumn('events', 'allow_refunds', `${t.boolean} DEFAULT TRUE`));
+
+  await exec(dialect.addColumn('orders', 'customer_first_name', t.string(100)));
+  await exec(dialect.addColumn('orders', 'customer_last_name', t.string(100)));
+  await exec(dialect.addColumn('orders', 'customer_email', t.string(255)));
+  await exec(dialect.addColumn('orders', 'customer_phone', t.string(20)));
+  await exec(dialect.addColumn('orders', 'payment_intent_id', t.string(255)));
+  await exec(dialect.addColumn('orders', 'refunded_amount', `${t.decimal(10, 2)} DEFAULT 0`));
+
+  await exec(dialect.addColumn('tickets', 'transferred_at', t.timestamp));
+  await exec(dialect.addColumn('tickets', 'transferred_to', t.uuid));
+
+  await replaceCheckConstraint('tickets', 'status', [...TICKET_STATUSES, 'cancelled']);
+  await replaceCheckConstraint('orders', 'payment_status', [
+    ...ORDER_PAYMENT_STATUSES, 'cancelled', 'partially_refunded'
+  ]);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_tickets_type_status ON tickets(ticket_type_id, status)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_ticket_types_event ON ticket_types(event_id)');
+};
+
+export const down = async ({ exec, dialect, replaceCheckConstraint }) => {
+  await exec('DROP INDEX IF EXISTS idx_ticket_types_event');
+  await exec('DROP INDEX IF EXISTS idx_tickets_type_status');
+
+  await exec(`UPDATE orders SET payment_status = 'refunded' WHERE payment_status = 'partially_refunded'`);
+  await exec(`UPDATE orders SET payment_status = 'failed' WHERE payment_status = 'cancelled'`);
+  await exec(`UPDATE tickets SET status = 'refunded' WHERE status = 'cancelled'`);
+  await replaceCheckConstraint('orders', 'payment_status', ORDER_PAYMENT_STATUSES);
+  await replaceCheckConstraint('tickets', 'status', TICKET_STATUSES);
+
+  await exec(dialect.dropColumn('tickets', 'transferred_to'));
+  await exec(dialect.dropColumn('tickets', 'transferred_at'));
+
+  for (const column of [
+    'refunded_amount', 'payment_intent_id', 'customer_phone',
+    'customer_email', 'customer_last_name', 'customer_first_name'
+  ]) {
+    await exec(dialect.dropColumn('orders', column));
+  }
+
+  await exec(dialect.dropColumn('events', 'allow_refunds'));
+  await exec(dialect.dropColumn('events', 'requires_approval'));
+};
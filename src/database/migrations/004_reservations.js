@@ -0,0 +1,40 @@
+/**
+ * Migration 004 - Reservation holds
+ * A reservation holds ticket quantities for a buyer until it expires, is
+ * released, or is converted into a paid order.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS reservations (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      event_id ${t.uuid} NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      order_id ${t.uuid} REFERENCES orders(id) ON DELETE SET NULL,
+      status ${t.string(20)} DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired')),
+      expires_at ${t.timestamp} NOT NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS reservation_items (
+      id ${t.id},
+      reservation_id ${t.uuid} NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+      ticket_type_id ${t.uuid} NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+      quantity ${t.integer} NOT NULL CHECK (quantity > 0),
+      unit_price ${t.decimal(10, 2)} NOT NULL,
+      UNIQUE(reservation_id, ticket_type_id)
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_reservations_status_expiry ON reservations(status, expires_at)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_reservations_order ON reservations(order_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_reservation_items_type ON reservation_items(ticket_type_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS reservation_items');
+  await exec('DROP TABLE IF EXISTS reservations');
+};
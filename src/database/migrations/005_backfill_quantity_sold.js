@@ -0,0 +1,18 @@
+/**
+ * Migration 005 - Backfill ticket_types.quantity_sold
+ * quantity_sold becomes the source of truth for inventory, so seed it from
+ * the tickets already issued.
+ */
+
+export const up = async ({ exec }) => {
+  await exec(`
+    UPDATE ticket_types SET quantity_sold = (
+      SELECT COUNT(*) FROM tickets t
+      WHERE t.ticket_type_id = ticket_types.id AND t.status NOT IN ('cancelled', 'refunded')
+    )
+  `);
+  await exec('UPDATE ticket_types SET quantity_sold = 0 WHERE quantity_sold IS NULL');
+};
+
+// Nothing read quantity_sold before this migration, so there is nothing to restore
+export const down = async () => {};
@@ -0,0 +1,19 @@
+/**
+ * Migration 006 - Signed ticket payloads
+ * tickets.qr_code now holds the signed payload encoded into each ticket's QR
+ * image, which can outgrow the old VARCHAR(500) once keys rotate or claims grow.
+ */
+
+export const up = async ({ exec, isPostgres }) => {
+  // SQLite column types are advisory; qr_code is already TEXT there
+  if (isPostgres) {
+    await exec('ALTER TABLE tickets ALTER COLUMN qr_code TYPE TEXT');
+  }
+};
+
+export const down = async ({ exec, isPostgres }) => {
+  if (isPostgres) {
+    await exec('UPDATE tickets SET qr_code = NULL WHERE LENGTH(qr_code) > 500');
+    await exec('ALTER TABLE tickets ALTER COLUMN qr_code TYPE VARCHAR(500)');
+  }
+};
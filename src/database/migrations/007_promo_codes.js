@@ -0,0 +1,63 @@
+/**
+ * Migration 007 - Promo codes
+ * Event-scoped discount codes, the redemptions that count against their
+ * usage caps, and the discount recorded on each order.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      id ${t.id},
+      event_id ${t.uuid} NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      code ${t.string(50)} NOT NULL,
+      description ${t.string(255)},
+      discount_type ${t.string(20)} NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'bogo')),
+      discount_value ${t.decimal(10, 2)} NOT NULL DEFAULT 0,
+      buy_quantity ${t.integer} NOT NULL DEFAULT 1,
+      get_quantity ${t.integer} NOT NULL DEFAULT 1,
+      scope ${t.string(20)} NOT NULL DEFAULT 'order' CHECK (scope IN ('order', 'ticket_types')),
+      ticket_type_ids ${t.json},
+      max_uses ${t.integer},
+      uses_count ${t.integer} NOT NULL DEFAULT 0,
+      per_user_limit ${t.integer},
+      starts_at ${t.timestamp},
+      ends_at ${t.timestamp},
+      is_active ${t.boolean} DEFAULT TRUE,
+      created_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now},
+      deleted_at ${t.timestamp}
+    )
+  `);
+
+  // Codes are unique per event among the ones not deleted
+  await exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_event_code
+    ON promo_codes(event_id, code) WHERE deleted_at IS NULL
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS promo_redemptions (
+      id ${t.id},
+      promo_code_id ${t.uuid} NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+      order_id ${t.uuid} NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      discount_amount ${t.decimal(10, 2)} NOT NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      UNIQUE(order_id)
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_user ON promo_redemptions(promo_code_id, user_id)');
+
+  await exec(dialect.addColumn('orders', 'discount_amount', `${t.decimal(10, 2)} DEFAULT 0`));
+  await exec(dialect.addColumn('orders', 'promo_code_id', t.uuid));
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec(dialect.dropColumn('orders', 'promo_code_id'));
+  await exec(dialect.dropColumn('orders', 'discount_amount'));
+
+  await exec('DROP TABLE IF EXISTS promo_redemptions');
+  await exec('DROP TABLE IF EXISTS promo_codes');
+};
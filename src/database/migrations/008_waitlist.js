@@ -0,0 +1,36 @@
+/**
+ * Migration 008 - Ticket type waitlists
+ * Buyers queue for sold-out ticket types; when stock frees up the next entry
+ * is offered a reservation hold it can check out like any other hold.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS waitlist_entries (
+      id ${t.id},
+      event_id ${t.uuid} NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      ticket_type_id ${t.uuid} NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      quantity ${t.integer} NOT NULL DEFAULT 1 CHECK (quantity > 0),
+      status ${t.string(20)} NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+      reservation_id ${t.uuid} REFERENCES reservations(id) ON DELETE SET NULL,
+      offered_at ${t.timestamp},
+      offer_expires_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  // One live place in the queue per buyer and ticket type
+  await exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_active_user
+    ON waitlist_entries(ticket_type_id, user_id) WHERE status IN ('waiting', 'offered')
+  `);
+  await exec('CREATE INDEX IF NOT EXISTS idx_waitlist_queue ON waitlist_entries(ticket_type_id, status, created_at)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_waitlist_reservation ON waitlist_entries(reservation_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS waitlist_entries');
+};
@@ -0,0 +1,12 @@
+/**
+ * Migration 009 - Payment intent lookups
+ * Payment webhooks find their order by payment_intent_id.
+ */
+
+export const up = async ({ exec }) => {
+  await exec('CREATE INDEX IF NOT EXISTS idx_orders_payment_intent ON orders(payment_intent_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP INDEX IF EXISTS idx_orders_payment_intent');
+};
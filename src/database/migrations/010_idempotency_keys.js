@@ -0,0 +1,30 @@
+/**
+ * Migration 010 - Idempotency keys
+ * The first response to a money-moving request is stored per user and
+ * Idempotency-Key so retries replay it instead of running the request again.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      idempotency_key ${t.string(255)} NOT NULL,
+      request_method ${t.string(10)} NOT NULL,
+      request_path ${t.string(500)} NOT NULL,
+      request_hash ${t.string(64)} NOT NULL,
+      response_status ${t.integer},
+      response_body ${t.json},
+      completed_at ${t.timestamp},
+      expires_at ${t.timestamp} NOT NULL,
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_user_key ON idempotency_keys(user_id, idempotency_key)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_at)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS idempotency_keys');
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 011 - Refund records
+ * Every refund taken against an order is kept with the tickets it closed,
+ * and events can set their own refund tiers by time before start.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id ${t.id},
+      order_id ${t.uuid} NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      amount ${t.decimal(10, 2)} NOT NULL CHECK (amount >= 0),
+      currency ${t.string(3)} DEFAULT 'USD',
+      refund_percent ${t.integer},
+      reason ${t.text},
+      status ${t.string(20)} NOT NULL DEFAULT 'succeeded' CHECK (status IN ('pending', 'succeeded', 'failed')),
+      provider ${t.string(50)},
+      provider_refund_id ${t.string(255)},
+      requested_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id, created_at)');
+
+  await exec(dialect.addColumn('tickets', 'refund_id', t.uuid));
+  await exec(dialect.addColumn('events', 'refund_tiers', t.json));
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec(dialect.dropColumn('events', 'refund_tiers'));
+  await exec(dialect.dropColumn('tickets', 'refund_id'));
+  await exec('DROP TABLE IF EXISTS refunds');
+};
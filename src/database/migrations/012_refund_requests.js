@@ -0,0 +1,54 @@
+/**
+ * Migration 012 - Refund requests
+ * Attendees ask for refunds and organizers decide on them; every status
+ * change is kept in refund_request_events.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS refund_requests (
+      id ${t.id},
+      order_id ${t.uuid} NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      event_id ${t.uuid} NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      user_id ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      ticket_ids ${t.json} NOT NULL,
+      reason ${t.text} NOT NULL,
+      status ${t.string(20)} NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'partially_approved', 'denied', 'cancelled')),
+      requested_amount ${t.decimal(10, 2)} NOT NULL DEFAULT 0,
+      approved_amount ${t.decimal(10, 2)},
+      refund_id ${t.uuid} REFERENCES refunds(id) ON DELETE SET NULL,
+      decision_message ${t.text},
+      decided_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      decided_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  // One open request per order at a time
+  await exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_refund_requests_pending_order
+    ON refund_requests(order_id) WHERE status = 'pending'
+  `);
+  await exec('CREATE INDEX IF NOT EXISTS idx_refund_requests_event ON refund_requests(event_id, status, created_at)');
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS refund_request_events (
+      id ${t.id},
+      refund_request_id ${t.uuid} NOT NULL REFERENCES refund_requests(id) ON DELETE CASCADE,
+      from_status ${t.string(20)},
+      to_status ${t.string(20)} NOT NULL,
+      actor_id ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      message ${t.text},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_refund_request_events_request ON refund_request_events(refund_request_id, created_at)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS refund_request_events');
+  await exec('DROP TABLE IF EXISTS refund_requests');
+};
@@ -0,0 +1,83 @@
+/**
+ * Migration 013 - Double-entry ledger
+ * Every movement of money is a transaction whose entries sum to zero across
+ * the buyer, organizer balance, platform fee, tax liability and payout
+ * accounts. Orders paid and refunded before the ledger existed are posted
+ * here; no fees or tax were charged on them.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id ${t.id},
+      type ${t.string(20)} NOT NULL CHECK (type IN ('purchase', 'fee', 'tax', 'refund', 'chargeback', 'payout')),
+      reference ${t.string(100)} UNIQUE,
+      order_id ${t.uuid} REFERENCES orders(id) ON DELETE SET NULL,
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE SET NULL,
+      refund_id ${t.uuid} REFERENCES refunds(id) ON DELETE SET NULL,
+      currency ${t.string(3)} NOT NULL DEFAULT 'USD',
+      description ${t.text},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id ${t.id},
+      transaction_id ${t.uuid} NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+      account ${t.string(30)} NOT NULL CHECK (account IN ('buyer', 'organizer_balance', 'platform_fees', 'tax_liability', 'payouts')),
+      owner_id ${t.uuid},
+      event_id ${t.uuid},
+      amount ${t.decimal(12, 2)} NOT NULL,
+      currency ${t.string(3)} NOT NULL DEFAULT 'USD',
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_ledger_transactions_order ON ledger_transactions(order_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_ledger_entries_owner ON ledger_entries(account, owner_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_ledger_entries_event ON ledger_entries(event_id, account)');
+
+  // Purchases: the buyer pays the order total into the organizer's balance
+  await exec(`
+    INSERT INTO ledger_transactions (type, reference, order_id, event_id, currency, description, created_at)
+    SELECT 'purchase', 'purchase:' || o.id, o.id, o.event_id, COALESCE(o.currency, 'USD'),
+           'Order ' || o.order_number, o.created_at
+    FROM orders o
+    WHERE o.payment_status IN ('completed', 'partially_refunded', 'refunded') AND o.total_amount > 0
+  `);
+
+  // Refunds so far, one transaction per order since older refunds have no record of their own
+  await exec(`
+    INSERT INTO ledger_transactions (type, reference, order_id, event_id, currency, description, created_at)
+    SELECT 'refund', 'refund:order:' || o.id, o.id, o.event_id, COALESCE(o.currency, 'USD'),
+           'Refunds on order ' || o.order_number, o.updated_at
+    FROM orders o
+    WHERE o.payment_status IN ('completed', 'partially_refunded', 'refunded') AND o.refunded_amount > 0
+  `);
+
+  await exec(`
+    INSERT INTO ledger_entries (transaction_id, account, owner_id, event_id, amount, currency, created_at)
+    SELECT lt.id, 'buyer', o.user_id, o.event_id,
+           CASE WHEN lt.type = 'purchase' THEN o.total_amount ELSE -o.refunded_amount END,
+           lt.currency, lt.created_at
+    FROM ledger_transactions lt
+    JOIN orders o ON o.id = lt.order_id
+  `);
+
+  await exec(`
+    INSERT INTO ledger_entries (transaction_id, account, owner_id, event_id, amount, currency, created_at)
+    SELECT lt.id, 'organizer_balance', e.organizer_id, o.event_id,
+           CASE WHEN lt.type = 'purchase' THEN -o.total_amount ELSE o.refunded_amount END,
+           lt.currency, lt.created_at
+    FROM ledger_transactions lt
+    JOIN orders o ON o.id = lt.order_id
+    JOIN events e ON e.id = o.event_id
+  `);
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS ledger_entries');
+  await exec('DROP TABLE IF EXISTS ledger_transactions');
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 014 - Organizer payouts
+ * Transfers of an event's settled balance to its organizer. At most one
+ * payout per event and currency is open (scheduled or processing) at a time.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS payouts (
+      id ${t.id},
+      organizer_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      event_id ${t.uuid} NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      amount ${t.decimal(12, 2)} NOT NULL CHECK (amount >= 0),
+      currency ${t.string(3)} NOT NULL DEFAULT 'USD',
+      status ${t.string(20)} NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'processing', 'paid', 'failed', 'cancelled')),
+      scheduled_for ${t.timestamp} NOT NULL,
+      provider ${t.string(50)},
+      provider_transfer_id ${t.string(255)},
+      failure_reason ${t.text},
+      paid_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_open_event
+    ON payouts(event_id, currency) WHERE status IN ('scheduled', 'processing')
+  `);
+  await exec('CREATE INDEX IF NOT EXISTS idx_payouts_organizer ON payouts(organizer_id, created_at)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_payouts_due ON payouts(status, scheduled_for)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS payouts');
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration 015 - Fee and tax rules
+ * Platform fee rules (a platform default plus per-event overrides) and tax
+ * rules by venue country and state. Orders keep the rules they were priced
+ * with and tickets their share of the tax.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS fee_rules (
+      id ${t.id},
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE CASCADE,
+      name ${t.string(100)} NOT NULL,
+      percent ${t.decimal(5, 2)} NOT NULL DEFAULT 0 CHECK (percent >= 0 AND percent <= 100),
+      fixed_amount ${t.decimal(10, 2)} NOT NULL DEFAULT 0 CHECK (fixed_amount >= 0),
+      cap ${t.decimal(10, 2)} CHECK (cap >= 0),
+      paid_by ${t.string(20)} NOT NULL DEFAULT 'buyer' CHECK (paid_by IN ('buyer', 'organizer')),
+      is_active ${t.boolean} DEFAULT TRUE,
+      created_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS tax_rules (
+      id ${t.id},
+      country ${t.string(100)} NOT NULL,
+      state ${t.string(100)},
+      name ${t.string(100)} NOT NULL,
+      rate ${t.decimal(6, 3)} NOT NULL CHECK (rate >= 0 AND rate <= 100),
+      inclusive ${t.boolean} DEFAULT FALSE,
+      is_active ${t.boolean} DEFAULT TRUE,
+      created_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_fee_rules_event ON fee_rules(event_id, is_active)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_tax_rules_location ON tax_rules(country, state, is_active)');
+
+  await exec(dialect.addColumn('orders', 'charges', t.json));
+  await exec(dialect.addColumn('tickets', 'tax', `${t.decimal(10, 2)} DEFAULT 0`));
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec(dialect.dropColumn('tickets', 'tax'));
+  await exec(dialect.dropColumn('orders', 'charges'));
+  await exec('DROP TABLE IF EXISTS tax_rules');
+  await exec('DROP TABLE IF EXISTS fee_rules');
+};
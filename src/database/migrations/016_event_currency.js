@@ -0,0 +1,58 @@
+/**
+ * Migration 016 - Event currency
+ * Each event sells in one currency, taken from its ticket types where it has
+ * any. Money columns gain a third decimal place for currencies such as KWD;
+ * SQLite stores them as REAL already.
+ */
+
+// Money columns widened to three decimals, with their original precision
+const MONEY_COLUMNS = [
+  ['ticket_types', 'price', 10],
+  ['tickets', 'purchase_price', 10],
+  ['tickets', 'fees', 10],
+  ['tickets', 'tax', 10],
+  ['orders', 'total_amount', 10],
+  ['orders', 'fees', 10],
+  ['orders', 'tax', 10],
+  ['orders', 'refunded_amount', 10],
+  ['orders', 'discount_amount', 10],
+  ['reservation_items', 'unit_price', 10],
+  ['promo_codes', 'discount_value', 10],
+  ['promo_redemptions', 'discount_amount', 10],
+  ['refunds', 'amount', 10],
+  ['refund_requests', 'requested_amount', 10],
+  ['refund_requests', 'approved_amount', 10],
+  ['ledger_entries', 'amount', 12],
+  ['payouts', 'amount', 12],
+  ['fee_rules', 'fixed_amount', 10],
+  ['fee_rules', 'cap', 10]
+];
+
+export const up = async ({ exec, dialect, types: t, isPostgres }) => {
+  await exec(dialect.addColumn('events', 'currency', `${t.string(3)} NOT NULL DEFAULT 'USD'`));
+  await exec(dialect.addColumn('fee_rules', 'currency', t.string(3)));
+
+  await exec(`
+    UPDATE events SET currency = (
+      SELECT UPPER(MIN(tt.currency)) FROM ticket_types tt WHERE tt.event_id = events.id AND tt.currency IS NOT NULL
+    )
+    WHERE EXISTS (SELECT 1 FROM ticket_types tt WHERE tt.event_id = events.id AND tt.currency IS NOT NULL)
+  `);
+
+  if (isPostgres) {
+    for (const [table, column, precision] of MONEY_COLUMNS) {
+      await exec(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${t.decimal(precision + 1, 3)}`);
+    }
+  }
+};
+
+export const down = async ({ exec, dialect, types: t, isPostgres }) => {
+  if (isPostgres) {
+    for (const [table, column, precision] of MONEY_COLUMNS) {
+      await exec(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${t.decimal(precision, 2)}`);
+    }
+  }
+
+  await exec(dialect.dropColumn('fee_rules', 'currency'));
+  await exec(dialect.dropColumn('events', 'currency'));
+};
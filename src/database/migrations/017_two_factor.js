@@ -0,0 +1,28 @@
+/**
+ * Migration 017 - Two-factor authentication
+ * Remembers the last TOTP step each user signed in with so a code cannot be
+ * replayed, and stores hashed one-time recovery codes.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  await exec(dialect.addColumn('users', 'two_factor_last_step', t.integer));
+  await exec(dialect.addColumn('users', 'two_factor_enabled_at', t.timestamp));
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash ${t.string(64)} NOT NULL,
+      used_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_recovery_codes_user_hash ON two_factor_recovery_codes(user_id, code_hash)');
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec('DROP TABLE IF EXISTS two_factor_recovery_codes');
+  await exec(dialect.dropColumn('users', 'two_factor_enabled_at'));
+  await exec(dialect.dropColumn('users', 'two_factor_last_step'));
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 018 - Sessions and refresh tokens
+ * Each sign-in starts a session: a family of refresh tokens where every
+ * refresh swaps the token for a new one. Only token hashes are stored.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      user_agent ${t.string(500)},
+      ip_address ${t.string(45)},
+      two_factor ${t.boolean} DEFAULT FALSE,
+      expires_at ${t.timestamp} NOT NULL,
+      last_seen_at ${t.timestamp} DEFAULT ${now},
+      revoked_at ${t.timestamp},
+      revoked_reason ${t.string(50)},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id ${t.id},
+      session_id ${t.uuid} NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+      token_hash ${t.string(64)} NOT NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      used_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at)');
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON refresh_tokens(token_hash)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS refresh_tokens');
+  await exec('DROP TABLE IF EXISTS user_sessions');
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 019 - Role grants
+ * Roles held on one resource rather than platform-wide, such as door staff
+ * on a single event. A user holds at most one role per resource.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS role_grants (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role ${t.string(30)} NOT NULL,
+      resource_type ${t.string(30)} NOT NULL,
+      resource_id ${t.uuid} NOT NULL,
+      granted_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_role_grants_user_resource ON role_grants(user_id, resource_type, resource_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_role_grants_resource ON role_grants(resource_type, resource_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS role_grants');
+};
@@ -0,0 +1,80 @@
+/**
+ * Migration 020 - Organizations
+ * Teams that own events, their members and email invitations. Every
+ * organizer with events gets a personal organization that takes over
+ * their existing events.
+ */
+
+export const up = async ({ exec, dialect, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id ${t.id},
+      name ${t.string(200)} NOT NULL,
+      personal ${t.boolean} DEFAULT FALSE,
+      created_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now},
+      deleted_at ${t.timestamp}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS organization_members (
+      id ${t.id},
+      organization_id ${t.uuid} NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role ${t.string(20)} NOT NULL,
+      invited_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      created_at ${t.timestamp} DEFAULT ${now},
+      updated_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS organization_invitations (
+      id ${t.id},
+      organization_id ${t.uuid} NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      email ${t.string(255)} NOT NULL,
+      role ${t.string(20)} NOT NULL,
+      token_hash ${t.string(64)} NOT NULL,
+      invited_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      accepted_at ${t.timestamp},
+      accepted_by ${t.uuid} REFERENCES users(id) ON DELETE SET NULL,
+      revoked_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_unique ON organization_members(organization_id, user_id)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id)');
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_token ON organization_invitations(token_hash)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_organization_invitations_org ON organization_invitations(organization_id)');
+
+  await exec(dialect.addColumn('events', 'organization_id', t.uuid));
+  await exec('CREATE INDEX IF NOT EXISTS idx_events_organization ON events(organization_id)');
+
+  // A personal organization for each organizer, owning their events
+  await exec(`
+    INSERT INTO organizations (name, personal, created_by)
+    SELECT u.first_name || ' ' || u.last_name, TRUE, u.id FROM users u
+    WHERE EXISTS (SELECT 1 FROM events e WHERE e.organizer_id = u.id)
+  `);
+  await exec(`
+    INSERT INTO organization_members (organization_id, user_id, role)
+    SELECT id, created_by, 'owner' FROM organizations WHERE personal = TRUE
+  `);
+  await exec(`
+    UPDATE events SET organization_id = (
+      SELECT o.id FROM organizations o WHERE o.personal = TRUE AND o.created_by = events.organizer_id
+    )
+  `);
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec('DROP INDEX IF EXISTS idx_events_organization');
+  await exec(dialect.dropColumn('events', 'organization_id'));
+  await exec('DROP TABLE IF EXISTS organization_invitations');
+  await exec('DROP TABLE IF EXISTS organization_members');
+  await exec('DROP TABLE IF EXISTS organizations');
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 021 - API keys
+ * Long-lived keys for integrations, acting for the user who created them
+ * within their scopes and, optionally, one event. Only key hashes are stored.
+ */
+
+export const up = async ({ exec, types: t, now }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id ${t.id},
+      user_id ${t.uuid} NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name ${t.string(100)} NOT NULL,
+      key_prefix ${t.string(16)} NOT NULL,
+      key_hash ${t.string(64)} NOT NULL,
+      scopes ${t.json} NOT NULL,
+      event_id ${t.uuid} REFERENCES events(id) ON DELETE CASCADE,
+      rate_limit ${t.integer} NOT NULL,
+      expires_at ${t.timestamp},
+      last_used_at ${t.timestamp},
+      last_used_ip ${t.string(45)},
+      revoked_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT ${now}
+    )
+  `);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash)');
+  await exec('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+};
+
+export const down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS api_keys');
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 022 - Refund attempts
+ * A refund is recorded as pending before the provider is asked for the
+ * money, with the tickets it will close, so one that fails part-way can be
+ * retried without refunding twice.
+ */
+
+export const up = async ({ exec, dialect, types: t }) => {
+  await exec(dialect.addColumn('refunds', 'ticket_ids', t.json));
+  await exec(dialect.addColumn('refunds', 'attempts', `${t.integer} DEFAULT 0`));
+  await exec(dialect.addColumn('refunds', 'failure_reason', t.text));
+  await exec(dialect.addColumn('refunds', 'updated_at', t.timestamp));
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status, updated_at)');
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec('DROP INDEX IF EXISTS idx_refunds_status');
+  await exec(dialect.dropColumn('refunds', 'updated_at'));
+  await exec(dialect.dropColumn('refunds', 'failure_reason'));
+  await exec(dialect.dropColumn('refunds', 'attempts'));
+  await exec(dialect.dropColumn('refunds', 'ticket_ids'));
+};
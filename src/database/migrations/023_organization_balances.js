@@ -0,0 +1,40 @@
+/**
+ * Migration 023 - Organization balances
+ * Event money is owed to the organization that owns the event, not to the
+ * member who created it: organizer balance and payout ledger entries are
+ * re-keyed to the event's organization and payouts record it.
+ * payouts.organizer_id stays as the event's creator.
+ */
+
+export const up = async ({ exec, dialect, types: t }) => {
+  await exec(dialect.addColumn('payouts', 'organization_id', t.uuid));
+  await exec(`
+    UPDATE payouts SET organization_id = (
+      SELECT e.organization_id FROM events e WHERE e.id = payouts.event_id
+    )
+  `);
+  await exec('CREATE INDEX IF NOT EXISTS idx_payouts_organization ON payouts(organization_id, created_at)');
+
+  await exec(`
+    UPDATE ledger_entries SET owner_id = (
+      SELECT e.organization_id FROM events e WHERE e.id = ledger_entries.event_id
+    )
+    WHERE account IN ('organizer_balance', 'payouts')
+      AND EXISTS (
+        SELECT 1 FROM events e WHERE e.id = ledger_entries.event_id AND e.organization_id IS NOT NULL
+      )
+  `);
+};
+
+export const down = async ({ exec, dialect }) => {
+  await exec(`
+    UPDATE ledger_entries SET owner_id = (
+      SELECT e.organizer_id FROM events e WHERE e.id = ledger_entries.event_id
+    )
+    WHERE account IN ('organizer_balance', 'payouts')
+      AND EXISTS (SELECT 1 FROM events e WHERE e.id = ledger_entries.event_id)
+  `);
+
+  await exec('DROP INDEX IF EXISTS idx_payouts_organization');
+  await exec(dialect.dropColumn('payouts', 'organization_id'));
+};
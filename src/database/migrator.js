@@ -0,0 +1,315 @@
+/**
+ * RobustTicketing - Schema Migrator
+ * Applies and reverts numbered migrations tracked in schema_migrations
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getPool, getDialect } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([\w-]+)\.js$/;
+
+// Arbitrary key shared by every instance so concurrent deploys migrate one at a time
+const POSTGRES_LOCK_KEY = 724316;
+
+// Open a dedicated connection; pooled queries could land on different clients mid-transaction
+const openConnection = async () => {
+  const dialect = getDialect();
+
+  if (dialect.name === 'postgres') {
+    const client = await getPool().connect();
+    return {
+      dialect,
+      exec: (sql) => client.query(sql),
+      query: (sql, params = []) => client.query(sql, params),
+      release: () => client.release()
+    };
+  }
+
+  const sqlite = getPool();
+  return {
+    dialect,
+    exec: (sql) => sqlite.exec(sql),
+    query: async (sql, params = []) => ({ rows: await sqlite.all(sql, params) }),
+    release: () => {}
+  };
+};
+
+const ensureMigrationsTable = async (connection) => {
+  const { types, now } = connection.dialect;
+  await connection.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version ${types.string(20)} PRIMARY KEY,
+      name ${types.string(255)} NOT NULL,
+      checksum ${types.string(64)} NOT NULL,
+      applied_at ${types.timestamp} DEFAULT ${now}
+    )
+  `);
+};
+
+const acquireLock = async (connection) => {
+  if (connection.dialect.name === 'postgres') {
+    await connection.query('SELECT pg_advisory_lock($1)', [POSTGRES_LOCK_KEY]);
+  }
+};
+
+const releaseLock = async (connection) => {
+  if (connection.dialect.name === 'postgres') {
+    await connection.query('SELECT pg_advisory_unlock($1)', [POSTGRES_LOCK_KEY]);
+  }
+};
+
+// Read migration modules from disk in version order
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const files = (await fs.readdir(directory))
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const filePath = path.join(directory, file);
+    const source = await fs.readFile(filePath, 'utf8');
+    const module = await import(pathToFileURL(filePath).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down() functions`);
+    }
+
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`Duplicate migration version ${version}`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: crypto.createHash('sha256').update(source).digest('hex'),
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  return migrations;
+};
+
+const getAppliedMigrations = async (connection) => {
+  const result = await connection.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+const CHECK_IN_LIST = (column) =>
+  new RegExp(`CHECK\\s*\\(\\s*${column}\\s+IN\\s*\\([^)]*\\)\\s*\\)`, 'i');
+
+const checkInList = (column, values) =>
+  `CHECK (${column} IN (${values.map(value => `'${value}'`).join(', ')}))`;
+
+// SQLite cannot alter constraints, so copy the table into a rebuilt definition
+const rebuildSQLiteTable = async (connection, table, transformSql) => {
+  const { rows: [definition] } = await connection.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [table]
+  );
+  if (!definition) {
+    throw new Error(`Table ${table} does not exist`);
+  }
+
+  const { rows: indexes } = await connection.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+    [table]
+  );
+  const { rows: columns } = await connection.query(`PRAGMA table_info(${table})`);
+  const columnList = columns.map(column => column.name).join(', ');
+  const tempTable = `${table}__rebuild`;
+
+  const rebuiltSql = transformSql(definition.sql)
+    .replace(new RegExp(`^CREATE TABLE\\s+(IF NOT EXISTS\\s+)?"?${table}"?`, 'i'), `CREATE TABLE ${tempTable}`);
+
+  await connection.exec(rebuiltSql);
+  await connection.exec(`INSERT INTO ${tempTable} (${columnList}) SELECT ${columnList} FROM ${table}`);
+  await connection.exec(`DROP TABLE ${table}`);
+  await connection.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+  for (const index of indexes) {
+    await connection.exec(index.sql);
+  }
+};
+
+// Replace a column's CHECK (column IN (...)) constraint with a new list of values
+const replaceCheckConstraint = async (connection, table, column, values) => {
+  if (connection.dialect.name === 'postgres') {
+    const constraint = `${table}_${column}_check`;
+    await connection.exec(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${constraint}`);
+    await connection.exec(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${checkInList(column, values)}`);
+    return;
+  }
+
+  await rebuildSQLiteTable(connection, table, (sql) => {
+    if (!CHECK_IN_LIST(column).test(sql)) {
+      throw new Error(`No CHECK constraint on ${table}.${column} to replace`);
+    }
+    return sql.replace(CHECK_IN_LIST(column), checkInList(column, values));
+  });
+};
+
+// Context handed to each migration's up()/down()
+const buildContext = (connection) => ({
+  dialect: connection.dialect,
+  types: connection.dialect.types,
+  now: connection.dialect.now,
+  exec: connection.exec,
+  query: connection.query,
+  replaceCheckConstraint: (table, column, values) =>
+    replaceCheckConstraint(connection, table, column, values),
+  isPostgres: connection.dialect.name === 'postgres',
+  isSQLite: connection.dialect.name === 'sqlite'
+});
+
+const runInTransaction = async (connection, fn) => {
+  await connection.exec('BEGIN');
+  try {
+    await fn();
+    await connection.exec('COMMIT');
+  } catch (error) {
+    await connection.exec('ROLLBACK');
+    throw error;
+  }
+};
+
+const withMigrationConnection = async (fn) => {
+  const connection = await openConnection();
+  try {
+    await ensureMigrationsTable(connection);
+    await acquireLock(connection);
+    try {
+      return await fn(connection);
+    } finally {
+      await releaseLock(connection);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Apply every pending migration, oldest first
+export const migrateLatest = async () => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = await loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+    const { placeholder } = connection.dialect;
+
+    for (const migration of migrations) {
+      const record = appliedVersions.get(migration.version);
+      if (record && record.checksum !== migration.checksum) {
+        logger.warn(`Migration ${migration.file} changed after it was applied`);
+      }
+    }
+
+    const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+    const context = buildContext(connection);
+
+    for (const migration of pending) {
+      logger.info(`Applying migration ${migration.file}`);
+
+      await runInTransaction(connection, async () => {
+        await migration.up(context);
+        await connection.query(
+          `INSERT INTO schema_migrations (version, name, checksum)
+           VALUES (${placeholder(1)}, ${placeholder(2)}, ${placeholder(3)})`,
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+
+    if (pending.length === 0) {
+      logger.info('Database schema is up to date');
+    } else {
+      logger.info(`Applied ${pending.length} migration(s)`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+// Revert the most recently applied migrations
+export const rollback = async ({ steps = 1 } = {}) => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = await loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const applied = await getAppliedMigrations(connection);
+    const toRevert = applied.slice(-steps).reverse();
+    const { placeholder } = connection.dialect;
+    const context = buildContext(connection);
+
+    for (const record of toRevert) {
+      const migration = byVersion.get(record.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${record.version} (${record.name}) not found`);
+      }
+
+      logger.info(`Reverting migration ${migration.file}`);
+
+      await runInTransaction(connection, async () => {
+        await migration.down(context);
+        await connection.query(
+          `DELETE FROM schema_migrations WHERE version = ${placeholder(1)}`,
+          [migration.version]
+        );
+      });
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+// List every known migration with its applied state
+export const migrationStatus = async () => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = await loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+      const record = appliedVersions.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(record),
+        appliedAt: record?.applied_at || null,
+        modified: Boolean(record && record.checksum !== migration.checksum)
+      };
+    });
+
+    // Applied versions whose files have since been removed
+    for (const record of applied) {
+      if (!migrations.some(migration => migration.version === record.version)) {
+        status.push({
+          version: record.version,
+          name: record.name,
+          applied: true,
+          appliedAt: record.applied_at,
+          missing: true
+        });
+      }
+    }
+
+    return status;
+  });
+};
+
+export default {
+  loadMigrations,
+  migrateLatest,
+  rollback,
+  migrationStatus
+};
@@ -0,0 +1,267 @@
+/**
+ * RobustTicketing - SQL Translator
+ * Rewrites the PostgreSQL dialect used throughout the routes into SQL that
+ * SQLite understands. String literals, quoted identifiers and comments are
+ * tokenized first so rewrites only ever touch SQL code.
+ */
+
+const SQLITE_NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+// Function names whose PostgreSQL and SQLite versions behave the same
+const FUNCTION_ALIASES = {
+  greatest: 'MAX',
+  least: 'MIN',
+  json_build_object: 'json_object',
+  jsonb_build_object: 'json_object',
+  json_agg: 'json_group_array',
+  jsonb_agg: 'json_group_array',
+  json_array_length: 'json_array_length',
+  jsonb_array_length: 'json_array_length',
+  string_agg: 'group_concat'
+};
+
+// PostgreSQL features with no faithful SQLite equivalent
+const UNSUPPORTED_PATTERNS = [
+  { pattern: /@>|<@/, feature: 'JSONB containment operators (@>, <@)' },
+  { pattern: /#>>?/, feature: 'JSONB path operators (#>, #>>)' },
+  { pattern: /\bDISTINCT\s+ON\b/i, feature: 'DISTINCT ON' },
+  { pattern: /\bjsonb_set\s*\(/i, feature: 'jsonb_set()' }
+];
+
+const RETURNING_PATTERN = /\bRETURNING\b/i;
+const ROW_RETURNING_STATEMENT = /^\s*(SELECT|WITH|PRAGMA|VALUES|EXPLAIN)\b/i;
+
+export class UnsupportedQueryError extends Error {
+  constructor(feature) {
+    super(`SQLite translation does not support ${feature}`);
+    this.name = 'UnsupportedQueryError';
+  }
+}
+
+// Split SQL into code, string, identifier and comment segments
+export const tokenize = (sql) => {
+  const tokens = [];
+  let code = '';
+  let i = 0;
+
+  const flushCode = () => {
+    if (code) {
+      tokens.push({ type: 'code', text: code });
+      code = '';
+    }
+  };
+
+  const readQuoted = (quote, type) => {
+    let j = i + 1;
+    while (j < sql.length) {
+      if (sql[j] === quote) {
+        // Doubled quote is an escaped quote inside the literal
+        if (sql[j + 1] === quote) {
+          j += 2;
+          continue;
+        }
+        break;
+      }
+      j++;
+    }
+    flushCode();
+    tokens.push({ type, text: sql.slice(i, j + 1) });
+    i = j + 1;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === "'") {
+      readQuoted("'", 'string');
+    } else if (char === '"') {
+      readQuoted('"', 'identifier');
+    } else if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      const j = end === -1 ? sql.length : end;
+      flushCode();
+      tokens.push({ type: 'comment', text: sql.slice(i, j) });
+      i = j;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const j = end === -1 ? sql.length : end + 2;
+      flushCode();
+      tokens.push({ type: 'comment', text: sql.slice(i, j) });
+      i = j;
+    } else {
+      code += char;
+      i++;
+    }
+  }
+
+  flushCode();
+  return tokens;
+};
+
+// "15 minutes" / "1 day" -> SQLite datetime modifier
+const toSQLiteModifier = (sign, literal) => {
+  const match = literal.slice(1, -1).trim().match(/^(\d+(?:\.\d+)?)\s*(second|minute|hour|day|month|year)s?$/i);
+  if (!match) {
+    throw new UnsupportedQueryError(`INTERVAL ${literal}`);
+  }
+  return `'${sign}${match[1]} ${match[2].toLowerCase()}s'`;
+};
+
+const translateCode = (text, arrayParams) => {
+  for (const { pattern, feature } of UNSUPPORTED_PATTERNS) {
+    if (pattern.test(text)) {
+      throw new UnsupportedQueryError(feature);
+    }
+  }
+
+  return text
+    // Casts: $1::uuid[], COUNT(*)::int, value::numeric(10, 2)
+    .replace(/::\s*[a-z_][\w ]*?(\(\s*\d+(\s*,\s*\d+)?\s*\))?(\[\])?(?=[\s,)=<>+\-*/;]|$)/gi, '')
+    // col = ANY($1) / col <> ALL($1) with an array parameter
+    .replace(/(=|<>|!=)\s*(ANY|ALL)\s*\(\s*\$(\d+)\s*\)/gi, (match, operator, quantifier, index) => {
+      const membership = operator === '=' && quantifier.toUpperCase() === 'ANY';
+      const exclusion = operator !== '=' && quantifier.toUpperCase() === 'ALL';
+      if (!membership && !exclusion) {
+        throw new UnsupportedQueryError(`${operator} ${quantifier.toUpperCase()}(array)`);
+      }
+      arrayParams.add(parseInt(index));
+      return `${membership ? 'IN' : 'NOT IN'} (SELECT value FROM json_each(?${index}))`;
+    })
+    .replace(/\$(\d+)/g, '?$1')
+    .replace(/\bILIKE\b/gi, 'LIKE')
+    .replace(/\bNOW\s*\(\s*\)/gi, SQLITE_NOW)
+    .replace(/\bCURRENT_TIMESTAMP\b/gi, SQLITE_NOW)
+    .replace(/\bFOR\s+(UPDATE|SHARE|NO\s+KEY\s+UPDATE|KEY\s+SHARE)(\s+OF\s+[\w\s,]+?)?(\s+(SKIP\s+LOCKED|NOWAIT))?(?=\s*(;|$|\)))/gi, '')
+    .replace(/\b([a-z_]+)\s*\(/gi, (match, name) => {
+      const alias = FUNCTION_ALIASES[name.toLowerCase()];
+      return alias ? `${alias}(` : match;
+    });
+};
+
+// NOW() +/- INTERVAL '15 minutes' spans a code token and a string token
+const translateIntervals = (tokens) => {
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const nextToken = tokens[i + 1];
+    const intervalMatch = token.type === 'code'
+      && token.text.match(/\bNOW\s*\(\s*\)\s*([+-])\s*INTERVAL\s*$/i);
+
+    if (intervalMatch && nextToken?.type === 'string') {
+      const prefix = token.text.slice(0, intervalMatch.index);
+      const modifier = toSQLiteModifier(intervalMatch[1], nextToken.text);
+      result.push({ type: 'code', text: prefix });
+      result.push({ type: 'raw', text: `strftime('%Y-%m-%dT%H:%M:%fZ', 'now', ${modifier})` });
+      i++;
+      continue;
+    }
+
+    if (token.type === 'code' && /\bINTERVAL\s*$/i.test(token.text) && nextToken?.type === 'string') {
+      throw new UnsupportedQueryError('INTERVAL arithmetic other than NOW() +/- INTERVAL');
+    }
+
+    result.push(token);
+  }
+  return result;
+};
+
+// SQLite binds booleans, dates, arrays and objects differently from pg
+const toSQLiteValue = (value, isArrayParam) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value;
+  if (isArrayParam && !Array.isArray(value)) {
+    throw new TypeError('ANY()/ALL() parameters must be arrays');
+  }
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Legacy "?" placeholders -> $1, $2 for PostgreSQL
+const numberPositionalPlaceholders = (tokens) => {
+  let index = 0;
+  return tokens.map(token => token.type === 'code'
+    ? { ...token, text: token.text.replace(/\?/g, () => `$${++index}`) }
+    : token);
+};
+
+const hasPositionalPlaceholders = (tokens) =>
+  tokens.some(token => token.type === 'code' && /\?/.test(token.text));
+
+const hasNumberedPlaceholders = (tokens) =>
+  tokens.some(token => token.type === 'code' && /\$\d+/.test(token.text));
+
+const join = (tokens) => tokens.map(token => token.text).join('');
+
+// Whether SQLite should fetch rows (SELECT, RETURNING) or report changes
+const returnsRows = (tokens) => {
+  const code = tokens.filter(token => token.type === 'code').map(token => token.text).join(' ');
+  return ROW_RETURNING_STATEMENT.test(code) || RETURNING_PATTERN.test(code);
+};
+
+const translateForSQLite = (sql) => {
+  const tokens = tokenize(sql);
+
+  // Queries already written with "?" placeholders are passed through unchanged
+  if (hasPositionalPlaceholders(tokens) && !hasNumberedPlaceholders(tokens)) {
+    return { text: sql, arrayParams: new Set(), positional: true, returnsRows: returnsRows(tokens) };
+  }
+
+  const arrayParams = new Set();
+  const translated = translateIntervals(tokens).map(token => token.type === 'code'
+    ? { ...token, text: translateCode(token.text, arrayParams) }
+    : token);
+
+  return { text: join(translated), arrayParams, positional: false, returnsRows: returnsRows(tokens) };
+};
+
+const translateForPostgres = (sql) => {
+  const tokens = tokenize(sql);
+  if (hasPositionalPlaceholders(tokens) && !hasNumberedPlaceholders(tokens)) {
+    return { text: join(numberPositionalPlaceholders(tokens)) };
+  }
+  return { text: sql };
+};
+
+// Translations depend only on the SQL text, so cache them
+const MAX_CACHE_ENTRIES = 500;
+const cache = { postgres: new Map(), sqlite: new Map() };
+
+const cached = (dialectName, sql, translate) => {
+  const entries = cache[dialectName];
+  let entry = entries.get(sql);
+  if (!entry) {
+    entry = translate(sql);
+    if (entries.size >= MAX_CACHE_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(sql, entry);
+  }
+  return entry;
+};
+
+/**
+ * Translate a PostgreSQL-style query for the given dialect ('postgres' or
+ * 'sqlite'). Returns { text, params, returnsRows }; returnsRows tells the
+ * SQLite driver whether to fetch rows or report the number of changes.
+ */
+export const translateQuery = (sql, params = [], dialectName = 'postgres') => {
+  if (dialectName === 'postgres') {
+    const { text } = cached('postgres', sql, translateForPostgres);
+    return { text, params, returnsRows: true };
+  }
+
+  const { text, arrayParams, positional, returnsRows } = cached('sqlite', sql, translateForSQLite);
+  const values = (params || []).map((value, index) =>
+    toSQLiteValue(value, !positional && arrayParams.has(index + 1)));
+
+  return { text, params: values, returnsRows };
+};
+
+export default {
+  tokenize,
+  translateQuery,
+  UnsupportedQueryError
+};
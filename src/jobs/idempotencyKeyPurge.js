@@ -0,0 +1,47 @@
+/**
+ * RobustTicketing - Idempotency Key Purge
+ * Periodically deletes idempotency keys whose replay window has passed
+ */
+
+import IdempotencyKeyRepository from '../repositories/IdempotencyKeyRepository.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+export const purgeExpiredIdempotencyKeys = async () => {
+  try {
+    const purged = await IdempotencyKeyRepository.deleteExpired();
+    if (purged > 0) {
+      logger.info('Expired idempotency keys purged', { purged });
+    }
+    return purged;
+  } catch (error) {
+    logger.error('Idempotency key purge failed:', error);
+    return null;
+  }
+};
+
+export const startIdempotencyKeyPurge = ({
+  intervalMs = parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(purgeExpiredIdempotencyKeys, intervalMs);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+};
+
+export const stopIdempotencyKeyPurge = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  purgeExpiredIdempotencyKeys,
+  startIdempotencyKeyPurge,
+  stopIdempotencyKeyPurge
+};
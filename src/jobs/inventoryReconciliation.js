@@ -0,0 +1,57 @@
+/**
+ * RobustTicketing - Inventory Reconciliation
+ * Periodically checks ticket_types.quantity_sold against issued tickets
+ */
+
+import { reconcileInventory } from '../services/inventoryService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Run one reconciliation pass; overlapping runs are skipped
+export const runInventoryReconciliation = async ({
+  fix = process.env.INVENTORY_RECONCILE_FIX === 'true'
+} = {}) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await reconcileInventory({ fix });
+    if (result.drift.length > 0) {
+      logger.warn('Inventory drift detected', result);
+    }
+    return result;
+  } catch (error) {
+    logger.error('Inventory reconciliation failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+export const startInventoryReconciliation = ({
+  intervalMs = parseInt(process.env.INVENTORY_RECONCILE_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(() => runInventoryReconciliation(), intervalMs);
+  // Don't keep the process alive just for reconciliation
+  timer.unref();
+  logger.info(`Inventory reconciliation running every ${Math.round(intervalMs / 1000)}s`);
+};
+
+export const stopInventoryReconciliation = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runInventoryReconciliation,
+  startInventoryReconciliation,
+  stopInventoryReconciliation
+};
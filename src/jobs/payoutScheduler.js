@@ -0,0 +1,47 @@
+/**
+ * RobustTicketing - Payout Scheduler
+ * Periodically schedules payouts for ended events and pays the ones that are due
+ */
+
+import payoutService from '../services/payoutService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+export const runPayouts = async () => {
+  try {
+    const result = await payoutService.runPayouts();
+    if (result.scheduled > 0 || result.paid > 0 || result.failed > 0) {
+      logger.info('Payouts run', result);
+    }
+    return result;
+  } catch (error) {
+    logger.error('Payout run failed:', error);
+    return null;
+  }
+};
+
+export const startPayoutScheduler = ({
+  intervalMs = parseInt(process.env.PAYOUT_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(runPayouts, intervalMs);
+  // Don't keep the process alive just for payouts
+  timer.unref();
+};
+
+export const stopPayoutScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  runPayouts,
+  startPayoutScheduler,
+  stopPayoutScheduler
+};
@@ -0,0 +1,65 @@
+/**
+ * RobustTicketing - Refund Reconciliation
+ * Periodically sends refunds left pending back to the payment provider and
+ * offers any tickets they free to waitlisted buyers
+ */
+
+import refundService from '../services/refundService.js';
+import waitlistService from '../services/waitlistService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Run one pass; overlapping runs are skipped
+export const reconcileRefunds = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const results = await refundService.reconcileRefunds();
+    const count = (status) => results.filter(result => result.refund?.status === status).length;
+    const summary = { retried: results.length, succeeded: count('succeeded'), pending: count('pending'), failed: count('failed') };
+
+    for (const result of results) {
+      waitlistService.notifyInventoryFreed(result.restockedTicketTypeIds);
+    }
+
+    if (summary.failed > 0) {
+      logger.error('Refunds failed after repeated attempts; they need a staff decision', summary);
+    } else if (summary.retried > 0) {
+      logger.info('Pending refunds retried', summary);
+    }
+    return summary;
+  } catch (error) {
+    logger.error('Refund reconciliation failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+export const startRefundReconciliation = ({
+  intervalMs = parseInt(process.env.REFUND_RECONCILIATION_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(reconcileRefunds, intervalMs);
+  // Don't keep the process alive just for reconciliation
+  timer.unref();
+};
+
+export const stopRefundReconciliation = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  reconcileRefunds,
+  startRefundReconciliation,
+  stopRefundReconciliation
+};
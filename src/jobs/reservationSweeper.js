@@ -0,0 +1,59 @@
+/**
+ * RobustTicketing - Reservation Sweeper
+ * Periodically releases expired ticket holds back into inventory and offers
+ * freed tickets to waitlisted buyers
+ */
+
+import { expireHolds } from '../services/checkoutService.js';
+import { processWaitlists } from '../services/waitlistService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Run one sweep; overlapping runs are skipped
+export const sweepExpiredReservations = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await expireHolds();
+    if (result.expired > 0) {
+      logger.info('Expired reservation holds released', result);
+    }
+
+    const waitlists = await processWaitlists();
+    return { ...result, waitlists };
+  } catch (error) {
+    logger.error('Reservation sweep failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+export const startReservationSweeper = ({
+  intervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  if (timer) return;
+
+  timer = setInterval(sweepExpiredReservations, intervalMs);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  logger.info(`Reservation sweeper running every ${Math.round(intervalMs / 1000)}s`);
+};
+
+export const stopReservationSweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  sweepExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper
+};
@@ -1,15 +1,101 @@
 /**
  * RobustTicketing - Authentication Middleware
- * JWT token verification and authorization
+ * JWT token and API key verification and authorization
  */
 
 import jwt from 'jsonwebtoken';
-import { query } from '../config/database.js';
+import rateLimit from 'express-rate-limit';
+import UserRepository from '../repositories/UserRepository.js';
+import SessionRepository from '../repositories/SessionRepository.js';
+import apiKeyService from '../services/apiKeyService.js';
+import permissionService from '../services/permissionService.js';
 import { logger } from '../utils/logger.js';
 
-// Verify JWT token
+// Access tokens carry the user id as "id"; older tokens used "userId"
+const tokenSubject = (decoded) => decoded.id || decoded.userId;
+
+// Last-seen times are written at most this often per session
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * The session an access token belongs to, if it is still signed in.
+ * Tokens issued before sessions existed carry no "sid" and are accepted
+ * until they expire.
+ */
+const checkSession = async (decoded, req) => {
+  if (!decoded.sid) return { active: true, sessionId: null };
+
+  const session = await SessionRepository.findById(decoded.sid);
+  if (!session?.isActive || session.userId !== tokenSubject(decoded)) {
+    return { active: false };
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await SessionRepository.touch(session.id, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+  }
+  return { active: true, sessionId: session.id };
+};
+
+// Each API key has its own per-minute limit, counted per key rather than per IP
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.user.apiKey.rateLimit,
+  keyGenerator: (req) => `api-key:${req.user.apiKey.id}`,
+  message: { error: 'API key rate limit exceeded. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Let the route accept an X-API-Key with `scope` in place of a user token.
+ * Goes before authenticateToken; routes without it refuse API keys. With
+ * `eventParam`, a key limited to one event must match that route parameter.
+ */
+export const acceptApiKey = (scope, { eventParam } = {}) => (req, res, next) => {
+  req.apiKeyAccess = { scope, eventParam };
+  next();
+};
+
+const authenticateApiKey = async (req, res, next, key) => {
+  const access = req.apiKeyAccess;
+
+  if (!access) {
+    return res.status(401).json({ error: 'API keys are not accepted for this endpoint' });
+  }
+
+  const result = await apiKeyService.authenticate(key, { ipAddress: req.ip });
+
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+
+  const { apiKey, user } = result;
+
+  if (!apiKey.scopes.includes(access.scope)) {
+    return res.status(403).json({ error: 'insufficient_scope', required: access.scope });
+  }
+
+  if (access.eventParam && !apiKeyService.allowsEvent(apiKey, req.params[access.eventParam])) {
+    return res.status(403).json({ error: 'This API key is limited to another event' });
+  }
+
+  req.user = {
+    ...user,
+    sessionId: null,
+    twoFactorVerified: false,
+    apiKey: { id: apiKey.id, scopes: apiKey.scopes, eventId: apiKey.eventId, rateLimit: apiKey.rateLimit }
+  };
+  apiKeyLimiter(req, res, next);
+};
+
+// Verify JWT token, or an API key on routes that accept one
 export const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+    
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -19,15 +105,25 @@ export const authenticateToken = async (req, res, next) => {
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Pending 2FA, email verification and password reset tokens are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    
     // Check if user still exists
-    const userQuery = 'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL';
-    const userResult = await query(userQuery, [decoded.userId]);
+    const user = await UserRepository.findById(tokenSubject(decoded));
     
-    if (userResult.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({ error: 'User no longer exists' });
     }
     
-    req.user = userResult.rows[0];
+    // Signed-out sessions invalidate their access tokens straight away
+    const session = await checkSession(decoded, req);
+    if (!session.active) {
+      return res.status(401).json({ error: 'session_revoked', message: 'This session has been signed out' });
+    }
+    
+    req.user = { ...user, sessionId: session.sessionId, twoFactorVerified: Boolean(decoded.tfa) };
     next();
     
   } catch (error) {
@@ -43,7 +139,7 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check user roles
+// Check platform roles; requirePermission checks named permissions instead
 export const authorize = (...roles) => {
   return async (req, res, next) => {
     try {
@@ -52,9 +148,7 @@ export const authorize = (...roles) => {
       }
       
       // Get user roles
-      const rolesQuery = 'SELECT role FROM user_roles WHERE user_id = $1';
-      const rolesResult = await query(rolesQuery, [req.user.id]);
-      const userRoles = rolesResult.rows.map(row => row.role);
+      const userRoles = await UserRepository.getRoles(req.user.id);
       
       // Check if user has required role
       const hasRequiredRole = roles.some(role => userRoles.includes(role));
@@ -77,6 +171,64 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require a named permission, e.g. requirePermission('pricing:manage').
+ * With `eventParam` or `organizationParam`, the permission may also come
+ * from a role on the event or organization whose id is in that route
+ * parameter.
+ */
+export const requirePermission = (permission, { eventParam, organizationParam } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      
+      const eventId = eventParam ? req.params[eventParam] : undefined;
+      const organizationId = organizationParam ? req.params[organizationParam] : undefined;
+      
+      if (!(await permissionService.can(req.user.id, permission, { eventId, organizationId }))) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          required: permission
+        });
+      }
+      
+      next();
+      
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      res.status(500).json({ error: 'Authorization check failed' });
+    }
+  };
+};
+
+/**
+ * Require an account with two-factor authentication enabled that signed in
+ * with its second factor. Guards the payout and ledger routes.
+ */
+export const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  if (!req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      error: 'two_factor_required',
+      message: 'Enable two-factor authentication to access payouts and balances'
+    });
+  }
+  
+  if (!req.user.twoFactorVerified) {
+    return res.status(403).json({
+      error: 'two_factor_required',
+      message: 'Sign in again with your two-factor code to access payouts and balances'
+    });
+  }
+  
+  next();
+};
+
 // Optional authentication (doesn't fail if no token)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -85,11 +237,11 @@ export const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userQuery = 'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL';
-      const userResult = await query(userQuery, [decoded.userId]);
+      const user = decoded.type ? null : await UserRepository.findById(tokenSubject(decoded));
+      const session = user && await checkSession(decoded, req);
       
-      if (userResult.rows.length > 0) {
-        req.user = userResult.rows[0];
+      if (user && session.active) {
+        req.user = { ...user, sessionId: session.sessionId, twoFactorVerified: Boolean(decoded.tfa) };
       }
     }
     
@@ -103,6 +255,9 @@ export const optionalAuth = async (req, res, next) => {
 
 export default {
   authenticateToken,
+  acceptApiKey,
   authorize,
+  requirePermission,
+  requireTwoFactor,
   optionalAuth
 };
\ No newline at end of file
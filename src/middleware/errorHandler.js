@@ -197,4 +197,10 @@ export class PaymentError extends AppError {
   constructor(message = 'Payment failed') {
     super(message, 402, 'PaymentError');
   }
+}
+
+export class PaymentTimeoutError extends AppError {
+  constructor(message = 'Payment provider timed out') {
+    super(message, 504, 'PaymentTimeoutError');
+  }
 }
\ No newline at end of file
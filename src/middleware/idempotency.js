@@ -0,0 +1,123 @@
+/**
+ * RobustTicketing - Idempotency Middleware
+ * Money-moving requests sent with an Idempotency-Key header run once per user
+ * and key; retries get the stored response back instead of a second charge
+ */
+
+import crypto from 'crypto';
+import IdempotencyKeyRepository from '../repositories/IdempotencyKeyRepository.js';
+import { logger } from '../utils/logger.js';
+
+// How long a key and its stored response are kept
+export const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+const MAX_KEY_LENGTH = 255;
+
+// Sort object keys so the same body always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+};
+
+const hashRequest = (method, path, body) =>
+  crypto.createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(canonicalize(body ?? null))}`)
+    .digest('hex');
+
+// Claim the key, or return the request that already holds it
+const claimKey = async (record) => {
+  const id = await IdempotencyKeyRepository.claim(record);
+  if (id) return { id };
+
+  const existing = await IdempotencyKeyRepository.find(record.userId, record.key);
+  if (existing && !existing.isExpired) return { existing };
+
+  // An expired key starts over
+  if (existing) {
+    await IdempotencyKeyRepository.release(existing.id);
+  }
+  return { id: await IdempotencyKeyRepository.claim(record) };
+};
+
+/**
+ * Use after authenticateToken. Requests without the header pass straight
+ * through. Responses are stored before they are sent, except server errors,
+ * which release the key so the request can be retried.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const path = `${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req.method, path, req.body);
+    const { id, existing } = await claimKey({
+      userId: req.user.id,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+
+      if (!existing.completedAt) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    if (!id) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    const sendJson = res.json.bind(res);
+    let responded = false;
+
+    res.json = (body) => {
+      responded = true;
+      const store = res.statusCode >= 500
+        ? IdempotencyKeyRepository.release(id)
+        : IdempotencyKeyRepository.complete(id, { status: res.statusCode, body });
+
+      store
+        .catch(error => logger.error('Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // Nothing was sent back (client gone, non-JSON reply): let a retry run the request
+    res.once('close', () => {
+      if (!responded) {
+        IdempotencyKeyRepository.release(id).catch(error => logger.error('Failed to release idempotency key:', error));
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    logger.error('Idempotency check error:', error);
+    res.status(500).json({ error: 'Failed to process request' });
+  }
+};
+
+export default {
+  IDEMPOTENCY_TTL_HOURS,
+  idempotent
+};
@@ -61,6 +61,22 @@ class APIClient {
     return headers;
   }
 
+  // Build request URL, appending query params and skipping empty values
+  buildURL(url, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.append(key, value);
+      }
+    });
+
+    const queryString = query.toString();
+    if (!queryString) {
+      return `${this.baseURL}${url}`;
+    }
+    return `${this.baseURL}${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+  }
+
   // Apply request interceptors
   async applyRequestInterceptors(config) {
     let modifiedConfig = { ...config };
@@ -96,6 +112,11 @@ class APIClient {
     return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  // Unique key for a money-moving request, reused across its retries
+  generateIdempotencyKey() {
+    return crypto.randomUUID();
+  }
+
   // Make HTTP request with built-in security and retry logic
   async request(url, options = {}) {
     const requestId = this.generateRequestId();
@@ -104,10 +125,15 @@ class APIClient {
       method: 'GET',
       headers: this.buildHeaders(options.headers),
       ...options,
-      url: `${this.baseURL}${url}`,
+      url: this.buildURL(url, options.params),
       requestId
     };
 
+    // Retries of purchases and payments carry the same key so the server replays instead of charging twice
+    if (options.idempotent) {
+      config.headers = { ...config.headers, 'Idempotency-Key': options.idempotencyKey || this.generateIdempotencyKey() };
+    }
+
     // Apply request interceptors
     config = await this.applyRequestInterceptors(config);
 
@@ -374,6 +400,7 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
   refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
@@ -386,8 +413,13 @@ export const userAPI = {
   updateProfile: (data) => api.put('/users/profile', data),
   uploadAvatar: (file) => api.upload('/users/avatar', file),
   changePassword: (data) => api.post('/users/change-password', data),
+  get2FAStatus: () => api.get('/users/2fa'),
   enable2FA: () => api.post('/users/enable-2fa'),
+  confirm2FA: (code) => api.post('/users/confirm-2fa', { code }),
   disable2FA: (code) => api.post('/users/disable-2fa', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/users/2fa/recovery-codes', { code }),
+  getSessions: () => api.get('/users/sessions'),
+  revokeSession: (sessionId) => api.delete(`/users/sessions/${sessionId}`),
   getNotifications: () => api.get('/users/notifications'),
   markNotificationRead: (id) => api.patch(`/users/notifications/${id}/read`),
   getPreferences: () => api.get('/users/preferences'),
@@ -407,7 +439,25 @@ export const eventsAPI = {
   searchEvents: (query, filters = {}) => api.get('/events/search', { params: { q: query, ...filters } }),
   getFeaturedEvents: () => api.get('/events/featured'),
   getPopularEvents: () => api.get('/events/popular'),
-  getNearbyEvents: (lat, lng, radius = 50) => api.get('/events/nearby', { params: { lat, lng, radius } })
+  getNearbyEvents: (lat, lng, radius = 50) => api.get('/events/nearby', { params: { lat, lng, radius } }),
+  getPromoCodes: (eventId) => api.get(`/events/${eventId}/promo-codes`),
+  createPromoCode: (eventId, promoData) => api.post(`/events/${eventId}/promo-codes`, promoData),
+  updatePromoCode: (eventId, promoId, promoData) => api.put(`/events/${eventId}/promo-codes/${promoId}`, promoData),
+  deletePromoCode: (eventId, promoId) => api.delete(`/events/${eventId}/promo-codes/${promoId}`),
+  previewPromoCode: (eventId, code, tickets) => api.post(`/events/${eventId}/promo-codes/preview`, { code, tickets }),
+  joinWaitlist: (eventId, ticketTypeId, quantity = 1) => api.post(`/events/${eventId}/waitlist`, { ticketTypeId, quantity }),
+  getWaitlist: (eventId) => api.get(`/events/${eventId}/waitlist`),
+  leaveWaitlist: (eventId, entryId) => api.delete(`/events/${eventId}/waitlist/${entryId}`),
+  getWaitlistSummary: (eventId) => api.get(`/events/${eventId}/waitlist/summary`),
+  getEventOrders: (eventId, params = {}) => api.get(`/events/${eventId}/orders`, { params }),
+  getEventLedger: (eventId, params = {}) => api.get(`/events/${eventId}/ledger`, { params }),
+  getRefundRequests: (eventId, status) => api.get(`/events/${eventId}/refund-requests`, { params: { status } }),
+  decideRefundRequest: (eventId, requestId, decision) =>
+    api.post(`/events/${eventId}/refund-requests/${requestId}/decision`, decision, { idempotent: true }),
+  getMyPermissions: (eventId) => api.get(`/events/${eventId}/staff/me`),
+  getStaff: (eventId) => api.get(`/events/${eventId}/staff`),
+  addStaff: (eventId, staffData) => api.post(`/events/${eventId}/staff`, staffData),
+  removeStaff: (eventId, userId) => api.delete(`/events/${eventId}/staff/${userId}`)
 };
 
 export const ticketsAPI = {
@@ -415,7 +465,12 @@ export const ticketsAPI = {
   createTicketType: (eventId, ticketData) => api.post(`/events/${eventId}/ticket-types`, ticketData),
   updateTicketType: (eventId, ticketId, ticketData) => api.put(`/events/${eventId}/ticket-types/${ticketId}`, ticketData),
   deleteTicketType: (eventId, ticketId) => api.delete(`/events/${eventId}/ticket-types/${ticketId}`),
-  purchaseTickets: (orderData) => api.post('/tickets/purchase', orderData),
+  getQuote: (eventId, tickets, promoCode, displayCurrency) =>
+    api.post('/tickets/quote', { eventId, tickets, promoCode, displayCurrency }),
+  purchaseTickets: (orderData) => api.post('/tickets/purchase', orderData, { idempotent: true }),
+  holdTickets: (eventId, tickets) => api.post('/tickets/holds', { eventId, tickets }),
+  getHold: (holdId) => api.get(`/tickets/holds/${holdId}`),
+  releaseHold: (holdId) => api.delete(`/tickets/holds/${holdId}`),
   getMyTickets: () => api.get('/tickets/my-tickets'),
   getTicket: (id) => api.get(`/tickets/${id}`),
   transferTicket: (id, transferData) => api.post(`/tickets/${id}/transfer`, transferData),
@@ -425,23 +480,100 @@ export const ticketsAPI = {
 };
 
 export const ordersAPI = {
-  getOrders: () => api.get('/orders'),
+  getOrders: (params = {}) => api.get('/orders', { params }),
   getOrder: (id) => api.get(`/orders/${id}`),
-  cancelOrder: (id, reason) => api.post(`/orders/${id}/cancel`, { reason }),
-  refundOrder: (id, reason) => api.post(`/orders/${id}/refund`, { reason }),
-  downloadInvoice: (id) => api.download(`/orders/${id}/invoice`, `invoice-${id}.pdf`)
+  cancelOrder: (id, reason) => api.post(`/orders/${id}/cancel`, { reason }, { idempotent: true }),
+  refundOrder: (id, reason, ticketIds) => api.post(`/orders/${id}/refund-requests`, { reason, ticketIds }),
+  getRefundRequests: (id) => api.get(`/orders/${id}/refund-requests`),
+  withdrawRefundRequest: (id, requestId) => api.delete(`/orders/${id}/refund-requests/${requestId}`),
+  getReceipt: (id) => api.get(`/orders/${id}/receipt`),
+  downloadInvoice: (id) => api.download(`/orders/${id}/invoice`, `invoice-${id}.pdf`),
+  downloadTickets: (id) => api.download(`/orders/${id}/tickets/download`, `tickets-${id}.pdf`)
 };
 
 export const paymentsAPI = {
-  createPaymentIntent: (orderData) => api.post('/payments/create-intent', orderData),
-  confirmPayment: (paymentIntentId, paymentMethodId) => api.post('/payments/confirm', {
+  createPaymentIntent: (orderData) => api.post('/payments/create-intent', orderData, { idempotent: true }),
+  confirmPayment: (paymentIntentId, paymentMethodId, orderId) => api.post('/payments/confirm', {
     paymentIntentId,
-    paymentMethodId
-  }),
-  getPaymentMethods: () => api.get('/payments/methods'),
+    paymentMethodId,
+    orderId
+  }, { idempotent: true }),
+  getPaymentMethods: (provider) => api.get('/payments/methods', { params: { provider } }),
   addPaymentMethod: (paymentMethodData) => api.post('/payments/methods', paymentMethodData),
   removePaymentMethod: (id) => api.delete(`/payments/methods/${id}`),
-  processRefund: (orderId, amount, reason) => api.post('/payments/refund', { orderId, amount, reason })
+  processRefund: (orderId, { ticketIds, amount, reason }) => api.post('/payments/refund', {
+    orderId,
+    ticketIds,
+    amount,
+    reason
+  }, { idempotent: true }),
+  getRefunds: (orderId) => api.get(`/payments/refunds/${orderId}`)
+};
+
+export const ledgerAPI = {
+  getBalance: () => api.get('/ledger/balance'),
+  getOrganizationBalance: (organizationId) => api.get(`/ledger/organizations/${organizationId}/balance`),
+  getAccounts: () => api.get('/ledger/accounts')
+};
+
+export const pricingRulesAPI = {
+  getFeeRules: (params = {}) => api.get('/pricing-rules/fees', { params }),
+  createFeeRule: (ruleData) => api.post('/pricing-rules/fees', ruleData),
+  updateFeeRule: (ruleId, ruleData) => api.put(`/pricing-rules/fees/${ruleId}`, ruleData),
+  deleteFeeRule: (ruleId) => api.delete(`/pricing-rules/fees/${ruleId}`),
+  getTaxRules: (params = {}) => api.get('/pricing-rules/taxes', { params }),
+  createTaxRule: (ruleData) => api.post('/pricing-rules/taxes', ruleData),
+  updateTaxRule: (ruleId, ruleData) => api.put(`/pricing-rules/taxes/${ruleId}`, ruleData),
+  deleteTaxRule: (ruleId) => api.delete(`/pricing-rules/taxes/${ruleId}`)
+};
+
+export const currenciesAPI = {
+  getCurrencies: () => api.get('/currencies'),
+  convert: (amount, from, to) => api.post('/currencies/convert', { amount, from, to })
+};
+
+export const organizationsAPI = {
+  getOrganizations: () => api.get('/organizations'),
+  createOrganization: (name) => api.post('/organizations', { name }),
+  getOrganization: (organizationId) => api.get(`/organizations/${organizationId}`),
+  updateOrganization: (organizationId, name) => api.put(`/organizations/${organizationId}`, { name }),
+  deleteOrganization: (organizationId) => api.delete(`/organizations/${organizationId}`),
+  getEvents: (organizationId, params = {}) => api.get(`/organizations/${organizationId}/events`, { params }),
+  getMembers: (organizationId) => api.get(`/organizations/${organizationId}/members`),
+  changeMemberRole: (organizationId, userId, role) => api.put(`/organizations/${organizationId}/members/${userId}`, { role }),
+  removeMember: (organizationId, userId) => api.delete(`/organizations/${organizationId}/members/${userId}`),
+  getInvitations: (organizationId) => api.get(`/organizations/${organizationId}/invitations`),
+  invite: (organizationId, email, role) => api.post(`/organizations/${organizationId}/invitations`, { email, role }),
+  revokeInvitation: (organizationId, invitationId) => api.delete(`/organizations/${organizationId}/invitations/${invitationId}`),
+  acceptInvitation: (token) => api.post('/organizations/invitations/accept', { token })
+};
+
+export const apiKeysAPI = {
+  getKeys: () => api.get('/api-keys'),
+  createKey: (keyData) => api.post('/api-keys', keyData),
+  revokeKey: (keyId) => api.delete(`/api-keys/${keyId}`)
+};
+
+export const rolesAPI = {
+  getRoles: () => api.get('/roles'),
+  getUserRoles: (userId) => api.get(`/roles/users/${userId}`),
+  assignRole: (userId, role, eventId) => api.post(`/roles/users/${userId}`, { role, eventId }),
+  removeRole: (userId, role) => api.delete(`/roles/users/${userId}/roles/${role}`),
+  removeEventRole: (userId, eventId) => api.delete(`/roles/users/${userId}/events/${eventId}`)
+};
+
+export const organizersAPI = {
+  getPayouts: (params = {}, organizationId = 'me') => api.get(`/organizers/${organizationId}/payouts`, { params }),
+  getStatements: (organizationId = 'me') => api.get(`/organizers/${organizationId}/statements`),
+  downloadStatements: (organizationId = 'me') => api.download(
+    `/organizers/${organizationId}/statements?format=csv`,
+    'settlement-statement.csv'
+  ),
+  getEventStatement: (eventId, organizationId = 'me') => api.get(`/organizers/${organizationId}/statements/${eventId}`),
+  downloadEventStatement: (eventId, organizationId = 'me') => api.download(
+    `/organizers/${organizationId}/statements/${eventId}?format=csv`,
+    `settlement-${eventId}.csv`
+  )
 };
 
 export const analyticsAPI = {
@@ -741,7 +741,7 @@ class FastRobustTicketingApp {
     });
 
     // Get price range (you might need to adjust this based on your data structure)
-    const priceText = event.price_min ? `From $${event.price_min}` : 'Free';
+    const priceText = event.price_min ? `From ${this.formatPrice(event.price_min, event.currency)}` : 'Free';
 
     return `
       <div class="event-card" onclick="app.openEventDetails('${event.id}')">
@@ -1079,11 +1079,11 @@ class FastRobustTicketingApp {
         <div class="ticket-options">
           <h5>Select Tickets</h5>
           ${tickets.map(ticket => `
-            <div class="ticket-option">
+            <div class="ticket-option" data-price="${ticket.price}">
               <div class="ticket-info">
                 <h6>${ticket.name}</h6>
                 <p>${ticket.description}</p>
-                <span class="ticket-price">$${ticket.price}</span>
+                <span class="ticket-price">${this.formatPrice(ticket.price, event.currency)}</span>
               </div>
               <div class="ticket-quantity">
                 <label for="qty-${ticket.id}">Quantity:</label>
@@ -1097,9 +1097,9 @@ class FastRobustTicketingApp {
           `).join('')}
         </div>
         
-        <div class="purchase-summary">
+        <div class="purchase-summary" data-currency="${event.currency || 'USD'}">
           <div class="total-section">
-            <strong>Total: $<span id="total-price">0.00</span></strong>
+            <strong>Total: <span id="total-price">${this.formatPrice(0, event.currency)}</span></strong>
           </div>
         </div>
         
@@ -1111,6 +1111,16 @@ class FastRobustTicketingApp {
     `;
   }
 
+  // Format an amount in the event's currency with that currency's decimals (JPY 0, USD 2, KWD 3)
+  formatPrice(amount, currency = 'USD') {
+    const code = (currency || 'USD').toUpperCase();
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(Number(amount) || 0);
+    } catch (error) {
+      return `${code} ${(Number(amount) || 0).toFixed(2)}`;
+    }
+  }
+
   closeTicketModal() {
     const modal = document.getElementById('ticket-modal');
     modal.style.display = 'none';
@@ -1128,7 +1138,7 @@ class FastRobustTicketingApp {
       if (quantity > 0) {
         const ticketId = select.id.replace('qty-', '');
         const ticketOption = select.closest('.ticket-option');
-        const price = parseFloat(ticketOption.querySelector('.ticket-price').textContent.replace('$', ''));
+        const price = parseFloat(ticketOption.dataset.price);
         
         selectedTickets.push({
           ticketId,
@@ -1145,7 +1155,8 @@ class FastRobustTicketingApp {
     }
 
     // For now, just show a success message
-    alert(`Proceeding to checkout with ${selectedTickets.length} ticket type(s). Total: $${total.toFixed(2)}\n\nPayment processing and email delivery will be implemented next!`);
+    const currency = document.querySelector('.purchase-summary')?.dataset.currency;
+    alert(`Proceeding to checkout with ${selectedTickets.length} ticket type(s). Total: ${this.formatPrice(total, currency)}\n\nPayment processing and email delivery will be implemented next!`);
     this.closeTicketModal();
   }
 }
@@ -558,7 +558,7 @@ class RobustTicketingApp {
               <h3><a href="/events/${event.id}">${event.title}</a></h3>
               <div class="event-date">${formatter.formatDate(event.startDate)}</div>
               <div class="event-location">${event.venue}</div>
-              <div class="event-price">From ${formatter.formatCurrency(event.minPrice)}</div>
+              <div class="event-price">From ${formatter.formatCurrency(event.minPrice, event.currency)}</div>
             </div>
           </div>
         `).join('');
@@ -30,18 +30,17 @@ export function throttle(func, limit) {
   };
 }
 
-// Format currency
+// Format currency with the currency's own decimals (JPY 0, USD 2, KWD 3)
 export function formatCurrency(amount, currency = 'USD', locale = 'en-US') {
+  const code = (currency || 'USD').toUpperCase();
   try {
     return new Intl.NumberFormat(locale, {
       style: 'currency',
-      currency: currency,
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
+      currency: code
+    }).format(Number(amount) || 0);
   } catch (error) {
     console.warn('Currency formatting failed:', error);
-    return `${currency} ${amount.toFixed(2)}`;
+    return `${code} ${(Number(amount) || 0).toFixed(2)}`;
   }
 }
 
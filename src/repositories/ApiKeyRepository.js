@@ -0,0 +1,75 @@
+/**
+ * RobustTicketing - API Key Repository
+ * Integration keys, stored as hashes, with their scopes and usage
+ */
+
+import { query } from '../config/database.js';
+import { toCount, parseJSON } from './helpers.js';
+
+export const formatApiKey = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: parseJSON(row.scopes, []),
+    eventId: row.event_id,
+    rateLimit: toCount(row.rate_limit),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+    isActive: !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > new Date())
+  };
+};
+
+export const create = async ({ userId, name, prefix, keyHash, scopes, eventId, rateLimit, expiresAt }) => {
+  const result = await query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, event_id, rate_limit, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [userId, name, prefix, keyHash, JSON.stringify(scopes), eventId || null, rateLimit, expiresAt || null]
+  );
+  return formatApiKey(result.rows[0]);
+};
+
+export const findByHash = async (keyHash) => {
+  const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+  return formatApiKey(result.rows[0]);
+};
+
+// The user's keys, newest first, including revoked and expired ones
+export const listForUser = async (userId) => {
+  const result = await query(
+    'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  return result.rows.map(formatApiKey);
+};
+
+export const touch = async (keyId, ipAddress) => {
+  await query(
+    'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $1 WHERE id = $2',
+    [ipAddress || null, keyId]
+  );
+};
+
+export const revoke = async (keyId, userId) => {
+  const result = await query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [keyId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+export default {
+  formatApiKey,
+  create,
+  findByHash,
+  listForUser,
+  touch,
+  revoke
+};
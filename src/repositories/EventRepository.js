@@ -0,0 +1,295 @@
+/**
+ * RobustTicketing - Event Repository
+ * Event queries, column mapping and soft-delete handling
+ */
+
+import { query } from '../config/database.js';
+import {
+  paginate,
+  toBoolean,
+  toNumber,
+  toCount,
+  parseJSON,
+  createFilter,
+  buildUpdate
+} from './helpers.js';
+import { normalizeCurrency } from '../utils/money.js';
+
+// camelCase request fields -> events columns
+const EVENT_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  shortDescription: 'short_description',
+  category: 'category',
+  venue: 'venue_name',
+  address: 'venue_address',
+  city: 'venue_city',
+  state: 'venue_state',
+  country: 'venue_country',
+  zipCode: 'venue_postal_code',
+  startDate: 'start_datetime',
+  endDate: 'end_datetime',
+  timezone: 'timezone',
+  capacity: 'venue_capacity',
+  currency: 'currency',
+  isPublic: 'is_public',
+  requiresApproval: 'requires_approval',
+  allowRefunds: 'allow_refunds',
+  refundPolicy: 'refund_policy',
+  refundTiers: 'refund_tiers',
+  organizationId: 'organization_id'
+};
+
+const EVENT_SELECT = `
+  SELECT e.*, u.first_name AS organizer_first_name, u.last_name AS organizer_last_name,
+         u.email AS organizer_email, u.profile_image AS organizer_avatar,
+         o.name AS organization_name,
+         COALESCE(SUM(tt.quantity_sold), 0) AS total_tickets_sold,
+         COALESCE(MIN(tt.price), 0) AS min_price,
+         COALESCE(MAX(tt.price), 0) AS max_price
+  FROM events e
+  LEFT JOIN users u ON e.organizer_id = u.id
+  LEFT JOIN organizations o ON e.organization_id = o.id
+  LEFT JOIN ticket_types tt ON e.id = tt.event_id AND tt.deleted_at IS NULL
+`;
+
+const SORT_ORDERS = {
+  date: 'e.start_datetime ASC',
+  popular: 'total_tickets_sold DESC, e.start_datetime ASC',
+  newest: 'e.created_at DESC'
+};
+
+export const formatEvent = (event) => {
+  if (!event) return null;
+
+  return {
+    id: event.id,
+    title: event.title,
+    description: event.description,
+    shortDescription: event.short_description,
+    category: event.category,
+    venue: event.venue_name,
+    address: event.venue_address,
+    city: event.venue_city,
+    state: event.venue_state,
+    country: event.venue_country,
+    zipCode: event.venue_postal_code,
+    startDate: event.start_datetime,
+    endDate: event.end_datetime,
+    timezone: event.timezone,
+    capacity: event.venue_capacity,
+    currency: event.currency,
+    isPublic: toBoolean(event.is_public),
+    isFeatured: toBoolean(event.is_featured),
+    requiresApproval: toBoolean(event.requires_approval),
+    allowRefunds: toBoolean(event.allow_refunds),
+    refundPolicy: event.refund_policy,
+    refundTiers: parseJSON(event.refund_tiers, null),
+    status: event.status,
+    imageUrl: event.featured_image,
+    tags: parseJSON(event.tags, event.tags),
+    organizerId: event.organizer_id,
+    organizer: {
+      firstName: event.organizer_first_name,
+      lastName: event.organizer_last_name,
+      email: event.organizer_email,
+      avatar: event.organizer_avatar
+    },
+    organizationId: event.organization_id,
+    organization: event.organization_id
+      ? { id: event.organization_id, name: event.organization_name }
+      : null,
+    totalTicketsSold: toCount(event.total_tickets_sold),
+    minPrice: toNumber(event.min_price) || 0,
+    maxPrice: toNumber(event.max_price) || 0,
+    createdAt: event.created_at,
+    updatedAt: event.updated_at
+  };
+};
+
+const buildFilter = (filters = {}) => {
+  const filter = createFilter(['e.deleted_at IS NULL']);
+
+  if (filters.category) {
+    filter.add('e.category = ?', filters.category);
+  }
+
+  if (filters.city) {
+    filter.add('e.venue_city ILIKE ?', `%${filters.city}%`);
+  }
+
+  if (filters.search) {
+    filter.add('(e.title ILIKE ? OR e.description ILIKE ?)', `%${filters.search}%`);
+  }
+
+  if (filters.startDate) {
+    filter.add('e.start_datetime >= ?', filters.startDate);
+  }
+
+  if (filters.endDate) {
+    filter.add('e.end_datetime <= ?', filters.endDate);
+  }
+
+  if (filters.isPublic !== undefined) {
+    filter.add('e.is_public = ?', filters.isPublic);
+  }
+
+  if (filters.featured) {
+    filter.raw('e.is_featured = TRUE');
+  }
+
+  if (filters.upcoming) {
+    filter.raw('e.start_datetime > NOW()');
+  }
+
+  if (filters.status) {
+    filter.add('e.status = ?', filters.status);
+  }
+
+  if (filters.organizerId) {
+    filter.add('e.organizer_id = ?', filters.organizerId);
+  }
+
+  if (filters.organizationId) {
+    filter.add('e.organization_id = ?', filters.organizationId);
+  }
+
+  if (filters.eventId) {
+    filter.add('e.id = ?', filters.eventId);
+  }
+
+  return filter;
+};
+
+// List events matching filters; returns { events, total, page, limit }
+export const list = async (filters = {}, pagination = {}, { sort = 'date', minTicketsSold = 0 } = {}) => {
+  const { page, limit, offset } = paginate(pagination);
+  const filter = buildFilter(filters);
+  const orderBy = SORT_ORDERS[sort] || SORT_ORDERS.date;
+  const having = minTicketsSold > 0 ? `HAVING COALESCE(SUM(tt.quantity_sold), 0) >= ${filter.param(minTicketsSold)}` : '';
+
+  const result = await query(
+    `${EVENT_SELECT}
+     ${filter.where()}
+     GROUP BY e.id, u.id, o.id
+     ${having}
+     ORDER BY ${orderBy}
+     LIMIT ${filter.param(limit)} OFFSET ${filter.param(offset)}`,
+    filter.params
+  );
+
+  const countFilter = buildFilter(filters);
+  const countResult = await query(
+    `SELECT COUNT(*) AS total FROM events e ${countFilter.where()}`,
+    countFilter.params
+  );
+
+  return {
+    events: result.rows.map(formatEvent),
+    total: toCount(countResult.rows[0]?.total),
+    page,
+    limit
+  };
+};
+
+export const findById = async (eventId) => {
+  const result = await query(
+    `${EVENT_SELECT}
+     WHERE e.id = $1 AND e.deleted_at IS NULL
+     GROUP BY e.id, u.id, o.id`,
+    [eventId]
+  );
+  return formatEvent(result.rows[0]);
+};
+
+// Currencies are stored upper-cased; JSON columns take a serialized string on both databases and null clears the tiers
+const serializePatch = (data) => ({
+  ...data,
+  currency: data.currency ? normalizeCurrency(data.currency) : data.currency,
+  refundTiers: data.refundTiers ? JSON.stringify(data.refundTiers) : data.refundTiers
+});
+
+export const create = async (organizerId, fields) => {
+  const data = serializePatch(fields);
+  const columns = ['organizer_id', 'status'];
+  const values = [organizerId, 'draft'];
+
+  for (const [key, column] of Object.entries(EVENT_COLUMNS)) {
+    if (data[key] !== undefined) {
+      columns.push(column);
+      values.push(data[key]);
+    }
+  }
+
+  const placeholders = values.map((value, index) => `$${index + 1}`);
+  const result = await query(
+    `INSERT INTO events (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING id`,
+    values
+  );
+
+  return findById(result.rows[0].id);
+};
+
+// Apply whitelisted fields from a camelCase patch
+export const update = async (eventId, patch) => {
+  const { assignments, params } = buildUpdate(serializePatch(patch), EVENT_COLUMNS);
+
+  if (assignments.length > 0) {
+    params.push(eventId);
+    await query(
+      `UPDATE events SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length} AND deleted_at IS NULL`,
+      params
+    );
+  }
+
+  return findById(eventId);
+};
+
+export const hasUpdatableFields = (patch) =>
+  Object.keys(EVENT_COLUMNS).some(key => patch[key] !== undefined);
+
+export const setStatus = async (eventId, status) => {
+  await query(
+    'UPDATE events SET status = $1, updated_at = NOW() WHERE id = $2 AND deleted_at IS NULL',
+    [status, eventId]
+  );
+  return findById(eventId);
+};
+
+export const setImage = async (eventId, imageUrl) => {
+  await query(
+    'UPDATE events SET featured_image = $1, updated_at = NOW() WHERE id = $2 AND deleted_at IS NULL',
+    [imageUrl, eventId]
+  );
+  return findById(eventId);
+};
+
+export const softDelete = async (eventId) => {
+  const result = await query(
+    'UPDATE events SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  return result.rowCount > 0;
+};
+
+export const countTicketTypes = async (eventId) => {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM ticket_types WHERE event_id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  return toCount(result.rows[0].count);
+};
+
+export default {
+  formatEvent,
+  list,
+  findById,
+  create,
+  update,
+  hasUpdatableFields,
+  setStatus,
+  setImage,
+  softDelete,
+  countTicketTypes
+};
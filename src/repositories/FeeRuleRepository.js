@@ -0,0 +1,130 @@
+/**
+ * RobustTicketing - Fee Rule Repository
+ * Platform fee rules: one platform-wide default plus per-event overrides
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean, toNumber, createFilter, buildUpdate } from './helpers.js';
+import { normalizeCurrency } from '../utils/money.js';
+
+// camelCase request fields -> fee_rules columns
+const FEE_RULE_COLUMNS = {
+  eventId: 'event_id',
+  name: 'name',
+  percent: 'percent',
+  fixedAmount: 'fixed_amount',
+  cap: 'cap',
+  paidBy: 'paid_by',
+  currency: 'currency',
+  isActive: 'is_active'
+};
+
+export const formatFeeRule = (rule) => {
+  if (!rule) return null;
+
+  return {
+    id: rule.id,
+    eventId: rule.event_id,
+    name: rule.name,
+    percent: toNumber(rule.percent) || 0,
+    fixedAmount: toNumber(rule.fixed_amount) || 0,
+    cap: toNumber(rule.cap),
+    paidBy: rule.paid_by,
+    currency: rule.currency,
+    isActive: toBoolean(rule.is_active),
+    createdBy: rule.created_by,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+};
+
+// Currencies are stored upper-cased; null means any currency
+const normalizePatch = (data) => ({
+  ...data,
+  currency: data.currency ? normalizeCurrency(data.currency) : data.currency
+});
+
+// `eventId: null` lists only platform defaults
+export const list = async ({ eventId } = {}) => {
+  const filter = createFilter();
+  if (eventId === null) filter.raw('event_id IS NULL');
+  else if (eventId) filter.add('event_id = ?', eventId);
+
+  const result = await query(
+    `SELECT * FROM fee_rules ${filter.where()} ORDER BY event_id IS NULL DESC, created_at DESC`,
+    filter.params
+  );
+  return result.rows.map(formatFeeRule);
+};
+
+export const findById = async (ruleId) => {
+  const result = await query('SELECT * FROM fee_rules WHERE id = $1', [ruleId]);
+  return formatFeeRule(result.rows[0]);
+};
+
+/**
+ * The rule that applies to an event: its own active rule, else the platform
+ * default for its currency, else one with no currency. Fixed amounts and caps
+ * are in the rule's currency, so a rule without one only lends its percent.
+ */
+export const findForEvent = async (eventId, currency) => {
+  const result = await query(
+    `SELECT * FROM fee_rules
+     WHERE is_active = TRUE
+       AND (event_id = $1 OR (event_id IS NULL AND (currency IS NULL OR currency = $2)))
+     ORDER BY event_id IS NULL ASC, currency IS NULL ASC, created_at DESC
+     LIMIT 1`,
+    [eventId, normalizeCurrency(currency)]
+  );
+  return formatFeeRule(result.rows[0]);
+};
+
+export const create = async (userId, data) => {
+  const columns = ['created_by'];
+  const values = [userId];
+  const normalized = normalizePatch(data);
+
+  for (const [key, column] of Object.entries(FEE_RULE_COLUMNS)) {
+    if (normalized[key] !== undefined) {
+      columns.push(column);
+      values.push(normalized[key]);
+    }
+  }
+
+  const placeholders = values.map((value, index) => `$${index + 1}`);
+  const result = await query(
+    `INSERT INTO fee_rules (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    values
+  );
+  return formatFeeRule(result.rows[0]);
+};
+
+export const update = async (ruleId, patch) => {
+  const { assignments, params } = buildUpdate(normalizePatch(patch), FEE_RULE_COLUMNS);
+
+  if (assignments.length > 0) {
+    params.push(ruleId);
+    await query(
+      `UPDATE fee_rules SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+  }
+
+  return findById(ruleId);
+};
+
+// Orders keep a copy of the rule they were priced with, so rules can simply be deleted
+export const remove = async (ruleId) => {
+  const result = await query('DELETE FROM fee_rules WHERE id = $1', [ruleId]);
+  return result.rowCount > 0;
+};
+
+export default {
+  formatFeeRule,
+  list,
+  findById,
+  findForEvent,
+  create,
+  update,
+  remove
+};
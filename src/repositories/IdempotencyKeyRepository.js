@@ -0,0 +1,73 @@
+/**
+ * RobustTicketing - Idempotency Key Repository
+ * Stored responses for requests made with an Idempotency-Key header
+ */
+
+import { query } from '../config/database.js';
+import { parseJSON } from './helpers.js';
+
+export const formatKey = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    key: row.idempotency_key,
+    method: row.request_method,
+    path: row.request_path,
+    requestHash: row.request_hash,
+    responseStatus: row.response_status,
+    responseBody: parseJSON(row.response_body),
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
+    isExpired: new Date(row.expires_at) <= new Date()
+  };
+};
+
+// Reserve a key for a request about to run; returns the new id, or null if the user already holds the key
+export const claim = async ({ userId, key, method, path, requestHash, expiresAt }) => {
+  const result = await query(
+    `INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, idempotency_key) DO NOTHING
+     RETURNING id`,
+    [userId, key, method, path, requestHash, expiresAt]
+  );
+  return result.rows[0]?.id || null;
+};
+
+export const find = async (userId, key) => {
+  const result = await query(
+    'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, key]
+  );
+  return formatKey(result.rows[0]);
+};
+
+export const complete = async (id, { status, body }) => {
+  await query(
+    `UPDATE idempotency_keys
+     SET response_status = $1, response_body = $2, completed_at = NOW()
+     WHERE id = $3`,
+    [status, JSON.stringify(body ?? null), id]
+  );
+};
+
+// Forget a key so the request can be retried, e.g. after a server error
+export const release = async (id) => {
+  await query('DELETE FROM idempotency_keys WHERE id = $1', [id]);
+};
+
+export const deleteExpired = async () => {
+  const result = await query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+  return result.rowCount;
+};
+
+export default {
+  formatKey,
+  claim,
+  find,
+  complete,
+  release,
+  deleteExpired
+};
@@ -0,0 +1,241 @@
+/**
+ * RobustTicketing - Ledger Repository
+ * Double-entry transactions, their entries and account balances
+ */
+
+import { query } from '../config/database.js';
+import { paginate, toNumber, toCount, createFilter } from './helpers.js';
+
+const formatEntry = (entry) => ({
+  account: entry.account,
+  ownerId: entry.owner_id,
+  eventId: entry.event_id,
+  amount: toNumber(entry.amount),
+  currency: entry.currency
+});
+
+export const formatTransaction = (transaction, entries = []) => {
+  if (!transaction) return null;
+
+  return {
+    id: transaction.id,
+    type: transaction.type,
+    reference: transaction.reference,
+    orderId: transaction.order_id,
+    eventId: transaction.event_id,
+    refundId: transaction.refund_id,
+    currency: transaction.currency,
+    description: transaction.description,
+    entries: entries.map(formatEntry),
+    createdAt: transaction.created_at
+  };
+};
+
+/**
+ * Insert a transaction and its entries. Returns null without posting anything
+ * when a transaction with the same reference already exists.
+ */
+export const createTransaction = async ({
+  type, reference = null, orderId = null, eventId = null, refundId = null, currency = 'USD', description = null
+}, entries) => {
+  const result = await query(
+    `INSERT INTO ledger_transactions (type, reference, order_id, event_id, refund_id, currency, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (reference) DO NOTHING
+     RETURNING *`,
+    [type, reference, orderId, eventId, refundId, currency, description]
+  );
+
+  const transaction = result.rows[0];
+  if (!transaction) return null;
+
+  for (const entry of entries) {
+    await query(
+      `INSERT INTO ledger_entries (transaction_id, account, owner_id, event_id, amount, currency)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [transaction.id, entry.account, entry.ownerId || null, entry.eventId || null, entry.amount, currency]
+    );
+  }
+
+  return formatTransaction(transaction, entries.map(entry => ({
+    account: entry.account,
+    owner_id: entry.ownerId || null,
+    event_id: entry.eventId || null,
+    amount: entry.amount,
+    currency
+  })));
+};
+
+const buildEntryFilter = ({ account, ownerId, eventId } = {}) => {
+  const filter = createFilter();
+  if (account) filter.add('le.account = ?', account);
+  if (ownerId) filter.add('le.owner_id = ?', ownerId);
+  if (eventId) filter.add('le.event_id = ?', eventId);
+  return filter;
+};
+
+/**
+ * Total debits and credits per account and currency for the entries matching
+ * the filter, optionally also split by event.
+ */
+export const sumEntries = async (filters = {}, { byEvent = false } = {}) => {
+  const filter = buildEntryFilter(filters);
+  const groupColumns = byEvent ? 'le.account, le.currency, le.event_id, e.title' : 'le.account, le.currency';
+
+  const result = await query(
+    `SELECT ${groupColumns},
+            SUM(CASE WHEN le.amount > 0 THEN le.amount ELSE 0 END) AS debits,
+            SUM(CASE WHEN le.amount < 0 THEN -le.amount ELSE 0 END) AS credits
+     FROM ledger_entries le
+     ${byEvent ? 'LEFT JOIN events e ON e.id = le.event_id' : ''}
+     ${filter.where()}
+     GROUP BY ${groupColumns}
+     ORDER BY ${groupColumns}`,
+    filter.params
+  );
+
+  return result.rows.map(row => ({
+    account: row.account,
+    currency: row.currency,
+    ...(byEvent && { eventId: row.event_id, eventTitle: row.title }),
+    debits: toNumber(row.debits) || 0,
+    credits: toNumber(row.credits) || 0
+  }));
+};
+
+/**
+ * Debits and credits per event, currency and transaction type for the entries
+ * matching the filter, with each event's title and dates.
+ */
+export const sumByType = async (filters = {}) => {
+  const filter = buildEntryFilter(filters);
+
+  const result = await query(
+    `SELECT le.event_id, le.currency, lt.type, e.title, e.start_datetime, e.end_datetime,
+            SUM(CASE WHEN le.amount > 0 THEN le.amount ELSE 0 END) AS debits,
+            SUM(CASE WHEN le.amount < 0 THEN -le.amount ELSE 0 END) AS credits
+     FROM ledger_entries le
+     JOIN ledger_transactions lt ON lt.id = le.transaction_id
+     LEFT JOIN events e ON e.id = le.event_id
+     ${filter.where()}
+     GROUP BY le.event_id, le.currency, lt.type, e.title, e.start_datetime, e.end_datetime
+     ORDER BY e.start_datetime ASC`,
+    filter.params
+  );
+
+  return result.rows.map(row => ({
+    eventId: row.event_id,
+    eventTitle: row.title,
+    eventStartsAt: row.start_datetime,
+    eventEndsAt: row.end_datetime,
+    currency: row.currency,
+    type: row.type,
+    debits: toNumber(row.debits) || 0,
+    credits: toNumber(row.credits) || 0
+  }));
+};
+
+/**
+ * Every entry matching the filter with its transaction and order number,
+ * oldest first, e.g. for a statement.
+ */
+export const listEntries = async (filters = {}) => {
+  const filter = buildEntryFilter(filters);
+
+  const result = await query(
+    `SELECT le.amount, le.currency, le.event_id, lt.id AS transaction_id, lt.type, lt.reference,
+            lt.description, lt.order_id, o.order_number, lt.created_at
+     FROM ledger_entries le
+     JOIN ledger_transactions lt ON lt.id = le.transaction_id
+     LEFT JOIN orders o ON o.id = lt.order_id
+     ${filter.where()}
+     ORDER BY lt.created_at ASC, lt.id ASC`,
+    filter.params
+  );
+
+  return result.rows.map(row => ({
+    transactionId: row.transaction_id,
+    type: row.type,
+    reference: row.reference,
+    description: row.description,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    eventId: row.event_id,
+    amount: toNumber(row.amount),
+    currency: row.currency,
+    createdAt: row.created_at
+  }));
+};
+
+// Events whose organizer balance is in credit, per organization holding it, with the event's creator
+export const listEventsInCredit = async ({ endedBefore } = {}) => {
+  const filter = createFilter();
+  filter.add('le.account = ?', 'organizer_balance');
+  if (endedBefore) filter.add('e.end_datetime <= ?', endedBefore);
+
+  const result = await query(
+    `SELECT le.event_id, le.currency, le.owner_id, e.organizer_id, SUM(le.amount) AS net
+     FROM ledger_entries le
+     JOIN events e ON e.id = le.event_id
+     ${filter.where()}
+     GROUP BY le.event_id, le.currency, le.owner_id, e.organizer_id
+     HAVING SUM(le.amount) < 0`,
+    filter.params
+  );
+
+  return result.rows.map(row => ({
+    eventId: row.event_id,
+    currency: row.currency,
+    organizationId: row.owner_id,
+    organizerId: row.organizer_id,
+    balance: -toNumber(row.net)
+  }));
+};
+
+// Transactions touching the filtered entries, newest first; returns { transactions, total, page, limit }
+export const listTransactions = async (filters = {}, pagination = {}) => {
+  const { page, limit, offset } = paginate(pagination);
+  const matching = (filter) =>
+    `SELECT DISTINCT le.transaction_id FROM ledger_entries le ${filter.where()}`;
+
+  const filter = buildEntryFilter(filters);
+  const result = await query(
+    `SELECT lt.* FROM ledger_transactions lt
+     WHERE lt.id IN (${matching(filter)})
+     ORDER BY lt.created_at DESC, lt.id DESC
+     LIMIT ${filter.param(limit)} OFFSET ${filter.param(offset)}`,
+    filter.params
+  );
+
+  const countFilter = buildEntryFilter(filters);
+  const countResult = await query(
+    `SELECT COUNT(*) AS total FROM (${matching(countFilter)}) matching`,
+    countFilter.params
+  );
+
+  const ids = result.rows.map(row => row.id);
+  const entries = ids.length > 0
+    ? (await query(
+      'SELECT * FROM ledger_entries WHERE transaction_id = ANY($1) ORDER BY amount DESC, account ASC',
+      [ids]
+    )).rows
+    : [];
+
+  return {
+    transactions: result.rows.map(row =>
+      formatTransaction(row, entries.filter(entry => entry.transaction_id === row.id))),
+    total: toCount(countResult.rows[0]?.total),
+    page,
+    limit
+  };
+};
+
+export default {
+  formatTransaction,
+  createTransaction,
+  sumEntries,
+  sumByType,
+  listEntries,
+  listEventsInCredit,
+  listTransactions
+};
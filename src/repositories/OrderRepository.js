@@ -0,0 +1,289 @@
+/**
+ * RobustTicketing - Order Repository
+ * Order creation, lookup and payment/refund state changes
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { paginate, toNumber, toCount, parseJSON, createFilter } from './helpers.js';
+
+export const formatOrder = (order) => {
+  if (!order) return null;
+
+  return {
+    id: order.id,
+    orderNumber: order.order_number,
+    userId: order.user_id,
+    eventId: order.event_id,
+    totalAmount: toNumber(order.total_amount),
+    discountAmount: toNumber(order.discount_amount) || 0,
+    promoCodeId: order.promo_code_id,
+    fees: toNumber(order.fees) || 0,
+    tax: toNumber(order.tax) || 0,
+    charges: parseJSON(order.charges, null),
+    currency: order.currency,
+    status: order.payment_status,
+    paymentMethod: order.payment_method,
+    paymentReference: order.payment_reference,
+    paymentIntentId: order.payment_intent_id,
+    refundedAmount: toNumber(order.refunded_amount) || 0,
+    customer: {
+      firstName: order.customer_first_name,
+      lastName: order.customer_last_name,
+      email: order.customer_email,
+      phone: order.customer_phone
+    },
+    createdAt: order.created_at,
+    updatedAt: order.updated_at
+  };
+};
+
+const ORDER_LIST_SELECT = `
+  SELECT o.*, e.title AS event_title, e.start_datetime AS event_start_date, e.venue_name AS event_venue
+  FROM orders o
+  JOIN events e ON e.id = o.event_id
+`;
+
+const formatListedOrder = (row) => ({
+  ...formatOrder(row),
+  event: {
+    id: row.event_id,
+    title: row.event_title,
+    startDate: row.event_start_date,
+    venue: row.event_venue
+  }
+});
+
+// Human-facing reference printed on receipts, e.g. RT-3F9A1C7B20
+const generateOrderNumber = () => `RT-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+// `charges` are the fee and tax rules the order was priced with
+export const create = async ({
+  userId, eventId, totalAmount, discountAmount = 0, promoCodeId = null, fees = 0, tax = 0, charges = null,
+  currency = 'USD', customer = {}
+}) => {
+  const result = await query(
+    `INSERT INTO orders (
+       user_id, event_id, order_number, total_amount, discount_amount, promo_code_id, fees, tax, charges,
+       currency, payment_status, customer_first_name, customer_last_name, customer_email, customer_phone
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      userId,
+      eventId,
+      generateOrderNumber(),
+      totalAmount,
+      discountAmount,
+      promoCodeId,
+      fees,
+      tax,
+      charges ? JSON.stringify(charges) : null,
+      currency,
+      customer.firstName || null,
+      customer.lastName || null,
+      customer.email || null,
+      customer.phone || null
+    ]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+// `forUpdate` locks the order for the rest of the transaction
+export const findById = async (orderId, { forUpdate = false } = {}) => {
+  const result = await query(`SELECT * FROM orders WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`, [orderId]);
+  return formatOrder(result.rows[0]);
+};
+
+// An order placed by the user, optionally in a given status
+export const findForUser = async (orderId, userId, { status } = {}) => {
+  const params = [orderId, userId];
+  let sql = 'SELECT * FROM orders WHERE id = $1 AND user_id = $2';
+
+  if (status) {
+    params.push(status);
+    sql += ' AND payment_status = $3';
+  }
+
+  const result = await query(sql, params);
+  return formatOrder(result.rows[0]);
+};
+
+// Newest first; `buildFilter` is called twice so the count query gets its own placeholders
+const listOrders = async (buildFilter, pagination) => {
+  const { page, limit, offset } = paginate(pagination);
+
+  const filter = buildFilter();
+  const result = await query(
+    `${ORDER_LIST_SELECT}
+     ${filter.where()}
+     ORDER BY o.created_at DESC, o.id DESC
+     LIMIT ${filter.param(limit)} OFFSET ${filter.param(offset)}`,
+    filter.params
+  );
+
+  const countFilter = buildFilter();
+  const countResult = await query(
+    `SELECT COUNT(*) AS total FROM orders o ${countFilter.where()}`,
+    countFilter.params
+  );
+
+  return {
+    orders: result.rows.map(formatListedOrder),
+    total: toCount(countResult.rows[0]?.total),
+    page,
+    limit
+  };
+};
+
+// The user's orders; returns { orders, total, page, limit }
+export const listForUser = async (userId, { status } = {}, pagination = {}) =>
+  listOrders(() => {
+    const filter = createFilter();
+    filter.add('o.user_id = ?', userId);
+    if (status) {
+      filter.add('o.payment_status = ?', status);
+    }
+    return filter;
+  }, pagination);
+
+// Every order for an event, optionally matching part of the buyer's email or the order number
+export const listForEvent = async (eventId, { status, search } = {}, pagination = {}) =>
+  listOrders(() => {
+    const filter = createFilter();
+    filter.add('o.event_id = ?', eventId);
+    if (status) {
+      filter.add('o.payment_status = ?', status);
+    }
+    if (search) {
+      filter.add('(LOWER(o.customer_email) LIKE ? OR LOWER(o.order_number) LIKE ?)', `%${search.toLowerCase()}%`);
+    }
+    return filter;
+  }, pagination);
+
+// Lock an order the user bought or organizes; call inside withTransaction
+export const findForUpdateByParticipant = async (orderId, userId) => {
+  const result = await query(
+    `SELECT o.*, e.organizer_id
+     FROM orders o
+     JOIN events e ON o.event_id = e.id
+     WHERE o.id = $1 AND (o.user_id = $2 OR e.organizer_id = $2)
+     FOR UPDATE OF o`,
+    [orderId, userId]
+  );
+
+  const row = result.rows[0];
+  return row ? { ...formatOrder(row), organizerId: row.organizer_id } : null;
+};
+
+// The order a payment intent was created for; `forUpdate` locks it for the rest of the transaction
+export const findByPaymentIntent = async (paymentIntentId, { forUpdate = false } = {}) => {
+  const result = await query(
+    `SELECT * FROM orders WHERE payment_intent_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [paymentIntentId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+export const setStatus = async (orderId, status) => {
+  const result = await query(
+    'UPDATE orders SET payment_status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [status, orderId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+export const markPaid = async (orderId, { paymentIntentId, transactionId, paymentMethod = null }) => {
+  const result = await query(
+    `UPDATE orders
+     SET payment_status = 'completed', payment_intent_id = $1, payment_reference = $2,
+         payment_method = COALESCE($3, payment_method), updated_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [paymentIntentId, transactionId, paymentMethod, orderId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+// Bind a pending order to the payment provider and intent that will collect it
+export const setPaymentIntent = async (orderId, paymentIntentId, provider) => {
+  await query(
+    'UPDATE orders SET payment_intent_id = $1, payment_method = $2, updated_at = NOW() WHERE id = $3',
+    [paymentIntentId, provider, orderId]
+  );
+};
+
+// Fail an order still awaiting payment; returns null if it had already moved on
+export const markFailed = async (orderId) => {
+  const result = await query(
+    `UPDATE orders SET payment_status = 'failed', updated_at = NOW()
+     WHERE id = $1 AND payment_status = 'pending'
+     RETURNING *`,
+    [orderId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+// Re-price a pending order, e.g. when the buyer changes promo code
+export const updatePricing = async (orderId, { totalAmount, discountAmount, promoCodeId, fees = 0, tax = 0, charges = null }) => {
+  const result = await query(
+    `UPDATE orders
+     SET total_amount = $1, discount_amount = $2, promo_code_id = $3, fees = $4, tax = $5, charges = $6,
+         updated_at = NOW()
+     WHERE id = $7 AND payment_status = 'pending'
+     RETURNING *`,
+    [totalAmount, discountAmount, promoCodeId, fees, tax, charges ? JSON.stringify(charges) : null, orderId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+// Cancel orders that never got paid, e.g. when their reservation lapsed; returns the ids cancelled
+export const cancelPending = async (orderIds) => {
+  if (orderIds.length === 0) return [];
+
+  const result = await query(
+    `UPDATE orders SET payment_status = 'cancelled', updated_at = NOW()
+     WHERE id = ANY($1) AND payment_status = 'pending'
+     RETURNING id`,
+    [orderIds]
+  );
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * Add to the refunded total. The order becomes refunded once nothing is left
+ * to refund, or straight away with `closed` (every ticket has been refunded,
+ * even if only part of the price came back).
+ */
+export const recordRefund = async (orderId, amount, { closed = false } = {}) => {
+  const result = await query(
+    `UPDATE orders
+     SET refunded_amount = COALESCE(refunded_amount, 0) + $1,
+         payment_status = ${closed ? "'refunded'" : `CASE
+           WHEN COALESCE(refunded_amount, 0) + $1 >= total_amount THEN 'refunded'
+           ELSE 'partially_refunded'
+         END`},
+         updated_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [amount, orderId]
+  );
+  return formatOrder(result.rows[0]);
+};
+
+export default {
+  formatOrder,
+  create,
+  findById,
+  findForUser,
+  listForUser,
+  listForEvent,
+  findForUpdateByParticipant,
+  findByPaymentIntent,
+  setStatus,
+  markPaid,
+  setPaymentIntent,
+  markFailed,
+  updatePricing,
+  cancelPending,
+  recordRefund
+};
@@ -0,0 +1,276 @@
+/**
+ * RobustTicketing - Organization Repository
+ * Organizations that own events, their members and pending invitations
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean, toCount } from './helpers.js';
+
+export const formatOrganization = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    personal: toBoolean(row.personal),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.member_role !== undefined && { role: row.member_role }),
+    ...(row.member_count !== undefined && { memberCount: toCount(row.member_count) })
+  };
+};
+
+export const formatMember = (row) => {
+  if (!row) return null;
+
+  return {
+    userId: row.user_id,
+    role: row.role,
+    email: row.email,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    invitedBy: row.invited_by,
+    joinedAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+export const formatInvitation = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    email: row.email,
+    role: row.role,
+    invitedBy: row.invited_by,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at,
+    acceptedBy: row.accepted_by,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+    isPending: !row.accepted_at && !row.revoked_at && new Date(row.expires_at) > new Date()
+  };
+};
+
+export const create = async ({ name, personal = false, createdBy }) => {
+  const result = await query(
+    'INSERT INTO organizations (name, personal, created_by) VALUES ($1, $2, $3) RETURNING *',
+    [name, personal, createdBy]
+  );
+  return formatOrganization(result.rows[0]);
+};
+
+export const findById = async (organizationId) => {
+  const result = await query(
+    `SELECT o.*, (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id) AS member_count
+     FROM organizations o
+     WHERE o.id = $1 AND o.deleted_at IS NULL`,
+    [organizationId]
+  );
+  return formatOrganization(result.rows[0]);
+};
+
+export const findPersonal = async (userId) => {
+  const result = await query(
+    `SELECT * FROM organizations
+     WHERE created_by = $1 AND personal = TRUE AND deleted_at IS NULL
+     ORDER BY created_at
+     LIMIT 1`,
+    [userId]
+  );
+  return formatOrganization(result.rows[0]);
+};
+
+// Organizations the user belongs to, with their role in each
+export const listForUser = async (userId) => {
+  const result = await query(
+    `SELECT o.*, m.role AS member_role,
+            (SELECT COUNT(*) FROM organization_members om WHERE om.organization_id = o.id) AS member_count
+     FROM organizations o
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = $1
+     WHERE o.deleted_at IS NULL
+     ORDER BY o.personal DESC, o.name`,
+    [userId]
+  );
+  return result.rows.map(formatOrganization);
+};
+
+export const update = async (organizationId, { name }) => {
+  await query(
+    'UPDATE organizations SET name = $1, updated_at = NOW() WHERE id = $2 AND deleted_at IS NULL',
+    [name, organizationId]
+  );
+  return findById(organizationId);
+};
+
+export const softDelete = async (organizationId) => {
+  const result = await query(
+    'UPDATE organizations SET deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND deleted_at IS NULL',
+    [organizationId]
+  );
+  return result.rowCount > 0;
+};
+
+export const countEvents = async (organizationId) => {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM events WHERE organization_id = $1 AND deleted_at IS NULL',
+    [organizationId]
+  );
+  return toCount(result.rows[0].count);
+};
+
+// Members
+
+export const findMemberRole = async (organizationId, userId) => {
+  const result = await query(
+    `SELECT m.role FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id AND o.deleted_at IS NULL
+     WHERE m.organization_id = $1 AND m.user_id = $2`,
+    [organizationId, userId]
+  );
+  return result.rows[0]?.role || null;
+};
+
+// The user's role in the organization that owns the event, if any
+export const findMemberRoleForEvent = async (userId, eventId) => {
+  const result = await query(
+    `SELECT m.role FROM events e
+     JOIN organizations o ON o.id = e.organization_id AND o.deleted_at IS NULL
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = $2
+     WHERE e.id = $1 AND e.deleted_at IS NULL`,
+    [eventId, userId]
+  );
+  return result.rows[0]?.role || null;
+};
+
+export const listMembers = async (organizationId) => {
+  const result = await query(
+    `SELECT m.*, u.email, u.first_name, u.last_name
+     FROM organization_members m
+     JOIN users u ON u.id = m.user_id AND u.deleted_at IS NULL
+     WHERE m.organization_id = $1
+     ORDER BY m.created_at`,
+    [organizationId]
+  );
+  return result.rows.map(formatMember);
+};
+
+// Add a member; false when the user already belongs to the organization
+export const addMember = async ({ organizationId, userId, role, invitedBy }) => {
+  const result = await query(
+    `INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (organization_id, user_id) DO NOTHING`,
+    [organizationId, userId, role, invitedBy || null]
+  );
+  return result.rowCount > 0;
+};
+
+export const updateMemberRole = async (organizationId, userId, role) => {
+  const result = await query(
+    `UPDATE organization_members SET role = $1, updated_at = NOW()
+     WHERE organization_id = $2 AND user_id = $3`,
+    [role, organizationId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+export const removeMember = async (organizationId, userId) => {
+  const result = await query(
+    'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+export const countOwners = async (organizationId) => {
+  const result = await query(
+    `SELECT COUNT(*) AS count FROM organization_members WHERE organization_id = $1 AND role = 'owner'`,
+    [organizationId]
+  );
+  return toCount(result.rows[0].count);
+};
+
+// Invitations
+
+export const createInvitation = async ({ organizationId, email, role, tokenHash, invitedBy, expiresAt }) => {
+  const result = await query(
+    `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [organizationId, email, role, tokenHash, invitedBy || null, expiresAt]
+  );
+  return formatInvitation(result.rows[0]);
+};
+
+export const findInvitationByTokenHash = async (tokenHash) => {
+  const result = await query('SELECT * FROM organization_invitations WHERE token_hash = $1', [tokenHash]);
+  return formatInvitation(result.rows[0]);
+};
+
+// Invitations not yet accepted, revoked or expired
+export const listPendingInvitations = async (organizationId) => {
+  const result = await query(
+    `SELECT * FROM organization_invitations
+     WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [organizationId]
+  );
+  return result.rows.map(formatInvitation);
+};
+
+// Accept an invitation once; false when it was already accepted or revoked
+export const markInvitationAccepted = async (invitationId, userId) => {
+  const result = await query(
+    `UPDATE organization_invitations SET accepted_at = NOW(), accepted_by = $1
+     WHERE id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [userId, invitationId]
+  );
+  return result.rowCount > 0;
+};
+
+export const revokeInvitation = async (organizationId, invitationId) => {
+  const result = await query(
+    `UPDATE organization_invitations SET revoked_at = NOW()
+     WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [invitationId, organizationId]
+  );
+  return result.rowCount > 0;
+};
+
+// Revoke open invitations for an address, e.g. before sending a new one
+export const revokeInvitationsForEmail = async (organizationId, email) => {
+  await query(
+    `UPDATE organization_invitations SET revoked_at = NOW()
+     WHERE organization_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [organizationId, email]
+  );
+};
+
+export default {
+  formatOrganization,
+  formatMember,
+  formatInvitation,
+  create,
+  findById,
+  findPersonal,
+  listForUser,
+  update,
+  softDelete,
+  countEvents,
+  findMemberRole,
+  findMemberRoleForEvent,
+  listMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  countOwners,
+  createInvitation,
+  findInvitationByTokenHash,
+  listPendingInvitations,
+  markInvitationAccepted,
+  revokeInvitation,
+  revokeInvitationsForEmail
+};
@@ -0,0 +1,148 @@
+/**
+ * RobustTicketing - Payout Repository
+ * Scheduled and completed transfers of event balances to the organizations
+ * that own the events
+ */
+
+import { query } from '../config/database.js';
+import { paginate, toNumber, toCount, createFilter, buildUpdate } from './helpers.js';
+
+const PAYOUT_SELECT = `
+  SELECT p.*, e.title AS event_title
+  FROM payouts p
+  JOIN events e ON e.id = p.event_id
+`;
+
+export const formatPayout = (payout) => {
+  if (!payout) return null;
+
+  return {
+    id: payout.id,
+    organizationId: payout.organization_id,
+    organizerId: payout.organizer_id,
+    eventId: payout.event_id,
+    eventTitle: payout.event_title,
+    amount: toNumber(payout.amount),
+    currency: payout.currency,
+    status: payout.status,
+    scheduledFor: payout.scheduled_for,
+    provider: payout.provider,
+    providerTransferId: payout.provider_transfer_id,
+    failureReason: payout.failure_reason,
+    paidAt: payout.paid_at,
+    createdAt: payout.created_at,
+    updatedAt: payout.updated_at
+  };
+};
+
+// Schedule a payout; returns null when the event already has an open one in that currency
+export const create = async ({ organizationId, organizerId, eventId, amount, currency, scheduledFor }) => {
+  const result = await query(
+    `INSERT INTO payouts (organization_id, organizer_id, event_id, amount, currency, status, scheduled_for)
+     VALUES ($1, $2, $3, $4, $5, 'scheduled', $6)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [organizationId, organizerId, eventId, amount, currency, scheduledFor]
+  );
+  return result.rows[0] ? findById(result.rows[0].id) : null;
+};
+
+// `forUpdate` locks the payout for the rest of the transaction
+export const findById = async (payoutId, { forUpdate = false } = {}) => {
+  const result = await query(
+    `${PAYOUT_SELECT} WHERE p.id = $1 ${forUpdate ? 'FOR UPDATE OF p' : ''}`,
+    [payoutId]
+  );
+  return formatPayout(result.rows[0]);
+};
+
+// Scheduled payouts whose date has come, oldest first
+export const listDue = async (now = new Date()) => {
+  const result = await query(
+    `${PAYOUT_SELECT}
+     WHERE p.status = 'scheduled' AND p.scheduled_for <= $1
+     ORDER BY p.scheduled_for ASC, p.id ASC`,
+    [now]
+  );
+  return result.rows.map(formatPayout);
+};
+
+// The organization's payouts, newest first; returns { payouts, total, page, limit }
+export const listForOrganization = async (organizationId, { status, eventId } = {}, pagination = {}) => {
+  const { page, limit, offset } = paginate(pagination);
+  const buildFilter = () => {
+    const filter = createFilter();
+    filter.add('p.organization_id = ?', organizationId);
+    if (status) filter.add('p.status = ?', status);
+    if (eventId) filter.add('p.event_id = ?', eventId);
+    return filter;
+  };
+
+  const filter = buildFilter();
+  const result = await query(
+    `${PAYOUT_SELECT}
+     ${filter.where()}
+     ORDER BY p.scheduled_for DESC, p.id DESC
+     LIMIT ${filter.param(limit)} OFFSET ${filter.param(offset)}`,
+    filter.params
+  );
+
+  const countFilter = buildFilter();
+  const countResult = await query(
+    `SELECT COUNT(*) AS total FROM payouts p ${countFilter.where()}`,
+    countFilter.params
+  );
+
+  return {
+    payouts: result.rows.map(formatPayout),
+    total: toCount(countResult.rows[0]?.total),
+    page,
+    limit
+  };
+};
+
+// Event and currency pairs with an open payout, or one that failed after `failedSince`
+export const listBlocked = async ({ failedSince }) => {
+  const result = await query(
+    `SELECT DISTINCT event_id, currency FROM payouts
+     WHERE status IN ('scheduled', 'processing') OR (status = 'failed' AND updated_at > $1)`,
+    [failedSince]
+  );
+  return result.rows.map(row => ({ eventId: row.event_id, currency: row.currency }));
+};
+
+// Columns a payout update may change
+const PAYOUT_COLUMNS = {
+  status: 'status',
+  amount: 'amount',
+  scheduledFor: 'scheduled_for',
+  provider: 'provider',
+  providerTransferId: 'provider_transfer_id',
+  failureReason: 'failure_reason'
+};
+
+// Apply `patch`; paid_at is stamped when the payout becomes paid
+export const update = async (payoutId, patch) => {
+  const { assignments, params } = buildUpdate(patch, PAYOUT_COLUMNS);
+
+  if (patch.status === 'paid') {
+    assignments.push('paid_at = NOW()');
+  }
+
+  params.push(payoutId);
+  await query(
+    `UPDATE payouts SET ${[...assignments, 'updated_at = NOW()'].join(', ')} WHERE id = $${params.length}`,
+    params
+  );
+  return findById(payoutId);
+};
+
+export default {
+  formatPayout,
+  create,
+  findById,
+  listDue,
+  listForOrganization,
+  listBlocked,
+  update
+};
@@ -0,0 +1,214 @@
+/**
+ * RobustTicketing - Promo Code Repository
+ * Event promo codes, their usage counters and per-order redemptions
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean, toNumber, toCount, parseJSON, buildUpdate } from './helpers.js';
+
+// camelCase request fields -> promo_codes columns
+const PROMO_COLUMNS = {
+  description: 'description',
+  discountType: 'discount_type',
+  discountValue: 'discount_value',
+  buyQuantity: 'buy_quantity',
+  getQuantity: 'get_quantity',
+  scope: 'scope',
+  ticketTypeIds: 'ticket_type_ids',
+  maxUses: 'max_uses',
+  perUserLimit: 'per_user_limit',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  isActive: 'is_active'
+};
+
+// Codes are matched case-insensitively by storing them upper-cased
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+export const formatPromoCode = (promo) => {
+  if (!promo) return null;
+
+  return {
+    id: promo.id,
+    eventId: promo.event_id,
+    code: promo.code,
+    description: promo.description,
+    discountType: promo.discount_type,
+    discountValue: toNumber(promo.discount_value) || 0,
+    buyQuantity: toCount(promo.buy_quantity) || 1,
+    getQuantity: toCount(promo.get_quantity) || 1,
+    scope: promo.scope,
+    ticketTypeIds: parseJSON(promo.ticket_type_ids, []) || [],
+    maxUses: promo.max_uses === null || promo.max_uses === undefined ? null : toCount(promo.max_uses),
+    usesCount: toCount(promo.uses_count),
+    perUserLimit: promo.per_user_limit === null || promo.per_user_limit === undefined
+      ? null
+      : toCount(promo.per_user_limit),
+    startsAt: promo.starts_at,
+    endsAt: promo.ends_at,
+    isActive: toBoolean(promo.is_active),
+    createdBy: promo.created_by,
+    createdAt: promo.created_at,
+    updatedAt: promo.updated_at
+  };
+};
+
+// JSON columns take a serialized string on both databases
+const serializePatch = (data) => ({
+  ...data,
+  ticketTypeIds: data.ticketTypeIds === undefined ? undefined : JSON.stringify(data.ticketTypeIds || [])
+});
+
+export const listForEvent = async (eventId) => {
+  const result = await query(
+    `SELECT * FROM promo_codes
+     WHERE event_id = $1 AND deleted_at IS NULL
+     ORDER BY created_at DESC`,
+    [eventId]
+  );
+  return result.rows.map(formatPromoCode);
+};
+
+// `includeDeleted` finds codes already redeemed on orders but since removed
+export const findById = async (promoId, eventId = null, { includeDeleted = false } = {}) => {
+  const params = [promoId];
+  let sql = `SELECT * FROM promo_codes WHERE id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`;
+
+  if (eventId) {
+    params.push(eventId);
+    sql += ' AND event_id = $2';
+  }
+
+  const result = await query(sql, params);
+  return formatPromoCode(result.rows[0]);
+};
+
+// Look a code up for checkout; `forUpdate` locks it for the rest of the transaction
+export const findByCode = async (eventId, code, { forUpdate = false } = {}) => {
+  const result = await query(
+    `SELECT * FROM promo_codes
+     WHERE event_id = $1 AND code = $2 AND deleted_at IS NULL
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [eventId, normalizeCode(code)]
+  );
+  return formatPromoCode(result.rows[0]);
+};
+
+export const existsByCode = async (eventId, code) => {
+  const result = await query(
+    'SELECT id FROM promo_codes WHERE event_id = $1 AND code = $2 AND deleted_at IS NULL',
+    [eventId, normalizeCode(code)]
+  );
+  return result.rows.length > 0;
+};
+
+export const create = async (eventId, userId, data) => {
+  const columns = ['event_id', 'code', 'created_by'];
+  const values = [eventId, normalizeCode(data.code), userId];
+  const serialized = serializePatch(data);
+
+  for (const [key, column] of Object.entries(PROMO_COLUMNS)) {
+    if (serialized[key] !== undefined) {
+      columns.push(column);
+      values.push(serialized[key]);
+    }
+  }
+
+  const placeholders = values.map((value, index) => `$${index + 1}`);
+  const result = await query(
+    `INSERT INTO promo_codes (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    values
+  );
+  return formatPromoCode(result.rows[0]);
+};
+
+export const update = async (promoId, patch) => {
+  const { assignments, params } = buildUpdate(serializePatch(patch), PROMO_COLUMNS);
+
+  if (assignments.length > 0) {
+    params.push(promoId);
+    await query(
+      `UPDATE promo_codes SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length} AND deleted_at IS NULL`,
+      params
+    );
+  }
+
+  return findById(promoId);
+};
+
+// Soft delete keeps redemption history intact
+export const softDelete = async (promoId) => {
+  const result = await query(
+    'UPDATE promo_codes SET deleted_at = NOW(), is_active = FALSE, updated_at = NOW() WHERE id = $1 AND deleted_at IS NULL',
+    [promoId]
+  );
+  return result.rowCount > 0;
+};
+
+export const countUserRedemptions = async (promoId, userId) => {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = $1 AND user_id = $2',
+    [promoId, userId]
+  );
+  return toCount(result.rows[0].count);
+};
+
+/**
+ * Count one use of a code against an order. The conditional update keeps
+ * concurrent checkouts from exceeding max_uses; returns false when the cap
+ * has been reached.
+ */
+export const redeem = async (promoId, { orderId, userId, discountAmount }) => {
+  const result = await query(
+    `UPDATE promo_codes SET uses_count = uses_count + 1, updated_at = NOW()
+     WHERE id = $1 AND (max_uses IS NULL OR uses_count < max_uses)`,
+    [promoId]
+  );
+
+  if (result.rowCount === 0) {
+    return false;
+  }
+
+  await query(
+    `INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [promoId, orderId, userId, discountAmount]
+  );
+  return true;
+};
+
+// Give uses back for orders that were never paid; returns the number released
+export const releaseForOrders = async (orderIds) => {
+  if (orderIds.length === 0) return 0;
+
+  const result = await query(
+    'DELETE FROM promo_redemptions WHERE order_id = ANY($1) RETURNING promo_code_id',
+    [orderIds]
+  );
+
+  for (const row of result.rows) {
+    await query(
+      `UPDATE promo_codes SET uses_count = GREATEST(uses_count - 1, 0), updated_at = NOW()
+       WHERE id = $1`,
+      [row.promo_code_id]
+    );
+  }
+
+  return result.rows.length;
+};
+
+export default {
+  normalizeCode,
+  formatPromoCode,
+  listForEvent,
+  findById,
+  findByCode,
+  existsByCode,
+  create,
+  update,
+  softDelete,
+  countUserRedemptions,
+  redeem,
+  releaseForOrders
+};
@@ -0,0 +1,49 @@
+/**
+ * RobustTicketing - Recovery Code Repository
+ * Hashed one-time codes that stand in for a TOTP code when the
+ * authenticator is lost
+ */
+
+import { query } from '../config/database.js';
+import { toCount } from './helpers.js';
+
+// Replace every code the user has with a fresh set; run inside a transaction
+export const replaceAll = async (userId, codeHashes) => {
+  await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const codeHash of codeHashes) {
+    await query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, codeHash]
+    );
+  }
+};
+
+// Mark a code used; returns false when it does not exist or was used before
+export const consume = async (userId, codeHash) => {
+  const result = await query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [userId, codeHash]
+  );
+  return result.rowCount > 0;
+};
+
+export const countUnused = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return toCount(result.rows[0].count);
+};
+
+export const removeAll = async (userId) => {
+  await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+export default {
+  replaceAll,
+  consume,
+  countUnused,
+  removeAll
+};
@@ -0,0 +1,131 @@
+/**
+ * RobustTicketing - Refund Repository
+ * Refunds taken against orders, the tickets each one closes and the attempts
+ * to get the money back through the provider
+ */
+
+import { query } from '../config/database.js';
+import { toNumber, toCount, parseJSON } from './helpers.js';
+
+export const formatRefund = (refund) => {
+  if (!refund) return null;
+
+  return {
+    id: refund.id,
+    orderId: refund.order_id,
+    amount: toNumber(refund.amount),
+    currency: refund.currency,
+    refundPercent: refund.refund_percent ?? null,
+    reason: refund.reason,
+    status: refund.status,
+    provider: refund.provider,
+    providerRefundId: refund.provider_refund_id,
+    ticketIds: parseJSON(refund.ticket_ids, []),
+    attempts: toCount(refund.attempts),
+    failureReason: refund.failure_reason,
+    requestedBy: refund.requested_by,
+    createdAt: refund.created_at,
+    updatedAt: refund.updated_at
+  };
+};
+
+// `status` is pending for refunds still to be sent to the provider; `ticketIds` are the tickets they will close
+export const create = async ({
+  orderId, amount, currency = 'USD', refundPercent = null, reason = null, status = 'succeeded',
+  provider = null, providerRefundId = null, ticketIds = null, requestedBy = null
+}) => {
+  const result = await query(
+    `INSERT INTO refunds (
+       order_id, amount, currency, refund_percent, reason, status, provider, provider_refund_id,
+       ticket_ids, requested_by, updated_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+     RETURNING *`,
+    [
+      orderId, amount, currency, refundPercent, reason, status, provider, providerRefundId,
+      ticketIds ? JSON.stringify(ticketIds) : null, requestedBy
+    ]
+  );
+  return formatRefund(result.rows[0]);
+};
+
+export const findById = async (refundId) => {
+  const result = await query('SELECT * FROM refunds WHERE id = $1', [refundId]);
+  return formatRefund(result.rows[0]);
+};
+
+export const findPendingForOrder = async (orderId) => {
+  const result = await query(
+    "SELECT * FROM refunds WHERE order_id = $1 AND status = 'pending' ORDER BY created_at ASC LIMIT 1",
+    [orderId]
+  );
+  return formatRefund(result.rows[0]);
+};
+
+// Pending refunds nobody has tried since `updatedBefore`, oldest first
+export const listStalePending = async ({ updatedBefore }) => {
+  const result = await query(
+    `SELECT * FROM refunds
+     WHERE status = 'pending' AND COALESCE(updated_at, created_at) < $1
+     ORDER BY created_at ASC`,
+    [updatedBefore]
+  );
+  return result.rows.map(formatRefund);
+};
+
+// Record the provider's refund; returns null if the refund was no longer pending
+export const markSucceeded = async (refundId, { providerRefundId }) => {
+  const result = await query(
+    `UPDATE refunds
+     SET status = 'succeeded', provider_refund_id = $1, attempts = COALESCE(attempts, 0) + 1,
+         failure_reason = NULL, updated_at = NOW()
+     WHERE id = $2 AND status = 'pending'
+     RETURNING *`,
+    [providerRefundId, refundId]
+  );
+  return formatRefund(result.rows[0]);
+};
+
+// Count a failed provider call; with `giveUp` the refund is marked failed
+export const recordFailedAttempt = async (refundId, { failureReason, giveUp = false }) => {
+  const result = await query(
+    `UPDATE refunds
+     SET attempts = COALESCE(attempts, 0) + 1, failure_reason = $1,
+         status = ${giveUp ? "'failed'" : 'status'}, updated_at = NOW()
+     WHERE id = $2 AND status = 'pending'
+     RETURNING *`,
+    [failureReason, refundId]
+  );
+  return formatRefund(result.rows[0]);
+};
+
+// An order's refunds, oldest first, each with the ids of the tickets it closed
+export const listForOrder = async (orderId) => {
+  const result = await query(
+    'SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+    [orderId]
+  );
+
+  const tickets = await query(
+    'SELECT id, refund_id FROM tickets WHERE order_id = $1 AND refund_id IS NOT NULL',
+    [orderId]
+  );
+
+  // Until a refund succeeds its tickets are the ones it will close
+  return result.rows.map(row => {
+    const refund = formatRefund(row);
+    return refund.status === 'succeeded'
+      ? { ...refund, ticketIds: tickets.rows.filter(ticket => ticket.refund_id === row.id).map(ticket => ticket.id) }
+      : refund;
+  });
+};
+
+export default {
+  formatRefund,
+  create,
+  findById,
+  findPendingForOrder,
+  listStalePending,
+  markSucceeded,
+  recordFailedAttempt,
+  listForOrder
+};
@@ -0,0 +1,157 @@
+/**
+ * RobustTicketing - Refund Request Repository
+ * Attendee refund requests, the organizer's decisions and their history
+ */
+
+import { query } from '../config/database.js';
+import { toNumber, parseJSON } from './helpers.js';
+
+const REQUEST_SELECT = `
+  SELECT rr.*, o.order_number, o.customer_email, o.customer_first_name, o.customer_last_name,
+         e.title AS event_title
+  FROM refund_requests rr
+  JOIN orders o ON o.id = rr.order_id
+  JOIN events e ON e.id = rr.event_id
+`;
+
+export const formatRequest = (request) => {
+  if (!request) return null;
+
+  return {
+    id: request.id,
+    orderId: request.order_id,
+    orderNumber: request.order_number,
+    eventId: request.event_id,
+    eventTitle: request.event_title,
+    userId: request.user_id,
+    customer: {
+      firstName: request.customer_first_name,
+      lastName: request.customer_last_name,
+      email: request.customer_email
+    },
+    ticketIds: parseJSON(request.ticket_ids, []) || [],
+    reason: request.reason,
+    status: request.status,
+    requestedAmount: toNumber(request.requested_amount) || 0,
+    approvedAmount: request.approved_amount === null || request.approved_amount === undefined
+      ? null
+      : toNumber(request.approved_amount),
+    refundId: request.refund_id,
+    decisionMessage: request.decision_message,
+    decidedBy: request.decided_by,
+    decidedAt: request.decided_at,
+    createdAt: request.created_at,
+    updatedAt: request.updated_at
+  };
+};
+
+const formatEvent = (row) => ({
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  actorId: row.actor_id,
+  message: row.message,
+  createdAt: row.created_at
+});
+
+export const create = async ({ orderId, eventId, userId, ticketIds, reason, requestedAmount }) => {
+  const result = await query(
+    `INSERT INTO refund_requests (order_id, event_id, user_id, ticket_ids, reason, status, requested_amount)
+     VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+     RETURNING id`,
+    [orderId, eventId, userId, JSON.stringify(ticketIds), reason, requestedAmount]
+  );
+  return findById(result.rows[0].id);
+};
+
+// `forUpdate` locks the request for the rest of the transaction
+export const findById = async (requestId, { forUpdate = false } = {}) => {
+  const result = await query(
+    `${REQUEST_SELECT} WHERE rr.id = $1 ${forUpdate ? 'FOR UPDATE OF rr' : ''}`,
+    [requestId]
+  );
+  return formatRequest(result.rows[0]);
+};
+
+export const findPendingForOrder = async (orderId) => {
+  const result = await query(
+    `${REQUEST_SELECT} WHERE rr.order_id = $1 AND rr.status = 'pending'`,
+    [orderId]
+  );
+  return formatRequest(result.rows[0]);
+};
+
+export const listForOrder = async (orderId) => {
+  const result = await query(
+    `${REQUEST_SELECT} WHERE rr.order_id = $1 ORDER BY rr.created_at DESC`,
+    [orderId]
+  );
+  return result.rows.map(formatRequest);
+};
+
+// An event's requests, oldest first so the queue is worked in order
+export const listForEvent = async (eventId, { status } = {}) => {
+  const params = [eventId];
+  let sql = `${REQUEST_SELECT} WHERE rr.event_id = $1`;
+
+  if (status) {
+    params.push(status);
+    sql += ' AND rr.status = $2';
+  }
+
+  const result = await query(`${sql} ORDER BY rr.created_at ASC, rr.id ASC`, params);
+  return result.rows.map(formatRequest);
+};
+
+/**
+ * Move a pending request to its final status. Returns false when the request
+ * is no longer pending, e.g. a concurrent decision got there first.
+ */
+export const close = async (requestId, { status, approvedAmount = null, refundId = null, message = null, decidedBy = null }) => {
+  const result = await query(
+    `UPDATE refund_requests
+     SET status = $1, approved_amount = $2, refund_id = $3, decision_message = $4,
+         decided_by = $5, decided_at = NOW(), updated_at = NOW()
+     WHERE id = $6 AND status = 'pending'`,
+    [status, approvedAmount, refundId, message, decidedBy, requestId]
+  );
+  return result.rowCount > 0;
+};
+
+export const addEvent = async ({ requestId, fromStatus = null, toStatus, actorId = null, message = null }) => {
+  await query(
+    `INSERT INTO refund_request_events (refund_request_id, from_status, to_status, actor_id, message)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [requestId, fromStatus, toStatus, actorId, message]
+  );
+};
+
+// Status history for each of the given requests, keyed by request id; filing sorts first
+// when an automatic decision lands in the same instant
+export const listEvents = async (requestIds) => {
+  const history = new Map(requestIds.map(id => [id, []]));
+  if (requestIds.length === 0) return history;
+
+  const result = await query(
+    `SELECT * FROM refund_request_events
+     WHERE refund_request_id = ANY($1)
+     ORDER BY created_at ASC, CASE WHEN from_status IS NULL THEN 0 ELSE 1 END, id ASC`,
+    [requestIds]
+  );
+
+  for (const row of result.rows) {
+    history.get(row.refund_request_id).push(formatEvent(row));
+  }
+  return history;
+};
+
+export default {
+  formatRequest,
+  create,
+  findById,
+  findPendingForOrder,
+  listForOrder,
+  listForEvent,
+  close,
+  addEvent,
+  listEvents
+};
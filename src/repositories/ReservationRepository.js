@@ -0,0 +1,146 @@
+/**
+ * RobustTicketing - Reservation Repository
+ * Ticket holds that keep inventory aside while a buyer checks out
+ */
+
+import { query } from '../config/database.js';
+import { toNumber, toCount } from './helpers.js';
+
+// Quantity of a ticket type held by unexpired reservations; `alias` is the ticket_types alias
+export const activeHeldQuantity = (alias) => `
+  COALESCE((
+    SELECT SUM(ri.quantity)
+    FROM reservation_items ri
+    JOIN reservations r ON r.id = ri.reservation_id
+    WHERE ri.ticket_type_id = ${alias}.id AND r.status = 'active' AND r.expires_at > NOW()
+  ), 0)`;
+
+export const formatReservation = (reservation, items = []) => {
+  if (!reservation) return null;
+
+  const formattedItems = items.map(item => ({
+    ticketTypeId: item.ticket_type_id,
+    name: item.ticket_name,
+    quantity: toCount(item.quantity),
+    unitPrice: toNumber(item.unit_price)
+  }));
+
+  return {
+    id: reservation.id,
+    userId: reservation.user_id,
+    eventId: reservation.event_id,
+    orderId: reservation.order_id,
+    status: reservation.status,
+    expiresAt: reservation.expires_at,
+    isExpired: new Date(reservation.expires_at) <= new Date(),
+    items: formattedItems,
+    totalAmount: formattedItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0),
+    createdAt: reservation.created_at,
+    updatedAt: reservation.updated_at
+  };
+};
+
+const loadItems = async (reservationId) => {
+  const result = await query(
+    `SELECT ri.*, tt.name AS ticket_name
+     FROM reservation_items ri
+     JOIN ticket_types tt ON tt.id = ri.ticket_type_id
+     WHERE ri.reservation_id = $1
+     ORDER BY tt.price ASC`,
+    [reservationId]
+  );
+  return result.rows;
+};
+
+const withItems = async (row) => (row ? formatReservation(row, await loadItems(row.id)) : null);
+
+export const create = async ({ userId, eventId, expiresAt, items }) => {
+  const result = await query(
+    `INSERT INTO reservations (user_id, event_id, status, expires_at)
+     VALUES ($1, $2, 'active', $3)
+     RETURNING *`,
+    [userId, eventId, expiresAt]
+  );
+  const reservation = result.rows[0];
+
+  for (const item of items) {
+    await query(
+      `INSERT INTO reservation_items (reservation_id, ticket_type_id, quantity, unit_price)
+       VALUES ($1, $2, $3, $4)`,
+      [reservation.id, item.ticketTypeId, item.quantity, item.unitPrice]
+    );
+  }
+
+  return withItems(reservation);
+};
+
+export const findForUser = async (reservationId, userId) => {
+  const result = await query(
+    'SELECT * FROM reservations WHERE id = $1 AND user_id = $2',
+    [reservationId, userId]
+  );
+  return withItems(result.rows[0]);
+};
+
+// Lock a reservation for the rest of the transaction
+export const findForUpdate = async (reservationId, userId) => {
+  const result = await query(
+    'SELECT * FROM reservations WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [reservationId, userId]
+  );
+  return withItems(result.rows[0]);
+};
+
+export const findByOrder = async (orderId) => {
+  const result = await query('SELECT * FROM reservations WHERE order_id = $1', [orderId]);
+  return withItems(result.rows[0]);
+};
+
+export const findForUpdateByOrder = async (orderId) => {
+  const result = await query(
+    'SELECT * FROM reservations WHERE order_id = $1 FOR UPDATE',
+    [orderId]
+  );
+  return withItems(result.rows[0]);
+};
+
+export const attachOrder = async (reservationId, orderId) => {
+  await query(
+    'UPDATE reservations SET order_id = $1, updated_at = NOW() WHERE id = $2',
+    [orderId, reservationId]
+  );
+};
+
+export const setStatus = async (reservationId, status) => {
+  await query(
+    'UPDATE reservations SET status = $1, updated_at = NOW() WHERE id = $2',
+    [status, reservationId]
+  );
+};
+
+// Expire lapsed holds; returns the ids of orders that were started from them
+export const expireStale = async () => {
+  const result = await query(
+    `UPDATE reservations SET status = 'expired', updated_at = NOW()
+     WHERE status = 'active' AND expires_at <= NOW()
+     RETURNING id, order_id`
+  );
+
+  return {
+    expired: result.rows.length,
+    orderIds: result.rows.map(row => row.order_id).filter(Boolean)
+  };
+};
+
+export default {
+  activeHeldQuantity,
+  formatReservation,
+  create,
+  findForUser,
+  findForUpdate,
+  findByOrder,
+  findForUpdateByOrder,
+  attachOrder,
+  setStatus,
+  expireStale
+};
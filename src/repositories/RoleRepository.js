@@ -0,0 +1,111 @@
+/**
+ * RobustTicketing - Role Repository
+ * Platform-wide roles (user_roles) and roles granted on a single resource
+ * (role_grants)
+ */
+
+import { query } from '../config/database.js';
+
+export const formatGrant = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    role: row.role,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    grantedBy: row.granted_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.email !== undefined && {
+      user: { email: row.email, firstName: row.first_name, lastName: row.last_name }
+    })
+  };
+};
+
+export const listUserRoles = async (userId) => {
+  const result = await query('SELECT role FROM user_roles WHERE user_id = $1 ORDER BY role', [userId]);
+  return result.rows.map(row => row.role);
+};
+
+export const addUserRole = async (userId, role) => {
+  const result = await query(
+    'INSERT INTO user_roles (user_id, role) VALUES ($1, $2) ON CONFLICT (user_id, role) DO NOTHING',
+    [userId, role]
+  );
+  return result.rowCount > 0;
+};
+
+export const removeUserRole = async (userId, role) => {
+  const result = await query('DELETE FROM user_roles WHERE user_id = $1 AND role = $2', [userId, role]);
+  return result.rowCount > 0;
+};
+
+// The user's roles on one event: any granted role, plus "owner" for the organizer of an event no organization owns
+export const listEventRoles = async (userId, eventId) => {
+  const result = await query(
+    `SELECT 'owner' AS role FROM events
+     WHERE id = $1 AND organizer_id = $2 AND organization_id IS NULL AND deleted_at IS NULL
+     UNION ALL
+     SELECT rg.role FROM role_grants rg
+     JOIN events e ON e.id = rg.resource_id AND e.deleted_at IS NULL
+     WHERE rg.resource_type = 'event' AND rg.resource_id = $1 AND rg.user_id = $2`,
+    [eventId, userId]
+  );
+  return result.rows.map(row => row.role);
+};
+
+// Give the user `role` on a resource, replacing the role they held there
+export const upsertGrant = async ({ userId, role, resourceType, resourceId, grantedBy }) => {
+  const result = await query(
+    `INSERT INTO role_grants (user_id, role, resource_type, resource_id, granted_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, resource_type, resource_id)
+     DO UPDATE SET role = EXCLUDED.role, granted_by = EXCLUDED.granted_by, updated_at = NOW()
+     RETURNING *`,
+    [userId, role, resourceType, resourceId, grantedBy || null]
+  );
+  return formatGrant(result.rows[0]);
+};
+
+export const removeGrant = async ({ userId, resourceType, resourceId }) => {
+  const result = await query(
+    'DELETE FROM role_grants WHERE user_id = $1 AND resource_type = $2 AND resource_id = $3',
+    [userId, resourceType, resourceId]
+  );
+  return result.rowCount > 0;
+};
+
+export const listGrantsForUser = async (userId) => {
+  const result = await query(
+    'SELECT * FROM role_grants WHERE user_id = $1 ORDER BY resource_type, created_at',
+    [userId]
+  );
+  return result.rows.map(formatGrant);
+};
+
+// Everyone granted a role on a resource, with their name and email
+export const listGrantsForResource = async (resourceType, resourceId) => {
+  const result = await query(
+    `SELECT rg.*, u.email, u.first_name, u.last_name
+     FROM role_grants rg
+     JOIN users u ON u.id = rg.user_id AND u.deleted_at IS NULL
+     WHERE rg.resource_type = $1 AND rg.resource_id = $2
+     ORDER BY rg.created_at`,
+    [resourceType, resourceId]
+  );
+  return result.rows.map(formatGrant);
+};
+
+export default {
+  formatGrant,
+  listUserRoles,
+  addUserRole,
+  removeUserRole,
+  listEventRoles,
+  upsertGrant,
+  removeGrant,
+  listGrantsForUser,
+  listGrantsForResource
+};
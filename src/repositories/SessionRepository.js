@@ -0,0 +1,134 @@
+/**
+ * RobustTicketing - Session Repository
+ * Sign-in sessions and the refresh tokens issued within them
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean } from './helpers.js';
+
+export const formatSession = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    twoFactor: toBoolean(row.two_factor),
+    expiresAt: row.expires_at,
+    lastSeenAt: row.last_seen_at,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason,
+    createdAt: row.created_at,
+    isActive: !row.revoked_at && new Date(row.expires_at) > new Date()
+  };
+};
+
+export const create = async ({ userId, userAgent, ipAddress, twoFactor = false, expiresAt }) => {
+  const result = await query(
+    `INSERT INTO user_sessions (user_id, user_agent, ip_address, two_factor, expires_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING *`,
+    [userId, userAgent ? userAgent.slice(0, 500) : null, ipAddress || null, twoFactor, expiresAt]
+  );
+  return formatSession(result.rows[0]);
+};
+
+export const findById = async (sessionId) => {
+  const result = await query('SELECT * FROM user_sessions WHERE id = $1', [sessionId]);
+  return formatSession(result.rows[0]);
+};
+
+// Sessions not revoked and not expired, most recently used first
+export const listActive = async (userId) => {
+  const result = await query(
+    `SELECT * FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows.map(formatSession);
+};
+
+// Record activity; `expiresAt` extends the session when a refresh token is rotated
+export const touch = async (sessionId, { ipAddress, userAgent, expiresAt } = {}) => {
+  await query(
+    `UPDATE user_sessions
+     SET last_seen_at = NOW(), ip_address = COALESCE($1, ip_address),
+         user_agent = COALESCE($2, user_agent), expires_at = COALESCE($3, expires_at)
+     WHERE id = $4`,
+    [ipAddress || null, userAgent ? userAgent.slice(0, 500) : null, expiresAt || null, sessionId]
+  );
+};
+
+export const revoke = async (sessionId, reason) => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  return result.rowCount > 0;
+};
+
+// Revoke every open session of a user, optionally keeping one; returns how many were revoked
+export const revokeAllForUser = async (userId, reason, { exceptSessionId } = {}) => {
+  const params = [reason, userId];
+  let exception = '';
+
+  if (exceptSessionId) {
+    params.push(exceptSessionId);
+    exception = `AND id <> $${params.length}`;
+  }
+
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL ${exception}`,
+    params
+  );
+  return result.rowCount;
+};
+
+export const addRefreshToken = async ({ sessionId, tokenHash, expiresAt }) => {
+  await query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [sessionId, tokenHash, expiresAt]
+  );
+};
+
+export const findRefreshToken = async (tokenHash) => {
+  const result = await query(
+    'SELECT id, session_id, expires_at, used_at FROM refresh_tokens WHERE token_hash = $1',
+    [tokenHash]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at
+  };
+};
+
+// Spend a refresh token; false when it was already spent, which means it leaked
+export const markRefreshTokenUsed = async (tokenId) => {
+  const result = await query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+    [tokenId]
+  );
+  return result.rowCount > 0;
+};
+
+export default {
+  formatSession,
+  create,
+  findById,
+  listActive,
+  touch,
+  revoke,
+  revokeAllForUser,
+  addRefreshToken,
+  findRefreshToken,
+  markRefreshTokenUsed
+};
@@ -0,0 +1,123 @@
+/**
+ * RobustTicketing - Tax Rule Repository
+ * Tax rates by venue country, optionally narrowed to a state or region
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean, toNumber, createFilter, buildUpdate } from './helpers.js';
+
+// camelCase request fields -> tax_rules columns
+const TAX_RULE_COLUMNS = {
+  country: 'country',
+  state: 'state',
+  name: 'name',
+  rate: 'rate',
+  inclusive: 'inclusive',
+  isActive: 'is_active'
+};
+
+// Locations are matched case-insensitively by storing them upper-cased
+export const normalizeLocation = (value) =>
+  value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim().toUpperCase();
+
+export const formatTaxRule = (rule) => {
+  if (!rule) return null;
+
+  return {
+    id: rule.id,
+    country: rule.country,
+    state: rule.state,
+    name: rule.name,
+    rate: toNumber(rule.rate) || 0,
+    inclusive: toBoolean(rule.inclusive),
+    isActive: toBoolean(rule.is_active),
+    createdBy: rule.created_by,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+};
+
+const normalizePatch = (data) => ({
+  ...data,
+  country: data.country === undefined ? undefined : normalizeLocation(data.country),
+  state: data.state === undefined ? undefined : normalizeLocation(data.state)
+});
+
+export const list = async ({ country } = {}) => {
+  const filter = createFilter();
+  if (country) filter.add('country = ?', normalizeLocation(country));
+
+  const result = await query(
+    `SELECT * FROM tax_rules ${filter.where()} ORDER BY country ASC, state ASC, created_at DESC`,
+    filter.params
+  );
+  return result.rows.map(formatTaxRule);
+};
+
+export const findById = async (ruleId) => {
+  const result = await query('SELECT * FROM tax_rules WHERE id = $1', [ruleId]);
+  return formatTaxRule(result.rows[0]);
+};
+
+// The rule for a venue: an active rule for its state, else one for the whole country
+export const findForLocation = async (country, state) => {
+  const result = await query(
+    `SELECT * FROM tax_rules
+     WHERE is_active = TRUE AND country = $1 AND (state IS NULL OR state = $2)
+     ORDER BY state IS NULL ASC, created_at DESC
+     LIMIT 1`,
+    [normalizeLocation(country), normalizeLocation(state)]
+  );
+  return formatTaxRule(result.rows[0]);
+};
+
+export const create = async (userId, data) => {
+  const columns = ['created_by'];
+  const values = [userId];
+  const normalized = normalizePatch(data);
+
+  for (const [key, column] of Object.entries(TAX_RULE_COLUMNS)) {
+    if (normalized[key] !== undefined) {
+      columns.push(column);
+      values.push(normalized[key]);
+    }
+  }
+
+  const placeholders = values.map((value, index) => `$${index + 1}`);
+  const result = await query(
+    `INSERT INTO tax_rules (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    values
+  );
+  return formatTaxRule(result.rows[0]);
+};
+
+export const update = async (ruleId, patch) => {
+  const { assignments, params } = buildUpdate(normalizePatch(patch), TAX_RULE_COLUMNS);
+
+  if (assignments.length > 0) {
+    params.push(ruleId);
+    await query(
+      `UPDATE tax_rules SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+  }
+
+  return findById(ruleId);
+};
+
+// Orders keep a copy of the rule they were taxed with, so rules can simply be deleted
+export const remove = async (ruleId) => {
+  const result = await query('DELETE FROM tax_rules WHERE id = $1', [ruleId]);
+  return result.rowCount > 0;
+};
+
+export default {
+  normalizeLocation,
+  formatTaxRule,
+  list,
+  findById,
+  findForLocation,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,430 @@
+/**
+ * RobustTicketing - Ticket Repository
+ * Ticket types and issued tickets, with availability derived from live tickets
+ */
+
+import { query } from '../config/database.js';
+import { activeHeldQuantity } from './ReservationRepository.js';
+import {
+  paginate,
+  toBoolean,
+  toNumber,
+  toCount,
+  createFilter
+} from './helpers.js';
+
+// Tickets that still count towards sales
+export const LIVE_TICKET_CONDITION = "t.status NOT IN ('cancelled', 'refunded')";
+
+const TICKET_TYPE_SELECT = `
+  SELECT tt.*, ${activeHeldQuantity('tt')} AS held_count
+  FROM ticket_types tt
+`;
+
+const TICKET_SELECT = `
+  SELECT t.*, tt.name AS ticket_name, tt.description AS ticket_description, tt.price AS ticket_price,
+         e.id AS event_id, e.title AS event_title, e.start_datetime AS event_start_date,
+         e.end_datetime AS event_end_date, e.venue_name AS event_venue, e.venue_address AS event_address,
+         e.venue_city AS event_city, e.venue_country AS event_country, e.timezone AS event_timezone,
+         o.order_number, o.total_amount AS order_total,
+         o.customer_first_name, o.customer_last_name, o.customer_email, o.customer_phone
+  FROM tickets t
+  JOIN ticket_types tt ON t.ticket_type_id = tt.id
+  JOIN events e ON tt.event_id = e.id
+  JOIN orders o ON t.order_id = o.id
+`;
+
+export const formatTicketType = (ticketType) => {
+  if (!ticketType) return null;
+
+  const quantity = toCount(ticketType.quantity_total);
+  const soldCount = toCount(ticketType.quantity_sold);
+  const heldCount = toCount(ticketType.held_count);
+  const availableCount = Math.max(quantity - soldCount - heldCount, 0);
+  const now = new Date();
+  const isActive = toBoolean(ticketType.is_active);
+
+  return {
+    id: ticketType.id,
+    eventId: ticketType.event_id,
+    name: ticketType.name,
+    description: ticketType.description,
+    price: toNumber(ticketType.price),
+    currency: ticketType.currency,
+    quantity,
+    soldCount,
+    heldCount,
+    availableCount,
+    saleStartDate: ticketType.sale_start,
+    saleEndDate: ticketType.sale_end,
+    minPerOrder: ticketType.min_purchase || 1,
+    maxPerOrder: ticketType.max_per_order || 10,
+    isActive,
+    isAvailable: isActive &&
+      availableCount > 0 &&
+      (!ticketType.sale_start || new Date(ticketType.sale_start) <= now) &&
+      (!ticketType.sale_end || new Date(ticketType.sale_end) >= now)
+  };
+};
+
+export const formatTicket = (ticket) => {
+  if (!ticket) return null;
+
+  return {
+    id: ticket.id,
+    code: ticket.code,
+    qrPayload: ticket.qr_code,
+    status: ticket.status,
+    attendeeName: ticket.attendee_name,
+    attendeeEmail: ticket.attendee_email,
+    customerFirstName: ticket.customer_first_name,
+    customerLastName: ticket.customer_last_name,
+    customerEmail: ticket.customer_email,
+    customerPhone: ticket.customer_phone,
+    purchasePrice: toNumber(ticket.purchase_price),
+    fees: toNumber(ticket.fees) || 0,
+    tax: toNumber(ticket.tax) || 0,
+    purchaseDate: ticket.created_at,
+    validatedAt: ticket.validated_at,
+    transferredAt: ticket.transferred_at,
+    transferredTo: ticket.transferred_to,
+    refundId: ticket.refund_id || null,
+    createdAt: ticket.created_at,
+    ticketType: {
+      id: ticket.ticket_type_id,
+      name: ticket.ticket_name,
+      description: ticket.ticket_description,
+      price: toNumber(ticket.ticket_price)
+    },
+    event: {
+      id: ticket.event_id,
+      title: ticket.event_title,
+      startDate: ticket.event_start_date,
+      endDate: ticket.event_end_date,
+      venue: ticket.event_venue,
+      address: ticket.event_address,
+      city: ticket.event_city,
+      country: ticket.event_country,
+      timezone: ticket.event_timezone
+    },
+    order: {
+      id: ticket.order_id,
+      orderNumber: ticket.order_number,
+      totalAmount: toNumber(ticket.order_total)
+    }
+  };
+};
+
+// Ticket types
+
+export const listTicketTypes = async (eventId) => {
+  const result = await query(
+    `${TICKET_TYPE_SELECT}
+     WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
+     ORDER BY tt.price ASC`,
+    [eventId]
+  );
+  return result.rows.map(formatTicketType);
+};
+
+// Ticket types of one event, restricted to the given ids
+export const findTicketTypes = async (eventId, ticketTypeIds) => {
+  const result = await query(
+    `${TICKET_TYPE_SELECT}
+     WHERE tt.id = ANY($1) AND tt.event_id = $2 AND tt.deleted_at IS NULL`,
+    [ticketTypeIds, eventId]
+  );
+  return result.rows.map(formatTicketType);
+};
+
+// Serialize concurrent checkouts of the same ticket types until the transaction ends
+export const lockTicketTypes = async (ticketTypeIds) => {
+  await query(
+    'SELECT id FROM ticket_types WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+    [ticketTypeIds]
+  );
+};
+
+/**
+ * Take `quantity` tickets out of stock. The conditional update only succeeds
+ * while sold tickets plus other buyers' active holds leave enough room, so
+ * concurrent checkouts can never push quantity_sold past quantity_total.
+ * Returns false when stock is insufficient.
+ */
+export const incrementSold = async (ticketTypeId, quantity) => {
+  const result = await query(
+    `UPDATE ticket_types
+     SET quantity_sold = quantity_sold + $1, updated_at = NOW()
+     WHERE id = $2
+       AND quantity_sold + $1 + ${activeHeldQuantity('ticket_types')} <= quantity_total`,
+    [quantity, ticketTypeId]
+  );
+  return result.rowCount > 0;
+};
+
+// Put tickets back into stock after a refund or cancellation
+export const decrementSold = async (ticketTypeId, quantity) => {
+  await query(
+    `UPDATE ticket_types
+     SET quantity_sold = GREATEST(quantity_sold - $1, 0), updated_at = NOW()
+     WHERE id = $2`,
+    [quantity, ticketTypeId]
+  );
+};
+
+// Ticket types whose quantity_sold disagrees with the live tickets actually issued
+export const findInventoryDrift = async () => {
+  const result = await query(
+    `SELECT tt.id, tt.event_id, tt.name, tt.quantity_total, tt.quantity_sold,
+            COUNT(t.id) AS actual_sold
+     FROM ticket_types tt
+     LEFT JOIN tickets t ON tt.id = t.ticket_type_id AND ${LIVE_TICKET_CONDITION}
+     GROUP BY tt.id, tt.event_id, tt.name, tt.quantity_total, tt.quantity_sold
+     HAVING COUNT(t.id) <> COALESCE(tt.quantity_sold, 0)`
+  );
+
+  return result.rows.map(row => ({
+    ticketTypeId: row.id,
+    eventId: row.event_id,
+    name: row.name,
+    quantityTotal: toCount(row.quantity_total),
+    quantitySold: toCount(row.quantity_sold),
+    actualSold: toCount(row.actual_sold)
+  }));
+};
+
+export const setSold = async (ticketTypeId, quantitySold) => {
+  await query(
+    'UPDATE ticket_types SET quantity_sold = $1, updated_at = NOW() WHERE id = $2',
+    [quantitySold, ticketTypeId]
+  );
+};
+
+export const createTicketType = async (eventId, data) => {
+  const result = await query(
+    `INSERT INTO ticket_types (
+       event_id, name, description, price, currency, quantity_total,
+       sale_start, sale_end, max_per_order, is_active
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      eventId,
+      data.name,
+      data.description || null,
+      data.price,
+      data.currency || 'USD',
+      data.quantity,
+      data.saleStartDate || null,
+      data.saleEndDate || null,
+      data.maxPerOrder || 10,
+      data.isActive !== false
+    ]
+  );
+  return formatTicketType(result.rows[0]);
+};
+
+// Tickets
+
+// `id` is chosen by the caller so the signed QR payload can reference it before insert
+export const create = async ({
+  id, orderId, userId, ticketTypeId, code, qrPayload, price, fees = 0, tax = 0, attendeeName, attendeeEmail
+}) => {
+  const result = await query(
+    `INSERT INTO tickets (
+       id, order_id, user_id, ticket_type_id, code, qr_code, status, purchase_price, fees, tax,
+       attendee_name, attendee_email
+     ) VALUES ($1, $2, $3, $4, $5, $6, 'active', $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      id,
+      orderId,
+      userId,
+      ticketTypeId,
+      code,
+      qrPayload || null,
+      price,
+      fees,
+      tax,
+      attendeeName || null,
+      attendeeEmail || null
+    ]
+  );
+  return formatTicket(result.rows[0]);
+};
+
+// Tickets owned by a user; returns { tickets, total, page, limit }
+export const listForUser = async (userId, filters = {}, pagination = {}) => {
+  const { page, limit, offset } = paginate(pagination);
+
+  const buildFilter = () => {
+    const filter = createFilter(['t.deleted_at IS NULL']);
+    filter.add('t.user_id = ?', userId);
+    if (filters.status) {
+      filter.add('t.status = ?', filters.status);
+    }
+    if (filters.eventId) {
+      filter.add('e.id = ?', filters.eventId);
+    }
+    return filter;
+  };
+
+  const filter = buildFilter();
+  const result = await query(
+    `${TICKET_SELECT}
+     ${filter.where()}
+     ORDER BY t.created_at DESC
+     LIMIT ${filter.param(limit)} OFFSET ${filter.param(offset)}`,
+    filter.params
+  );
+
+  const countFilter = buildFilter();
+  const countResult = await query(
+    `SELECT COUNT(t.id) AS total
+     FROM tickets t
+     JOIN ticket_types tt ON t.ticket_type_id = tt.id
+     JOIN events e ON tt.event_id = e.id
+     ${countFilter.where()}`,
+    countFilter.params
+  );
+
+  return {
+    tickets: result.rows.map(formatTicket),
+    total: toCount(countResult.rows[0]?.total),
+    page,
+    limit
+  };
+};
+
+export const findForUser = async (ticketId, userId) => {
+  const result = await query(
+    `${TICKET_SELECT}
+     WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL`,
+    [ticketId, userId]
+  );
+  return formatTicket(result.rows[0]);
+};
+
+// Every ticket issued on an order, in issue order
+export const listForOrder = async (orderId) => {
+  const result = await query(
+    `${TICKET_SELECT}
+     WHERE t.order_id = $1 AND t.deleted_at IS NULL
+     ORDER BY t.created_at ASC, t.id ASC`,
+    [orderId]
+  );
+  return result.rows.map(formatTicket);
+};
+
+// Tickets of several orders at once, e.g. for an order history page
+export const listForOrders = async (orderIds) => {
+  if (orderIds.length === 0) return [];
+
+  const result = await query(
+    `${TICKET_SELECT}
+     WHERE t.order_id = ANY($1) AND t.deleted_at IS NULL
+     ORDER BY t.created_at ASC, t.id ASC`,
+    [orderIds]
+  );
+  return result.rows.map(formatTicket);
+};
+
+export const findById = async (ticketId) => {
+  const result = await query(
+    `${TICKET_SELECT}
+     WHERE t.id = $1 AND t.deleted_at IS NULL`,
+    [ticketId]
+  );
+  return formatTicket(result.rows[0]);
+};
+
+export const findByCode = async (code) => {
+  const result = await query(
+    `${TICKET_SELECT}
+     WHERE t.code = $1 AND t.deleted_at IS NULL`,
+    [code]
+  );
+  return formatTicket(result.rows[0]);
+};
+
+// Store a signed payload for tickets issued before payloads existed
+export const setQrPayload = async (ticketId, qrPayload) => {
+  await query(
+    'UPDATE tickets SET qr_code = $1, updated_at = NOW() WHERE id = $2 AND qr_code IS NULL',
+    [qrPayload, ticketId]
+  );
+};
+
+/**
+ * Move an order's active tickets (or just `ticketIds` among them) to `status`,
+ * tagging them with the refund that closed them. Returns how many of each
+ * type changed.
+ */
+export const closeForOrder = async (orderId, status, { ticketIds = null, refundId = null } = {}) => {
+  const params = [status, orderId, refundId];
+  let ticketFilter = '';
+
+  if (ticketIds) {
+    params.push(ticketIds);
+    ticketFilter = 'AND id = ANY($4)';
+  }
+
+  const result = await query(
+    `UPDATE tickets SET status = $1, refund_id = COALESCE($3, refund_id), updated_at = NOW()
+     WHERE order_id = $2 AND status = 'active' ${ticketFilter}
+     RETURNING ticket_type_id`,
+    params
+  );
+
+  const counts = new Map();
+  for (const row of result.rows) {
+    counts.set(row.ticket_type_id, (counts.get(row.ticket_type_id) || 0) + 1);
+  }
+  return counts;
+};
+
+// Tickets on the order that still count as sold (active, used or transferred)
+export const countLiveForOrder = async (orderId) => {
+  const result = await query(
+    `SELECT COUNT(*) AS total FROM tickets t
+     WHERE t.order_id = $1 AND ${LIVE_TICKET_CONDITION} AND t.deleted_at IS NULL`,
+    [orderId]
+  );
+  return toCount(result.rows[0]?.total);
+};
+
+// Check a ticket in; the status guard makes concurrent scans validate it at most once
+export const markUsed = async (ticketId) => {
+  const result = await query(
+    `UPDATE tickets SET status = 'used', validated_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'active' AND deleted_at IS NULL
+     RETURNING id, validated_at`,
+    [ticketId]
+  );
+  const row = result.rows[0];
+  return row ? { id: row.id, validatedAt: row.validated_at } : null;
+};
+
+export default {
+  formatTicketType,
+  formatTicket,
+  LIVE_TICKET_CONDITION,
+  listTicketTypes,
+  findTicketTypes,
+  lockTicketTypes,
+  incrementSold,
+  decrementSold,
+  findInventoryDrift,
+  setSold,
+  createTicketType,
+  create,
+  listForUser,
+  findForUser,
+  listForOrder,
+  listForOrders,
+  findById,
+  findByCode,
+  setQrPayload,
+  closeForOrder,
+  countLiveForOrder,
+  markUsed
+};
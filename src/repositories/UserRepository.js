@@ -0,0 +1,219 @@
+/**
+ * RobustTicketing - User Repository
+ * Account lookups, profile updates and login bookkeeping
+ */
+
+import { query } from '../config/database.js';
+import { toBoolean, parseJSON } from './helpers.js';
+
+// Maximum failed logins before the account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
+
+// Public profile; never includes password or 2FA secrets
+export const formatUser = (user) => {
+  if (!user) return null;
+
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    phone: user.phone,
+    dateOfBirth: user.date_of_birth,
+    profileImageUrl: user.profile_image,
+    role: user.role,
+    emailVerified: toBoolean(user.email_verified),
+    twoFactorEnabled: toBoolean(user.two_factor_enabled),
+    preferences: parseJSON(user.preferences, {}),
+    lastLogin: user.last_login,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+};
+
+export const findById = async (userId) => {
+  const result = await query(
+    'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [userId]
+  );
+  return formatUser(result.rows[0]);
+};
+
+export const findByEmail = async (email) => {
+  const result = await query(
+    'SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL',
+    [email]
+  );
+  return formatUser(result.rows[0]);
+};
+
+// Raw row including credentials, for the authentication flows only
+export const findCredentialsByEmail = async (email) => {
+  const result = await query(
+    'SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL',
+    [email]
+  );
+  return result.rows[0] || null;
+};
+
+export const findCredentialsById = async (userId) => {
+  const result = await query(
+    'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const existsByEmail = async (email) => {
+  const result = await query('SELECT id FROM users WHERE email = $1', [email]);
+  return result.rows.length > 0;
+};
+
+export const create = async ({ email, passwordHash, firstName, lastName, phone, dateOfBirth, role = 'user' }) => {
+  const result = await query(
+    `INSERT INTO users (email, password_hash, first_name, last_name, phone, date_of_birth, role)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [email, passwordHash, firstName, lastName, phone || null, dateOfBirth || null, role]
+  );
+
+  const user = result.rows[0];
+  await query(
+    'INSERT INTO user_roles (user_id, role) VALUES ($1, $2) ON CONFLICT (user_id, role) DO NOTHING',
+    [user.id, role]
+  );
+
+  return formatUser(user);
+};
+
+export const updateProfile = async (userId, { firstName, lastName, phone, dateOfBirth }) => {
+  const result = await query(
+    `UPDATE users
+     SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name),
+         phone = $3, date_of_birth = $4, updated_at = NOW()
+     WHERE id = $5 AND deleted_at IS NULL
+     RETURNING *`,
+    [firstName || null, lastName || null, phone || null, dateOfBirth || null, userId]
+  );
+  return formatUser(result.rows[0]);
+};
+
+export const setProfileImage = async (userId, imageUrl) => {
+  const result = await query(
+    `UPDATE users SET profile_image = $1, updated_at = NOW()
+     WHERE id = $2 AND deleted_at IS NULL
+     RETURNING *`,
+    [imageUrl, userId]
+  );
+  return formatUser(result.rows[0]);
+};
+
+export const getRoles = async (userId) => {
+  const result = await query('SELECT role FROM user_roles WHERE user_id = $1', [userId]);
+  return result.rows.map(row => row.role);
+};
+
+// Count a failed login and lock the account once the limit is reached
+export const recordFailedLogin = async (user) => {
+  const attempts = (user.login_attempts || 0) + 1;
+  const lockedUntil = attempts >= MAX_LOGIN_ATTEMPTS ? new Date(Date.now() + LOCK_DURATION_MS) : null;
+
+  await query(
+    'UPDATE users SET login_attempts = $1, locked_until = $2 WHERE id = $3',
+    [attempts, lockedUntil, user.id]
+  );
+
+  return { attempts, lockedUntil };
+};
+
+export const recordSuccessfulLogin = async (userId) => {
+  await query(
+    'UPDATE users SET login_attempts = 0, locked_until = NULL, last_login = NOW() WHERE id = $1',
+    [userId]
+  );
+};
+
+export const isLocked = (user) => Boolean(user.locked_until && new Date() < new Date(user.locked_until));
+
+export const markEmailVerified = async (userId) => {
+  await query(
+    'UPDATE users SET email_verified = TRUE, updated_at = NOW() WHERE id = $1',
+    [userId]
+  );
+};
+
+export const updatePassword = async (userId, passwordHash) => {
+  await query(
+    `UPDATE users SET password_hash = $1, login_attempts = 0, locked_until = NULL, updated_at = NOW()
+     WHERE id = $2`,
+    [passwordHash, userId]
+  );
+};
+
+// Store a new, not yet confirmed TOTP secret; refused once 2FA is enabled
+export const setTwoFactorSecret = async (userId, secret) => {
+  const result = await query(
+    `UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL, updated_at = NOW()
+     WHERE id = $2 AND deleted_at IS NULL AND (two_factor_enabled IS NULL OR two_factor_enabled = FALSE)`,
+    [secret, userId]
+  );
+  return result.rowCount > 0;
+};
+
+export const enableTwoFactor = async (userId) => {
+  const result = await query(
+    `UPDATE users SET two_factor_enabled = TRUE, two_factor_enabled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND two_factor_secret IS NOT NULL
+     RETURNING *`,
+    [userId]
+  );
+  return formatUser(result.rows[0]);
+};
+
+export const disableTwoFactor = async (userId) => {
+  const result = await query(
+    `UPDATE users
+     SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL,
+         two_factor_enabled_at = NULL, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [userId]
+  );
+  return formatUser(result.rows[0]);
+};
+
+/**
+ * Record `step` as the latest TOTP step used. Returns false when that step
+ * (or a later one) was already used, so each code works only once.
+ */
+export const claimTwoFactorStep = async (userId, step) => {
+  const result = await query(
+    `UPDATE users SET two_factor_last_step = $1
+     WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)`,
+    [step, userId]
+  );
+  return result.rowCount > 0;
+};
+
+export default {
+  formatUser,
+  findById,
+  findByEmail,
+  findCredentialsByEmail,
+  findCredentialsById,
+  existsByEmail,
+  create,
+  updateProfile,
+  setProfileImage,
+  getRoles,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  isLocked,
+  markEmailVerified,
+  updatePassword,
+  setTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  claimTwoFactorStep
+};
@@ -0,0 +1,198 @@
+/**
+ * RobustTicketing - Waitlist Repository
+ * Queues of buyers waiting for sold-out ticket types, and the offers made to them
+ */
+
+import { query } from '../config/database.js';
+import { toCount } from './helpers.js';
+
+// 1-based place among entries still waiting for the same ticket type; `alias` is the entry alias
+const QUEUE_POSITION = (alias) => `
+  CASE WHEN ${alias}.status = 'waiting' THEN (
+    SELECT COUNT(*) + 1 FROM waitlist_entries ahead
+    WHERE ahead.ticket_type_id = ${alias}.ticket_type_id
+      AND ahead.status = 'waiting'
+      AND (ahead.created_at < ${alias}.created_at
+        OR (ahead.created_at = ${alias}.created_at AND ahead.id < ${alias}.id))
+  ) END`;
+
+const ENTRY_SELECT = `
+  SELECT w.*, tt.name AS ticket_type_name, ${QUEUE_POSITION('w')} AS position
+  FROM waitlist_entries w
+  JOIN ticket_types tt ON tt.id = w.ticket_type_id
+`;
+
+export const formatEntry = (entry) => {
+  if (!entry) return null;
+
+  return {
+    id: entry.id,
+    eventId: entry.event_id,
+    ticketTypeId: entry.ticket_type_id,
+    ticketTypeName: entry.ticket_type_name,
+    userId: entry.user_id,
+    quantity: toCount(entry.quantity),
+    status: entry.status,
+    position: entry.position === null || entry.position === undefined ? null : toCount(entry.position),
+    offer: entry.status === 'offered'
+      ? { holdId: entry.reservation_id, offeredAt: entry.offered_at, expiresAt: entry.offer_expires_at }
+      : null,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+  };
+};
+
+export const create = async ({ eventId, ticketTypeId, userId, quantity }) => {
+  const result = await query(
+    `INSERT INTO waitlist_entries (event_id, ticket_type_id, user_id, quantity, status)
+     VALUES ($1, $2, $3, $4, 'waiting')
+     RETURNING id`,
+    [eventId, ticketTypeId, userId, quantity]
+  );
+  return findById(result.rows[0].id);
+};
+
+export const findById = async (entryId) => {
+  const result = await query(`${ENTRY_SELECT} WHERE w.id = $1`, [entryId]);
+  return formatEntry(result.rows[0]);
+};
+
+// The buyer's live entry for a ticket type, if any
+export const findActive = async (ticketTypeId, userId) => {
+  const result = await query(
+    `${ENTRY_SELECT}
+     WHERE w.ticket_type_id = $1 AND w.user_id = $2 AND w.status IN ('waiting', 'offered')`,
+    [ticketTypeId, userId]
+  );
+  return formatEntry(result.rows[0]);
+};
+
+export const findForUser = async (entryId, userId, eventId) => {
+  const result = await query(
+    `${ENTRY_SELECT} WHERE w.id = $1 AND w.user_id = $2 AND w.event_id = $3`,
+    [entryId, userId, eventId]
+  );
+  return formatEntry(result.rows[0]);
+};
+
+export const listForUser = async (userId, eventId) => {
+  const result = await query(
+    `${ENTRY_SELECT}
+     WHERE w.user_id = $1 AND w.event_id = $2
+     ORDER BY w.created_at DESC`,
+    [userId, eventId]
+  );
+  return result.rows.map(formatEntry);
+};
+
+// Waiting entries for a ticket type, first come first served
+export const listWaiting = async (ticketTypeId, limit = 50) => {
+  const result = await query(
+    `${ENTRY_SELECT}
+     WHERE w.ticket_type_id = $1 AND w.status = 'waiting'
+     ORDER BY w.created_at ASC, w.id ASC
+     LIMIT $2`,
+    [ticketTypeId, limit]
+  );
+  return result.rows.map(formatEntry);
+};
+
+export const ticketTypesWithWaiting = async () => {
+  const result = await query(
+    `SELECT DISTINCT ticket_type_id FROM waitlist_entries WHERE status = 'waiting'`
+  );
+  return result.rows.map(row => row.ticket_type_id);
+};
+
+export const markOffered = async (entryId, { reservationId, expiresAt }) => {
+  await query(
+    `UPDATE waitlist_entries
+     SET status = 'offered', reservation_id = $1, offered_at = NOW(), offer_expires_at = $2, updated_at = NOW()
+     WHERE id = $3 AND status = 'waiting'`,
+    [reservationId, expiresAt, entryId]
+  );
+};
+
+export const setStatus = async (entryId, status) => {
+  await query(
+    'UPDATE waitlist_entries SET status = $1, updated_at = NOW() WHERE id = $2',
+    [status, entryId]
+  );
+};
+
+export const markClaimedByReservation = async (reservationId) => {
+  await query(
+    `UPDATE waitlist_entries SET status = 'claimed', updated_at = NOW()
+     WHERE reservation_id = $1 AND status = 'offered'`,
+    [reservationId]
+  );
+};
+
+/**
+ * Close offers whose hold is no longer live: claimed when the hold was paid
+ * for, expired when it lapsed or was released. Returns the entries closed.
+ */
+export const settleOffers = async () => {
+  const result = await query(
+    `UPDATE waitlist_entries
+     SET status = CASE
+           WHEN EXISTS (
+             SELECT 1 FROM reservations r
+             WHERE r.id = waitlist_entries.reservation_id AND r.status = 'converted'
+           ) THEN 'claimed'
+           ELSE 'expired'
+         END,
+         updated_at = NOW()
+     WHERE status = 'offered'
+       AND NOT EXISTS (
+         SELECT 1 FROM reservations r
+         WHERE r.id = waitlist_entries.reservation_id AND r.status = 'active' AND r.expires_at > NOW()
+       )
+     RETURNING id, status, ticket_type_id`
+  );
+  return result.rows;
+};
+
+// Queue depth per ticket type for the organizer dashboard
+export const summaryForEvent = async (eventId) => {
+  const result = await query(
+    `SELECT tt.id, tt.name,
+            COUNT(CASE WHEN w.status = 'waiting' THEN 1 END) AS waiting_entries,
+            COALESCE(SUM(CASE WHEN w.status = 'waiting' THEN w.quantity END), 0) AS waiting_quantity,
+            COUNT(CASE WHEN w.status = 'offered' THEN 1 END) AS offered,
+            COUNT(CASE WHEN w.status = 'claimed' THEN 1 END) AS claimed,
+            COUNT(CASE WHEN w.status = 'expired' THEN 1 END) AS expired
+     FROM ticket_types tt
+     LEFT JOIN waitlist_entries w ON w.ticket_type_id = tt.id
+     WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
+     GROUP BY tt.id, tt.name
+     ORDER BY tt.name ASC`,
+    [eventId]
+  );
+
+  return result.rows.map(row => ({
+    ticketTypeId: row.id,
+    name: row.name,
+    waitingEntries: toCount(row.waiting_entries),
+    waitingQuantity: toCount(row.waiting_quantity),
+    offered: toCount(row.offered),
+    claimed: toCount(row.claimed),
+    expired: toCount(row.expired)
+  }));
+};
+
+export default {
+  formatEntry,
+  create,
+  findById,
+  findActive,
+  findForUser,
+  listForUser,
+  listWaiting,
+  ticketTypesWithWaiting,
+  markOffered,
+  setStatus,
+  markClaimedByReservation,
+  settleOffers,
+  summaryForEvent
+};
@@ -0,0 +1,89 @@
+/**
+ * RobustTicketing - Repository Helpers
+ * Pagination, row normalization and filter building shared by repositories
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Normalize ?page=&limit= query values into LIMIT/OFFSET
+export const paginate = ({ page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page: safePage, limit: safeLimit, offset: (safePage - 1) * safeLimit };
+};
+
+export const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// SQLite returns 0/1 for booleans and strings for JSON columns
+export const toBoolean = (value) => value === true || value === 1 || value === '1' || value === 't';
+
+export const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+export const toCount = (value) => parseInt(value) || 0;
+
+export const parseJSON = (value, fallback = null) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// Collects WHERE clauses with numbered placeholders
+export const createFilter = (initialConditions = []) => {
+  const conditions = [...initialConditions];
+  const params = [];
+
+  return {
+    conditions,
+    params,
+    add(sqlWithPlaceholder, value) {
+      params.push(value);
+      conditions.push(sqlWithPlaceholder.replace(/\?/g, `$${params.length}`));
+    },
+    raw(sql) {
+      conditions.push(sql);
+    },
+    param(value) {
+      params.push(value);
+      return `$${params.length}`;
+    },
+    where() {
+      return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    }
+  };
+};
+
+// Build "SET a = $1, b = $2" from a camelCase patch using a whitelist of columns
+export const buildUpdate = (patch, columnMap, startIndex = 1) => {
+  const assignments = [];
+  const params = [];
+
+  for (const [key, column] of Object.entries(columnMap)) {
+    if (patch[key] !== undefined) {
+      params.push(patch[key]);
+      assignments.push(`${column} = $${startIndex + params.length - 1}`);
+    }
+  }
+
+  return { assignments, params };
+};
+
+export default {
+  paginate,
+  paginationMeta,
+  toBoolean,
+  toNumber,
+  toCount,
+  parseJSON,
+  createFilter,
+  buildUpdate
+};
@@ -0,0 +1,79 @@
+/**
+ * RobustTicketing - Backend Routes: API Keys
+ * The signed-in user's keys for integrations; a new key is shown only in
+ * the response that creates it
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import apiKeyService, { SCOPES } from '../services/apiKeyService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schemas
+const createKeySchema = {
+  name: { required: true, minLength: 2, maxLength: 100 },
+  scopes: { required: true, type: 'array' },
+  eventId: { type: 'uuid' },
+  expiresAt: { type: 'datetime' },
+  rateLimit: { type: 'number', min: 1, max: 6000 }
+};
+
+const sendApiKeyError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Routes
+
+// GET /api/api-keys - The user's keys, without their secrets
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.id);
+
+    res.json({ apiKeys, scopes: SCOPES });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to retrieve API keys');
+  }
+});
+
+// POST /api/api-keys - Create a key; the response holds the only copy of it
+router.post('/', authenticateToken, validateRequest(createKeySchema), async (req, res) => {
+  try {
+    const { name, scopes, eventId, expiresAt, rateLimit } = req.body;
+    const { apiKey, key } = await apiKeyService.createKey(req.user.id, { name, scopes, eventId, expiresAt, rateLimit });
+
+    logger.info('API key created', { apiKeyId: apiKey.id, scopes: apiKey.scopes, eventId: apiKey.eventId, userId: req.user.id });
+
+    res.status(201).json({
+      apiKey,
+      key,
+      message: 'API key created. Copy it now; it will not be shown again.'
+    });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+// DELETE /api/api-keys/:keyId - Revoke a key straight away
+router.delete('/:keyId', authenticateToken, async (req, res) => {
+  try {
+    await apiKeyService.revokeKey(req.user.id, req.params.keyId);
+
+    logger.info('API key revoked', { apiKeyId: req.params.keyId, userId: req.user.id });
+
+    res.json({ message: 'API key revoked successfully' });
+
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+export default router;
@@ -4,10 +4,19 @@ import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 
-import { query } from '../config/database.js';
-import { logger } from '../utils/logger.js';
+import UserRepository from '../repositories/UserRepository.js';
+import tokenService from '../services/tokenService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { logger, securityLogger, businessLogger } from '../utils/logger.js';
 import { validateRequest } from '../middleware/validation.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { sendEmail } from '../utils/email.js';
+import {
+  asyncHandler,
+  ValidationError,
+  UnauthorizedError,
+  ConflictError
+} from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -74,33 +83,6 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Helper function to generate JWT tokens
-const generateTokens = (user) => {
-  const payload = {
-    id: user.id,
-    email: user.email,
-    role: user.role
-  };
-  
-  const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-    issuer: 'robusttickets.com',
-    audience: 'robusttickets-users'
-  });
-  
-  const refreshToken = jwt.sign(
-    { id: user.id },
-    process.env.JWT_REFRESH_SECRET,
-    {
-      expiresIn: '7d',
-      issuer: 'robusttickets.com',
-      audience: 'robusttickets-users'
-    }
-  );
-  
-  return { accessToken, refreshToken };
-};
-
 // User registration
 router.post('/register', registerLimiter, registerValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -113,12 +95,7 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
   const userAgent = req.get('User-Agent');
   
   // Check if user already exists
-  const existingUser = await query(
-    'SELECT id FROM users WHERE email = $1',
-    [email]
-  );
-  
-  if (existingUser.rows.length > 0) {
+  if (await UserRepository.existsByEmail(email)) {
     securityLogger.logSuspiciousActivity(
       null,
       'DUPLICATE_REGISTRATION',
@@ -133,14 +110,14 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
   const passwordHash = await bcrypt.hash(password, saltRounds);
   
   // Create user
-  const result = await query(
-    `INSERT INTO users (email, password_hash, first_name, last_name, phone, date_of_birth)
-     VALUES ($1, $2, $3, $4, $5, $6)
-     RETURNING id, email, first_name, last_name, role, created_at`,
-    [email, passwordHash, firstName, lastName, phone, dateOfBirth]
-  );
-  
-  const user = result.rows[0];
+  const user = await UserRepository.create({
+    email,
+    passwordHash,
+    firstName,
+    lastName,
+    phone,
+    dateOfBirth
+  });
   
   // Generate email verification token
   const verificationToken = jwt.sign(
@@ -166,7 +143,7 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
   }
   
   // Generate tokens
-  const tokens = generateTokens(user);
+  const tokens = await tokenService.createSession(user, { userAgent, ipAddress: ip });
   
   // Log successful registration
   businessLogger.logUserRegistration(user.id, email, ip, userAgent);
@@ -174,14 +151,7 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
   res.status(201).json({
     success: true,
     message: 'Registration successful. Please check your email for verification.',
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      emailVerified: false
-    },
+    user,
     tokens
   });
 }));
@@ -198,14 +168,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
   const userAgent = req.get('User-Agent');
   
   // Get user from database
-  const result = await query(
-    `SELECT id, email, password_hash, first_name, last_name, role, email_verified,
-            login_attempts, locked_until, two_factor_enabled, two_factor_secret
-     FROM users WHERE email = $1`,
-    [email]
-  );
-  
-  const user = result.rows[0];
+  const user = await UserRepository.findCredentialsByEmail(email);
   
   if (!user) {
     securityLogger.logFailedLogin(email, ip, userAgent);
@@ -213,7 +176,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
   }
   
   // Check if account is locked
-  if (user.locked_until && new Date() < user.locked_until) {
+  if (UserRepository.isLocked(user)) {
     securityLogger.logSuspiciousActivity(
       user.id,
       'LOGIN_ATTEMPT_LOCKED_ACCOUNT',
@@ -227,27 +190,18 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
   const isValidPassword = await bcrypt.compare(password, user.password_hash);
   
   if (!isValidPassword) {
-    // Increment login attempts
-    const newAttempts = (user.login_attempts || 0) + 1;
-    const lockUntil = newAttempts >= 5 ? new Date(Date.now() + 30 * 60 * 1000) : null; // Lock for 30 minutes after 5 attempts
-    
-    await query(
-      'UPDATE users SET login_attempts = $1, locked_until = $2 WHERE id = $3',
-      [newAttempts, lockUntil, user.id]
-    );
+    // Increment login attempts; locks the account after repeated failures
+    await UserRepository.recordFailedLogin(user);
     
     securityLogger.logFailedLogin(email, ip, userAgent);
     throw new UnauthorizedError('Invalid credentials');
   }
   
   // Reset login attempts on successful login
-  await query(
-    'UPDATE users SET login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = $1',
-    [user.id]
-  );
+  await UserRepository.recordSuccessfulLogin(user.id);
   
   // Handle two-factor authentication
-  if (user.two_factor_enabled) {
+  if (UserRepository.formatUser(user).twoFactorEnabled) {
     const twoFactorToken = jwt.sign(
       { id: user.id, email: user.email, type: 'two_factor_pending' },
       process.env.JWT_SECRET,
@@ -263,7 +217,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
   }
   
   // Generate tokens
-  const tokens = generateTokens(user);
+  const tokens = await tokenService.createSession(user, { userAgent, ipAddress: ip });
   
   // Log successful login
   securityLogger.logSuccessfulLogin(user.id, email, ip, userAgent);
@@ -271,15 +225,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
   res.json({
     success: true,
     message: 'Login successful',
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      emailVerified: user.email_verified,
-      twoFactorEnabled: user.two_factor_enabled
-    },
+    user: UserRepository.formatUser(user),
     tokens
   });
 }));
@@ -287,7 +233,7 @@ router.post('/login', authLimiter, loginValidation, asyncHandler(async (req, res
 // Two-factor authentication verification
 router.post('/verify-2fa', authLimiter, [
   body('token').isLength({ min: 1 }).withMessage('2FA token is required'),
-  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Valid 6-digit code is required')
+  body('code').isString().trim().isLength({ min: 6, max: 20 }).withMessage('A 6-digit code or a recovery code is required')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -308,19 +254,21 @@ router.post('/verify-2fa', authLimiter, [
   }
   
   // Get user and verify 2FA code
-  const result = await query(
-    'SELECT id, email, first_name, last_name, role, email_verified, two_factor_secret FROM users WHERE id = $1',
-    [decoded.id]
-  );
-  
-  const user = result.rows[0];
+  const user = await UserRepository.findCredentialsById(decoded.id);
   if (!user) {
     throw new UnauthorizedError('User not found');
   }
   
-  // Verify OTP code
-  const isValidCode = verifyOTP(user.two_factor_secret, code);
-  if (!isValidCode) {
+  if (UserRepository.isLocked(user)) {
+    throw new UnauthorizedError('Account is temporarily locked due to multiple failed login attempts');
+  }
+  
+  // A current TOTP code, or a one-time recovery code
+  const method = await twoFactorService.verifySecondFactor(user, code);
+  if (!method) {
+    // Wrong codes count towards the account lockout, like wrong passwords
+    await UserRepository.recordFailedLogin(user);
+    
     securityLogger.logSuspiciousActivity(
       user.id,
       'INVALID_2FA_CODE',
@@ -330,23 +278,27 @@ router.post('/verify-2fa', authLimiter, [
     throw new UnauthorizedError('Invalid verification code');
   }
   
+  if (method === 'recovery_code') {
+    securityLogger.logSecurityEvent('TWO_FACTOR_RECOVERY_CODE_USED', {
+      userId: user.id,
+      email: user.email,
+      ip: req.ip
+    });
+  }
+  
   // Generate tokens
-  const tokens = generateTokens(user);
+  const tokens = await tokenService.createSession(user, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    twoFactor: true
+  });
   
   securityLogger.logSuccessfulLogin(user.id, user.email, req.ip, req.get('User-Agent'));
   
   res.json({
     success: true,
     message: 'Two-factor authentication successful',
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      emailVerified: user.email_verified,
-      twoFactorEnabled: true
-    },
+    user: UserRepository.formatUser(user),
     tokens
   });
 }));
@@ -374,10 +326,7 @@ router.post('/verify-email', [
   }
   
   // Update user email verification status
-  await query(
-    'UPDATE users SET email_verified = TRUE WHERE id = $1',
-    [decoded.id]
-  );
+  await UserRepository.markEmailVerified(decoded.id);
   
   res.json({
     success: true,
@@ -397,21 +346,16 @@ router.post('/forgot-password', authLimiter, [
   const { email } = req.body;
   
   // Check if user exists
-  const result = await query(
-    'SELECT id, first_name FROM users WHERE email = $1',
-    [email]
-  );
+  const user = await UserRepository.findCredentialsByEmail(email);
   
   // Always return success to prevent email enumeration
-  if (result.rows.length === 0) {
+  if (!user) {
     return res.json({
       success: true,
       message: 'If an account with that email exists, a password reset link has been sent.'
     });
   }
   
-  const user = result.rows[0];
-  
   // Generate reset token
   const resetToken = jwt.sign(
     { id: user.id, email, type: 'password_reset' },
@@ -471,11 +415,9 @@ router.post('/reset-password', authLimiter, [
   const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
   const passwordHash = await bcrypt.hash(password, saltRounds);
   
-  // Update password
-  await query(
-    'UPDATE users SET password_hash = $1, login_attempts = 0, locked_until = NULL WHERE id = $2',
-    [passwordHash, decoded.id]
-  );
+  // Update password and sign out every session that used the old one
+  await UserRepository.updatePassword(decoded.id, passwordHash);
+  await tokenService.revokeAllSessions(decoded.id, { reason: 'password_reset' });
   
   securityLogger.logSecurityEvent('PASSWORD_RESET', {
     userId: decoded.id,
@@ -489,37 +431,50 @@ router.post('/reset-password', authLimiter, [
   });
 }));
 
-// Refresh token
+// Refresh token: spends the refresh token and returns a new pair for the same session
 router.post('/refresh', [
-  body('refreshToken').isLength({ min: 1 }).withMessage('Refresh token is required')
+  body('refreshToken').isString().isLength({ min: 1 }).withMessage('Refresh token is required')
 ], asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
-  
-  // Verify refresh token
-  let decoded;
-  try {
-    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-  } catch (error) {
-    throw new UnauthorizedError('Invalid or expired refresh token');
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
   }
   
-  // Get user
-  const result = await query(
-    'SELECT id, email, role FROM users WHERE id = $1',
-    [decoded.id]
-  );
+  const tokens = await tokenService.refreshSession(req.body.refreshToken, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
   
-  const user = result.rows[0];
-  if (!user) {
-    throw new UnauthorizedError('User not found');
+  res.json({
+    success: true,
+    tokens
+  });
+}));
+
+// Logout: signs out the current session
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  if (req.user.sessionId) {
+    await tokenService.revokeSession(req.user.id, req.user.sessionId, 'logout');
   }
   
-  // Generate new tokens
-  const tokens = generateTokens(user);
+  securityLogger.logSecurityEvent('LOGOUT', { userId: req.user.id, sessionId: req.user.sessionId, ip: req.ip });
   
   res.json({
     success: true,
-    tokens
+    message: 'Logged out successfully'
+  });
+}));
+
+// Logout everywhere: signs out every session of the user, this one included
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await tokenService.revokeAllSessions(req.user.id, { reason: 'logout_all' });
+  
+  securityLogger.logSecurityEvent('LOGOUT_ALL', { userId: req.user.id, sessions: revoked, ip: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'Logged out of all sessions',
+    sessionsRevoked: revoked
   });
 }));
 
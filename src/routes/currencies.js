@@ -0,0 +1,60 @@
+/**
+ * RobustTicketing - Backend Routes: Currencies
+ * Supported currencies and display-only conversion
+ */
+
+import express from 'express';
+import { validateRequest } from '../middleware/validation.js';
+import currencyService from '../services/currencyService.js';
+import { isSupportedCurrency, normalizeCurrency } from '../utils/money.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/currencies - Currencies with a configured exchange rate and their decimals
+router.get('/', async (req, res) => {
+  try {
+    res.json(await currencyService.listCurrencies());
+  } catch (error) {
+    logger.error('List currencies error:', error);
+    res.status(500).json({ error: 'Failed to retrieve currencies' });
+  }
+});
+
+const convertSchema = {
+  amount: { required: true, type: 'number', min: 0 },
+  from: { required: true, minLength: 3, maxLength: 3 },
+  to: { required: true, minLength: 3, maxLength: 3 }
+};
+
+// POST /api/currencies/convert - Approximate an amount in another currency (display only)
+router.post('/convert', validateRequest(convertSchema), async (req, res) => {
+  try {
+    const { amount, from, to } = req.body;
+
+    if (!isSupportedCurrency(from) || !isSupportedCurrency(to)) {
+      return res.status(400).json({ error: 'from and to must be ISO 4217 currency codes' });
+    }
+
+    const conversion = await currencyService.convert({ amount }, from, to);
+
+    if (!conversion) {
+      return res.status(404).json({ error: `No exchange rate configured for ${from} to ${to}` });
+    }
+
+    res.json({
+      from: normalizeCurrency(from),
+      to: conversion.currency,
+      rate: conversion.rate,
+      amount,
+      converted: conversion.amounts.amount,
+      approximate: conversion.approximate
+    });
+
+  } catch (error) {
+    logger.error('Convert currency error:', error);
+    res.status(500).json({ error: 'Failed to convert amount' });
+  }
+});
+
+export default router;
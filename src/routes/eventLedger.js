@@ -0,0 +1,37 @@
+/**
+ * RobustTicketing - Backend Routes: Event Ledger
+ * An event's account balances and ledger transactions for its staff,
+ * mounted at /api/events/:id/ledger
+ */
+
+import express from 'express';
+import { authenticateToken, requireTwoFactor } from '../middleware/auth.js';
+import { paginationMeta } from '../repositories/helpers.js';
+import ledgerService from '../services/ledgerService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+// GET /api/events/:id/ledger - Account balances and transactions (?page=&limit=)
+router.get('/', authenticateToken, requireTwoFactor, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await ledgerService.getEventLedger(req.params.id, req.user.id, { page, limit });
+
+    res.json({
+      event: result.event,
+      accounts: result.accounts,
+      transactions: result.transactions,
+      pagination: paginationMeta(result, result.total)
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Get event ledger error:', error);
+    res.status(500).json({ error: 'Failed to retrieve event ledger' });
+  }
+});
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * RobustTicketing - Backend Routes: Event Orders
+ * Every order placed for an event, for its staff; mounted at /api/events/:id/orders
+ */
+
+import express from 'express';
+import { acceptApiKey, authenticateToken } from '../middleware/auth.js';
+import { paginationMeta } from '../repositories/helpers.js';
+import orderService from '../services/orderService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+// GET /api/events/:id/orders - Orders for the event (?search=email or order number&status=&page=&limit=)
+router.get('/', acceptApiKey('orders:read', { eventParam: 'id' }), authenticateToken, async (req, res) => {
+  try {
+    const { search, status, page, limit } = req.query;
+    const result = await orderService.listForEvent(req.params.id, req.user.id, { search, status }, { page, limit });
+
+    res.json({
+      orders: result.orders,
+      pagination: paginationMeta(result, result.total)
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Get event orders error:', error);
+    res.status(500).json({ error: 'Failed to retrieve event orders' });
+  }
+});
+
+export default router;
@@ -0,0 +1,105 @@
+/**
+ * RobustTicketing - Backend Routes: Event Staff
+ * Roles granted on one event, managed by its owner, mounted at
+ * /api/events/:id/staff
+ */
+
+import express from 'express';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import UserRepository from '../repositories/UserRepository.js';
+import permissionService, { GRANTABLE_EVENT_ROLES } from '../services/permissionService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const grantSchema = {
+  userId: { type: 'uuid' },
+  email: { type: 'email' },
+  role: { required: true, enum: GRANTABLE_EVENT_ROLES }
+};
+
+// GET /api/events/:id/staff - The event's owner and staff
+router.get('/', authenticateToken, requirePermission('staff:manage', { eventParam: 'id' }), async (req, res) => {
+  try {
+    const staff = await permissionService.listEventStaff(req.params.id);
+
+    res.json({ staff, roles: GRANTABLE_EVENT_ROLES });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('List event staff error:', error);
+    res.status(500).json({ error: 'Failed to retrieve event staff' });
+  }
+});
+
+// GET /api/events/:id/staff/me - What the signed-in user may do on the event
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await permissionService.listEventPermissions(req.user.id, req.params.id);
+
+    res.json({ permissions });
+
+  } catch (error) {
+    logger.error('Get event permissions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve event permissions' });
+  }
+});
+
+// POST /api/events/:id/staff - Give a user, by id or email, a role on the event
+router.post('/', authenticateToken, requirePermission('staff:manage', { eventParam: 'id' }), validateRequest(grantSchema), async (req, res) => {
+  try {
+    const { userId, email, role } = req.body;
+
+    if (!userId && !email) {
+      return res.status(400).json({ error: 'userId or email is required' });
+    }
+
+    const user = userId
+      ? await UserRepository.findById(userId)
+      : await UserRepository.findByEmail(email.trim().toLowerCase());
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const grant = await permissionService.grantEventRole(req.params.id, user.id, role, { grantedBy: req.user.id });
+
+    logger.info('Event role granted', { eventId: req.params.id, userId: user.id, role, grantedBy: req.user.id });
+
+    res.status(201).json({
+      grant,
+      message: 'Staff role granted successfully'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Grant event role error:', error);
+    res.status(500).json({ error: 'Failed to grant staff role' });
+  }
+});
+
+// DELETE /api/events/:id/staff/:userId - Take a user's role on the event away
+router.delete('/:userId', authenticateToken, requirePermission('staff:manage', { eventParam: 'id' }), async (req, res) => {
+  try {
+    await permissionService.revokeEventRole(req.params.id, req.params.userId);
+
+    logger.info('Event role revoked', { eventId: req.params.id, userId: req.params.userId, revokedBy: req.user.id });
+
+    res.json({ message: 'Staff role revoked successfully' });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Revoke event role error:', error);
+    res.status(500).json({ error: 'Failed to revoke staff role' });
+  }
+});
+
+export default router;
@@ -7,12 +7,23 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import rateLimit from 'express-rate-limit';
-import { authenticateToken, authorize } from '../middleware/auth.js';
+import { authenticateToken, authorize, requirePermission } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { query } from '../config/database.js';
+import EventRepository from '../repositories/EventRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import ledgerService from '../services/ledgerService.js';
+import organizationService from '../services/organizationService.js';
+import permissionService from '../services/permissionService.js';
+import { isValidRefundTiers, normalizeRefundTiers } from '../services/refundService.js';
+import { paginationMeta } from '../repositories/helpers.js';
 import { logger } from '../utils/logger.js';
+import { isSupportedCurrency, normalizeCurrency } from '../utils/money.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Helper functions for logging
 const logError = (error, type, metadata = {}) => {
@@ -88,10 +99,13 @@ const createEventSchema = {
   startDate: { required: true, type: 'datetime' },
   endDate: { required: true, type: 'datetime' },
   capacity: { required: true, type: 'number', min: 1, max: 1000000 },
+  currency: { minLength: 3, maxLength: 3 },
   isPublic: { type: 'boolean', default: true },
   requiresApproval: { type: 'boolean', default: false },
   allowRefunds: { type: 'boolean', default: true },
-  refundPolicy: { maxLength: 1000 }
+  refundPolicy: { maxLength: 1000 },
+  refundTiers: { type: 'array' },
+  organizationId: { type: 'uuid' }
 };
 
 const updateEventSchema = {
@@ -107,112 +121,27 @@ const updateEventSchema = {
   startDate: { type: 'datetime' },
   endDate: { type: 'datetime' },
   capacity: { type: 'number', min: 1, max: 1000000 },
+  currency: { minLength: 3, maxLength: 3 },
   isPublic: { type: 'boolean' },
   requiresApproval: { type: 'boolean' },
   allowRefunds: { type: 'boolean' },
-  refundPolicy: { maxLength: 1000 }
+  refundPolicy: { maxLength: 1000 },
+  refundTiers: { type: 'array' },
+  organizationId: { type: 'uuid' }
 };
 
-// Helper functions
-const buildEventQuery = (filters = {}) => {
-  let query = `
-    SELECT e.*, u.first_name as organizer_first_name, u.last_name as organizer_last_name,
-           u.email as organizer_email, u.profile_image as organizer_avatar,
-           COUNT(t.id) as total_tickets_sold,
-           COALESCE(MIN(tt.price), 0) as min_price,
-           COALESCE(MAX(tt.price), 0) as max_price
-    FROM events e
-    LEFT JOIN users u ON e.organizer_id = u.id
-    LEFT JOIN ticket_types tt ON e.id = tt.event_id
-    LEFT JOIN tickets t ON tt.id = t.ticket_type_id
-    WHERE e.deleted_at IS NULL
-  `;
-  
-  const params = [];
-  let paramIndex = 1;
-
-  if (filters.category) {
-    query += ` AND e.category = $${paramIndex}`;
-    params.push(filters.category);
-    paramIndex++;
-  }
-
-  if (filters.city) {
-    query += ` AND LOWER(e.city) LIKE LOWER($${paramIndex})`;
-    params.push(`%${filters.city}%`);
-    paramIndex++;
-  }
-
-  if (filters.search) {
-    query += ` AND (LOWER(e.title) LIKE LOWER($${paramIndex}) OR LOWER(e.description) LIKE LOWER($${paramIndex}))`;
-    params.push(`%${filters.search}%`);
-    paramIndex++;
-  }
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 
-  if (filters.startDate) {
-    query += ` AND e.start_date >= $${paramIndex}`;
-    params.push(filters.startDate);
-    paramIndex++;
-  }
+const REFUND_TIERS_ERROR = 'refundTiers must list up to 10 tiers of { hoursBeforeStart, percent } with a whole percent from 0 to 100';
+const CURRENCY_ERROR = 'currency must be an ISO 4217 currency code such as USD, EUR or JPY';
 
-  if (filters.endDate) {
-    query += ` AND e.end_date <= $${paramIndex}`;
-    params.push(filters.endDate);
-    paramIndex++;
-  }
-
-  if (filters.isPublic !== undefined) {
-    query += ` AND e.is_public = $${paramIndex}`;
-    params.push(filters.isPublic);
-    paramIndex++;
-  }
-
-  if (filters.organizerId) {
-    query += ` AND e.organizer_id = $${paramIndex}`;
-    params.push(filters.organizerId);
-    paramIndex++;
-  }
-
-  query += ` GROUP BY e.id, u.id`;
-
-  return { query, params, paramIndex };
-};
-
-const formatEventData = (event) => {
-  return {
-    id: event.id,
-    title: event.title,
-    description: event.description,
-    category: event.category,
-    venue: event.venue,
-    address: event.address,
-    city: event.city,
-    state: event.state,
-    country: event.country,
-    zipCode: event.zip_code,
-    startDate: event.start_date,
-    endDate: event.end_date,
-    capacity: event.capacity,
-    isPublic: event.is_public,
-    requiresApproval: event.requires_approval,
-    allowRefunds: event.allow_refunds,
-    refundPolicy: event.refund_policy,
-    status: event.status,
-    imageUrl: event.image_url,
-    organizerId: event.organizer_id,
-    organizer: {
-      firstName: event.organizer_first_name,
-      lastName: event.organizer_last_name,
-      email: event.organizer_email,
-      avatar: event.organizer_avatar
-    },
-    totalTicketsSold: parseInt(event.total_tickets_sold) || 0,
-    minPrice: parseFloat(event.min_price) || 0,
-    maxPrice: parseFloat(event.max_price) || 0,
-    createdAt: event.created_at,
-    updatedAt: event.updated_at
-  };
-};
+// Store dates as Date objects so both databases receive ISO timestamps
+const withParsedDates = (data) => ({
+  ...data,
+  startDate: data.startDate ? new Date(data.startDate) : undefined,
+  endDate: data.endDate ? new Date(data.endDate) : undefined,
+  refundTiers: data.refundTiers === undefined ? undefined : normalizeRefundTiers(data.refundTiers)
+});
 
 // Routes
 
@@ -220,73 +149,41 @@ const formatEventData = (event) => {
 router.get('/', async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
+      page,
+      limit,
       category,
       city,
       search,
       startDate,
       endDate,
       featured,
-      popular,
-      nearby
+      popular
     } = req.query;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const filters = {
       category,
       city,
       search,
       startDate,
       endDate,
+      featured: featured === 'true',
       isPublic: true
     };
 
-    let { query: sqlQuery, params } = buildEventQuery(filters);
-
-    // Handle special filters
-    if (featured === 'true') {
-      sqlQuery += ` AND e.is_featured = true`;
-    }
-
-    if (popular === 'true') {
-      sqlQuery += ` ORDER BY total_tickets_sold DESC`;
-    } else if (nearby === 'true' && req.query.lat && req.query.lng) {
-      // Add location-based sorting (requires PostGIS or similar)
-      sqlQuery += ` ORDER BY e.start_date ASC`;
-    } else {
-      sqlQuery += ` ORDER BY e.start_date ASC`;
-    }
-
-    sqlQuery += ` LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), offset);
-
-    const result = await query(sqlQuery, params);
-    const events = result.rows.map(formatEventData);
-
-    // Get total count for pagination
-    const countQuery = buildEventQuery(filters);
-    const countResult = await query(
-      `SELECT COUNT(DISTINCT e.id) as total ${countQuery.query.substring(countQuery.query.indexOf('FROM'))}`,
-      countQuery.params
-    );
-    const total = parseInt(countResult.rows[0].total);
+    const result = await EventRepository.list(filters, { page, limit }, {
+      sort: popular === 'true' ? 'popular' : 'date'
+    });
 
     logger.info('Events listed', { 
       filters,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total
+      page: result.page,
+      limit: result.limit,
+      total: result.total
     });
 
     res.json({
-      events,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      events: result.events,
+      pagination: paginationMeta(result, result.total)
     });
 
   } catch (error) {
@@ -300,25 +197,10 @@ router.get('/featured', async (req, res) => {
   try {
     const { limit = 6 } = req.query;
 
-    const sqlQuery = `
-      SELECT e.*, u.first_name as organizer_first_name, u.last_name as organizer_last_name,
-             COUNT(t.id) as total_tickets_sold,
-             COALESCE(MIN(tt.price), 0) as min_price
-      FROM events e
-      LEFT JOIN users u ON e.organizer_id = u.id
-      LEFT JOIN ticket_types tt ON e.id = tt.event_id
-      LEFT JOIN tickets t ON tt.id = t.ticket_type_id
-      WHERE e.deleted_at IS NULL 
-        AND e.is_public = true 
-        AND e.is_featured = true
-        AND e.start_date > datetime('now')
-      GROUP BY e.id, u.id
-      ORDER BY e.start_datetime ASC
-      LIMIT ?
-    `;
-
-    const result = await query(sqlQuery, [parseInt(limit)]);
-    const events = result.rows.map(formatEventData);
+    const { events } = await EventRepository.list(
+      { isPublic: true, featured: true, upcoming: true },
+      { limit }
+    );
 
     res.json({ events });
 
@@ -333,25 +215,11 @@ router.get('/popular', async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
-    const sqlQuery = `
-      SELECT e.*, u.first_name as organizer_first_name, u.last_name as organizer_last_name,
-             COUNT(t.id) as total_tickets_sold,
-             COALESCE(MIN(tt.price), 0) as min_price
-      FROM events e
-      LEFT JOIN users u ON e.organizer_id = u.id
-      LEFT JOIN ticket_types tt ON e.id = tt.event_id
-      LEFT JOIN tickets t ON tt.id = t.ticket_type_id
-      WHERE e.deleted_at IS NULL 
-        AND e.is_public = true
-        AND e.start_date > datetime('now')
-      GROUP BY e.id, u.id
-      HAVING COUNT(t.id) > 0
-      ORDER BY COUNT(t.id) DESC, e.start_date ASC
-      LIMIT ?
-    `;
-
-    const result = await query(sqlQuery, [parseInt(limit)]);
-    const events = result.rows.map(formatEventData);
+    const { events } = await EventRepository.list(
+      { isPublic: true, upcoming: true },
+      { limit },
+      { sort: 'popular', minTicketsSold: 1 }
+    );
 
     res.json({ events });
 
@@ -364,13 +232,12 @@ router.get('/popular', async (req, res) => {
 // GET /api/events/search - Search events
 router.get('/search', async (req, res) => {
   try {
-    const { q, category, city, date, page = 1, limit = 20 } = req.query;
+    const { q, category, city, date, page, limit } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const filters = {
       search: q.trim(),
       category,
@@ -379,20 +246,19 @@ router.get('/search', async (req, res) => {
       isPublic: true
     };
 
-    let { query: sqlQuery, params } = buildEventQuery(filters);
-    sqlQuery += ` ORDER BY e.start_date ASC LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), offset);
-
-    const result = await query(sqlQuery, params);
-    const events = result.rows.map(formatEventData);
+    const result = await EventRepository.list(filters, { page, limit });
 
     logActivity(req.user?.id, 'EVENTS_SEARCHED', { 
       query: q,
       filters: { category, city, date },
-      resultsCount: events.length
+      resultsCount: result.events.length
     });
 
-    res.json({ events, query: q });
+    res.json({
+      events: result.events,
+      query: q,
+      pagination: paginationMeta(result, result.total)
+    });
 
   } catch (error) {
     logError(error, 'SEARCH_EVENTS_ERROR', { query: req.query });
@@ -405,45 +271,17 @@ router.get('/:id', async (req, res) => {
   try {
     const eventId = req.params.id;
 
-    if (!eventId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/)) {
+    if (!UUID_PATTERN.test(eventId)) {
       return res.status(400).json({ error: 'Invalid event ID format' });
     }
 
-    const { query: sqlQuery, params } = buildEventQuery();
-    const fullQuery = `${sqlQuery} AND e.id = ? GROUP BY e.id, u.id`;
-    params.push(eventId);
+    const event = await EventRepository.findById(eventId);
 
-    const result = await query(fullQuery, params);
-
-    if (result.rows.length === 0) {
+    if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const event = formatEventData(result.rows[0]);
-
-    // Get ticket types for this event
-    const ticketTypesQuery = `
-      SELECT tt.*, COUNT(t.id) as sold_count
-      FROM ticket_types tt
-      LEFT JOIN tickets t ON tt.id = t.ticket_type_id
-      WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
-      GROUP BY tt.id
-      ORDER BY tt.price ASC
-    `;
-
-    const ticketTypesResult = await query(ticketTypesQuery, [eventId]);
-    event.ticketTypes = ticketTypesResult.rows.map(tt => ({
-      id: tt.id,
-      name: tt.name,
-      description: tt.description,
-      price: parseFloat(tt.price),
-      quantity: tt.quantity,
-      soldCount: parseInt(tt.sold_count) || 0,
-      availableCount: tt.quantity - (parseInt(tt.sold_count) || 0),
-      saleStartDate: tt.sale_start_date,
-      saleEndDate: tt.sale_end_date,
-      isActive: tt.is_active
-    }));
+    event.ticketTypes = await TicketRepository.listTicketTypes(eventId);
 
     logActivity(req.user?.id, 'EVENT_VIEWED', { eventId });
 
@@ -458,68 +296,49 @@ router.get('/:id', async (req, res) => {
 // POST /api/events - Create new event
 router.post('/', 
   authenticateToken,
+  requirePermission('event:create'),
   createEventLimit,
   validateRequest(createEventSchema),
   async (req, res) => {
     try {
       const userId = req.user.id;
-      const eventData = req.body;
 
-      // Validate dates
-      const startDate = new Date(eventData.startDate);
-      const endDate = new Date(eventData.endDate);
-      const now = new Date();
+      if (req.body.refundTiers !== undefined && !isValidRefundTiers(req.body.refundTiers)) {
+        return res.status(400).json({ error: REFUND_TIERS_ERROR });
+      }
+
+      if (req.body.currency !== undefined && !isSupportedCurrency(req.body.currency)) {
+        return res.status(400).json({ error: CURRENCY_ERROR });
+      }
 
-      if (startDate <= now) {
+      const eventData = withParsedDates(req.body);
+
+      // Validate dates
+      if (eventData.startDate <= new Date()) {
         return res.status(400).json({ error: 'Event start date must be in the future' });
       }
 
-      if (endDate <= startDate) {
+      if (eventData.endDate <= eventData.startDate) {
         return res.status(400).json({ error: 'Event end date must be after start date' });
       }
 
-      const eventId = uuidv4();
-
-      const sqlQuery = `
-        INSERT INTO events (
-          id, title, description, category, venue, address, city, state, country, zip_code,
-          start_date, end_date, capacity, is_public, requires_approval, allow_refunds,
-          refund_policy, organizer_id, status, created_at, updated_at
-        ) VALUES (
-          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-          ?, ?, ?, ?, ?, ?, ?, ?, 'draft', datetime('now'), datetime('now')
-        )
-      `;
-
-      const values = [
-        eventId,
-        eventData.title,
-        eventData.description,
-        eventData.category,
-        eventData.venue,
-        eventData.address,
-        eventData.city,
-        eventData.state || null,
-        eventData.country,
-        eventData.zipCode || null,
-        startDate,
-        endDate,
-        eventData.capacity,
-        eventData.isPublic !== false,
-        eventData.requiresApproval === true,
-        eventData.allowRefunds !== false,
-        eventData.refundPolicy || null,
-        userId
-      ];
-
-      await query(sqlQuery, values);
-      
-      // Get the created event
-      const getCreatedQuery = `SELECT * FROM events WHERE id = ?`;
-      const result = await query(getCreatedQuery, [eventId]);
-      const event = formatEventData(result.rows[0]);
+      // Events belong to an organization: the one given, or the creator's personal one
+      if (eventData.organizationId) {
+        if (!(await permissionService.can(userId, 'organization:create_event', { organizationId: eventData.organizationId }))) {
+          return res.status(403).json({ error: 'You cannot create events for this organization' });
+        }
+      } else {
+        eventData.organizationId = (await organizationService.ensurePersonalOrganization(userId)).id;
+      }
+
+      const event = await EventRepository.create(userId, {
+        ...eventData,
+        isPublic: eventData.isPublic !== false,
+        requiresApproval: eventData.requiresApproval === true,
+        allowRefunds: eventData.allowRefunds !== false
+      });
 
-      logActivity(userId, 'EVENT_CREATED', { eventId, title: eventData.title });
+      logActivity(userId, 'EVENT_CREATED', { eventId: event.id, title: event.title });
 
       res.status(201).json({ 
         event,
@@ -541,64 +360,65 @@ router.put('/:id',
     try {
       const eventId = req.params.id;
       const userId = req.user.id;
-      const updateData = req.body;
+
+      if (req.body.refundTiers !== undefined && !isValidRefundTiers(req.body.refundTiers)) {
+        return res.status(400).json({ error: REFUND_TIERS_ERROR });
+      }
+
+      if (req.body.currency !== undefined && !isSupportedCurrency(req.body.currency)) {
+        return res.status(400).json({ error: CURRENCY_ERROR });
+      }
+
+      const updateData = withParsedDates(req.body);
 
       // Check if event exists and user has permission
-      const checkQuery = `
-        SELECT * FROM events 
-        WHERE id = ? AND deleted_at IS NULL AND (organizer_id = ? OR EXISTS(SELECT 1 FROM user_roles WHERE user_id = ? AND role = ?))
-      `;
-      const checkResult = await query(checkQuery, [eventId, userId, userId, 'admin']);
+      const event = await permissionService.findPermittedEvent(userId, eventId, 'event:update');
 
-      if (checkResult.length === 0) {
+      if (!event) {
         return res.status(404).json({ error: 'Event not found or access denied' });
       }
 
-      const event = checkResult[0];
+      // Moving an event to another organization takes ownership here and event creation there
+      if (updateData.organizationId !== undefined && updateData.organizationId !== event.organizationId) {
+        const canMove = await permissionService.can(userId, 'event:delete', { eventId }) &&
+          await permissionService.can(userId, 'organization:create_event', { organizationId: updateData.organizationId });
+
+        if (!canMove) {
+          return res.status(403).json({ error: 'You cannot move this event to that organization' });
+        }
+
+        // Its balance and payouts belong to the organization that took the money
+        if (await ledgerService.hasTransactions(eventId)) {
+          return res.status(409).json({ error: 'Events that have taken payments cannot move to another organization' });
+        }
+      }
+
+      // Ticket prices are in the event's currency, so it is fixed once tickets are on offer
+      if (updateData.currency && normalizeCurrency(updateData.currency) !== event.currency) {
+        const ticketTypes = await TicketRepository.listTicketTypes(eventId);
+
+        if (ticketTypes.length > 0) {
+          return res.status(409).json({ error: 'Currency cannot be changed once the event has ticket types' });
+        }
+      }
 
       // Validate dates if provided
       if (updateData.startDate || updateData.endDate) {
-        const startDate = new Date(updateData.startDate || event.start_date);
-        const endDate = new Date(updateData.endDate || event.end_date);
+        const startDate = updateData.startDate || new Date(event.startDate);
+        const endDate = updateData.endDate || new Date(event.endDate);
 
         if (endDate <= startDate) {
           return res.status(400).json({ error: 'Event end date must be after start date' });
         }
       }
 
-      // Build update query
-      const updateFields = [];
-      const updateValues = [];
-      let paramIndex = 1;
-
-      Object.keys(updateData).forEach(key => {
-        const dbField = key.replace(/([A-Z])/g, '_$1').toLowerCase();
-        updateFields.push(`${dbField} = $${paramIndex}`);
-        updateValues.push(updateData[key]);
-        paramIndex++;
-      });
-
-      if (updateFields.length === 0) {
+      if (!EventRepository.hasUpdatableFields(updateData)) {
         return res.status(400).json({ error: 'No fields to update' });
       }
 
-      updateFields.push(`updated_at = datetime('now')`);
+      const updatedEvent = await EventRepository.update(eventId, updateData);
 
-      const updateQuery = `
-        UPDATE events 
-        SET ${updateFields.join(', ')}
-        WHERE id = ?
-      `;
-      updateValues.push(eventId);
-
-      await query(updateQuery, updateValues);
-      
-      // Get the updated event
-      const getUpdatedQuery = `SELECT * FROM events WHERE id = ?`;
-      const result = await query(getUpdatedQuery, [eventId]);
-      const updatedEvent = formatEventData(result[0]);
-
-      logActivity(userId, 'EVENT_UPDATED', { eventId, changes: Object.keys(updateData) });
+      logActivity(userId, 'EVENT_UPDATED', { eventId, changes: Object.keys(req.body) });
 
       res.json({ 
         event: updatedEvent,
@@ -624,38 +444,21 @@ router.delete('/:id',
       const userId = req.user.id;
 
       // Check if event exists and user has permission
-      const checkQuery = `
-        SELECT e.*, COUNT(t.id) as ticket_count
-        FROM events e
-        LEFT JOIN ticket_types tt ON e.id = tt.event_id
-        LEFT JOIN tickets t ON tt.id = t.ticket_type_id
-        WHERE e.id = ? AND e.deleted_at IS NULL 
-          AND (e.organizer_id = ? OR EXISTS(SELECT 1 FROM user_roles WHERE user_id = ? AND role = ?))
-        GROUP BY e.id
-      `;
-      const checkResult = await query(checkQuery, [eventId, userId, userId, 'admin']);
-
-      if (checkResult.length === 0) {
+      const event = await permissionService.findPermittedEvent(userId, eventId, 'event:delete');
+
+      if (!event) {
         return res.status(404).json({ error: 'Event not found or access denied' });
       }
 
-      const event = checkResult[0];
-      const ticketCount = parseInt(event.ticket_count) || 0;
-
       // Prevent deletion if tickets have been sold
-      if (ticketCount > 0) {
+      if (event.totalTicketsSold > 0) {
         return res.status(400).json({ 
           error: 'Cannot delete event with sold tickets. Please cancel the event instead.' 
         });
       }
 
       // Soft delete the event
-      const deleteQuery = `
-        UPDATE events 
-        SET deleted_at = datetime('now'), updated_at = datetime('now')
-        WHERE id = ?
-      `;
-      await query(deleteQuery, [eventId]);
+      await EventRepository.softDelete(eventId);
 
       logActivity(userId, 'EVENT_DELETED', { eventId, title: event.title });
 
@@ -680,29 +483,18 @@ router.post('/:id/publish',
       const userId = req.user.id;
 
       // Check if event exists and user has permission
-      const checkQuery = `
-        SELECT * FROM events 
-        WHERE id = ? AND deleted_at IS NULL AND organizer_id = ?
-      `;
-      const checkResult = await query(checkQuery, [eventId, userId]);
+      const event = await permissionService.findPermittedEvent(userId, eventId, 'event:publish');
 
-      if (checkResult.length === 0) {
+      if (!event) {
         return res.status(404).json({ error: 'Event not found or access denied' });
       }
 
-      const event = checkResult[0];
-
       if (event.status === 'published') {
         return res.status(400).json({ error: 'Event is already published' });
       }
 
       // Validate event has required data for publishing
-      const ticketTypesQuery = `
-        SELECT COUNT(*) as count FROM ticket_types 
-        WHERE event_id = ? AND deleted_at IS NULL
-      `;
-      const ticketTypesResult = await query(ticketTypesQuery, [eventId]);
-      const ticketTypesCount = parseInt(ticketTypesResult[0].count);
+      const ticketTypesCount = await EventRepository.countTicketTypes(eventId);
 
       if (ticketTypesCount === 0) {
         return res.status(400).json({ 
@@ -710,18 +502,7 @@ router.post('/:id/publish',
         });
       }
 
-      // Update event status
-      const updateQuery = `
-        UPDATE events 
-        SET status = 'published', updated_at = datetime('now')
-        WHERE id = ?
-      `;
-      await query(updateQuery, [eventId]);
-      
-      // Get the updated event
-      const getUpdatedQuery = `SELECT * FROM events WHERE id = ?`;
-      const result = await query(getUpdatedQuery, [eventId]);
-      const updatedEvent = formatEventData(result[0]);
+      const updatedEvent = await EventRepository.setStatus(eventId, 'published');
 
       logActivity(userId, 'EVENT_PUBLISHED', { eventId, title: event.title });
 
@@ -754,32 +535,16 @@ router.post('/:id/image',
       }
 
       // Check if event exists and user has permission
-      const checkQuery = `
-        SELECT * FROM events 
-        WHERE id = ? AND deleted_at IS NULL AND organizer_id = ?
-      `;
-      const checkResult = await query(checkQuery, [eventId, userId]);
+      const event = await permissionService.findPermittedEvent(userId, eventId, 'event:update');
 
-      if (checkResult.length === 0) {
+      if (!event) {
         // Clean up uploaded file
         await fs.unlink(req.file.path).catch(() => {});
         return res.status(404).json({ error: 'Event not found or access denied' });
       }
 
       const imageUrl = `/uploads/events/${req.file.filename}`;
-
-      // Update event with image URL
-      const updateQuery = `
-        UPDATE events 
-        SET image_url = ?, updated_at = datetime('now')
-        WHERE id = ?
-      `;
-      await query(updateQuery, [imageUrl, eventId]);
-      
-      // Get the updated event
-      const getUpdatedQuery = `SELECT * FROM events WHERE id = ?`;
-      const result = await query(getUpdatedQuery, [eventId]);
-      const updatedEvent = formatEventData(result[0]);
+      const updatedEvent = await EventRepository.setImage(eventId, imageUrl);
 
       logActivity(userId, 'EVENT_IMAGE_UPLOADED', { eventId, imageUrl });
 
@@ -804,4 +569,4 @@ router.post('/:id/image',
   }
 );
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,45 @@
+/**
+ * RobustTicketing - Backend Routes: Ledger
+ * Organization balances and the platform's accounts
+ */
+
+import express from 'express';
+import { authenticateToken, requirePermission, requireTwoFactor } from '../middleware/auth.js';
+import ledgerService from '../services/ledgerService.js';
+import organizationService from '../services/organizationService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/ledger/balance - What the platform holds for the current user's personal organization
+router.get('/balance', authenticateToken, requireTwoFactor, async (req, res) => {
+  try {
+    const organization = await organizationService.ensurePersonalOrganization(req.user.id);
+    res.json(await ledgerService.getOrganizationBalance(organization.id));
+  } catch (error) {
+    logger.error('Get ledger balance error:', error);
+    res.status(500).json({ error: 'Failed to retrieve balance' });
+  }
+});
+
+// GET /api/ledger/organizations/:organizationId/balance - An organization's balance (members with ledger:view, or admins)
+router.get('/organizations/:organizationId/balance', authenticateToken, requirePermission('ledger:view', { organizationParam: 'organizationId' }), requireTwoFactor, async (req, res) => {
+  try {
+    res.json(await ledgerService.getOrganizationBalance(req.params.organizationId));
+  } catch (error) {
+    logger.error('Get organization ledger balance error:', error);
+    res.status(500).json({ error: 'Failed to retrieve balance' });
+  }
+});
+
+// GET /api/ledger/accounts - Platform-wide account balances and trial balance (admin)
+router.get('/accounts', authenticateToken, requirePermission('ledger:audit'), requireTwoFactor, async (req, res) => {
+  try {
+    res.json(await ledgerService.getPlatformAccounts());
+  } catch (error) {
+    logger.error('Get ledger accounts error:', error);
+    res.status(500).json({ error: 'Failed to retrieve ledger accounts' });
+  }
+});
+
+export default router;
@@ -0,0 +1,220 @@
+/**
+ * RobustTicketing - Backend Routes: Orders
+ * Order history, cancellation, receipts and documents (invoices and bundled
+ * ticket PDFs), and attendee refund requests
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { idempotent } from '../middleware/idempotency.js';
+import EventRepository from '../repositories/EventRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import PromoCodeRepository from '../repositories/PromoCodeRepository.js';
+import { paginationMeta } from '../repositories/helpers.js';
+import checkoutService from '../services/checkoutService.js';
+import orderService from '../services/orderService.js';
+import waitlistService from '../services/waitlistService.js';
+import pdfService from '../services/pdfService.js';
+import refundRequestService from '../services/refundRequestService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schemas
+const refundRequestSchema = {
+  reason: { required: true, minLength: 2, maxLength: 1000 },
+  ticketIds: { type: 'array' }
+};
+
+const sendPdf = (res, pdf, filename) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type('pdf').send(Buffer.from(pdf));
+};
+
+const sendOrderError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/orders - The user's order history with line items and tickets (?status=&page=&limit=)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await orderService.listForUser(req.user.id, { status }, { page, limit });
+
+    res.json({
+      orders: result.orders,
+      pagination: paginationMeta(result, result.total)
+    });
+
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to retrieve orders');
+  }
+});
+
+// GET /api/orders/:id - Order detail with line items, tickets, payment status and refunds
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await orderService.getOrder(req.params.id, req.user.id);
+
+    res.json({ order });
+
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to retrieve order');
+  }
+});
+
+// POST /api/orders/:id/cancel - Cancel an unpaid order and give its tickets back
+router.post('/:id/cancel', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { order, freedTicketTypeIds } = await checkoutService.cancelOrder(req.params.id, req.user.id);
+
+    waitlistService.notifyInventoryFreed(freedTicketTypeIds);
+
+    logger.info('Order cancelled', { orderId: order.id, userId: req.user.id });
+
+    res.json({ order, message: 'Order cancelled' });
+
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to cancel order');
+  }
+});
+
+// GET /api/orders/:id/receipt - Payment receipt for a paid order, including refunds
+router.get('/:id/receipt', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await orderService.getReceipt(req.params.id, req.user.id);
+
+    res.json({ receipt });
+
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to retrieve receipt');
+  }
+});
+
+// GET /api/orders/:id/invoice - Invoice PDF for a paid order
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    const order = await OrderRepository.findForUser(req.params.id, req.user.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!orderService.PAID_STATUSES.includes(order.status)) {
+      return res.status(400).json({ error: 'An invoice is available once the order has been paid' });
+    }
+
+    const tickets = await TicketRepository.listForOrder(order.id);
+    const event = await EventRepository.findById(order.eventId);
+    const promoCode = order.promoCodeId
+      ? await PromoCodeRepository.findById(order.promoCodeId, null, { includeDeleted: true })
+      : null;
+    const pdf = await pdfService.renderInvoicePdf(order, tickets, event, { promoCode });
+
+    sendPdf(res, pdf, `invoice-${order.orderNumber}.pdf`);
+
+  } catch (error) {
+    logger.error('Generate invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// GET /api/orders/:id/tickets/download - Every valid ticket on the order in one PDF
+router.get('/:id/tickets/download', authenticateToken, async (req, res) => {
+  try {
+    const order = await OrderRepository.findForUser(req.params.id, req.user.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const tickets = (await TicketRepository.listForOrder(order.id))
+      .filter(ticket => ['active', 'used'].includes(ticket.status));
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ error: 'No tickets to download for this order' });
+    }
+
+    const pdf = await pdfService.renderTicketsPdf(tickets);
+
+    sendPdf(res, pdf, `tickets-${order.orderNumber}.pdf`);
+
+  } catch (error) {
+    logger.error('Generate order tickets PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate tickets PDF' });
+  }
+});
+
+// POST /api/orders/:id/refund-requests - Ask for a refund; approved at once when the refund policy covers it
+router.post('/:id/refund-requests', authenticateToken, validateRequest(refundRequestSchema), async (req, res) => {
+  try {
+    const { reason, ticketIds } = req.body;
+
+    if (ticketIds !== undefined && (ticketIds.length === 0 || !ticketIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ticketIds must list at least one ticket ID' });
+    }
+
+    const request = await refundRequestService.fileRequest(req.params.id, req.user.id, { reason, ticketIds });
+
+    logger.info('Refund request filed', {
+      orderId: req.params.id,
+      requestId: request.id,
+      status: request.status,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      request,
+      message: request.status === 'pending'
+        ? 'Refund request sent to the organizer'
+        : 'Refund approved under the event refund policy'
+    });
+
+  } catch (error) {
+    logger.error('File refund request error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to file refund request' });
+  }
+});
+
+// GET /api/orders/:id/refund-requests - Refund requests on the order with their history
+router.get('/:id/refund-requests', authenticateToken, async (req, res) => {
+  try {
+    const requests = await refundRequestService.listForOrder(req.params.id, req.user.id);
+
+    res.json({ requests });
+
+  } catch (error) {
+    logger.error('Get refund requests error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to retrieve refund requests' });
+  }
+});
+
+// DELETE /api/orders/:id/refund-requests/:requestId - Withdraw a request still waiting for review
+router.delete('/:id/refund-requests/:requestId', authenticateToken, async (req, res) => {
+  try {
+    const request = await refundRequestService.withdrawRequest(req.params.id, req.params.requestId, req.user.id);
+
+    res.json({ request, message: 'Refund request withdrawn' });
+
+  } catch (error) {
+    logger.error('Withdraw refund request error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to withdraw refund request' });
+  }
+});
+
+export default router;
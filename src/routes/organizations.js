@@ -0,0 +1,257 @@
+/**
+ * RobustTicketing - Backend Routes: Organizations
+ * Teams that own events: members, their roles and email invitations
+ */
+
+import express from 'express';
+import { acceptApiKey, authenticateToken, requirePermission } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import EventRepository from '../repositories/EventRepository.js';
+import organizationService, { MEMBER_ROLES } from '../services/organizationService.js';
+import { paginationMeta } from '../repositories/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schemas
+const organizationSchema = {
+  name: { required: true, minLength: 2, maxLength: 200 }
+};
+
+const invitationSchema = {
+  email: { required: true, type: 'email' },
+  role: { required: true, enum: MEMBER_ROLES }
+};
+
+const memberRoleSchema = {
+  role: { required: true, enum: MEMBER_ROLES }
+};
+
+const acceptSchema = {
+  token: { required: true, minLength: 20, maxLength: 100 }
+};
+
+const sendOrganizationError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const requireMemberManager = requirePermission('member:manage', { organizationParam: 'id' });
+
+// Anyone may remove themselves, which is how members leave
+const selfOrMemberManager = (req, res, next) =>
+  req.params.userId === req.user.id ? next() : requireMemberManager(req, res, next);
+
+// Routes
+
+// GET /api/organizations - Organizations the signed-in user belongs to
+router.get('/', acceptApiKey('events:read'), authenticateToken, async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user.id);
+
+    res.json({ organizations });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to retrieve organizations');
+  }
+});
+
+// POST /api/organizations - Create an organization owned by the signed-in user
+router.post('/', authenticateToken, validateRequest(organizationSchema), async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(req.user.id, { name: req.body.name });
+
+    logger.info('Organization created', { organizationId: organization.id, userId: req.user.id });
+
+    res.status(201).json({
+      organization,
+      message: 'Organization created successfully'
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to create organization');
+  }
+});
+
+// POST /api/organizations/invitations/accept - Join with the token from an invitation email
+router.post('/invitations/accept', authenticateToken, validateRequest(acceptSchema), async (req, res) => {
+  try {
+    const organization = await organizationService.acceptInvitation(req.body.token, req.user.id);
+
+    logger.info('Organization invitation accepted', { organizationId: organization.id, userId: req.user.id });
+
+    res.json({
+      organization,
+      message: `You have joined ${organization.name}`
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// GET /api/organizations/:id - One organization and the signed-in user's role in it
+router.get('/:id', authenticateToken, requirePermission('organization:view', { organizationParam: 'id' }), async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.id, req.user.id);
+
+    res.json({ organization });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to retrieve organization');
+  }
+});
+
+// PUT /api/organizations/:id - Rename an organization
+router.put('/:id', authenticateToken, requirePermission('organization:update', { organizationParam: 'id' }), validateRequest(organizationSchema), async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(req.params.id, { name: req.body.name });
+
+    res.json({
+      organization,
+      message: 'Organization updated successfully'
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update organization');
+  }
+});
+
+// DELETE /api/organizations/:id - Delete an organization that has no events
+router.delete('/:id', authenticateToken, requirePermission('organization:delete', { organizationParam: 'id' }), async (req, res) => {
+  try {
+    await organizationService.deleteOrganization(req.params.id);
+
+    logger.info('Organization deleted', { organizationId: req.params.id, userId: req.user.id });
+
+    res.json({ message: 'Organization deleted successfully' });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to delete organization');
+  }
+});
+
+// GET /api/organizations/:id/events - The organization's events in any status (?status=&page=&limit=); an event-limited API key sees only its event
+router.get('/:id/events', acceptApiKey('events:read'), authenticateToken, requirePermission('organization:view', { organizationParam: 'id' }), async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await EventRepository.list(
+      { organizationId: req.params.id, status, eventId: req.user.apiKey?.eventId },
+      { page, limit },
+      { sort: 'newest' }
+    );
+
+    res.json({
+      events: result.events,
+      pagination: paginationMeta(result, result.total)
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to retrieve organization events');
+  }
+});
+
+// GET /api/organizations/:id/members - Members and their roles
+router.get('/:id/members', authenticateToken, requirePermission('organization:view', { organizationParam: 'id' }), async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.params.id);
+
+    res.json({ members, roles: MEMBER_ROLES });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to retrieve members');
+  }
+});
+
+// PUT /api/organizations/:id/members/:userId - Change a member's role
+router.put('/:id/members/:userId', authenticateToken, requireMemberManager, validateRequest(memberRoleSchema), async (req, res) => {
+  try {
+    const members = await organizationService.changeMemberRole(req.params.id, req.params.userId, req.body.role, {
+      changedBy: req.user.id
+    });
+
+    logger.info('Organization member role changed', {
+      organizationId: req.params.id,
+      memberId: req.params.userId,
+      role: req.body.role,
+      userId: req.user.id
+    });
+
+    res.json({
+      members,
+      message: 'Member role updated successfully'
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update member role');
+  }
+});
+
+// DELETE /api/organizations/:id/members/:userId - Remove a member; members may remove themselves to leave
+router.delete('/:id/members/:userId', authenticateToken, selfOrMemberManager, async (req, res) => {
+  try {
+    await organizationService.removeMember(req.params.id, req.params.userId, { removedBy: req.user.id });
+
+    logger.info('Organization member removed', {
+      organizationId: req.params.id,
+      memberId: req.params.userId,
+      userId: req.user.id
+    });
+
+    res.json({ message: 'Member removed successfully' });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to remove member');
+  }
+});
+
+// GET /api/organizations/:id/invitations - Invitations waiting to be accepted
+router.get('/:id/invitations', authenticateToken, requireMemberManager, async (req, res) => {
+  try {
+    const invitations = await organizationService.listInvitations(req.params.id);
+
+    res.json({ invitations });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to retrieve invitations');
+  }
+});
+
+// POST /api/organizations/:id/invitations - Invite someone by email
+router.post('/:id/invitations', authenticateToken, requireMemberManager, validateRequest(invitationSchema), async (req, res) => {
+  try {
+    const invitation = await organizationService.inviteMember(req.params.id, req.body, { invitedBy: req.user.id });
+
+    logger.info('Organization invitation sent', {
+      organizationId: req.params.id,
+      invitationId: invitation.id,
+      role: invitation.role,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      invitation,
+      message: 'Invitation sent successfully'
+    });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to send invitation');
+  }
+});
+
+// DELETE /api/organizations/:id/invitations/:invitationId - Revoke an invitation
+router.delete('/:id/invitations/:invitationId', authenticateToken, requireMemberManager, async (req, res) => {
+  try {
+    await organizationService.revokeInvitation(req.params.id, req.params.invitationId);
+
+    res.json({ message: 'Invitation revoked successfully' });
+
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to revoke invitation');
+  }
+});
+
+export default router;
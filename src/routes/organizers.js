@@ -0,0 +1,132 @@
+/**
+ * RobustTicketing - Backend Routes: Organizers
+ * Payouts and settlement statements for an organization's events, for its
+ * members with payout:view. "me" stands for the signed-in user's personal
+ * organization.
+ */
+
+import express from 'express';
+import { authenticateToken, requirePermission, requireTwoFactor } from '../middleware/auth.js';
+import { paginationMeta } from '../repositories/helpers.js';
+import organizationService from '../services/organizationService.js';
+import payoutService from '../services/payoutService.js';
+import { toCSV } from '../utils/csv.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const SETTLEMENT_COLUMNS = [
+  ['Event ID', 'eventId'],
+  ['Event', 'eventTitle'],
+  ['Event ends', 'eventEndsAt'],
+  ['Currency', 'currency'],
+  ['Gross sales', 'grossSales'],
+  ['Refunds', 'refunds'],
+  ['Chargebacks', 'chargebacks'],
+  ['Platform fees', 'platformFees'],
+  ['Tax', 'tax'],
+  ['Paid out', 'paidOut'],
+  ['Balance', 'balance'],
+  ['Reserve', 'reserve'],
+  ['Available', 'available'],
+  ['Next payout', 'nextPayoutAt'],
+  ['Next payout amount', 'nextPayoutAmount']
+];
+
+const STATEMENT_LINE_COLUMNS = [
+  ['Date', 'date'],
+  ['Type', 'type'],
+  ['Order', 'orderNumber'],
+  ['Description', 'description'],
+  ['Currency', 'currency'],
+  ['Amount', 'amount'],
+  ['Balance', 'balance']
+];
+
+const sendCsv = (res, csv, filename) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type('text/csv').send(csv);
+};
+
+const sendOrganizerError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Swap "me" for the id of the signed-in user's personal organization
+const resolveOrganization = async (req, res, next) => {
+  try {
+    if (req.params.organizationId === 'me') {
+      req.params.organizationId = (await organizationService.ensurePersonalOrganization(req.user.id)).id;
+    }
+    next();
+  } catch (error) {
+    sendOrganizerError(res, error, 'Failed to resolve organization');
+  }
+};
+
+const requirePayoutAccess = [
+  authenticateToken,
+  resolveOrganization,
+  requirePermission('payout:view', { organizationParam: 'organizationId' }),
+  requireTwoFactor
+];
+
+// Routes
+
+// GET /api/organizers/:organizationId/payouts - Payout history and upcoming payouts (?status=&page=&limit=)
+router.get('/:organizationId/payouts', requirePayoutAccess, async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await payoutService.getOrganizationPayouts(req.params.organizationId, { status }, { page, limit });
+
+    res.json({
+      payouts: result.payouts,
+      upcoming: result.upcoming,
+      pagination: paginationMeta(result, result.total)
+    });
+
+  } catch (error) {
+    sendOrganizerError(res, error, 'Failed to retrieve payouts');
+  }
+});
+
+// GET /api/organizers/:organizationId/statements - Settlement per event (?format=csv)
+router.get('/:organizationId/statements', requirePayoutAccess, async (req, res) => {
+  try {
+    const settlements = await payoutService.getSettlements(req.params.organizationId);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, toCSV(SETTLEMENT_COLUMNS, settlements), 'settlement-statement.csv');
+    }
+
+    res.json({ settlements });
+
+  } catch (error) {
+    sendOrganizerError(res, error, 'Failed to retrieve settlement statement');
+  }
+});
+
+// GET /api/organizers/:organizationId/statements/:eventId - One event's settlement and ledger lines (?format=csv);
+// open to the event's finance staff as well as the organization's
+router.get('/:organizationId/statements/:eventId', authenticateToken, resolveOrganization, requireTwoFactor, async (req, res) => {
+  try {
+    const statement = await payoutService.getEventStatement(req.user.id, req.params.eventId, {
+      organizationId: req.params.organizationId
+    });
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, toCSV(STATEMENT_LINE_COLUMNS, statement.lines), `settlement-${statement.event.id}.csv`);
+    }
+
+    res.json({ statement });
+
+  } catch (error) {
+    sendOrganizerError(res, error, 'Failed to retrieve settlement statement');
+  }
+});
+
+export default router;
@@ -6,86 +6,119 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { query } from '../config/database.js';
+import { idempotent } from '../middleware/idempotency.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import checkoutService from '../services/checkoutService.js';
+import paymentService from '../services/paymentService.js';
+import waitlistService from '../services/waitlistService.js';
+import refundService from '../services/refundService.js';
+import permissionService from '../services/permissionService.js';
+import { isProviderName } from '../services/paymentProviders/index.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
-// Mock payment processing for development
-const processPayment = async (paymentData) => {
-  // Simulate payment processing delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Simulate successful payment (90% success rate for testing)
-  const success = Math.random() > 0.1;
-  
-  if (success) {
-    return {
-      success: true,
-      transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      paymentIntentId: `pi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    };
-  } else {
-    throw new Error('Payment failed - insufficient funds');
-  }
-};
+// Box-office payments are taken by the event's staff
+const canTakeCash = (order, userId) =>
+  permissionService.can(userId, 'payment:collect', { eventId: order.eventId });
+
+const formatPaymentIntent = (intent, provider) => ({
+  id: intent.id,
+  provider,
+  amount: intent.amount,
+  currency: intent.currency,
+  status: intent.status,
+  client_secret: intent.clientSecret
+});
 
-// POST /api/payments/create-intent - Create payment intent
-router.post('/create-intent', authenticateToken, async (req, res) => {
+// POST /api/payments/create-intent - Create payment intent for a hold or pending order
+router.post('/create-intent', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { orderId, amount } = req.body;
+    const { holdId, orderId, amount, customerInfo, promoCode, provider } = req.body;
     
-    if (!orderId || !amount || amount <= 0) {
-      return res.status(400).json({ error: 'Valid order ID and amount are required' });
+    if (!holdId && !orderId) {
+      return res.status(400).json({ error: 'A hold ID or order ID is required' });
     }
     
-    // Verify order exists and belongs to user
-    const orderQuery = `
-      SELECT * FROM orders 
-      WHERE id = $1 AND user_id = $2 AND status = 'pending'
-    `;
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return res.status(400).json({ error: 'Promo code must be a string' });
+    }
     
-    const orderResult = await db.query(orderQuery, [orderId, req.user.id]);
+    if (provider !== undefined && !isProviderName(provider)) {
+      return res.status(400).json({ error: 'Unknown payment provider' });
+    }
     
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found or not eligible for payment' });
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
     }
     
-    const order = orderResult.rows[0];
+    let order;
+    let hold;
+    let pricing = null;
+    
+    if (holdId) {
+      // Turn the hold into a pending order; buyer details default to the account
+      ({ order, hold, pricing } = await checkoutService.startCheckout(holdId, req.user.id, customerInfo || {
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        email: req.user.email,
+        phone: req.user.phone
+      }, { promoCode }));
+    } else {
+      // Verify order exists and belongs to user
+      order = await OrderRepository.findForUser(orderId, req.user.id, { status: 'pending' });
+      
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found or not eligible for payment' });
+      }
+      
+      hold = await checkoutService.assertOrderPayable(order);
+      
+      // Orders started from a hold can still switch promo code
+      if (hold && promoCode !== undefined) {
+        ({ order, pricing } = await checkoutService.startCheckout(hold.id, req.user.id, order.customer, { promoCode }));
+      }
+    }
     
-    if (parseFloat(order.total_amount) !== amount) {
+    if (amount !== undefined && order.totalAmount !== amount) {
       return res.status(400).json({ error: 'Amount mismatch' });
     }
     
-    // Create payment intent (mock)
-    const paymentIntent = {
-      id: `pi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      amount: amount * 100, // Convert to cents
-      currency: 'usd',
-      status: 'requires_payment_method',
-      client_secret: `pi_${Date.now()}_secret_${Math.random().toString(36).substr(2, 16)}`
-    };
+    if (provider === 'cash' && !(await canTakeCash(order, req.user.id))) {
+      return res.status(403).json({ error: 'Only event staff can take cash payments' });
+    }
+    
+    const payment = await paymentService.startPayment(order, provider);
+    const paymentIntent = formatPaymentIntent(payment.intent, payment.provider);
+    order = { ...order, paymentIntentId: paymentIntent.id, paymentMethod: payment.provider };
     
     logger.info('Payment intent created', {
-      orderId,
+      orderId: order.id,
+      holdId: hold?.id,
       paymentIntentId: paymentIntent.id,
-      amount,
+      amount: order.totalAmount,
       userId: req.user.id
     });
     
     res.json({
       paymentIntent,
+      order,
+      pricing,
+      hold: hold ? { id: hold.id, expiresAt: hold.expiresAt } : null,
       message: 'Payment intent created successfully'
     });
     
   } catch (error) {
     logger.error('Create payment intent error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to create payment intent' });
   }
 });
 
 // POST /api/payments/confirm - Confirm payment
-router.post('/confirm', authenticateToken, async (req, res) => {
+router.post('/confirm', authenticateToken, idempotent, async (req, res) => {
   try {
     const { paymentIntentId, paymentMethodId, orderId } = req.body;
     
@@ -94,85 +127,82 @@ router.post('/confirm', authenticateToken, async (req, res) => {
     }
     
     // Verify order
-    const orderQuery = `
-      SELECT * FROM orders 
-      WHERE id = $1 AND user_id = $2 AND status = 'pending'
-    `;
+    const order = await OrderRepository.findForUser(orderId, req.user.id, { status: 'pending' });
     
-    const orderResult = await db.query(orderQuery, [orderId, req.user.id]);
-    
-    if (orderResult.rows.length === 0) {
+    if (!order) {
       return res.status(404).json({ error: 'Order not found or already processed' });
     }
     
-    const order = orderResult.rows[0];
+    // Don't charge for a hold that has already lapsed
+    await checkoutService.assertOrderPayable(order);
     
-    // Process payment (mock)
-    const paymentResult = await processPayment({
+    if (order.paymentIntentId !== paymentIntentId) {
+      return res.status(400).json({ error: 'Payment intent does not belong to this order' });
+    }
+    
+    if (order.paymentMethod === 'cash' && !(await canTakeCash(order, req.user.id))) {
+      return res.status(403).json({ error: 'Only event staff can take cash payments' });
+    }
+    
+    // Charge through the order's provider; tickets are issued once it succeeds
+    const { intent, order: paidOrder, tickets } = await paymentService.confirmPayment(order, {
       paymentIntentId,
-      paymentMethodId,
-      amount: order.total_amount
+      paymentMethodId
     });
     
-    if (paymentResult.success) {
-      // Update order status
-      const updateOrderQuery = `
-        UPDATE orders 
-        SET status = 'completed', payment_intent_id = $1, transaction_id = $2, updated_at = NOW()
-        WHERE id = $3
-        RETURNING *
-      `;
-      
-      const updatedOrder = await db.query(updateOrderQuery, [
-        paymentIntentId,
-        paymentResult.transactionId,
-        orderId
-      ]);
-      
-      logger.info('Payment confirmed', {
-        orderId,
-        paymentIntentId,
-        transactionId: paymentResult.transactionId,
-        amount: order.total_amount,
-        userId: req.user.id
-      });
-      
-      res.json({
+    // 3-D Secure or a slow payment method; the webhook completes the order once it settles
+    if (intent.status !== 'succeeded') {
+      return res.status(202).json({
         payment: {
-          status: 'succeeded',
-          transactionId: paymentResult.transactionId,
-          paymentIntentId
+          status: intent.status,
+          paymentIntentId,
+          clientSecret: intent.clientSecret,
+          nextAction: intent.nextAction
         },
-        order: updatedOrder.rows[0],
-        message: 'Payment processed successfully'
+        order,
+        message: intent.status === 'requires_action' ? 'Additional authentication required' : 'Payment is processing'
       });
-    } else {
-      throw new Error('Payment processing failed');
     }
     
+    logger.info('Payment confirmed', {
+      orderId,
+      provider: order.paymentMethod,
+      paymentIntentId,
+      transactionId: intent.transactionId,
+      amount: order.totalAmount,
+      userId: req.user.id
+    });
+    
+    res.json({
+      payment: {
+        status: 'succeeded',
+        transactionId: intent.transactionId,
+        paymentIntentId
+      },
+      order: paidOrder,
+      tickets,
+      message: 'Payment processed successfully'
+    });
+    
   } catch (error) {
     logger.error('Confirm payment error:', error);
-    res.status(400).json({ error: error.message || 'Payment confirmation failed' });
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Payment confirmation failed' });
   }
 });
 
-// GET /api/payments/methods - Get user payment methods
+// GET /api/payments/methods - Get the user's payment methods from a provider (?provider=, default online provider)
 router.get('/methods', authenticateToken, async (req, res) => {
   try {
-    // Mock payment methods for development
-    const paymentMethods = [
-      {
-        id: 'pm_1234567890',
-        type: 'card',
-        card: {
-          brand: 'visa',
-          last4: '4242',
-          expMonth: 12,
-          expYear: 2025
-        },
-        isDefault: true
-      }
-    ];
+    const { provider } = req.query;
+    
+    if (provider !== undefined && !isProviderName(provider)) {
+      return res.status(400).json({ error: 'Unknown payment provider' });
+    }
+    
+    const paymentMethods = await paymentService.getPaymentMethods(req.user, provider);
     
     res.json({ paymentMethods });
     
@@ -182,76 +212,104 @@ router.get('/methods', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/payments/refund - Process refund
-router.post('/refund', authenticateToken, async (req, res) => {
+const refundSchema = {
+  orderId: { required: true, type: 'uuid' },
+  ticketIds: { type: 'array' },
+  amount: { type: 'number', min: 0.01 },
+  reason: { required: true, minLength: 2, maxLength: 500 }
+};
+
+// POST /api/payments/refund - Event staff refund tickets or part of an order; attendees file refund requests
+router.post('/refund', authenticateToken, idempotent, validateRequest(refundSchema), async (req, res) => {
   try {
-    const { orderId, amount, reason } = req.body;
-    
-    if (!orderId || !amount || !reason) {
-      return res.status(400).json({ error: 'Order ID, amount, and reason are required' });
-    }
-    
-    // Verify order and user permission
-    const orderQuery = `
-      SELECT o.*, e.organizer_id 
-      FROM orders o
-      JOIN events e ON o.event_id = e.id
-      WHERE o.id = $1 AND (o.user_id = $2 OR e.organizer_id = $2)
-    `;
-    
-    const orderResult = await db.query(orderQuery, [orderId, req.user.id]);
-    
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found or access denied' });
-    }
-    
-    const order = orderResult.rows[0];
+    const { orderId, ticketIds, amount, reason } = req.body;
     
-    if (order.status !== 'completed') {
-      return res.status(400).json({ error: 'Order is not eligible for refund' });
+    if (ticketIds !== undefined && (ticketIds.length === 0 || !ticketIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ticketIds must list at least one ticket ID' });
     }
     
-    if (amount > parseFloat(order.total_amount)) {
-      return res.status(400).json({ error: 'Refund amount cannot exceed order total' });
-    }
-    
-    // Process refund (mock)
-    const refundId = `re_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Update order with refund information
-    const updateQuery = `
-      UPDATE orders 
-      SET status = 'refunded', refund_amount = $1, refund_reason = $2, 
-          refund_id = $3, updated_at = NOW()
-      WHERE id = $4
-      RETURNING *
-    `;
+    const { refund, order, restockedTicketTypeIds } = await refundService.refundOrder(orderId, req.user.id, {
+      ticketIds,
+      amount,
+      reason
+    });
     
-    const updatedOrder = await db.query(updateQuery, [amount, reason, refundId, orderId]);
+    waitlistService.notifyInventoryFreed(restockedTicketTypeIds);
     
-    logger.info('Refund processed', {
+    logger.info(refund.status === 'succeeded' ? 'Refund processed' : 'Refund pending', {
       orderId,
-      refundId,
-      amount,
+      refundId: refund.id,
+      amount: refund.amount,
+      ticketCount: refund.ticketIds.length,
       reason,
       userId: req.user.id
     });
     
+    // The provider could not be reached; the refund is retried until it goes through
+    if (refund.status !== 'succeeded') {
+      return res.status(202).json({
+        refund,
+        order,
+        message: 'Refund recorded; it will complete once the payment provider confirms it'
+      });
+    }
+    
     res.json({
-      refund: {
-        id: refundId,
-        amount,
-        reason,
-        status: 'succeeded'
-      },
-      order: updatedOrder.rows[0],
+      refund,
+      order,
       message: 'Refund processed successfully'
     });
     
   } catch (error) {
     logger.error('Process refund error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process refund' });
   }
 });
 
+// GET /api/payments/refunds/:orderId - Refunds taken so far and what can still be refunded
+router.get('/refunds/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const summary = await refundService.getRefundSummary(req.params.orderId, req.user.id);
+    
+    res.json(summary);
+    
+  } catch (error) {
+    logger.error('Get refunds error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to retrieve refunds' });
+  }
+});
+
+// POST /api/payments/webhook[/:provider] - Provider events, authenticated by signature rather than
+// token; the bare path is Stripe's
+router.post('/webhook/:provider?', async (req, res) => {
+  const provider = req.params.provider || 'stripe';
+  let event;
+  
+  try {
+    event = paymentService.parseWebhook(provider, req.rawBody, req.headers);
+  } catch (error) {
+    logger.warn('Rejected payment webhook', { provider, error: error.message, ip: req.ip });
+    return res.status(400).json({ error: 'Webhook signature verification failed' });
+  }
+  
+  try {
+    const handled = await paymentService.handleWebhookEvent(provider, event);
+    
+    logger.info('Payment webhook received', { provider, eventId: event.id, type: event.type, handled });
+    
+    res.json({ received: true });
+    
+  } catch (error) {
+    // Anything but a 2xx makes the provider retry the delivery later
+    logger.error('Payment webhook error:', { provider, eventId: event.id, type: event.type, error: error.message });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
 export default router;
\ No newline at end of file
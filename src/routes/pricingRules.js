@@ -0,0 +1,244 @@
+/**
+ * RobustTicketing - Backend Routes: Pricing Rules
+ * Admin management of platform fee rules and tax rules
+ */
+
+import express from 'express';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import EventRepository from '../repositories/EventRepository.js';
+import FeeRuleRepository from '../repositories/FeeRuleRepository.js';
+import TaxRuleRepository from '../repositories/TaxRuleRepository.js';
+import { logger } from '../utils/logger.js';
+import { isSupportedCurrency, normalizeCurrency } from '../utils/money.js';
+
+const router = express.Router();
+
+const FEE_PAYERS = ['buyer', 'organizer'];
+
+// Validation schemas
+const feeRuleFields = {
+  name: { minLength: 2, maxLength: 100 },
+  percent: { type: 'number', min: 0, max: 100 },
+  fixedAmount: { type: 'number', min: 0, max: 100000 },
+  cap: { type: 'number', min: 0, max: 100000 },
+  paidBy: { enum: FEE_PAYERS },
+  currency: { minLength: 3, maxLength: 3 },
+  isActive: { type: 'boolean' }
+};
+
+const createFeeRuleSchema = {
+  ...feeRuleFields,
+  eventId: { type: 'uuid' },
+  name: { required: true, minLength: 2, maxLength: 100 }
+};
+
+const taxRuleFields = {
+  country: { minLength: 2, maxLength: 100 },
+  state: { minLength: 2, maxLength: 100 },
+  name: { minLength: 2, maxLength: 100 },
+  rate: { type: 'number', min: 0, max: 100 },
+  inclusive: { type: 'boolean' },
+  isActive: { type: 'boolean' }
+};
+
+const createTaxRuleSchema = {
+  ...taxRuleFields,
+  country: { required: true, minLength: 2, maxLength: 100 },
+  name: { required: true, minLength: 2, maxLength: 100 },
+  rate: { required: true, type: 'number', min: 0, max: 100 }
+};
+
+const CURRENCY_ERROR = 'currency must be an ISO 4217 currency code such as USD, EUR or JPY';
+
+const FEE_AMOUNTS_ERROR = 'A fee rule with a fixed amount or cap needs a currency; rules without one charge only their percent';
+
+// Fixed amounts and caps are money, so they only make sense with a currency
+const hasAmountsWithoutCurrency = (rule) =>
+  !rule.currency && (rule.fixedAmount > 0 || (rule.cap !== null && rule.cap !== undefined));
+
+// Only whitelisted fields reach the repositories
+const pick = (body, fields) =>
+  Object.fromEntries(Object.keys(fields).filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+
+// Fee rules
+
+// GET /api/pricing-rules/fees - List fee rules (?eventId=, or ?eventId=platform for defaults only)
+router.get('/fees', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    const feeRules = await FeeRuleRepository.list({ eventId: eventId === 'platform' ? null : eventId });
+
+    res.json({ feeRules });
+
+  } catch (error) {
+    logger.error('List fee rules error:', error);
+    res.status(500).json({ error: 'Failed to retrieve fee rules' });
+  }
+});
+
+// POST /api/pricing-rules/fees - Create a fee rule; without eventId it is the platform default (for `currency`, or any)
+router.post('/fees', authenticateToken, requirePermission('pricing:manage'), validateRequest(createFeeRuleSchema), async (req, res) => {
+  try {
+    const { eventId } = req.body;
+
+    if (req.body.currency && !isSupportedCurrency(req.body.currency)) {
+      return res.status(400).json({ error: CURRENCY_ERROR });
+    }
+
+    if (hasAmountsWithoutCurrency(req.body)) {
+      return res.status(400).json({ error: FEE_AMOUNTS_ERROR });
+    }
+
+    const event = eventId ? await EventRepository.findById(eventId) : null;
+
+    if (eventId && !event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event && req.body.currency && normalizeCurrency(req.body.currency) !== event.currency) {
+      return res.status(400).json({ error: `This event sells in ${event.currency}; its fee rule must use the same currency` });
+    }
+
+    const feeRule = await FeeRuleRepository.create(req.user.id, {
+      ...pick(req.body, feeRuleFields),
+      eventId: eventId || null
+    });
+
+    logger.info('Fee rule created', { feeRuleId: feeRule.id, eventId: feeRule.eventId, userId: req.user.id });
+
+    res.status(201).json({
+      feeRule,
+      message: 'Fee rule created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create fee rule error:', error);
+    res.status(500).json({ error: 'Failed to create fee rule' });
+  }
+});
+
+// PUT /api/pricing-rules/fees/:ruleId - Update a fee rule; orders already priced keep the old one
+router.put('/fees/:ruleId', authenticateToken, requirePermission('pricing:manage'), validateRequest(feeRuleFields), async (req, res) => {
+  try {
+    if (req.body.currency && !isSupportedCurrency(req.body.currency)) {
+      return res.status(400).json({ error: CURRENCY_ERROR });
+    }
+
+    const existing = await FeeRuleRepository.findById(req.params.ruleId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Fee rule not found' });
+    }
+
+    if (hasAmountsWithoutCurrency({ ...existing, ...pick(req.body, feeRuleFields) })) {
+      return res.status(400).json({ error: FEE_AMOUNTS_ERROR });
+    }
+
+    const feeRule = await FeeRuleRepository.update(existing.id, pick(req.body, feeRuleFields));
+
+    logger.info('Fee rule updated', { feeRuleId: feeRule.id, userId: req.user.id });
+
+    res.json({
+      feeRule,
+      message: 'Fee rule updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update fee rule error:', error);
+    res.status(500).json({ error: 'Failed to update fee rule' });
+  }
+});
+
+// DELETE /api/pricing-rules/fees/:ruleId - Delete a fee rule
+router.delete('/fees/:ruleId', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!(await FeeRuleRepository.remove(req.params.ruleId))) {
+      return res.status(404).json({ error: 'Fee rule not found' });
+    }
+
+    logger.info('Fee rule deleted', { feeRuleId: req.params.ruleId, userId: req.user.id });
+
+    res.json({ message: 'Fee rule deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete fee rule error:', error);
+    res.status(500).json({ error: 'Failed to delete fee rule' });
+  }
+});
+
+// Tax rules
+
+// GET /api/pricing-rules/taxes - List tax rules (?country=)
+router.get('/taxes', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const taxRules = await TaxRuleRepository.list({ country: req.query.country });
+
+    res.json({ taxRules });
+
+  } catch (error) {
+    logger.error('List tax rules error:', error);
+    res.status(500).json({ error: 'Failed to retrieve tax rules' });
+  }
+});
+
+// POST /api/pricing-rules/taxes - Create a tax rule for a venue country, or one state of it
+router.post('/taxes', authenticateToken, requirePermission('pricing:manage'), validateRequest(createTaxRuleSchema), async (req, res) => {
+  try {
+    const taxRule = await TaxRuleRepository.create(req.user.id, pick(req.body, taxRuleFields));
+
+    logger.info('Tax rule created', { taxRuleId: taxRule.id, country: taxRule.country, state: taxRule.state, userId: req.user.id });
+
+    res.status(201).json({
+      taxRule,
+      message: 'Tax rule created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create tax rule error:', error);
+    res.status(500).json({ error: 'Failed to create tax rule' });
+  }
+});
+
+// PUT /api/pricing-rules/taxes/:ruleId - Update a tax rule; orders already priced keep the old one
+router.put('/taxes/:ruleId', authenticateToken, requirePermission('pricing:manage'), validateRequest(taxRuleFields), async (req, res) => {
+  try {
+    const existing = await TaxRuleRepository.findById(req.params.ruleId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    const taxRule = await TaxRuleRepository.update(existing.id, pick(req.body, taxRuleFields));
+
+    logger.info('Tax rule updated', { taxRuleId: taxRule.id, userId: req.user.id });
+
+    res.json({
+      taxRule,
+      message: 'Tax rule updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update tax rule error:', error);
+    res.status(500).json({ error: 'Failed to update tax rule' });
+  }
+});
+
+// DELETE /api/pricing-rules/taxes/:ruleId - Delete a tax rule
+router.delete('/taxes/:ruleId', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!(await TaxRuleRepository.remove(req.params.ruleId))) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    logger.info('Tax rule deleted', { taxRuleId: req.params.ruleId, userId: req.user.id });
+
+    res.json({ message: 'Tax rule deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete tax rule error:', error);
+    res.status(500).json({ error: 'Failed to delete tax rule' });
+  }
+});
+
+export default router;
@@ -0,0 +1,264 @@
+/**
+ * RobustTicketing - Backend Routes: Promo Codes
+ * Organizer management of event promo codes, mounted at /api/events/:id/promo-codes
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import PromoCodeRepository from '../repositories/PromoCodeRepository.js';
+import checkoutService from '../services/checkoutService.js';
+import permissionService from '../services/permissionService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'bogo'];
+const SCOPES = ['order', 'ticket_types'];
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Validation schemas
+const promoCodeFields = {
+  description: { maxLength: 255 },
+  discountType: { enum: DISCOUNT_TYPES },
+  discountValue: { type: 'number', min: 0, max: 100000 },
+  buyQuantity: { type: 'number', min: 1, max: 100 },
+  getQuantity: { type: 'number', min: 1, max: 100 },
+  scope: { enum: SCOPES },
+  ticketTypeIds: { type: 'array', maxLength: 100 },
+  maxUses: { type: 'number', min: 1 },
+  perUserLimit: { type: 'number', min: 1 },
+  startsAt: { type: 'datetime' },
+  endsAt: { type: 'datetime' },
+  isActive: { type: 'boolean' }
+};
+
+const createPromoCodeSchema = {
+  ...promoCodeFields,
+  code: { required: true, minLength: 3, maxLength: 50 },
+  discountType: { required: true, enum: DISCOUNT_TYPES }
+};
+
+const previewSchema = {
+  code: { required: true, minLength: 3, maxLength: 50 },
+  tickets: {
+    required: true,
+    type: 'array',
+    minLength: 1,
+    maxLength: 20,
+    items: {
+      ticketTypeId: { required: true, type: 'uuid' },
+      quantity: { required: true, type: 'number', min: 1, max: 10 }
+    }
+  }
+};
+
+const withParsedDates = (data) => ({
+  ...data,
+  startsAt: data.startsAt ? new Date(data.startsAt) : data.startsAt,
+  endsAt: data.endsAt ? new Date(data.endsAt) : data.endsAt
+});
+
+/**
+ * Rules spanning several fields, checked against the promo code as it will
+ * be saved. Returns an error message or null.
+ */
+const checkPromoRules = async (eventId, promo) => {
+  if (promo.discountType === 'percentage' && !(promo.discountValue > 0 && promo.discountValue <= 100)) {
+    return 'Percentage discounts must be between 0 and 100';
+  }
+
+  if (promo.discountType === 'fixed_amount' && !(promo.discountValue > 0)) {
+    return 'Fixed amount discounts must be greater than 0';
+  }
+
+  if (promo.startsAt && promo.endsAt && new Date(promo.endsAt) <= new Date(promo.startsAt)) {
+    return 'Promo code end date must be after start date';
+  }
+
+  if (promo.scope === 'ticket_types') {
+    const ids = [...new Set(promo.ticketTypeIds || [])];
+
+    if (ids.length === 0) {
+      return 'Choose at least one ticket type for a ticket type scoped promo code';
+    }
+
+    const ticketTypes = await TicketRepository.findTicketTypes(eventId, ids);
+    if (ticketTypes.length !== ids.length) {
+      return 'One or more ticket types do not belong to this event';
+    }
+  }
+
+  return null;
+};
+
+const findEventForOrganizer = (req) =>
+  permissionService.findPermittedEvent(req.user.id, req.params.id, 'promo:manage');
+
+// Routes
+
+// GET /api/events/:id/promo-codes - List an event's promo codes
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const event = await findEventForOrganizer(req);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found or access denied' });
+    }
+
+    const promoCodes = await PromoCodeRepository.listForEvent(event.id);
+
+    res.json({ promoCodes });
+
+  } catch (error) {
+    logger.error('List promo codes error:', error);
+    res.status(500).json({ error: 'Failed to retrieve promo codes' });
+  }
+});
+
+// POST /api/events/:id/promo-codes/preview - Price a selection with a code, without redeeming it
+router.post('/preview', authenticateToken, validateRequest(previewSchema), async (req, res) => {
+  try {
+    const pricing = await checkoutService.previewPrice(req.user.id, {
+      eventId: req.params.id,
+      tickets: req.body.tickets,
+      promoCode: req.body.code
+    });
+
+    res.json({ pricing });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Preview promo code error:', error);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
+});
+
+// POST /api/events/:id/promo-codes - Create a promo code
+router.post('/', authenticateToken, validateRequest(createPromoCodeSchema), async (req, res) => {
+  try {
+    const event = await findEventForOrganizer(req);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found or access denied' });
+    }
+
+    if (!CODE_PATTERN.test(req.body.code)) {
+      return res.status(400).json({ error: 'Promo codes may only contain letters, numbers, dashes and underscores' });
+    }
+
+    const data = withParsedDates({ scope: 'order', ...req.body });
+    const ruleError = await checkPromoRules(event.id, data);
+
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    if (await PromoCodeRepository.existsByCode(event.id, data.code)) {
+      return res.status(409).json({ error: 'A promo code with this code already exists for the event' });
+    }
+
+    const promoCode = await PromoCodeRepository.create(event.id, req.user.id, data);
+
+    logger.info('Promo code created', {
+      eventId: event.id,
+      promoCodeId: promoCode.id,
+      code: promoCode.code,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      promoCode,
+      message: 'Promo code created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Create promo code error:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// GET /api/events/:id/promo-codes/:promoId - Get a promo code
+router.get('/:promoId', authenticateToken, async (req, res) => {
+  try {
+    const event = await findEventForOrganizer(req);
+    const promoCode = event ? await PromoCodeRepository.findById(req.params.promoId, event.id) : null;
+
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found or access denied' });
+    }
+
+    res.json({ promoCode });
+
+  } catch (error) {
+    logger.error('Get promo code error:', error);
+    res.status(500).json({ error: 'Failed to retrieve promo code' });
+  }
+});
+
+// PUT /api/events/:id/promo-codes/:promoId - Update a promo code; the code itself cannot change
+router.put('/:promoId', authenticateToken, validateRequest(promoCodeFields), async (req, res) => {
+  try {
+    const event = await findEventForOrganizer(req);
+    const existing = event ? await PromoCodeRepository.findById(req.params.promoId, event.id) : null;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promo code not found or access denied' });
+    }
+
+    const patch = withParsedDates(req.body);
+    const ruleError = await checkPromoRules(event.id, { ...existing, ...patch });
+
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const promoCode = await PromoCodeRepository.update(existing.id, patch);
+
+    logger.info('Promo code updated', {
+      eventId: event.id,
+      promoCodeId: promoCode.id,
+      userId: req.user.id
+    });
+
+    res.json({
+      promoCode,
+      message: 'Promo code updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update promo code error:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// DELETE /api/events/:id/promo-codes/:promoId - Delete a promo code
+router.delete('/:promoId', authenticateToken, async (req, res) => {
+  try {
+    const event = await findEventForOrganizer(req);
+    const existing = event ? await PromoCodeRepository.findById(req.params.promoId, event.id) : null;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promo code not found or access denied' });
+    }
+
+    await PromoCodeRepository.softDelete(existing.id);
+
+    logger.info('Promo code deleted', {
+      eventId: event.id,
+      promoCodeId: existing.id,
+      userId: req.user.id
+    });
+
+    res.json({ message: 'Promo code deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete promo code error:', error);
+    res.status(500).json({ error: 'Failed to delete promo code' });
+  }
+});
+
+export default router;
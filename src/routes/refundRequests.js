@@ -0,0 +1,77 @@
+/**
+ * RobustTicketing - Backend Routes: Refund Requests
+ * The organizer's refund request queue, mounted at /api/events/:id/refund-requests
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { idempotent } from '../middleware/idempotency.js';
+import refundRequestService, { DECISIONS, REQUEST_STATUSES } from '../services/refundRequestService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const decisionSchema = {
+  decision: { required: true, enum: Object.keys(DECISIONS) },
+  amount: { type: 'number', min: 0.01 },
+  ticketIds: { type: 'array' },
+  message: { maxLength: 1000 }
+};
+
+const sendRefundRequestError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Routes
+
+// GET /api/events/:id/refund-requests - Requests for the event, oldest first (?status=pending)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const requests = await refundRequestService.listForEvent(req.params.id, req.user.id, { status });
+
+    res.json({ requests });
+
+  } catch (error) {
+    sendRefundRequestError(res, error, 'Failed to retrieve refund requests');
+  }
+});
+
+// POST /api/events/:id/refund-requests/:requestId/decision - Approve, partly approve or deny a request
+router.post('/:requestId/decision', authenticateToken, idempotent, validateRequest(decisionSchema), async (req, res) => {
+  try {
+    const { decision, amount, ticketIds, message } = req.body;
+    const request = await refundRequestService.decide(req.params.id, req.params.requestId, req.user.id, {
+      decision,
+      amount,
+      ticketIds,
+      message: message || null
+    });
+
+    logger.info('Refund request decided', {
+      eventId: req.params.id,
+      requestId: request.id,
+      status: request.status,
+      approvedAmount: request.approvedAmount,
+      userId: req.user.id
+    });
+
+    res.json({ request, message: `Refund request ${request.status.replace('_', ' ')}` });
+
+  } catch (error) {
+    sendRefundRequestError(res, error, 'Failed to decide refund request');
+  }
+});
+
+export default router;
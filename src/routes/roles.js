@@ -0,0 +1,117 @@
+/**
+ * RobustTicketing - Backend Routes: Roles
+ * Admin assignment of platform roles and event roles, and the permissions
+ * each role carries
+ */
+
+import express from 'express';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import permissionService, { PLATFORM_ROLES, ORGANIZATION_ROLES, EVENT_ROLES, GRANTABLE_EVENT_ROLES } from '../services/permissionService.js';
+import { logger, securityLogger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schemas
+const assignRoleSchema = {
+  role: { required: true, enum: [...Object.keys(PLATFORM_ROLES), ...GRANTABLE_EVENT_ROLES] },
+  eventId: { type: 'uuid' }
+};
+
+// GET /api/roles - Roles and the permissions they carry
+router.get('/', authenticateToken, requirePermission('role:assign'), (req, res) => {
+  res.json({
+    permissions: permissionService.PERMISSIONS,
+    platformRoles: PLATFORM_ROLES,
+    organizationRoles: ORGANIZATION_ROLES,
+    eventRoles: EVENT_ROLES
+  });
+});
+
+// GET /api/roles/users/:userId - A user's platform roles and event grants
+router.get('/users/:userId', authenticateToken, requirePermission('role:assign'), async (req, res) => {
+  try {
+    res.json(await permissionService.getUserRoles(req.params.userId));
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Get user roles error:', error);
+    res.status(500).json({ error: 'Failed to retrieve user roles' });
+  }
+});
+
+// POST /api/roles/users/:userId - Assign a platform role, or with eventId a role on that event
+router.post('/users/:userId', authenticateToken, requirePermission('role:assign'), validateRequest(assignRoleSchema), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, eventId } = req.body;
+
+    if (eventId) {
+      await permissionService.grantEventRole(eventId, userId, role, { grantedBy: req.user.id });
+    } else {
+      await permissionService.assignPlatformRole(userId, role);
+    }
+
+    securityLogger.logSecurityEvent('ROLE_ASSIGNED', { userId, role, eventId, assignedBy: req.user.id });
+
+    res.status(201).json({
+      ...(await permissionService.getUserRoles(userId)),
+      message: 'Role assigned successfully'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Assign role error:', error);
+    res.status(500).json({ error: 'Failed to assign role' });
+  }
+});
+
+// DELETE /api/roles/users/:userId/roles/:role - Remove a platform role
+router.delete('/users/:userId/roles/:role', authenticateToken, requirePermission('role:assign'), async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+    const roles = await permissionService.removePlatformRole(userId, role, { removedBy: req.user.id });
+
+    securityLogger.logSecurityEvent('ROLE_REMOVED', { userId, role, removedBy: req.user.id });
+
+    res.json({
+      ...roles,
+      message: 'Role removed successfully'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Remove role error:', error);
+    res.status(500).json({ error: 'Failed to remove role' });
+  }
+});
+
+// DELETE /api/roles/users/:userId/events/:eventId - Remove the user's role on an event
+router.delete('/users/:userId/events/:eventId', authenticateToken, requirePermission('role:assign'), async (req, res) => {
+  try {
+    const { userId, eventId } = req.params;
+    await permissionService.revokeEventRole(eventId, userId);
+
+    securityLogger.logSecurityEvent('EVENT_ROLE_REMOVED', { userId, eventId, removedBy: req.user.id });
+
+    res.json({
+      ...(await permissionService.getUserRoles(userId)),
+      message: 'Event role removed successfully'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Remove event role error:', error);
+    res.status(500).json({ error: 'Failed to remove event role' });
+  }
+});
+
+export default router;
@@ -4,12 +4,41 @@
  */
 
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import rateLimit from 'express-rate-limit';
-import { authenticateToken } from '../middleware/auth.js';
+import { acceptApiKey, authenticateToken } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { query } from '../config/database.js';
+import { idempotent } from '../middleware/idempotency.js';
+import EventRepository from '../repositories/EventRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import checkoutService from '../services/checkoutService.js';
+import paymentService from '../services/paymentService.js';
+import permissionService from '../services/permissionService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import ticketQrService from '../services/ticketQrService.js';
+import pdfService from '../services/pdfService.js';
+import waitlistService from '../services/waitlistService.js';
+import { paginationMeta } from '../repositories/helpers.js';
 import { logger } from '../utils/logger.js';
+import { hasValidPrecision, currencyDecimals } from '../utils/money.js';
+import { getPublicKeyInfo, isSignedPayload, verifyTicketPayload } from '../utils/ticketSigning.js';
+
+// Helper functions for logging
+const logError = (error, type, metadata = {}) => {
+  logger.error(`${type}: ${error.message}`, {
+    type,
+    error: error.message,
+    stack: error.stack,
+    ...metadata
+  });
+};
+
+const logActivity = (userId, activity, metadata = {}) => {
+  logger.info(`User activity: ${activity}`, {
+    userId,
+    activity,
+    ...metadata
+  });
+};
 
 const router = express.Router();
 
@@ -52,61 +81,27 @@ const purchaseSchema = {
     lastName: { required: true, minLength: 1, maxLength: 100 },
     email: { required: true, type: 'email' },
     phone: { minLength: 10, maxLength: 20 }
-  }
+  },
+  promoCode: { minLength: 3, maxLength: 50 }
 };
 
-// Helper functions
-const generateTicketCode = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 10; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
+const holdSchema = {
+  eventId: purchaseSchema.eventId,
+  tickets: purchaseSchema.tickets
 };
 
-const calculateOrderTotal = (ticketTypes, ticketQuantities) => {
-  let total = 0;
-  ticketTypes.forEach(type => {
-    const quantity = ticketQuantities[type.id] || 0;
-    total += type.price * quantity;
-  });
-  return total;
+const quoteSchema = {
+  ...holdSchema,
+  promoCode: purchaseSchema.promoCode,
+  displayCurrency: { minLength: 3, maxLength: 3 }
 };
 
-const formatTicketData = (ticket) => {
-  return {
-    id: ticket.id,
-    code: ticket.code,
-    status: ticket.status,
-    customerFirstName: ticket.customer_first_name,
-    customerLastName: ticket.customer_last_name,
-    customerEmail: ticket.customer_email,
-    customerPhone: ticket.customer_phone,
-    purchaseDate: ticket.purchase_date,
-    validatedAt: ticket.validated_at,
-    transferredAt: ticket.transferred_at,
-    transferredTo: ticket.transferred_to,
-    createdAt: ticket.created_at,
-    ticketType: {
-      id: ticket.ticket_type_id,
-      name: ticket.ticket_name,
-      description: ticket.ticket_description,
-      price: parseFloat(ticket.ticket_price)
-    },
-    event: {
-      id: ticket.event_id,
-      title: ticket.event_title,
-      startDate: ticket.event_start_date,
-      endDate: ticket.event_end_date,
-      venue: ticket.event_venue,
-      address: ticket.event_address
-    },
-    order: {
-      id: ticket.order_id,
-      totalAmount: parseFloat(ticket.order_total)
-    }
-  };
+// Checkout errors carry their own status; anything else is unexpected
+const sendCheckoutError = (res, error, fallbackMessage) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  return res.status(500).json({ error: fallbackMessage });
 };
 
 // Routes
@@ -122,51 +117,17 @@ router.get('/events/:eventId/ticket-types', async (req, res) => {
     }
 
     // Check if event exists and is public
-    const eventQuery = `
-      SELECT id, title, status, is_public FROM events 
-      WHERE id = $1 AND deleted_at IS NULL
-    `;
-    const eventResult = await db.query(eventQuery, [eventId]);
+    const event = await EventRepository.findById(eventId);
 
-    if (eventResult.rows.length === 0) {
+    if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const event = eventResult.rows[0];
-    if (!event.is_public && (!req.user || req.user.id !== event.organizer_id)) {
+    if (!event.isPublic && (!req.user || req.user.id !== event.organizerId)) {
       return res.status(403).json({ error: 'Event is not public' });
     }
 
-    // Get ticket types with availability
-    const query = `
-      SELECT tt.*, 
-             COUNT(t.id) as sold_count,
-             (tt.quantity - COUNT(t.id)) as available_count
-      FROM ticket_types tt
-      LEFT JOIN tickets t ON tt.id = t.ticket_type_id AND t.status != 'cancelled'
-      WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
-      GROUP BY tt.id
-      ORDER BY tt.price ASC
-    `;
-
-    const result = await db.query(query, [eventId]);
-    const ticketTypes = result.rows.map(tt => ({
-      id: tt.id,
-      name: tt.name,
-      description: tt.description,
-      price: parseFloat(tt.price),
-      quantity: tt.quantity,
-      soldCount: parseInt(tt.sold_count) || 0,
-      availableCount: parseInt(tt.available_count),
-      saleStartDate: tt.sale_start_date,
-      saleEndDate: tt.sale_end_date,
-      maxPerOrder: tt.max_per_order || 10,
-      isActive: tt.is_active,
-      isAvailable: tt.is_active && 
-                  (parseInt(tt.available_count) > 0) &&
-                  (!tt.sale_start_date || new Date(tt.sale_start_date) <= new Date()) &&
-                  (!tt.sale_end_date || new Date(tt.sale_end_date) >= new Date())
-    }));
+    const ticketTypes = await TicketRepository.listTicketTypes(eventId);
 
     res.json({ ticketTypes });
 
@@ -187,13 +148,9 @@ router.post('/events/:eventId/ticket-types',
       const ticketData = req.body;
 
       // Check if user owns the event
-      const eventQuery = `
-        SELECT * FROM events 
-        WHERE id = $1 AND organizer_id = $2 AND deleted_at IS NULL
-      `;
-      const eventResult = await db.query(eventQuery, [eventId, userId]);
+      const event = await permissionService.findPermittedEvent(userId, eventId, 'event:update');
 
-      if (eventResult.rows.length === 0) {
+      if (!event) {
         return res.status(404).json({ error: 'Event not found or access denied' });
       }
 
@@ -207,51 +164,28 @@ router.post('/events/:eventId/ticket-types',
         }
       }
 
-      const ticketTypeId = uuidv4();
-      const query = `
-        INSERT INTO ticket_types (
-          id, event_id, name, description, price, quantity, 
-          sale_start_date, sale_end_date, max_per_order, is_active,
-          created_at, updated_at
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW()
-        ) RETURNING *
-      `;
-
-      const values = [
-        ticketTypeId,
-        eventId,
-        ticketData.name,
-        ticketData.description || null,
-        ticketData.price,
-        ticketData.quantity,
-        ticketData.saleStartDate || null,
-        ticketData.saleEndDate || null,
-        ticketData.maxPerOrder || 10,
-        ticketData.isActive !== false
-      ];
-
-      const result = await db.query(query, values);
-      const ticketType = result.rows[0];
+      // Ticket types are always priced in the event's currency
+      if (!hasValidPrecision(ticketData.price, event.currency)) {
+        return res.status(400).json({
+          error: `${event.currency} prices can have at most ${currencyDecimals(event.currency)} decimal places`
+        });
+      }
+
+      const ticketType = await TicketRepository.createTicketType(eventId, {
+        ...ticketData,
+        currency: event.currency,
+        saleStartDate: ticketData.saleStartDate ? new Date(ticketData.saleStartDate) : null,
+        saleEndDate: ticketData.saleEndDate ? new Date(ticketData.saleEndDate) : null
+      });
 
       logActivity(userId, 'TICKET_TYPE_CREATED', { 
         eventId, 
-        ticketTypeId,
+        ticketTypeId: ticketType.id,
         name: ticketData.name 
       });
 
       res.status(201).json({
-        ticketType: {
-          id: ticketType.id,
-          name: ticketType.name,
-          description: ticketType.description,
-          price: parseFloat(ticketType.price),
-          quantity: ticketType.quantity,
-          saleStartDate: ticketType.sale_start_date,
-          saleEndDate: ticketType.sale_end_date,
-          maxPerOrder: ticketType.max_per_order,
-          isActive: ticketType.is_active
-        },
+        ticketType,
         message: 'Ticket type created successfully'
       });
 
@@ -265,272 +199,162 @@ router.post('/events/:eventId/ticket-types',
   }
 );
 
-// POST /api/tickets/purchase - Purchase tickets
+// POST /api/tickets/quote - Price a selection with fees and tax before buying it, optionally also in displayCurrency
+router.post('/quote', authenticateToken, validateRequest(quoteSchema), async (req, res) => {
+  try {
+    const { eventId, tickets, promoCode, displayCurrency } = req.body;
+    const quote = await checkoutService.previewPrice(req.user.id, { eventId, tickets, promoCode, displayCurrency });
+
+    res.json({ quote });
+
+  } catch (error) {
+    logError(error, 'QUOTE_TICKETS_ERROR', {
+      userId: req.user?.id,
+      eventId: req.body?.eventId
+    });
+    sendCheckoutError(res, error, 'Failed to price tickets');
+  }
+});
+
+// POST /api/tickets/purchase - Hold tickets and start paying for them in one step; tickets are issued once /api/payments/confirm succeeds
 router.post('/purchase',
   authenticateToken,
   purchaseLimit,
+  idempotent,
   validateRequest(purchaseSchema),
   async (req, res) => {
-    const client = await db.getClient();
-    
     try {
-      await client.query('BEGIN');
-      
       const userId = req.user.id;
-      const { eventId, tickets: ticketOrders, customerInfo } = req.body;
-
-      // Validate event exists and is available for purchase
-      const eventQuery = `
-        SELECT * FROM events 
-        WHERE id = $1 AND deleted_at IS NULL AND status = 'published'
-      `;
-      const eventResult = await client.query(eventQuery, [eventId]);
-
-      if (eventResult.rows.length === 0) {
-        throw new Error('Event not found or not available for purchase');
-      }
-
-      const event = eventResult.rows[0];
-      const now = new Date();
+      const { eventId, tickets: ticketOrders, customerInfo, promoCode } = req.body;
 
-      if (new Date(event.start_date) <= now) {
-        throw new Error('Cannot purchase tickets for events that have already started');
-      }
-
-      // Get ticket types and check availability
-      const ticketTypeIds = ticketOrders.map(order => order.ticketTypeId);
-      const ticketTypesQuery = `
-        SELECT tt.*, COUNT(t.id) as sold_count
-        FROM ticket_types tt
-        LEFT JOIN tickets t ON tt.id = t.ticket_type_id AND t.status != 'cancelled'
-        WHERE tt.id = ANY($1) AND tt.event_id = $2 AND tt.deleted_at IS NULL
-        GROUP BY tt.id
-      `;
-      const ticketTypesResult = await client.query(ticketTypesQuery, [ticketTypeIds, eventId]);
-
-      if (ticketTypesResult.rows.length !== ticketTypeIds.length) {
-        throw new Error('One or more ticket types not found');
-      }
-
-      const ticketTypes = ticketTypesResult.rows;
-      const ticketQuantities = {};
-      let totalAmount = 0;
-
-      // Validate each ticket order
-      for (const order of ticketOrders) {
-        const ticketType = ticketTypes.find(tt => tt.id === order.ticketTypeId);
-        
-        if (!ticketType.is_active) {
-          throw new Error(`Ticket type "${ticketType.name}" is not active`);
-        }
-
-        // Check sale period
-        if (ticketType.sale_start_date && new Date(ticketType.sale_start_date) > now) {
-          throw new Error(`Sales for "${ticketType.name}" have not started yet`);
-        }
-
-        if (ticketType.sale_end_date && new Date(ticketType.sale_end_date) < now) {
-          throw new Error(`Sales for "${ticketType.name}" have ended`);
-        }
-
-        // Check quantity limits
-        if (order.quantity > ticketType.max_per_order) {
-          throw new Error(`Maximum ${ticketType.max_per_order} tickets allowed per order for "${ticketType.name}"`);
-        }
-
-        const availableCount = ticketType.quantity - (parseInt(ticketType.sold_count) || 0);
-        if (order.quantity > availableCount) {
-          throw new Error(`Only ${availableCount} tickets available for "${ticketType.name}"`);
-        }
-
-        ticketQuantities[ticketType.id] = order.quantity;
-        totalAmount += ticketType.price * order.quantity;
-      }
-
-      // Create order
-      const orderId = uuidv4();
-      const orderQuery = `
-        INSERT INTO orders (
-          id, user_id, event_id, total_amount, status, 
-          customer_first_name, customer_last_name, customer_email, customer_phone,
-          created_at, updated_at
-        ) VALUES (
-          $1, $2, $3, $4, 'pending', $5, $6, $7, $8, NOW(), NOW()
-        ) RETURNING *
-      `;
-
-      const orderValues = [
-        orderId,
-        userId,
+      const { hold, order, pricing } = await checkoutService.purchase(userId, {
         eventId,
-        totalAmount,
-        customerInfo.firstName,
-        customerInfo.lastName,
-        customerInfo.email,
-        customerInfo.phone || null
-      ];
-
-      const orderResult = await client.query(orderQuery, orderValues);
-
-      // Create tickets
-      const createdTickets = [];
-      for (const order of ticketOrders) {
-        const ticketType = ticketTypes.find(tt => tt.id === order.ticketTypeId);
-        
-        for (let i = 0; i < order.quantity; i++) {
-          const ticketId = uuidv4();
-          const ticketCode = generateTicketCode();
-
-          const ticketQuery = `
-            INSERT INTO tickets (
-              id, code, order_id, ticket_type_id, status,
-              customer_first_name, customer_last_name, customer_email, customer_phone,
-              purchase_date, created_at, updated_at
-            ) VALUES (
-              $1, $2, $3, $4, 'valid', $5, $6, $7, $8, NOW(), NOW(), NOW()
-            ) RETURNING *
-          `;
-
-          const ticketValues = [
-            ticketId,
-            ticketCode,
-            orderId,
-            order.ticketTypeId,
-            customerInfo.firstName,
-            customerInfo.lastName,
-            customerInfo.email,
-            customerInfo.phone || null
-          ];
-
-          const ticketResult = await client.query(ticketQuery, ticketValues);
-          createdTickets.push({
-            ...ticketResult.rows[0],
-            ticketType: {
-              name: ticketType.name,
-              price: parseFloat(ticketType.price)
-            }
-          });
-        }
-      }
-
-      // Update order status to completed
-      await client.query(
-        'UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2',
-        ['completed', orderId]
-      );
-
-      await client.query('COMMIT');
+        tickets: ticketOrders,
+        customerInfo,
+        promoCode
+      });
+      const { intent, provider } = await paymentService.startPayment(order);
 
-      logActivity(userId, 'TICKETS_PURCHASED', {
-        orderId,
+      logActivity(userId, 'TICKET_PURCHASE_STARTED', {
+        orderId: order.id,
+        holdId: hold.id,
         eventId,
-        totalAmount,
-        ticketCount: createdTickets.length
+        totalAmount: order.totalAmount,
+        promoCode: pricing.discount?.code,
+        paymentIntentId: intent.id
       });
 
       res.status(201).json({
         order: {
-          id: orderId,
-          totalAmount,
-          status: 'completed',
-          ticketCount: createdTickets.length
+          id: order.id,
+          orderNumber: order.orderNumber,
+          subtotal: pricing.subtotal,
+          discountAmount: order.discountAmount,
+          fees: order.fees,
+          tax: order.tax,
+          totalAmount: order.totalAmount,
+          currency: order.currency,
+          status: order.status,
+          paymentIntentId: intent.id
+        },
+        pricing,
+        hold: { id: hold.id, expiresAt: hold.expiresAt },
+        paymentIntent: {
+          id: intent.id,
+          provider,
+          amount: intent.amount,
+          currency: intent.currency,
+          status: intent.status,
+          client_secret: intent.clientSecret
         },
-        tickets: createdTickets.map(ticket => ({
-          id: ticket.id,
-          code: ticket.code,
-          ticketType: ticket.ticketType
-        })),
-        message: 'Tickets purchased successfully'
+        message: `Tickets held for ${checkoutService.HOLD_MINUTES} minutes; confirm the payment to receive them`
       });
 
     } catch (error) {
-      await client.query('ROLLBACK');
       logError(error, 'PURCHASE_TICKETS_ERROR', { 
         userId: req.user?.id,
         eventId: req.body?.eventId 
       });
-      res.status(400).json({ error: error.message });
-    } finally {
-      client.release();
+      sendCheckoutError(res, error, 'Failed to purchase tickets');
     }
   }
 );
 
-// GET /api/tickets/my-tickets - Get user's tickets
-router.get('/my-tickets', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { page = 1, limit = 20, status, eventId } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let query = `
-      SELECT t.*, tt.name as ticket_name, tt.description as ticket_description, tt.price as ticket_price,
-             e.id as event_id, e.title as event_title, e.start_date as event_start_date, 
-             e.end_date as event_end_date, e.venue as event_venue, e.address as event_address,
-             o.id as order_id, o.total_amount as order_total
-      FROM tickets t
-      JOIN ticket_types tt ON t.ticket_type_id = tt.id
-      JOIN events e ON tt.event_id = e.id
-      JOIN orders o ON t.order_id = o.id
-      WHERE o.user_id = $1 AND t.deleted_at IS NULL
-    `;
-    
-    const params = [userId];
-    let paramIndex = 2;
-
-    if (status) {
-      query += ` AND t.status = $${paramIndex}`;
-      params.push(status);
-      paramIndex++;
-    }
+// POST /api/tickets/holds - Reserve tickets while the buyer checks out
+router.post('/holds',
+  authenticateToken,
+  purchaseLimit,
+  validateRequest(holdSchema),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { eventId, tickets } = req.body;
 
-    if (eventId) {
-      query += ` AND e.id = $${paramIndex}`;
-      params.push(eventId);
-      paramIndex++;
-    }
+      const hold = await checkoutService.createHold(userId, { eventId, tickets });
 
-    query += ` ORDER BY t.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(parseInt(limit), offset);
-
-    const result = await db.query(query, params);
-    const tickets = result.rows.map(formatTicketData);
-
-    // Get total count
-    let countQuery = `
-      SELECT COUNT(t.id) as total
-      FROM tickets t
-      JOIN ticket_types tt ON t.ticket_type_id = tt.id
-      JOIN events e ON tt.event_id = e.id
-      JOIN orders o ON t.order_id = o.id
-      WHERE o.user_id = $1 AND t.deleted_at IS NULL
-    `;
-    
-    const countParams = [userId];
-    let countParamIndex = 2;
-
-    if (status) {
-      countQuery += ` AND t.status = $${countParamIndex}`;
-      countParams.push(status);
-      countParamIndex++;
-    }
+      logActivity(userId, 'TICKETS_HELD', {
+        holdId: hold.id,
+        eventId,
+        expiresAt: hold.expiresAt
+      });
+
+      res.status(201).json({
+        hold,
+        message: `Tickets held for ${checkoutService.HOLD_MINUTES} minutes`
+      });
 
-    if (eventId) {
-      countQuery += ` AND e.id = $${countParamIndex}`;
-      countParams.push(eventId);
+    } catch (error) {
+      logError(error, 'CREATE_HOLD_ERROR', {
+        userId: req.user?.id,
+        eventId: req.body?.eventId
+      });
+      sendCheckoutError(res, error, 'Failed to hold tickets');
     }
+  }
+);
+
+// GET /api/tickets/holds/:id - Get a hold and its expiry
+router.get('/holds/:id', authenticateToken, async (req, res) => {
+  try {
+    const hold = await checkoutService.getHold(req.params.id, req.user.id);
+    res.json({ hold });
+
+  } catch (error) {
+    logError(error, 'GET_HOLD_ERROR', { holdId: req.params.id, userId: req.user?.id });
+    sendCheckoutError(res, error, 'Failed to retrieve hold');
+  }
+});
+
+// DELETE /api/tickets/holds/:id - Release held tickets
+router.delete('/holds/:id', authenticateToken, async (req, res) => {
+  try {
+    const hold = await checkoutService.releaseHold(req.params.id, req.user.id);
+
+    logActivity(req.user.id, 'TICKETS_RELEASED', { holdId: hold.id });
+    waitlistService.notifyInventoryFreed(hold.items.map(item => item.ticketTypeId));
+
+    res.json({ hold, message: 'Hold released' });
+
+  } catch (error) {
+    logError(error, 'RELEASE_HOLD_ERROR', { holdId: req.params.id, userId: req.user?.id });
+    sendCheckoutError(res, error, 'Failed to release hold');
+  }
+});
+
+// GET /api/tickets/my-tickets - Get user's tickets
+router.get('/my-tickets', authenticateToken, async (req, res) => {
+  try {
+    const { page, limit, status, eventId } = req.query;
 
-    const countResult = await db.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].total);
+    const result = await TicketRepository.listForUser(
+      req.user.id,
+      { status, eventId },
+      { page, limit }
+    );
 
     res.json({
-      tickets,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      tickets: result.tickets,
+      pagination: paginationMeta(result, result.total)
     });
 
   } catch (error) {
@@ -539,32 +363,72 @@ router.get('/my-tickets', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/tickets/signing-key - Public key for verifying ticket QR codes offline
+router.get('/signing-key', (req, res) => {
+  try {
+    res.json(getPublicKeyInfo());
+  } catch (error) {
+    logError(error, 'GET_SIGNING_KEY_ERROR');
+    res.status(500).json({ error: 'Failed to retrieve signing key' });
+  }
+});
+
+// GET /api/tickets/:id/qr - Ticket QR code as a PNG image
+router.get('/:id/qr', authenticateToken, async (req, res) => {
+  try {
+    const ticket = await TicketRepository.findForUser(req.params.id, req.user.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const payload = await ticketQrService.ensureQrPayload(ticket);
+    const image = await ticketQrService.renderQrPng(payload);
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('png').send(image);
+
+  } catch (error) {
+    logError(error, 'GET_TICKET_QR_ERROR', {
+      ticketId: req.params.id,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to generate ticket QR code' });
+  }
+});
+
+// GET /api/tickets/:id/download - Printable ticket as a PDF
+router.get('/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const ticket = await TicketRepository.findForUser(req.params.id, req.user.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const pdf = await pdfService.renderTicketsPdf([ticket]);
+
+    res.set('Content-Disposition', `attachment; filename="ticket-${ticket.code}.pdf"`);
+    res.type('pdf').send(Buffer.from(pdf));
+
+  } catch (error) {
+    logError(error, 'DOWNLOAD_TICKET_ERROR', {
+      ticketId: req.params.id,
+      userId: req.user?.id
+    });
+    res.status(500).json({ error: 'Failed to generate ticket PDF' });
+  }
+});
+
 // GET /api/tickets/:id - Get single ticket
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const ticketId = req.params.id;
-    const userId = req.user.id;
-
-    const query = `
-      SELECT t.*, tt.name as ticket_name, tt.description as ticket_description, tt.price as ticket_price,
-             e.id as event_id, e.title as event_title, e.start_date as event_start_date, 
-             e.end_date as event_end_date, e.venue as event_venue, e.address as event_address,
-             o.id as order_id, o.total_amount as order_total
-      FROM tickets t
-      JOIN ticket_types tt ON t.ticket_type_id = tt.id
-      JOIN events e ON tt.event_id = e.id
-      JOIN orders o ON t.order_id = o.id
-      WHERE t.id = $1 AND o.user_id = $2 AND t.deleted_at IS NULL
-    `;
-
-    const result = await db.query(query, [ticketId, userId]);
-
-    if (result.rows.length === 0) {
+    const ticket = await TicketRepository.findForUser(req.params.id, req.user.id);
+
+    if (!ticket) {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
-    const ticket = formatTicketData(result.rows[0]);
-
     res.json({ ticket });
 
   } catch (error) {
@@ -576,50 +440,72 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/tickets/validate - Validate ticket at event
-router.post('/validate', async (req, res) => {
+// POST /api/tickets/validate - Validate ticket at event (event staff only)
+router.post('/validate', acceptApiKey('tickets:validate'), authenticateToken, async (req, res) => {
   try {
-    const { code } = req.body;
+    // Scanners send either the printed code or the signed QR payload
+    const scanned = req.body.payload || req.body.code;
 
-    if (!code || typeof code !== 'string') {
-      return res.status(400).json({ error: 'Ticket code is required' });
+    if (!scanned || typeof scanned !== 'string') {
+      return res.status(400).json({ error: 'Ticket code or signed payload is required' });
     }
 
-    const query = `
-      SELECT t.*, tt.name as ticket_name, e.title as event_title, e.start_date, e.end_date
-      FROM tickets t
-      JOIN ticket_types tt ON t.ticket_type_id = tt.id
-      JOIN events e ON tt.event_id = e.id
-      WHERE t.code = $1 AND t.deleted_at IS NULL
-    `;
+    let ticket;
+
+    if (isSignedPayload(scanned)) {
+      const claims = verifyTicketPayload(scanned);
+
+      if (!claims) {
+        return res.status(400).json({
+          valid: false,
+          error: 'Invalid ticket signature'
+        });
+      }
 
-    const result = await db.query(query, [code.toUpperCase()]);
+      ticket = await TicketRepository.findById(claims.ticketId);
 
-    if (result.rows.length === 0) {
+      // A valid signature must still describe the ticket we have on record
+      if (ticket && (ticket.event.id !== claims.eventId || ticket.ticketType.id !== claims.ticketTypeId)) {
+        ticket = null;
+      }
+    } else {
+      ticket = await TicketRepository.findByCode(scanned.toUpperCase());
+    }
+
+    if (!ticket) {
       return res.status(404).json({ 
         valid: false,
         error: 'Invalid ticket code' 
       });
     }
 
-    const ticket = result.rows[0];
+    const permitted = apiKeyService.allowsEvent(req.user.apiKey, ticket.event.id) &&
+      await permissionService.can(req.user.id, 'ticket:validate', { eventId: ticket.event.id });
+
+    if (!permitted) {
+      return res.status(403).json({
+        valid: false,
+        error: 'You are not allowed to validate tickets for this event'
+      });
+    }
+
     const now = new Date();
-    const eventStart = new Date(ticket.start_date);
-    const eventEnd = new Date(ticket.end_date);
+    const eventStart = new Date(ticket.event.startDate);
+    const eventEnd = new Date(ticket.event.endDate);
 
     // Check ticket status
-    if (ticket.status === 'cancelled') {
+    if (ticket.status === 'used') {
       return res.status(400).json({
         valid: false,
-        error: 'Ticket has been cancelled'
+        error: 'Ticket has already been used',
+        validatedAt: ticket.validatedAt
       });
     }
 
-    if (ticket.status === 'used') {
+    if (ticket.status !== 'active') {
       return res.status(400).json({
         valid: false,
-        error: 'Ticket has already been used',
-        validatedAt: ticket.validated_at
+        error: `Ticket has been ${ticket.status}`
       });
     }
 
@@ -638,32 +524,32 @@ router.post('/validate', async (req, res) => {
       });
     }
 
-    // Mark ticket as validated
-    const updateQuery = `
-      UPDATE tickets 
-      SET status = 'used', validated_at = NOW(), updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `;
-    
-    const updateResult = await db.query(updateQuery, [ticket.id]);
-    const validatedTicket = updateResult.rows[0];
-
-    logActivity(null, 'TICKET_VALIDATED', {
+    // Mark ticket as validated; null means another scan got there first
+    const validated = await TicketRepository.markUsed(ticket.id);
+
+    if (!validated) {
+      return res.status(409).json({
+        valid: false,
+        error: 'Ticket has already been used'
+      });
+    }
+
+    logActivity(req.user.id, 'TICKET_VALIDATED', {
       ticketId: ticket.id,
-      ticketCode: code,
-      eventTitle: ticket.event_title
+      ticketCode: ticket.code,
+      eventTitle: ticket.event.title
     });
 
     res.json({
       valid: true,
       ticket: {
-        id: validatedTicket.id,
-        code: validatedTicket.code,
-        customerName: `${validatedTicket.customer_first_name} ${validatedTicket.customer_last_name}`,
-        ticketType: ticket.ticket_name,
-        eventTitle: ticket.event_title,
-        validatedAt: validatedTicket.validated_at
+        id: ticket.id,
+        code: ticket.code,
+        customerName: ticket.attendeeName ||
+          `${ticket.customerFirstName} ${ticket.customerLastName}`,
+        ticketType: ticket.ticketType.name,
+        eventTitle: ticket.event.title,
+        validatedAt: validated.validatedAt
       },
       message: 'Ticket validated successfully'
     });
@@ -674,4 +560,4 @@ router.post('/validate', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -9,8 +9,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { query } from '../config/database.js';
-import { logger } from '../utils/logger.js';
+import UserRepository from '../repositories/UserRepository.js';
+import twoFactorService from '../services/twoFactorService.js';
+import tokenService from '../services/tokenService.js';
+import { logger, securityLogger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,39 +44,13 @@ const upload = multer({
 // GET /api/users/profile - Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const user = await UserRepository.findById(req.user.id);
     
-    const query = `
-      SELECT id, email, first_name, last_name, phone, date_of_birth, 
-             profile_image_url, email_verified, two_factor_enabled, 
-             created_at, updated_at
-      FROM users 
-      WHERE id = $1 AND deleted_at IS NULL
-    `;
-    
-    const result = await db.query(query, [userId]);
-    
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const user = result.rows[0];
-    
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        phone: user.phone,
-        dateOfBirth: user.date_of_birth,
-        profileImageUrl: user.profile_image_url,
-        emailVerified: user.email_verified,
-        twoFactorEnabled: user.two_factor_enabled,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at
-      }
-    });
+    res.json({ user });
     
   } catch (error) {
     logger.error('Get profile error:', error);
@@ -85,41 +61,21 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // PUT /api/users/profile - Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
     const { firstName, lastName, phone, dateOfBirth } = req.body;
     
-    const query = `
-      UPDATE users 
-      SET first_name = $1, last_name = $2, phone = $3, date_of_birth = $4, updated_at = NOW()
-      WHERE id = $5 AND deleted_at IS NULL
-      RETURNING id, email, first_name, last_name, phone, date_of_birth, 
-                profile_image_url, email_verified, two_factor_enabled, 
-                created_at, updated_at
-    `;
-    
-    const values = [firstName, lastName, phone || null, dateOfBirth || null, userId];
-    const result = await db.query(query, values);
+    const user = await UserRepository.updateProfile(req.user.id, {
+      firstName,
+      lastName,
+      phone,
+      dateOfBirth
+    });
     
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const user = result.rows[0];
-    
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        phone: user.phone,
-        dateOfBirth: user.date_of_birth,
-        profileImageUrl: user.profile_image_url,
-        emailVerified: user.email_verified,
-        twoFactorEnabled: user.two_factor_enabled,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at
-      },
+      user,
       message: 'Profile updated successfully'
     });
     
@@ -132,25 +88,15 @@ router.put('/profile', authenticateToken, async (req, res) => {
 // POST /api/users/avatar - Upload avatar
 router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
     if (!req.file) {
       return res.status(400).json({ error: 'No avatar file provided' });
     }
     
     const avatarUrl = `/uploads/avatars/${req.file.filename}`;
-    
-    const query = `
-      UPDATE users 
-      SET profile_image_url = $1, updated_at = NOW()
-      WHERE id = $2 AND deleted_at IS NULL
-      RETURNING profile_image_url
-    `;
-    
-    const result = await db.query(query, [avatarUrl, userId]);
+    const user = await UserRepository.setProfileImage(req.user.id, avatarUrl);
     
     res.json({
-      profileImageUrl: result.rows[0].profile_image_url,
+      profileImageUrl: user.profileImageUrl,
       message: 'Avatar updated successfully'
     });
     
@@ -160,4 +106,137 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
   }
 });
 
+const twoFactorCodeSchema = {
+  code: { required: true, minLength: 6, maxLength: 20 }
+};
+
+const sendTwoFactorError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/users/2fa - Whether 2FA is on and how many recovery codes are left
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json(await twoFactorService.getStatus(req.user.id));
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to retrieve two-factor status');
+  }
+});
+
+// POST /api/users/enable-2fa - Start enrollment: a new secret and its otpauth QR code
+router.post('/enable-2fa', authenticateToken, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user.id);
+
+    res.json({
+      ...enrollment,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it'
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to start two-factor enrollment');
+  }
+});
+
+// POST /api/users/confirm-2fa - Finish enrollment with the first code; returns recovery codes once
+router.post('/confirm-2fa', authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const { user, recoveryCodes } = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    // This sign-in just proved the second factor: swap its session for a two-factor one
+    const tokens = await tokenService.createSession(user, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      twoFactor: true
+    });
+    if (req.user.sessionId) {
+      await tokenService.revokeSession(user.id, req.user.sessionId, 'two_factor_enabled');
+    }
+
+    securityLogger.logSecurityEvent('TWO_FACTOR_ENABLED', { userId: user.id, email: user.email, ip: req.ip });
+
+    res.json({
+      user,
+      recoveryCodes,
+      tokens,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they are shown only once.'
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// POST /api/users/disable-2fa - Turn 2FA off with a current code or a recovery code
+router.post('/disable-2fa', authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const user = await twoFactorService.disable(req.user.id, req.body.code);
+
+    securityLogger.logSecurityEvent('TWO_FACTOR_DISABLED', { userId: user.id, email: user.email, ip: req.ip });
+
+    res.json({
+      user,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// POST /api/users/2fa/recovery-codes - Replace the recovery codes; needs a current code
+router.post('/2fa/recovery-codes', authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    securityLogger.logSecurityEvent('TWO_FACTOR_RECOVERY_CODES_REGENERATED', { userId: req.user.id, ip: req.ip });
+
+    res.json({
+      recoveryCodes,
+      message: 'New recovery codes generated; the old ones no longer work'
+    });
+
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to generate recovery codes');
+  }
+});
+
+// GET /api/users/sessions - Signed-in devices with user agent, IP and last activity
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.id, req.user.sessionId);
+
+    res.json({ sessions });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// DELETE /api/users/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.id, req.params.sessionId);
+
+    securityLogger.logSecurityEvent('SESSION_REVOKED', { userId: req.user.id, sessionId: req.params.sessionId, ip: req.ip });
+
+    res.json({
+      current: req.params.sessionId === req.user.sessionId,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
 export default router;
\ No newline at end of file
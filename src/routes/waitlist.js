@@ -0,0 +1,108 @@
+/**
+ * RobustTicketing - Backend Routes: Waitlist
+ * Queues for sold-out ticket types, mounted at /api/events/:id/waitlist
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import waitlistService from '../services/waitlistService.js';
+import permissionService from '../services/permissionService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const joinSchema = {
+  ticketTypeId: { required: true, type: 'uuid' },
+  quantity: { type: 'number', min: 1, max: 10 }
+};
+
+// An offer is claimed by paying for its hold through the normal checkout
+const withClaimLink = (entry) => ({
+  ...entry,
+  offer: entry.offer
+    ? { ...entry.offer, claimUrl: `${process.env.FRONTEND_URL}/checkout?hold=${entry.offer.holdId}` }
+    : null
+});
+
+const sendWaitlistError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Routes
+
+// POST /api/events/:id/waitlist - Join the queue for a sold-out ticket type
+router.post('/', authenticateToken, validateRequest(joinSchema), async (req, res) => {
+  try {
+    const entry = await waitlistService.join(req.user.id, req.params.id, {
+      ticketTypeId: req.body.ticketTypeId,
+      quantity: req.body.quantity || 1
+    });
+
+    logger.info('Waitlist joined', {
+      eventId: req.params.id,
+      entryId: entry.id,
+      ticketTypeId: entry.ticketTypeId,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      entry,
+      message: `You are number ${entry.position} on the waitlist`
+    });
+
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to join waitlist');
+  }
+});
+
+// GET /api/events/:id/waitlist - The current user's entries, positions and offers
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const entries = await waitlistService.listForUser(req.user.id, req.params.id);
+
+    res.json({ entries: entries.map(withClaimLink) });
+
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to retrieve waitlist');
+  }
+});
+
+// GET /api/events/:id/waitlist/summary - Queue depth per ticket type for the organizer
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    const event = await permissionService.findPermittedEvent(req.user.id, req.params.id, 'waitlist:view');
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found or access denied' });
+    }
+
+    const waitlist = await waitlistService.eventSummary(event.id);
+
+    res.json({ waitlist });
+
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to retrieve waitlist summary');
+  }
+});
+
+// DELETE /api/events/:id/waitlist/:entryId - Leave the waitlist, giving up any offer
+router.delete('/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const entry = await waitlistService.leave(req.user.id, req.params.id, req.params.entryId);
+
+    logger.info('Waitlist left', { eventId: req.params.id, entryId: entry.id, userId: req.user.id });
+
+    res.json({ entry, message: 'You have left the waitlist' });
+
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to leave waitlist');
+  }
+});
+
+export default router;
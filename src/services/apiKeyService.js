@@ -0,0 +1,108 @@
+/**
+ * RobustTicketing - API Key Service
+ * Keys for integrations such as CRM syncs and scanner scripts. A key acts
+ * for the user who created it, but only on endpoints that accept one of its
+ * scopes and, when it is limited to an event, only for that event. The key
+ * itself is shown once; only its hash is kept.
+ */
+
+import crypto from 'crypto';
+import ApiKeyRepository from '../repositories/ApiKeyRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import permissionService from './permissionService.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+
+export const SCOPES = ['events:read', 'orders:read', 'tickets:validate'];
+
+export const KEY_PREFIX = 'rtk_';
+
+// Requests per minute for a key created without its own limit
+export const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 60;
+
+// Last-used times are written at most this often per key
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Create a key for the user. Returns { apiKey, key }; `key` is the secret
+ * and is not stored, so this is the only time it can be shown.
+ */
+export const createKey = async (userId, { name, scopes, eventId, expiresAt, rateLimit }) => {
+  const requested = [...new Set(scopes)];
+  const unknown = requested.filter(scope => !SCOPES.includes(scope));
+
+  if (requested.length === 0 || unknown.length > 0) {
+    throw new ValidationError(`scopes must be one or more of: ${SCOPES.join(', ')}`);
+  }
+
+  if (rateLimit !== undefined && !Number.isInteger(rateLimit)) {
+    throw new ValidationError('rateLimit must be a whole number of requests per minute');
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new ValidationError('expiresAt must be in the future');
+  }
+
+  // A key can only be limited to an event its owner works on
+  if (eventId && (await permissionService.listEventPermissions(userId, eventId)).length === 0) {
+    throw new NotFoundError('Event not found or access denied');
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKeyRepository.create({
+    userId,
+    name: name.trim(),
+    prefix: key.slice(0, 12),
+    keyHash: hashKey(key),
+    scopes: requested,
+    eventId,
+    rateLimit: rateLimit || DEFAULT_RATE_LIMIT,
+    expiresAt: expiresAt ? new Date(expiresAt) : null
+  });
+
+  return { apiKey, key };
+};
+
+export const listKeys = (userId) => ApiKeyRepository.listForUser(userId);
+
+export const revokeKey = async (userId, keyId) => {
+  if (!(await ApiKeyRepository.revoke(keyId, userId))) {
+    throw new NotFoundError('API key not found');
+  }
+};
+
+/**
+ * The active key and its user for a presented key, or null. Records when
+ * and from where the key was last used.
+ */
+export const authenticate = async (key, { ipAddress } = {}) => {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKeyRepository.findByHash(hashKey(key));
+  if (!apiKey?.isActive) return null;
+
+  const user = await UserRepository.findById(apiKey.userId);
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > KEY_TOUCH_INTERVAL_MS) {
+    await ApiKeyRepository.touch(apiKey.id, ipAddress);
+  }
+
+  return { apiKey, user };
+};
+
+// Whether a request made with `apiKey` may act on the event; keys without an event restriction may act on any
+export const allowsEvent = (apiKey, eventId) => !apiKey?.eventId || apiKey.eventId === eventId;
+
+export default {
+  SCOPES,
+  KEY_PREFIX,
+  DEFAULT_RATE_LIMIT,
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticate,
+  allowsEvent
+};
@@ -0,0 +1,488 @@
+/**
+ * RobustTicketing - Checkout Service
+ * Ticket selection checks, reservation holds and turning holds into paid orders
+ */
+
+import crypto from 'crypto';
+import { withTransaction } from '../config/database.js';
+import EventRepository from '../repositories/EventRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import ReservationRepository from '../repositories/ReservationRepository.js';
+import PromoCodeRepository from '../repositories/PromoCodeRepository.js';
+import WaitlistRepository from '../repositories/WaitlistRepository.js';
+import inventoryService from './inventoryService.js';
+import pricingService from './pricingService.js';
+import ledgerService from './ledgerService.js';
+import currencyService from './currencyService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { signTicketPayload } from '../utils/ticketSigning.js';
+import { normalizeCurrency } from '../utils/money.js';
+
+// How long a hold keeps tickets aside while the buyer pays
+export const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15;
+
+// 12 characters from a 32-symbol alphabet (no 0/O or 1/I) = 60 bits of randomness
+const TICKET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TICKET_CODE_LENGTH = 12;
+
+// Statuses an order keeps once it has been paid for, whatever was refunded since
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const generateTicketCode = () => {
+  let result = '';
+  for (let i = 0; i < TICKET_CODE_LENGTH; i++) {
+    result += TICKET_CODE_ALPHABET.charAt(crypto.randomInt(TICKET_CODE_ALPHABET.length));
+  }
+  return result;
+};
+
+/**
+ * Check a selection of [{ ticketTypeId, quantity }] against the event, sale
+ * windows, per-order limits and availability (sold tickets and active holds).
+ * Every ticket type must be priced in the event's currency, so an order never
+ * mixes currencies. Must run inside a transaction; locks the ticket types
+ * until it ends.
+ */
+const validateSelection = async (eventId, selections) => {
+  const event = await EventRepository.findById(eventId);
+
+  if (!event || event.status !== 'published') {
+    throw new NotFoundError('Event not found or not available for purchase');
+  }
+
+  const now = new Date();
+
+  if (new Date(event.startDate) <= now) {
+    throw new ValidationError('Cannot purchase tickets for events that have already started');
+  }
+
+  // Merge repeated ticket types so limits apply to the total requested
+  const quantities = new Map();
+  for (const selection of selections) {
+    quantities.set(selection.ticketTypeId, (quantities.get(selection.ticketTypeId) || 0) + selection.quantity);
+  }
+
+  const ticketTypeIds = [...quantities.keys()];
+  await TicketRepository.lockTicketTypes(ticketTypeIds);
+  const ticketTypes = await TicketRepository.findTicketTypes(eventId, ticketTypeIds);
+
+  if (ticketTypes.length !== ticketTypeIds.length) {
+    throw new NotFoundError('One or more ticket types not found');
+  }
+
+  return ticketTypes.map(ticketType => {
+    const quantity = quantities.get(ticketType.id);
+
+    if (!ticketType.isActive) {
+      throw new ValidationError(`Ticket type "${ticketType.name}" is not active`);
+    }
+
+    if (normalizeCurrency(ticketType.currency) !== event.currency) {
+      throw new ValidationError(
+        `Orders cannot mix currencies: "${ticketType.name}" is priced in ${normalizeCurrency(ticketType.currency)} but this event sells in ${event.currency}`
+      );
+    }
+
+    if (ticketType.saleStartDate && new Date(ticketType.saleStartDate) > now) {
+      throw new ValidationError(`Sales for "${ticketType.name}" have not started yet`);
+    }
+
+    if (ticketType.saleEndDate && new Date(ticketType.saleEndDate) < now) {
+      throw new ValidationError(`Sales for "${ticketType.name}" have ended`);
+    }
+
+    if (quantity > ticketType.maxPerOrder) {
+      throw new ValidationError(`Maximum ${ticketType.maxPerOrder} tickets allowed per order for "${ticketType.name}"`);
+    }
+
+    if (quantity > ticketType.availableCount) {
+      throw new ConflictError(`Only ${ticketType.availableCount} tickets available for "${ticketType.name}"`);
+    }
+
+    return {
+      ticketTypeId: ticketType.id,
+      name: ticketType.name,
+      quantity,
+      unitPrice: ticketType.price
+    };
+  });
+};
+
+// Issue the tickets for priced lines, each with its own share of the fees and tax
+const issueTickets = async (order, lines) => {
+  const { customer } = order;
+  const attendeeName = [customer.firstName, customer.lastName].filter(Boolean).join(' ') || null;
+  const tickets = [];
+
+  for (const line of lines) {
+    for (const charged of line.tickets) {
+      const ticketId = crypto.randomUUID();
+      const ticket = await TicketRepository.create({
+        id: ticketId,
+        orderId: order.id,
+        userId: order.userId,
+        ticketTypeId: line.ticketTypeId,
+        code: generateTicketCode(),
+        qrPayload: signTicketPayload({
+          ticketId,
+          eventId: order.eventId,
+          ticketTypeId: line.ticketTypeId
+        }),
+        price: line.unitPrice,
+        fees: charged.fees,
+        tax: charged.tax,
+        attendeeName,
+        attendeeEmail: customer.email
+      });
+
+      tickets.push({
+        id: ticket.id,
+        code: ticket.code,
+        qrPayload: ticket.qrPayload,
+        fees: ticket.fees,
+        tax: ticket.tax,
+        ticketType: {
+          name: line.name,
+          price: line.unitPrice
+        }
+      });
+    }
+  }
+
+  return tickets;
+};
+
+// Cancel unpaid orders and hand back the promo uses they were holding
+const cancelUnpaidOrders = async (orderIds) => {
+  const cancelled = await OrderRepository.cancelPending(orderIds);
+  await pricingService.releaseDiscounts(cancelled);
+  return cancelled;
+};
+
+// The order columns a pricing is stored in
+const pricingFields = (pricing) => ({
+  totalAmount: pricing.total,
+  discountAmount: pricing.discountAmount,
+  promoCodeId: pricing.discount?.promoCodeId || null,
+  fees: pricing.feesAmount,
+  tax: pricing.taxAmount,
+  charges: pricing.charges
+});
+
+const createPricedOrder = async (userId, eventId, pricing, customer) => {
+  const order = await OrderRepository.create({
+    userId,
+    eventId,
+    ...pricingFields(pricing),
+    currency: pricing.currency,
+    customer
+  });
+
+  await pricingService.redeemDiscount(pricing, { orderId: order.id, userId });
+  return order;
+};
+
+// Price held lines the way `order` was priced: same currency, promo code, fee rule and tax rule
+const repriceOrder = async (order, lines) => {
+  const promo = order.promoCodeId
+    ? await PromoCodeRepository.findById(order.promoCodeId, null, { includeDeleted: true })
+    : null;
+  return pricingService.priceLines(lines, { promo, charges: order.charges, currency: order.currency });
+};
+
+// Price a selection without buying it: the quote shown before purchase, with an
+// approximate conversion when the buyer asks for another display currency
+export const previewPrice = async (userId, { eventId, tickets, promoCode, displayCurrency }) => {
+  const quote = await withTransaction(async () => {
+    const lines = await validateSelection(eventId, tickets);
+    return pricingService.price(eventId, lines, { promoCode, userId, forUpdate: false });
+  });
+
+  if (!displayCurrency) return quote;
+
+  // An estimate only: the order is still charged in the event currency
+  const { subtotal, discountAmount, feesAmount, taxAmount, total } = quote;
+  const conversion = await currencyService.convert(
+    { subtotal, discountAmount, feesAmount, taxAmount, total }, quote.currency, displayCurrency
+  );
+
+  return {
+    ...quote,
+    display: conversion && {
+      currency: conversion.currency,
+      rate: conversion.rate,
+      approximate: conversion.approximate,
+      ...conversion.amounts
+    }
+  };
+};
+
+/**
+ * Start buying tickets in one step: the tickets are held and the hold's
+ * pending order created at once. Nothing is issued or posted to the ledger
+ * until the order's payment succeeds (completeCheckout). Returns
+ * { hold, order, pricing }.
+ */
+export const purchase = async (userId, { eventId, tickets, customerInfo, promoCode }) => {
+  return withTransaction(async () => {
+    const hold = await createHold(userId, { eventId, tickets });
+    return startCheckout(hold.id, userId, customerInfo, { promoCode });
+  });
+};
+
+// Reserve tickets for HOLD_MINUTES so the buyer can pay without being outbid
+export const createHold = async (userId, { eventId, tickets }) => {
+  return withTransaction(async () => {
+    const lines = await validateSelection(eventId, tickets);
+
+    return ReservationRepository.create({
+      userId,
+      eventId,
+      expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+      items: lines
+    });
+  });
+};
+
+export const getHold = async (holdId, userId) => {
+  const hold = await ReservationRepository.findForUser(holdId, userId);
+
+  if (!hold) {
+    throw new NotFoundError('Hold not found');
+  }
+
+  return hold;
+};
+
+// Give held tickets back; a hold already paid for cannot be released
+export const releaseHold = async (holdId, userId) => {
+  return withTransaction(async () => {
+    const hold = await ReservationRepository.findForUpdate(holdId, userId);
+
+    if (!hold) {
+      throw new NotFoundError('Hold not found');
+    }
+
+    if (hold.status !== 'active') {
+      throw new ConflictError(`Hold is already ${hold.status}`);
+    }
+
+    await ReservationRepository.setStatus(hold.id, 'released');
+    if (hold.orderId) {
+      await cancelUnpaidOrders([hold.orderId]);
+    }
+
+    return { ...hold, status: 'released' };
+  });
+};
+
+/**
+ * Cancel an order the buyer has not paid for yet. Its hold is released so
+ * the tickets go back on sale and any promo code use is given back. Returns
+ * the cancelled order and the ticket types that were freed.
+ */
+export const cancelOrder = async (orderId, userId) => {
+  return withTransaction(async () => {
+    const order = await OrderRepository.findById(orderId, { forUpdate: true });
+
+    if (!order || order.userId !== userId) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (order.status !== 'pending') {
+      throw new ConflictError(`Only unpaid orders can be cancelled; this order is ${order.status.replace('_', ' ')}`);
+    }
+
+    const hold = await ReservationRepository.findForUpdateByOrder(order.id);
+    const releasing = hold?.status === 'active';
+
+    if (releasing) {
+      await ReservationRepository.setStatus(hold.id, 'released');
+    }
+    await cancelUnpaidOrders([order.id]);
+
+    return {
+      order: await OrderRepository.findById(order.id),
+      freedTicketTypeIds: releasing ? hold.items.map(item => item.ticketTypeId) : []
+    };
+  });
+};
+
+const assertHoldUsable = (hold) => {
+  if (!hold) {
+    throw new NotFoundError('Hold not found');
+  }
+
+  if (hold.status !== 'active' || hold.isExpired) {
+    throw new ConflictError('Hold has expired or is no longer active');
+  }
+};
+
+/**
+ * Start paying for a hold: creates the pending order on first call and
+ * returns the same order on later calls. Passing `promoCode` (or null to
+ * drop one) re-prices an existing order. The hold keeps its expiry.
+ */
+export const startCheckout = async (holdId, userId, customer, { promoCode } = {}) => {
+  return withTransaction(async () => {
+    const hold = await ReservationRepository.findForUpdate(holdId, userId);
+    assertHoldUsable(hold);
+
+    const existing = hold.orderId
+      ? await OrderRepository.findForUser(hold.orderId, userId, { status: 'pending' })
+      : null;
+
+    if (existing && promoCode === undefined) {
+      return { hold, order: existing, pricing: await repriceOrder(existing, hold.items) };
+    }
+
+    const pricing = await pricingService.price(hold.eventId, hold.items, { promoCode, userId });
+
+    if (existing) {
+      await pricingService.releaseDiscounts([existing.id]);
+      const order = await OrderRepository.updatePricing(existing.id, pricingFields(pricing));
+      await pricingService.redeemDiscount(pricing, { orderId: order.id, userId });
+      return { hold, order, pricing };
+    }
+
+    const order = await createPricedOrder(userId, hold.eventId, pricing, customer);
+    await ReservationRepository.attachOrder(hold.id, order.id);
+
+    return { hold: { ...hold, orderId: order.id }, order, pricing };
+  });
+};
+
+// Check that an order's hold can still be paid for before charging the buyer
+export const assertOrderPayable = async (order) => {
+  const hold = await ReservationRepository.findByOrder(order.id);
+
+  if (hold) {
+    assertHoldUsable(hold);
+  }
+
+  return hold;
+};
+
+/**
+ * Record a successful payment. Orders started from a hold get their tickets
+ * issued here and the hold is marked converted; if the hold lapsed while the
+ * payment was processing the order is cancelled instead. Reporting the
+ * payment that already paid the order again (confirm call and webhook, or a
+ * redelivered webhook after refunds) returns the order as it stands.
+ */
+export const completeCheckout = async (orderId, { paymentIntentId, transactionId }) => {
+  const result = await withTransaction(async () => {
+    const hold = await ReservationRepository.findForUpdateByOrder(orderId);
+    const current = await OrderRepository.findById(orderId);
+
+    if (PAID_STATUSES.includes(current.status) && current.paymentIntentId === paymentIntentId) {
+      return { order: current, tickets: await TicketRepository.listForOrder(orderId) };
+    }
+
+    if (current.status !== 'pending') {
+      return { closedStatus: current.status };
+    }
+
+    if (hold && (hold.status !== 'active' || hold.isExpired)) {
+      await cancelUnpaidOrders([orderId]);
+      return { lapsedHoldId: hold.id };
+    }
+
+    const order = await OrderRepository.markPaid(orderId, { paymentIntentId, transactionId });
+    await ledgerService.postPurchase(order);
+    let tickets = [];
+
+    if (hold) {
+      // Convert first so the hold no longer counts against the stock it is about to take
+      await ReservationRepository.setStatus(hold.id, 'converted');
+      await inventoryService.reserveStock(hold.items);
+      const pricing = await repriceOrder(order, hold.items);
+      tickets = await issueTickets(order, pricing.lines);
+      await WaitlistRepository.markClaimedByReservation(hold.id);
+    }
+
+    return { order, tickets };
+  });
+
+  if (result.closedStatus) {
+    logger.warn('Payment completed for a closed order', { orderId, status: result.closedStatus, paymentIntentId });
+    throw new ConflictError(`Order is already ${result.closedStatus}`);
+  }
+
+  // Thrown after commit so the cancellation sticks
+  if (result.lapsedHoldId) {
+    logger.warn('Payment completed after hold lapsed', { orderId, holdId: result.lapsedHoldId, paymentIntentId });
+    throw new ConflictError('Hold expired before payment completed');
+  }
+
+  return result;
+};
+
+/**
+ * Record a declined payment. The order is closed and its promo use given
+ * back; the hold stays active so the buyer can start a fresh payment from it.
+ */
+export const failCheckout = async (orderId) => {
+  return withTransaction(async () => {
+    const order = await OrderRepository.markFailed(orderId);
+
+    if (order) {
+      await pricingService.releaseDiscounts([order.id]);
+    }
+
+    return order;
+  });
+};
+
+/**
+ * Add a refund to an order, post it to the ledger and return `ticketIds` to
+ * stock. Once the order is fully refunded, or none of its tickets are left, it
+ * becomes refunded and any remaining tickets are closed too. Call inside
+ * withTransaction with the order locked.
+ */
+export const recordRefund = async (orderId, amount, { ticketIds = null, refundId = null } = {}) => {
+  const restockedTicketTypeIds = new Set();
+
+  if (ticketIds?.length > 0) {
+    const restock = await inventoryService.restockOrder(orderId, 'refunded', { ticketIds, refundId });
+    restock.ticketTypeIds.forEach(id => restockedTicketTypeIds.add(id));
+  }
+
+  const closed = ticketIds?.length > 0 && (await TicketRepository.countLiveForOrder(orderId)) === 0;
+  const order = await OrderRepository.recordRefund(orderId, amount, { closed });
+  await ledgerService.postRefund(order, amount, { refundId });
+
+  if (order.status === 'refunded') {
+    const restock = await inventoryService.restockOrder(orderId, 'refunded', { refundId });
+    restock.ticketTypeIds.forEach(id => restockedTicketTypeIds.add(id));
+  }
+
+  return { order, restockedTicketTypeIds: [...restockedTicketTypeIds] };
+};
+
+// Release lapsed holds and cancel the unpaid orders started from them
+export const expireHolds = async () => {
+  return withTransaction(async () => {
+    const { expired, orderIds } = await ReservationRepository.expireStale();
+    const cancelledOrders = await cancelUnpaidOrders(orderIds);
+    return { expired, cancelledOrders: cancelledOrders.length };
+  });
+};
+
+export default {
+  HOLD_MINUTES,
+  previewPrice,
+  purchase,
+  createHold,
+  getHold,
+  releaseHold,
+  cancelOrder,
+  startCheckout,
+  assertOrderPayable,
+  completeCheckout,
+  failCheckout,
+  recordRefund,
+  expireHolds
+};
@@ -0,0 +1,111 @@
+/**
+ * RobustTicketing - Currency Service
+ * Display-only conversion from a locally configured exchange rate table.
+ * Orders are always charged, refunded and paid out in the event currency;
+ * converted amounts are estimates for buyers browsing in another currency.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeCurrency, currencyDecimals, roundMoney, isSupportedCurrency } from '../utils/money.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchangeRates.json');
+
+let ratesCache = null;
+
+/**
+ * The rate table: units of each currency per one unit of `base`. Read once
+ * from EXCHANGE_RATES_FILE (or the bundled table); an unreadable file leaves
+ * conversion unavailable rather than failing checkout.
+ */
+export const getRates = async () => {
+  if (ratesCache) return ratesCache;
+
+  const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+
+  try {
+    const table = JSON.parse(await fs.readFile(file, 'utf8'));
+    const rates = Object.fromEntries(
+      Object.entries(table.rates || {})
+        .filter(([currency, rate]) => isSupportedCurrency(currency) && Number(rate) > 0)
+        .map(([currency, rate]) => [normalizeCurrency(currency), Number(rate)])
+    );
+
+    ratesCache = { base: normalizeCurrency(table.base), updatedAt: table.updatedAt || null, rates };
+  } catch (error) {
+    logger.error('Failed to load exchange rates', { file, error: error.message });
+    ratesCache = { base: null, updatedAt: null, rates: {} };
+  }
+
+  return ratesCache;
+};
+
+// Forget the loaded table so the next lookup reads the file again
+export const reloadRates = () => {
+  ratesCache = null;
+};
+
+// Currencies with a configured rate, with their minor-unit decimals
+export const listCurrencies = async () => {
+  const { base, updatedAt, rates } = await getRates();
+
+  return {
+    base,
+    updatedAt,
+    currencies: Object.keys(rates).sort().map(code => ({
+      code,
+      decimals: currencyDecimals(code),
+      rate: rates[code]
+    }))
+  };
+};
+
+/**
+ * Rate to turn an amount in `from` into `to`, or null when either currency
+ * has no configured rate.
+ */
+export const getRate = async (from, to) => {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+  if (source === target) return 1;
+
+  const { rates } = await getRates();
+  if (!rates[source] || !rates[target]) return null;
+
+  return rates[target] / rates[source];
+};
+
+/**
+ * Convert amounts for display, rounded to the target currency's minor unit.
+ * Returns `{ currency, rate, amounts, approximate }`, or null when no rate is
+ * configured for the pair.
+ */
+export const convert = async (amounts, from, to) => {
+  if (!isSupportedCurrency(to)) {
+    throw new ValidationError(`Unknown currency "${to}"`);
+  }
+
+  const rate = await getRate(from, to);
+  if (rate === null) return null;
+
+  const target = normalizeCurrency(to);
+  const converted = Object.fromEntries(
+    Object.entries(amounts).map(([key, amount]) => [key, roundMoney(Number(amount) * rate, target)])
+  );
+
+  return { currency: target, rate, amounts: converted, approximate: target !== normalizeCurrency(from) };
+};
+
+export default {
+  getRates,
+  reloadRates,
+  listCurrencies,
+  getRate,
+  convert
+};
@@ -0,0 +1,59 @@
+/**
+ * RobustTicketing - Inventory Service
+ * Keeps ticket_types.quantity_sold in step with the tickets actually issued
+ */
+
+import { withTransaction } from '../config/database.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+
+/**
+ * Take stock for checkout lines [{ ticketTypeId, name, quantity }]. Call inside
+ * the purchase transaction; a ConflictError rolls the whole purchase back.
+ */
+export const reserveStock = async (lines) => {
+  for (const line of lines) {
+    const reserved = await TicketRepository.incrementSold(line.ticketTypeId, line.quantity);
+
+    if (!reserved) {
+      throw new ConflictError(`Not enough tickets left for "${line.name}"`);
+    }
+  }
+};
+
+// Mark an order's active tickets (or only `ticketIds`) refunded/cancelled and return them to stock
+export const restockOrder = async (orderId, status = 'refunded', { ticketIds = null, refundId = null } = {}) => {
+  const counts = await TicketRepository.closeForOrder(orderId, status, { ticketIds, refundId });
+  let restocked = 0;
+
+  for (const [ticketTypeId, quantity] of counts) {
+    await TicketRepository.decrementSold(ticketTypeId, quantity);
+    restocked += quantity;
+  }
+
+  return { restocked, ticketTypeIds: [...counts.keys()] };
+};
+
+/**
+ * Compare quantity_sold against live ticket rows. With `fix` the counters are
+ * reset to the ticket count, which is treated as the truth.
+ */
+export const reconcileInventory = async ({ fix = false } = {}) => {
+  const drift = await TicketRepository.findInventoryDrift();
+
+  if (fix && drift.length > 0) {
+    await withTransaction(async () => {
+      for (const entry of drift) {
+        await TicketRepository.setSold(entry.ticketTypeId, entry.actualSold);
+      }
+    });
+  }
+
+  return { drift, fixed: fix ? drift.length : 0 };
+};
+
+export default {
+  reserveStock,
+  restockOrder,
+  reconcileInventory
+};
@@ -0,0 +1,247 @@
+/**
+ * RobustTicketing - Ledger Service
+ * Posts every movement of money as balanced double-entry transactions and
+ * reports account balances per organization, per event and platform-wide.
+ * An event's organizer balance belongs to the organization that owns it.
+ * Entries are signed: debits positive, credits negative.
+ */
+
+import EventRepository from '../repositories/EventRepository.js';
+import LedgerRepository from '../repositories/LedgerRepository.js';
+import permissionService from './permissionService.js';
+import { DEFAULT_CURRENCY, toCents, fromCents, roundMoney, sumMoney } from '../utils/money.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+
+// Accounts and the side their balance normally sits on
+export const ACCOUNTS = {
+  buyer: 'debit',
+  organizer_balance: 'credit',
+  platform_fees: 'credit',
+  tax_liability: 'credit',
+  payouts: 'credit'
+};
+
+/**
+ * Post a transaction, skipping zero entries. Throws when the entries do not
+ * sum to zero; returns null when there is nothing to post or the reference
+ * was posted before.
+ */
+const post = async (transaction, entries) => {
+  const { currency } = transaction;
+  const lines = entries
+    .filter(entry => toCents(entry.amount, currency) !== 0)
+    .map(entry => ({ ...entry, amount: roundMoney(entry.amount, currency) }));
+
+  if (lines.length === 0) return null;
+
+  const net = lines.reduce((total, entry) => total + toCents(entry.amount, currency), 0);
+  if (net !== 0) {
+    throw new Error(`Unbalanced ledger transaction ${transaction.reference}: entries net to ${fromCents(net, currency)} ${currency}`);
+  }
+
+  return LedgerRepository.createTransaction(transaction, lines);
+};
+
+// The accounts an order's money moves between
+const orderAccounts = async (order) => {
+  const event = await EventRepository.findById(order.eventId);
+
+  return {
+    buyer: { account: 'buyer', ownerId: order.userId, eventId: order.eventId },
+    organizer: { account: 'organizer_balance', ownerId: event?.organizationId, eventId: order.eventId },
+    fees: { account: 'platform_fees', eventId: order.eventId },
+    tax: { account: 'tax_liability', eventId: order.eventId },
+    base: { orderId: order.id, eventId: order.eventId, currency: order.currency || DEFAULT_CURRENCY }
+  };
+};
+
+// The part of `part` that belongs to `refunded` out of the order total
+const proportionOf = (part, refunded, total, currency) =>
+  toCents(total, currency) > 0
+    ? fromCents(Math.round(toCents(part, currency) * toCents(refunded, currency) / toCents(total, currency)), currency)
+    : 0;
+
+/**
+ * A paid order: the buyer's payment goes to the organizer's balance, which
+ * then pays the platform fee and the tax collected. Call inside the
+ * transaction that marks the order paid; posting twice is a no-op.
+ */
+export const postPurchase = async (order) => {
+  const accounts = await orderAccounts(order);
+  const { base, buyer, organizer } = accounts;
+
+  await post({ ...base, type: 'purchase', reference: `purchase:${order.id}`, description: `Order ${order.orderNumber}` }, [
+    { ...buyer, amount: order.totalAmount },
+    { ...organizer, amount: -order.totalAmount }
+  ]);
+
+  await post({ ...base, type: 'fee', reference: `fee:${order.id}`, description: `Platform fee on order ${order.orderNumber}` }, [
+    { ...organizer, amount: order.fees },
+    { ...accounts.fees, amount: -order.fees }
+  ]);
+
+  await post({ ...base, type: 'tax', reference: `tax:${order.id}`, description: `Tax on order ${order.orderNumber}` }, [
+    { ...organizer, amount: order.tax },
+    { ...accounts.tax, amount: -order.tax }
+  ]);
+};
+
+/**
+ * `amount` going back to the buyer of `order`, which already includes it in
+ * its refunded amount. The platform fee and tax are handed back in proportion
+ * to the share of the total refunded so far, so a full refund reverses them
+ * exactly; the organizer's balance covers the rest.
+ */
+export const postRefund = async (order, amount, { refundId = null } = {}) => {
+  const accounts = await orderAccounts(order);
+  const { currency } = accounts.base;
+  const refundedBefore = roundMoney(order.refundedAmount - amount, currency);
+  const returned = (part) => roundMoney(
+    proportionOf(part, order.refundedAmount, order.totalAmount, currency)
+    - proportionOf(part, refundedBefore, order.totalAmount, currency),
+    currency
+  );
+
+  const feesBack = returned(order.fees);
+  const taxBack = returned(order.tax);
+
+  return post({
+    ...accounts.base,
+    type: 'refund',
+    reference: refundId ? `refund:${refundId}` : null,
+    refundId,
+    description: `Refund on order ${order.orderNumber}`
+  }, [
+    { ...accounts.buyer, amount: -amount },
+    { ...accounts.organizer, amount: roundMoney(amount - feesBack - taxBack, currency) },
+    { ...accounts.fees, amount: feesBack },
+    { ...accounts.tax, amount: taxBack }
+  ]);
+};
+
+// Money the buyer's bank pulled back; the organizer's balance bears all of it
+export const postChargeback = async (order, amount, { reference = null } = {}) => {
+  const accounts = await orderAccounts(order);
+
+  return post({
+    ...accounts.base,
+    type: 'chargeback',
+    reference: reference ? `chargeback:${reference}` : null,
+    description: `Chargeback on order ${order.orderNumber}`
+  }, [
+    { ...accounts.buyer, amount: -amount },
+    { ...accounts.organizer, amount }
+  ]);
+};
+
+// Money leaving an organization's balance for its bank account
+export const postPayout = async (payout) => post({
+  type: 'payout',
+  reference: `payout:${payout.id}`,
+  eventId: payout.eventId,
+  currency: payout.currency,
+  description: `Payout to organizer for ${payout.eventTitle}`
+}, [
+  { account: 'organizer_balance', ownerId: payout.organizationId, eventId: payout.eventId, amount: payout.amount },
+  { account: 'payouts', ownerId: payout.organizationId, eventId: payout.eventId, amount: -payout.amount }
+]);
+
+// Put a failed payout back on the organization's balance
+export const postPayoutReversal = async (payout) => post({
+  type: 'payout',
+  reference: `payout:${payout.id}:reversal`,
+  eventId: payout.eventId,
+  currency: payout.currency,
+  description: `Failed payout returned for ${payout.eventTitle}`
+}, [
+  { account: 'organizer_balance', ownerId: payout.organizationId, eventId: payout.eventId, amount: -payout.amount },
+  { account: 'payouts', ownerId: payout.organizationId, eventId: payout.eventId, amount: payout.amount }
+]);
+
+// Add each row's balance on its account's normal side
+const withBalances = (rows) => rows.map(row => ({
+  ...row,
+  balance: ACCOUNTS[row.account] === 'debit'
+    ? roundMoney(row.debits - row.credits, row.currency)
+    : roundMoney(row.credits - row.debits, row.currency)
+}));
+
+const totalsByCurrency = (rows) => {
+  const currencies = [...new Set(rows.map(row => row.currency))];
+
+  return currencies.map(currency => {
+    const matching = rows.filter(row => row.currency === currency);
+    return {
+      currency,
+      debits: sumMoney(matching.map(row => row.debits), currency),
+      credits: sumMoney(matching.map(row => row.credits), currency),
+      balance: sumMoney(matching.map(row => row.balance), currency)
+    };
+  });
+};
+
+/**
+ * What the platform holds for an organization: its balance per currency and
+ * split by event.
+ */
+export const getOrganizationBalance = async (organizationId) => {
+  const events = withBalances(await LedgerRepository.sumEntries(
+    { account: 'organizer_balance', ownerId: organizationId },
+    { byEvent: true }
+  ));
+
+  return {
+    organizationId,
+    balances: totalsByCurrency(events),
+    events: events.map(({ account, ...event }) => event)
+  };
+};
+
+// Whether any money has moved for the event
+export const hasTransactions = async (eventId) => (await LedgerRepository.sumEntries({ eventId })).length > 0;
+
+// An event's account balances and transactions, for its staff
+export const getEventLedger = async (eventId, userId, pagination = {}) => {
+  const event = await permissionService.findPermittedEvent(userId, eventId, 'ledger:view');
+
+  if (!event) {
+    throw new NotFoundError('Event not found or access denied');
+  }
+
+  const accounts = withBalances(await LedgerRepository.sumEntries({ eventId }));
+  const transactions = await LedgerRepository.listTransactions({ eventId }, pagination);
+
+  return { event: { id: event.id, title: event.title }, accounts, ...transactions };
+};
+
+/**
+ * Every account's balance across the platform. Debits and credits match per
+ * currency whenever the ledger is consistent.
+ */
+export const getPlatformAccounts = async () => {
+  const accounts = withBalances(await LedgerRepository.sumEntries());
+  const currencies = [...new Set(accounts.map(account => account.currency))];
+
+  return {
+    accounts,
+    trialBalance: currencies.map(currency => {
+      const matching = accounts.filter(account => account.currency === currency);
+      const debits = sumMoney(matching.map(account => account.debits), currency);
+      const credits = sumMoney(matching.map(account => account.credits), currency);
+      return { currency, debits, credits, balanced: toCents(debits, currency) === toCents(credits, currency) };
+    })
+  };
+};
+
+export default {
+  ACCOUNTS,
+  postPurchase,
+  postRefund,
+  postChargeback,
+  postPayout,
+  postPayoutReversal,
+  getOrganizationBalance,
+  hasTransactions,
+  getEventLedger,
+  getPlatformAccounts
+};
@@ -0,0 +1,180 @@
+/**
+ * RobustTicketing - Order Service
+ * Order history with line items and tickets, organizer order views and receipts
+ */
+
+import EventRepository from '../repositories/EventRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import ReservationRepository from '../repositories/ReservationRepository.js';
+import RefundRepository from '../repositories/RefundRepository.js';
+import permissionService from './permissionService.js';
+import { sumMoney, roundMoney } from '../utils/money.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+
+export const ORDER_STATUSES = ['pending', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'];
+
+// Orders that have been paid for at some point
+export const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const summarizeTicket = (ticket) => ({
+  id: ticket.id,
+  code: ticket.code,
+  status: ticket.status,
+  ticketTypeId: ticket.ticketType.id,
+  ticketTypeName: ticket.ticketType.name,
+  purchasePrice: ticket.purchasePrice,
+  attendeeName: ticket.attendeeName,
+  attendeeEmail: ticket.attendeeEmail,
+  refundId: ticket.refundId
+});
+
+// One line per ticket type and price actually charged
+const lineItemsFromTickets = (tickets, currency) => {
+  const lines = new Map();
+
+  for (const ticket of tickets) {
+    const key = `${ticket.ticketType.id}:${ticket.purchasePrice}`;
+    const line = lines.get(key) || {
+      ticketTypeId: ticket.ticketType.id,
+      name: ticket.ticketType.name,
+      quantity: 0,
+      unitPrice: ticket.purchasePrice
+    };
+    line.quantity += 1;
+    lines.set(key, line);
+  }
+
+  return [...lines.values()].map(line => ({ ...line, subtotal: roundMoney(line.unitPrice * line.quantity, currency) }));
+};
+
+// Orders that were never paid have no tickets; their lines come from the hold
+const lineItemsFromHold = (hold, currency) =>
+  hold.items.map(item => ({ ...item, subtotal: roundMoney(item.unitPrice * item.quantity, currency) }));
+
+const withDetails = async (orders) => {
+  const tickets = await TicketRepository.listForOrders(orders.map(order => order.id));
+
+  return Promise.all(orders.map(async (order) => {
+    const orderTickets = tickets.filter(ticket => ticket.order.id === order.id);
+    const hold = orderTickets.length === 0 && !PAID_STATUSES.includes(order.status)
+      ? await ReservationRepository.findByOrder(order.id)
+      : null;
+    const lineItems = hold ? lineItemsFromHold(hold, order.currency) : lineItemsFromTickets(orderTickets, order.currency);
+
+    return {
+      ...order,
+      lineItems,
+      subtotal: sumMoney(lineItems.map(line => line.subtotal), order.currency),
+      tickets: orderTickets.map(summarizeTicket),
+      hold: hold ? { id: hold.id, status: hold.status, expiresAt: hold.expiresAt } : null
+    };
+  }));
+};
+
+const assertStatusFilter = (status) => {
+  if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+};
+
+// The user's order history; returns { orders, total, page, limit }
+export const listForUser = async (userId, { status } = {}, pagination = {}) => {
+  assertStatusFilter(status);
+
+  const result = await OrderRepository.listForUser(userId, { status }, pagination);
+  return { ...result, orders: await withDetails(result.orders) };
+};
+
+// An event's orders for its staff, searchable by buyer email or order number
+export const listForEvent = async (eventId, userId, { status, search } = {}, pagination = {}) => {
+  assertStatusFilter(status);
+
+  const event = await permissionService.findPermittedEvent(userId, eventId, 'order:view');
+
+  if (!event) {
+    throw new NotFoundError('Event not found or access denied');
+  }
+
+  const result = await OrderRepository.listForEvent(eventId, { status, search: search?.trim() || undefined }, pagination);
+  return { ...result, orders: await withDetails(result.orders) };
+};
+
+// An order for its buyer or the event's staff
+const findVisibleOrder = async (orderId, userId) => {
+  const order = await OrderRepository.findById(orderId);
+  const visible = order && (
+    order.userId === userId || await permissionService.can(userId, 'order:view', { eventId: order.eventId })
+  );
+
+  if (!visible) {
+    throw new NotFoundError('Order not found');
+  }
+
+  return order;
+};
+
+export const getOrder = async (orderId, userId) => {
+  const order = await findVisibleOrder(orderId, userId);
+  const event = await EventRepository.findById(order.eventId);
+  const [detailed] = await withDetails([order]);
+
+  return {
+    ...detailed,
+    event: event
+      ? { id: event.id, title: event.title, startDate: event.startDate, venue: event.venue }
+      : { id: order.eventId },
+    refunds: await RefundRepository.listForOrder(order.id)
+  };
+};
+
+/**
+ * Proof of payment for a paid order: what was bought, what it cost and
+ * every refund since, with the net amount the buyer has paid.
+ */
+export const getReceipt = async (orderId, userId) => {
+  const order = await getOrder(orderId, userId);
+
+  if (!PAID_STATUSES.includes(order.status)) {
+    throw new ValidationError('A receipt is available once the order has been paid');
+  }
+
+  return {
+    receiptNumber: order.orderNumber,
+    orderId: order.id,
+    issuedAt: new Date().toISOString(),
+    purchasedAt: order.createdAt,
+    customer: order.customer,
+    event: order.event,
+    lineItems: order.lineItems,
+    subtotal: order.subtotal,
+    discount: order.discountAmount,
+    fees: order.charges?.fee?.paidBy === 'organizer' ? 0 : order.fees,
+    tax: order.tax,
+    taxIncluded: Boolean(order.charges?.tax?.inclusive),
+    total: order.totalAmount,
+    currency: order.currency,
+    payment: {
+      status: order.status,
+      method: order.paymentMethod,
+      reference: order.paymentReference
+    },
+    refunds: order.refunds.map(refund => ({
+      id: refund.id,
+      amount: refund.amount,
+      reason: refund.reason,
+      createdAt: refund.createdAt
+    })),
+    refundedAmount: order.refundedAmount,
+    netPaid: roundMoney(order.totalAmount - order.refundedAmount, order.currency)
+  };
+};
+
+export default {
+  ORDER_STATUSES,
+  PAID_STATUSES,
+  listForUser,
+  listForEvent,
+  getOrder,
+  getReceipt
+};
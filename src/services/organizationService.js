@@ -0,0 +1,286 @@
+/**
+ * RobustTicketing - Organization Service
+ * Organizations own events and share them with their members, each holding
+ * one role. New members join through an emailed invitation; only the hash
+ * of its token is stored. Every organization keeps at least one owner.
+ */
+
+import crypto from 'crypto';
+import { withTransaction } from '../config/database.js';
+import OrganizationRepository from '../repositories/OrganizationRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import permissionService, { ORGANIZATION_ROLES } from './permissionService.js';
+import { sendEmail } from '../utils/email.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INVITATION_TTL_DAYS = 7;
+
+export const MEMBER_ROLES = Object.keys(ORGANIZATION_ROLES);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const assertRole = (role) => {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+};
+
+const loadOrganization = async (organizationId) => {
+  const organization = await OrganizationRepository.findById(organizationId);
+  if (!organization) {
+    throw new NotFoundError('Organization not found');
+  }
+  return organization;
+};
+
+// Making, changing or removing an owner takes an owner (or a platform admin)
+const assertCanManageOwners = async (organizationId, actorId) => {
+  if (!(await permissionService.can(actorId, 'owner:manage', { organizationId }))) {
+    throw new ForbiddenError('Only an owner can add, change or remove owners');
+  }
+};
+
+export const createOrganization = async (userId, { name }) => {
+  return withTransaction(async () => {
+    const organization = await OrganizationRepository.create({ name: name.trim(), createdBy: userId });
+    await OrganizationRepository.addMember({ organizationId: organization.id, userId, role: 'owner' });
+    return OrganizationRepository.findById(organization.id);
+  });
+};
+
+/**
+ * The user's personal organization, created the first time they need one.
+ * Events created without an organization go here.
+ */
+export const ensurePersonalOrganization = async (userId) => {
+  const existing = await OrganizationRepository.findPersonal(userId);
+  if (existing) return existing;
+
+  const user = await UserRepository.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return withTransaction(async () => {
+    const organization = await OrganizationRepository.create({
+      name: `${user.firstName} ${user.lastName}`,
+      personal: true,
+      createdBy: userId
+    });
+    await OrganizationRepository.addMember({ organizationId: organization.id, userId, role: 'owner' });
+    return organization;
+  });
+};
+
+export const listForUser = (userId) => OrganizationRepository.listForUser(userId);
+
+export const getOrganization = async (organizationId, userId) => {
+  const organization = await loadOrganization(organizationId);
+
+  return {
+    ...organization,
+    role: await OrganizationRepository.findMemberRole(organization.id, userId)
+  };
+};
+
+export const updateOrganization = async (organizationId, { name }) => {
+  await loadOrganization(organizationId);
+  return OrganizationRepository.update(organizationId, { name: name.trim() });
+};
+
+// Only an organization without events can go; personal organizations stay
+export const deleteOrganization = async (organizationId) => {
+  const organization = await loadOrganization(organizationId);
+
+  if (organization.personal) {
+    throw new ValidationError('Personal organizations cannot be deleted');
+  }
+
+  if (await OrganizationRepository.countEvents(organization.id) > 0) {
+    throw new ConflictError('Move or delete the organization\'s events before deleting it');
+  }
+
+  await OrganizationRepository.softDelete(organization.id);
+};
+
+export const listMembers = async (organizationId) => {
+  await loadOrganization(organizationId);
+  return OrganizationRepository.listMembers(organizationId);
+};
+
+export const changeMemberRole = async (organizationId, userId, role, { changedBy } = {}) => {
+  assertRole(role);
+  await loadOrganization(organizationId);
+
+  return withTransaction(async () => {
+    const current = await OrganizationRepository.findMemberRole(organizationId, userId);
+
+    if (!current) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (current === 'owner' || role === 'owner') {
+      await assertCanManageOwners(organizationId, changedBy);
+    }
+
+    if (current === 'owner' && role !== 'owner' && await OrganizationRepository.countOwners(organizationId) <= 1) {
+      throw new ConflictError('An organization needs at least one owner');
+    }
+
+    await OrganizationRepository.updateMemberRole(organizationId, userId, role);
+    return OrganizationRepository.listMembers(organizationId);
+  });
+};
+
+// Remove a member, or let a member leave (`removedBy` is the member themselves)
+export const removeMember = async (organizationId, userId, { removedBy } = {}) => {
+  await loadOrganization(organizationId);
+
+  return withTransaction(async () => {
+    const current = await OrganizationRepository.findMemberRole(organizationId, userId);
+
+    if (!current) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (current === 'owner') {
+      if (removedBy !== userId) {
+        await assertCanManageOwners(organizationId, removedBy);
+      }
+
+      if (await OrganizationRepository.countOwners(organizationId) <= 1) {
+        throw new ConflictError('An organization needs at least one owner');
+      }
+    }
+
+    await OrganizationRepository.removeMember(organizationId, userId);
+  });
+};
+
+/**
+ * Invite someone by email. Any earlier open invitation for the address is
+ * revoked; the new token only travels in the email.
+ */
+export const inviteMember = async (organizationId, { email, role }, { invitedBy } = {}) => {
+  assertRole(role);
+  const organization = await loadOrganization(organizationId);
+  const address = normalizeEmail(email);
+
+  if (role === 'owner') {
+    await assertCanManageOwners(organizationId, invitedBy);
+  }
+
+  const existingUser = await UserRepository.findByEmail(address);
+  if (existingUser && await OrganizationRepository.findMemberRole(organizationId, existingUser.id)) {
+    throw new ConflictError('This person is already a member of the organization');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const invitation = await withTransaction(async () => {
+    await OrganizationRepository.revokeInvitationsForEmail(organizationId, address);
+
+    return OrganizationRepository.createInvitation({
+      organizationId,
+      email: address,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS)
+    });
+  });
+
+  sendEmail({
+    to: address,
+    subject: `You're invited to join ${organization.name} on RobustTicketing`,
+    template: 'organization-invitation',
+    data: {
+      organizationName: organization.name,
+      role: role.replace('_', ' '),
+      acceptLink: `${process.env.FRONTEND_URL}/organizations/accept?token=${token}`,
+      expiresInDays: INVITATION_TTL_DAYS
+    }
+  }).catch(error => {
+    logger.error('Failed to send organization invitation email:', { organizationId, error: error.message });
+  });
+
+  return invitation;
+};
+
+export const listInvitations = async (organizationId) => {
+  await loadOrganization(organizationId);
+  return OrganizationRepository.listPendingInvitations(organizationId);
+};
+
+export const revokeInvitation = async (organizationId, invitationId) => {
+  if (!(await OrganizationRepository.revokeInvitation(organizationId, invitationId))) {
+    throw new NotFoundError('Invitation not found');
+  }
+};
+
+/**
+ * Join an organization with the token from an invitation email. The
+ * invitation is for one address, so the signed-in account must match it.
+ */
+export const acceptInvitation = async (token, userId) => {
+  const invitation = await OrganizationRepository.findInvitationByTokenHash(hashToken(token));
+
+  if (!invitation || !invitation.isPending) {
+    throw new NotFoundError('Invitation not found or no longer valid');
+  }
+
+  const user = await UserRepository.findById(userId);
+
+  if (!user || normalizeEmail(user.email) !== invitation.email) {
+    throw new ForbiddenError('This invitation was sent to a different email address');
+  }
+
+  const organization = await loadOrganization(invitation.organizationId);
+
+  const outcome = await withTransaction(async () => {
+    if (!(await OrganizationRepository.markInvitationAccepted(invitation.id, userId))) {
+      return 'used';
+    }
+
+    const added = await OrganizationRepository.addMember({
+      organizationId: organization.id,
+      userId,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+    return added ? 'joined' : 'member';
+  });
+
+  if (outcome === 'used') {
+    throw new NotFoundError('Invitation not found or no longer valid');
+  }
+
+  if (outcome === 'member') {
+    throw new ConflictError('You are already a member of this organization');
+  }
+
+  return { ...organization, role: invitation.role };
+};
+
+export default {
+  INVITATION_TTL_DAYS,
+  MEMBER_ROLES,
+  createOrganization,
+  ensurePersonalOrganization,
+  listForUser,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  listMembers,
+  changeMemberRole,
+  removeMember,
+  inviteMember,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
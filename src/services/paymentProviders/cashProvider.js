@@ -0,0 +1,68 @@
+/**
+ * RobustTicketing - Cash Payment Provider
+ * Box-office and pay-at-the-door sales. Confirming records that staff took
+ * the money; refunds are handed back over the counter. Nothing happens off
+ * site, so there is no state to keep and no webhooks.
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from '../../middleware/errorHandler.js';
+import { toCents } from '../../utils/money.js';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const cashIntent = (id, fields) => ({
+  id,
+  status: 'requires_confirmation',
+  amount: null,
+  amountReceived: 0,
+  currency: null,
+  clientSecret: null,
+  transactionId: null,
+  nextAction: null,
+  orderId: null,
+  failureMessage: null,
+  ...fields
+});
+
+const createIntent = async (order, { previousIntentId = null } = {}) =>
+  cashIntent(previousIntentId || randomId('cash'), {
+    amount: toCents(order.totalAmount, order.currency),
+    currency: (order.currency || 'USD').toLowerCase(),
+    orderId: order.id
+  });
+
+// `amount` is what staff collected, in cents
+const confirm = async (intentId, { amount }) =>
+  cashIntent(intentId, {
+    status: 'succeeded',
+    amount,
+    amountReceived: amount,
+    transactionId: randomId('cash_txn')
+  });
+
+const capture = async (intentId) => cashIntent(intentId, { status: 'succeeded' });
+
+const refund = async (intentId, { amount } = {}) => ({
+  id: randomId('cash_refund'),
+  amount: amount ?? null,
+  status: 'succeeded'
+});
+
+const getPaymentMethods = async () => [
+  { id: 'cash', type: 'cash', label: 'Cash at the box office', isDefault: false }
+];
+
+const parseWebhook = () => {
+  throw new ValidationError('Cash payments do not send webhooks');
+};
+
+export default {
+  name: 'cash',
+  createIntent,
+  confirm,
+  capture,
+  refund,
+  getPaymentMethods,
+  parseWebhook
+};
@@ -0,0 +1,183 @@
+/**
+ * RobustTicketing - Fake Payment Provider
+ * Deterministic in-memory gateway for development and tests. The card number
+ * decides the outcome, as with Stripe's test cards:
+ *   4242 4242 4242 4242  succeeds
+ *   4000 0000 0000 0002  is declined
+ *   4000 0000 0000 3220  requires 3-D Secure; confirming again completes it
+ *   4000 0000 0000 0119  times out
+ * Payment method ids are `pm_fake_<card number>` or the bare number. Intents
+ * and refunds live in memory and are lost on restart. Webhooks are JSON events signed
+ * with an HMAC-SHA256 of the body under FAKE_PAYMENT_WEBHOOK_SECRET.
+ */
+
+import crypto from 'crypto';
+import { PaymentError, PaymentTimeoutError, ValidationError } from '../../middleware/errorHandler.js';
+import { toCents } from '../../utils/money.js';
+
+const MAGIC_CARDS = {
+  '4242424242424242': { outcome: 'succeed', brand: 'visa', label: 'Always succeeds' },
+  '4000000000000002': { outcome: 'decline', brand: 'visa', label: 'Always declined' },
+  '4000000000003220': { outcome: 'authenticate', brand: 'visa', label: 'Requires 3-D Secure' },
+  '4000000000000119': { outcome: 'timeout', brand: 'visa', label: 'Times out' }
+};
+
+const WEBHOOK_TYPES = ['payment_succeeded', 'payment_failed', 'refunded', 'chargeback'];
+
+const intents = new Map();
+const refunds = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const cardFor = (paymentMethodId) => {
+  const number = String(paymentMethodId || '').replace(/^pm_fake_/, '').replace(/[\s-]/g, '');
+  const card = MAGIC_CARDS[number];
+
+  if (!card) {
+    throw new ValidationError('Unknown test card; use one of the fake payment methods');
+  }
+
+  return card;
+};
+
+const findIntent = (intentId) => {
+  const intent = intents.get(intentId);
+
+  if (!intent) {
+    throw new ValidationError('Payment intent not found');
+  }
+
+  return intent;
+};
+
+const snapshot = (intent) => ({ ...intent });
+
+const createIntent = async (order, { previousIntentId = null } = {}) => {
+  const previous = previousIntentId && intents.get(previousIntentId);
+  const amount = toCents(order.totalAmount, order.currency);
+
+  if (previous && ['requires_payment_method', 'requires_action'].includes(previous.status)) {
+    previous.amount = amount;
+    return snapshot(previous);
+  }
+
+  const id = randomId('pi_fake');
+  const intent = {
+    id,
+    status: 'requires_payment_method',
+    amount,
+    amountReceived: 0,
+    currency: (order.currency || 'USD').toLowerCase(),
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    transactionId: null,
+    nextAction: null,
+    orderId: order.id,
+    failureMessage: null
+  };
+
+  intents.set(id, intent);
+  return snapshot(intent);
+};
+
+const confirm = async (intentId, { paymentMethodId }) => {
+  const intent = findIntent(intentId);
+
+  if (intent.status === 'succeeded') {
+    return snapshot(intent);
+  }
+
+  const card = cardFor(paymentMethodId);
+
+  // The second confirm of a 3-D Secure card stands in for the buyer completing the challenge
+  const outcome = card.outcome === 'authenticate' && intent.status === 'requires_action' ? 'succeed' : card.outcome;
+
+  switch (outcome) {
+    case 'decline':
+      intent.status = 'requires_payment_method';
+      intent.failureMessage = 'Your card was declined.';
+      throw new PaymentError(intent.failureMessage);
+
+    case 'timeout':
+      intent.status = 'requires_payment_method';
+      throw new PaymentTimeoutError();
+
+    case 'authenticate':
+      intent.status = 'requires_action';
+      intent.nextAction = { type: 'redirect_to_url', redirectToUrl: { url: `https://fake-3ds.invalid/${intent.id}` } };
+      return snapshot(intent);
+
+    default:
+      Object.assign(intent, {
+        status: 'succeeded',
+        amountReceived: intent.amount,
+        transactionId: randomId('ch_fake'),
+        nextAction: null,
+        failureMessage: null
+      });
+      return snapshot(intent);
+  }
+};
+
+// Fake payments are captured on confirm; capturing again is a no-op
+const capture = async (intentId) => snapshot(findIntent(intentId));
+
+// Refunds always succeed, even for intents from before a restart
+// Retrying with the same idempotency key returns the original refund
+const refund = async (intentId, { amount, idempotencyKey } = {}) => {
+  if (idempotencyKey && refunds.has(idempotencyKey)) {
+    return refunds.get(idempotencyKey);
+  }
+
+  const result = {
+    id: randomId('re_fake'),
+    amount: amount ?? intents.get(intentId)?.amountReceived ?? null,
+    status: 'succeeded'
+  };
+
+  if (idempotencyKey) {
+    refunds.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+const getPaymentMethods = async () =>
+  Object.entries(MAGIC_CARDS).map(([number, card], index) => ({
+    id: `pm_fake_${number}`,
+    type: 'card',
+    card: {
+      brand: card.brand,
+      last4: number.slice(-4),
+      expMonth: 12,
+      expYear: new Date().getFullYear() + 5
+    },
+    label: card.label,
+    isDefault: index === 0
+  }));
+
+const parseWebhook = (rawBody, headers) => {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+  const given = String(headers['x-fake-signature'] || '');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+    throw new Error('Invalid fake webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return { ...event, type: WEBHOOK_TYPES.includes(event.type) ? event.type : null };
+};
+
+export default {
+  name: 'fake',
+  createIntent,
+  confirm,
+  capture,
+  refund,
+  getPaymentMethods,
+  parseWebhook
+};
@@ -0,0 +1,52 @@
+/**
+ * RobustTicketing - Payment Providers
+ * Every gateway implements the same PaymentProvider contract:
+ *
+ *   name                                  key stored on orders.payment_method
+ *   createIntent(order, { previousIntentId })            -> intent
+ *   confirm(intentId, { paymentMethodId, amount })       -> intent
+ *   capture(intentId, { amount })                        -> intent
+ *   refund(intentId, { amount, orderId, reason, idempotencyKey }) -> { id, amount, status }
+ *   getPaymentMethods(user)                              -> [{ id, type, ... }]
+ *   parseWebhook(rawBody, headers)                       -> { id, type, intent | paymentIntentId, amountRefunded }
+ *
+ * Intents are { id, status, amount, amountReceived, currency, clientSecret,
+ * transactionId, nextAction, orderId, failureMessage } with amounts in the
+ * currency's minor unit (cents, or whole yen for JPY) and Stripe's status names. Declines throw PaymentError. Webhook types are
+ * payment_succeeded, payment_failed, refunded, or null for anything ignored.
+ */
+
+import stripeProvider from './stripeProvider.js';
+import fakeProvider from './fakeProvider.js';
+import cashProvider from './cashProvider.js';
+import { ValidationError } from '../../middleware/errorHandler.js';
+
+const PROVIDERS = {
+  stripe: stripeProvider,
+  fake: fakeProvider,
+  cash: cashProvider
+};
+
+// Online payments use PAYMENT_PROVIDER, else Stripe once it is configured
+export const getDefaultProviderName = () =>
+  process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'fake');
+
+export const isProviderName = (name) => Object.hasOwn(PROVIDERS, name);
+
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  if (!isProviderName(name)) {
+    throw new ValidationError(`Unknown payment provider "${name}"`);
+  }
+
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  return PROVIDERS[name];
+};
+
+export default {
+  getDefaultProviderName,
+  isProviderName,
+  getPaymentProvider
+};
@@ -0,0 +1,177 @@
+/**
+ * RobustTicketing - Stripe Payment Provider
+ * Card payments through Stripe payment intents. Setting STRIPE_API_HOST (with
+ * STRIPE_API_PORT/STRIPE_API_PROTOCOL) points the client at a local
+ * stripe-mock instead of api.stripe.com.
+ */
+
+import Stripe from 'stripe';
+import { toCents } from '../../utils/money.js';
+import { PaymentError, ValidationError } from '../../middleware/errorHandler.js';
+
+const STRIPE_API_VERSION = '2023-10-16';
+
+// Intents in these states can still be paid, so createIntent hands them out again
+const PAYABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Stripe event types -> provider-neutral webhook event types
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment_succeeded',
+  'payment_intent.payment_failed': 'payment_failed',
+  'charge.refunded': 'refunded',
+  'charge.dispute.funds_withdrawn': 'chargeback'
+};
+
+let client = null;
+
+const getStripe = () => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  if (!client) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      apiVersion: STRIPE_API_VERSION,
+      maxNetworkRetries: 2,
+      ...(process.env.STRIPE_API_HOST && {
+        host: process.env.STRIPE_API_HOST,
+        port: parseInt(process.env.STRIPE_API_PORT) || 12111,
+        protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+      })
+    });
+  }
+  return client;
+};
+
+// Declines are reported to the buyer; anything else is our problem
+const toPaymentError = (error) => {
+  if (error.type === 'StripeCardError') {
+    return new PaymentError(error.message);
+  }
+  if (error.type === 'StripeInvalidRequestError' && error.param === 'payment_method') {
+    return new ValidationError('Invalid payment method');
+  }
+  return error;
+};
+
+const formatIntent = (intent) => ({
+  id: intent.id,
+  status: intent.status,
+  amount: intent.amount,
+  amountReceived: intent.amount_received || 0,
+  currency: intent.currency,
+  clientSecret: intent.client_secret,
+  transactionId: typeof intent.latest_charge === 'string' ? intent.latest_charge : intent.latest_charge?.id || null,
+  nextAction: intent.next_action || null,
+  orderId: intent.metadata?.orderId || null,
+  failureMessage: intent.last_payment_error?.message || null
+});
+
+/**
+ * Intent for a pending order. The order's previous intent is reused (and its
+ * amount corrected after a re-price) while it can still be paid.
+ */
+const createIntent = async (order, { previousIntentId = null } = {}) => {
+  const stripe = getStripe();
+  const amount = toCents(order.totalAmount, order.currency);
+
+  if (previousIntentId) {
+    const existing = await stripe.paymentIntents.retrieve(previousIntentId);
+
+    if (PAYABLE_STATUSES.includes(existing.status)) {
+      return formatIntent(existing.amount === amount
+        ? existing
+        : await stripe.paymentIntents.update(existing.id, { amount }));
+    }
+  }
+
+  const intent = await stripe.paymentIntents.create({
+    amount,
+    currency: (order.currency || 'USD').toLowerCase(),
+    payment_method_types: ['card'],
+    receipt_email: order.customer.email || undefined,
+    metadata: { orderId: order.id, orderNumber: order.orderNumber, userId: order.userId }
+  }, {
+    idempotencyKey: `intent-${order.id}-${previousIntentId || 'first'}-${amount}`
+  });
+
+  return formatIntent(intent);
+};
+
+const confirm = async (intentId, { paymentMethodId }) => {
+  try {
+    return formatIntent(await getStripe().paymentIntents.confirm(intentId, { payment_method: paymentMethodId }));
+  } catch (error) {
+    throw toPaymentError(error);
+  }
+};
+
+const capture = async (intentId, { amount } = {}) => {
+  const params = amount ? { amount_to_capture: amount } : {};
+  return formatIntent(await getStripe().paymentIntents.capture(intentId, params));
+};
+
+const refund = async (intentId, { amount, orderId, reason, idempotencyKey } = {}) => {
+  const result = await getStripe().refunds.create({
+    payment_intent: intentId,
+    ...(amount && { amount }),
+    metadata: { orderId: orderId || '', reason: reason || '' }
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+
+  return { id: result.id, amount: result.amount, status: result.status };
+};
+
+// Saved cards of the Stripe customer sharing the user's email
+const getPaymentMethods = async (user) => {
+  const stripe = getStripe();
+  const customers = await stripe.customers.list({ email: user.email, limit: 1 });
+  const customer = customers.data[0];
+
+  if (!customer) return [];
+
+  const methods = await stripe.paymentMethods.list({ customer: customer.id, type: 'card' });
+  const defaultId = customer.invoice_settings?.default_payment_method;
+
+  return methods.data.map(method => ({
+    id: method.id,
+    type: 'card',
+    card: {
+      brand: method.card.brand,
+      last4: method.card.last4,
+      expMonth: method.card.exp_month,
+      expYear: method.card.exp_year
+    },
+    isDefault: method.id === defaultId
+  }));
+};
+
+// Verify a delivery against STRIPE_WEBHOOK_SECRET; throws on a bad signature
+const parseWebhook = (rawBody, headers) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+
+  const event = Stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  const object = event.data.object;
+  const type = EVENT_TYPES[event.type] || null;
+
+  if (type === 'refunded') {
+    return { id: event.id, type, paymentIntentId: object.payment_intent, amountRefunded: object.amount_refunded };
+  }
+
+  if (type === 'chargeback') {
+    return { id: event.id, type, paymentIntentId: object.payment_intent, disputeId: object.id, amount: object.amount };
+  }
+
+  return { id: event.id, type, intent: type ? formatIntent(object) : null };
+};
+
+export default {
+  name: 'stripe',
+  createIntent,
+  confirm,
+  capture,
+  refund,
+  getPaymentMethods,
+  parseWebhook
+};
@@ -0,0 +1,237 @@
+/**
+ * RobustTicketing - Payment Service
+ * Takes checkout payments through the provider each order is bound to and
+ * applies provider webhooks to orders
+ */
+
+import crypto from 'crypto';
+import { withTransaction } from '../config/database.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import RefundRepository from '../repositories/RefundRepository.js';
+import checkoutService from './checkoutService.js';
+import waitlistService from './waitlistService.js';
+import ledgerService from './ledgerService.js';
+import { getPaymentProvider, isProviderName } from './paymentProviders/index.js';
+import { toCents, fromCents } from '../utils/money.js';
+import { ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Orders from before providers were recorded fall back to the default provider
+export const providerForOrder = (order) =>
+  getPaymentProvider(isProviderName(order.paymentMethod) ? order.paymentMethod : undefined);
+
+// Create (or reuse) the intent that collects a pending order
+export const startPayment = async (order, providerName) => {
+  const provider = getPaymentProvider(providerName);
+  const previousIntentId = order.paymentMethod === provider.name ? order.paymentIntentId : null;
+  const intent = await provider.createIntent(order, { previousIntentId });
+
+  if (intent.id !== order.paymentIntentId || order.paymentMethod !== provider.name) {
+    await OrderRepository.setPaymentIntent(order.id, intent.id, provider.name);
+  }
+
+  return { intent, provider: provider.name };
+};
+
+/**
+ * Turn a succeeded intent into issued tickets. Money taken for an order that
+ * can no longer be fulfilled (hold lapsed, sold out, wrong amount) is refunded
+ * in full before the ConflictError is rethrown. The intent that already paid
+ * the order changes nothing, even after the order was partly or fully refunded.
+ */
+export const completePayment = async (order, intent, provider = providerForOrder(order)) => {
+  try {
+    if (intent.amountReceived !== toCents(order.totalAmount, order.currency)) {
+      throw new ConflictError('Payment amount does not match the order total');
+    }
+
+    return await checkoutService.completeCheckout(order.id, {
+      paymentIntentId: intent.id,
+      transactionId: intent.transactionId || intent.id
+    });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      logger.warn('Refunding payment for unfulfilled order', {
+        orderId: order.id,
+        provider: provider.name,
+        paymentIntentId: intent.id,
+        reason: error.message
+      });
+      await provider.refund(intent.id, {
+        orderId: order.id,
+        reason: 'unfulfilled',
+        idempotencyKey: `unfulfilled-${intent.id}`
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Confirm a pending order's intent. Returns `{ intent }` while the payment
+ * still needs the buyer (3-D Secure) or is processing, and the completed
+ * order and tickets once it succeeds.
+ */
+export const confirmPayment = async (order, { paymentIntentId, paymentMethodId }) => {
+  const provider = providerForOrder(order);
+  let intent = await provider.confirm(paymentIntentId, {
+    paymentMethodId,
+    amount: toCents(order.totalAmount, order.currency)
+  });
+
+  // Authorized-only payments are captured now that the order is being fulfilled
+  if (intent.status === 'requires_capture') {
+    intent = await provider.capture(intent.id);
+  }
+
+  if (intent.status !== 'succeeded') {
+    return { intent };
+  }
+
+  return { intent, ...(await completePayment(order, intent, provider)) };
+};
+
+/**
+ * Send `amount` back through the order's provider. Orders never charged
+ * through a provider (direct purchases) only get a local refund reference.
+ * Retrying with the same `idempotencyKey` returns the first refund.
+ */
+export const refundPayment = async (order, amount, { reason, idempotencyKey } = {}) => {
+  if (!order.paymentIntentId) {
+    return { id: `re_${crypto.randomBytes(12).toString('hex')}`, amount: toCents(amount, order.currency), status: 'succeeded' };
+  }
+
+  return providerForOrder(order).refund(order.paymentIntentId, {
+    amount: toCents(amount, order.currency),
+    orderId: order.id,
+    reason,
+    idempotencyKey
+  });
+};
+
+export const getPaymentMethods = (user, providerName) => getPaymentProvider(providerName).getPaymentMethods(user);
+
+const findOrderForIntent = async (intent) =>
+  (await OrderRepository.findByPaymentIntent(intent.id)) ||
+  (intent.orderId ? OrderRepository.findById(intent.orderId) : null);
+
+const handlePaymentSucceeded = async (provider, { intent }) => {
+  const order = await findOrderForIntent(intent);
+
+  if (!order) {
+    logger.warn('Payment succeeded for unknown order', { provider: provider.name, paymentIntentId: intent.id });
+    return;
+  }
+
+  try {
+    await completePayment(order, intent, provider);
+  } catch (error) {
+    // Already refunded; redelivering the event would not change anything
+    if (!(error instanceof ConflictError)) throw error;
+  }
+};
+
+const handlePaymentFailed = async (provider, { intent }) => {
+  const order = await findOrderForIntent(intent);
+
+  // A stale intent failing says nothing about the order's current payment
+  if (!order || order.paymentIntentId !== intent.id) return;
+
+  const failed = await checkoutService.failCheckout(order.id);
+
+  if (failed) {
+    logger.info('Payment failed', {
+      orderId: order.id,
+      provider: provider.name,
+      paymentIntentId: intent.id,
+      reason: intent.failureMessage
+    });
+  }
+};
+
+// Refunds made outside the API (e.g. a provider dashboard) are brought into the order
+const handleRefunded = async (provider, { paymentIntentId, amountRefunded }) => {
+  if (!paymentIntentId) return;
+
+  const result = await withTransaction(async () => {
+    const order = await OrderRepository.findByPaymentIntent(paymentIntentId, { forUpdate: true });
+    if (!order) return null;
+
+    // A refund of ours still being recorded accounts for its share of the provider's total
+    const pending = await RefundRepository.findPendingForOrder(order.id);
+    const known = toCents(order.refundedAmount, order.currency) + (pending ? toCents(pending.amount, order.currency) : 0);
+    const missing = fromCents(amountRefunded - known, order.currency);
+    if (missing <= 0) return null;
+
+    const refund = await RefundRepository.create({
+      orderId: order.id,
+      amount: missing,
+      currency: order.currency,
+      reason: 'Refunded outside the API',
+      provider: provider.name
+    });
+
+    return checkoutService.recordRefund(order.id, missing, { refundId: refund.id });
+  });
+
+  if (result) {
+    waitlistService.notifyInventoryFreed(result.restockedTicketTypeIds);
+    logger.info('Refund recorded from provider', {
+      orderId: result.order.id,
+      provider: provider.name,
+      paymentIntentId,
+      refundedAmount: result.order.refundedAmount
+    });
+  }
+};
+
+// A disputed charge lost to the buyer's bank; the order is left as it is for staff to review
+const handleChargeback = async (provider, { id, paymentIntentId, disputeId = id, amount }) => {
+  if (!paymentIntentId) return;
+
+  const order = await OrderRepository.findByPaymentIntent(paymentIntentId);
+  if (!order) return;
+
+  const posted = await ledgerService.postChargeback(order, fromCents(amount, order.currency), { reference: disputeId });
+
+  if (posted) {
+    logger.warn('Chargeback recorded', {
+      orderId: order.id,
+      provider: provider.name,
+      paymentIntentId,
+      disputeId,
+      amount: fromCents(amount, order.currency)
+    });
+  }
+};
+
+const WEBHOOK_HANDLERS = {
+  payment_succeeded: handlePaymentSucceeded,
+  payment_failed: handlePaymentFailed,
+  refunded: handleRefunded,
+  chargeback: handleChargeback
+};
+
+// Verify a provider webhook; throws when the signature does not check out
+export const parseWebhook = (providerName, rawBody, headers) =>
+  getPaymentProvider(providerName).parseWebhook(rawBody, headers);
+
+// Apply a parsed webhook event; returns false for event types we ignore
+export const handleWebhookEvent = async (providerName, event) => {
+  const handler = WEBHOOK_HANDLERS[event.type];
+  if (!handler) return false;
+
+  await handler(getPaymentProvider(providerName), event);
+  return true;
+};
+
+export default {
+  providerForOrder,
+  startPayment,
+  completePayment,
+  confirmPayment,
+  refundPayment,
+  getPaymentMethods,
+  parseWebhook,
+  handleWebhookEvent
+};
@@ -0,0 +1,38 @@
+/**
+ * RobustTicketing - Fake Payout Provider
+ * In-memory transfers for development and tests. Every transfer succeeds
+ * unless FAKE_PAYOUT_DECLINE=true; retrying with the same idempotency key
+ * returns the original transfer. Transfers are lost on restart.
+ */
+
+import crypto from 'crypto';
+
+const transfers = new Map();
+
+const transfer = async ({ payoutId, organizationId, amount, currency, idempotencyKey }) => {
+  if (idempotencyKey && transfers.has(idempotencyKey)) {
+    return transfers.get(idempotencyKey);
+  }
+
+  if (process.env.FAKE_PAYOUT_DECLINE === 'true') {
+    throw new Error('The organizer\'s bank account declined the transfer');
+  }
+
+  const result = {
+    id: `tr_fake_${crypto.randomBytes(12).toString('hex')}`,
+    payoutId,
+    organizationId,
+    amount,
+    currency
+  };
+
+  if (idempotencyKey) {
+    transfers.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+export default {
+  name: 'fake',
+  transfer
+};
@@ -0,0 +1,38 @@
+/**
+ * RobustTicketing - Payout Providers
+ * Every transfer rail implements the same PayoutProvider contract:
+ *
+ *   name                                    key stored on payouts.provider
+ *   transfer({ payoutId, organizationId, amount, currency, idempotencyKey })
+ *     -> { id }
+ *
+ * Amounts are in the currency's minor unit (cents, or whole yen for JPY). A
+ * transfer that cannot be made throws; the message is recorded on the payout
+ * for the organizer to see.
+ */
+
+import fakePayoutProvider from './fakePayoutProvider.js';
+import { ValidationError } from '../../middleware/errorHandler.js';
+
+const PROVIDERS = {
+  fake: fakePayoutProvider
+};
+
+export const getDefaultPayoutProviderName = () => process.env.PAYOUT_PROVIDER || 'fake';
+
+export const getPayoutProvider = (name = getDefaultPayoutProviderName()) => {
+  if (!Object.hasOwn(PROVIDERS, name)) {
+    throw new ValidationError(`Unknown payout provider "${name}"`);
+  }
+
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payout provider cannot be used in production');
+  }
+
+  return PROVIDERS[name];
+};
+
+export default {
+  getDefaultPayoutProviderName,
+  getPayoutProvider
+};
@@ -0,0 +1,311 @@
+/**
+ * RobustTicketing - Payout Service
+ * Settles each event's organizer balance from the ledger and pays it out to
+ * the organization that owns the event once the event has ended and the
+ * holdback window has passed. A reserve of net sales stays back for late
+ * refunds and chargebacks until the reserve window has passed as well.
+ */
+
+import { withTransaction } from '../config/database.js';
+import LedgerRepository from '../repositories/LedgerRepository.js';
+import PayoutRepository from '../repositories/PayoutRepository.js';
+import ledgerService from './ledgerService.js';
+import permissionService from './permissionService.js';
+import { getPayoutProvider } from './payoutProviders/index.js';
+import { toCents, roundMoney, sumMoney, percentOf } from '../utils/money.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const numberFromEnv = (value, fallback) =>
+  value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// Days after an event ends before its balance can be paid out
+export const HOLDBACK_DAYS = numberFromEnv(process.env.PAYOUT_HOLDBACK_DAYS, 7);
+
+// Share of the organizer's net earnings kept back, and for how many days after the holdback
+export const RESERVE_PERCENT = numberFromEnv(process.env.PAYOUT_RESERVE_PERCENT, 10);
+export const RESERVE_DAYS = numberFromEnv(process.env.PAYOUT_RESERVE_DAYS, 30);
+
+export const PAYOUT_STATUSES = ['scheduled', 'processing', 'paid', 'failed', 'cancelled'];
+
+// A failed transfer is tried again this long after it failed
+const RETRY_AFTER_MS = DAY_MS;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Settle one event's organizer balance in one currency from its ledger
+ * totals by transaction type, as of `now`.
+ */
+const settle = (rows, now) => {
+  const [{ eventId, eventTitle, eventStartsAt, eventEndsAt, currency }] = rows;
+  const net = (type) => sumMoney(rows.filter(row => row.type === type).map(row => row.debits - row.credits), currency);
+
+  const grossSales = -net('purchase');
+  const refunds = net('refund');
+  const chargebacks = net('chargeback');
+  const platformFees = net('fee');
+  const tax = net('tax');
+  const paidOut = net('payout');
+  // Net of fees and tax; the reserve is a share of this so it doesn't shrink as payouts go out
+  const earned = roundMoney(grossSales - refunds - chargebacks - platformFees - tax, currency);
+  const balance = roundMoney(earned - paidOut, currency);
+
+  const endsAt = eventEndsAt || eventStartsAt;
+  const holdbackEndsAt = addDays(endsAt, HOLDBACK_DAYS);
+  const reserveReleasesAt = addDays(holdbackEndsAt, RESERVE_DAYS);
+
+  const reserve = now < reserveReleasesAt
+    ? Math.min(Math.max(balance, 0), Math.max(percentOf(earned, RESERVE_PERCENT, currency), 0))
+    : 0;
+  const available = now >= holdbackEndsAt ? Math.max(roundMoney(balance - reserve, currency), 0) : 0;
+
+  let nextPayoutAt = null;
+  if (balance > 0) {
+    if (available > 0) nextPayoutAt = now;
+    else if (now < holdbackEndsAt && balance > reserve) nextPayoutAt = holdbackEndsAt;
+    else nextPayoutAt = reserveReleasesAt;
+  }
+
+  return {
+    eventId,
+    eventTitle,
+    eventEndsAt: endsAt,
+    currency,
+    grossSales,
+    refunds,
+    chargebacks,
+    platformFees,
+    tax,
+    paidOut,
+    balance,
+    reserve,
+    available,
+    holdbackEndsAt: holdbackEndsAt.toISOString(),
+    reserveReleasesAt: reserveReleasesAt.toISOString(),
+    nextPayoutAt: nextPayoutAt && new Date(nextPayoutAt).toISOString()
+  };
+};
+
+// The amount a settlement will have available at its next payout date
+const projectedAmount = (rows, settlement) =>
+  settlement.nextPayoutAt ? settle(rows, new Date(settlement.nextPayoutAt)).available : 0;
+
+// Ledger totals for an organization's events, grouped per event and currency
+const loadSettlementRows = async (organizationId, { eventId } = {}) => {
+  const rows = await LedgerRepository.sumByType({ account: 'organizer_balance', ownerId: organizationId, eventId });
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = `${row.eventId}:${row.currency}`;
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Per-event settlements for an organization as of `now`: sales, refunds,
+ * chargebacks, fees, tax, what was paid out, the reserve held back and what
+ * is available, with the date of the next payout.
+ */
+export const getSettlements = async (organizationId, { eventId } = {}, now = new Date()) => {
+  const groups = await loadSettlementRows(organizationId, { eventId });
+
+  return groups.map(rows => {
+    const settlement = settle(rows, now);
+    return { ...settlement, nextPayoutAmount: projectedAmount(rows, settlement) };
+  });
+};
+
+/**
+ * The organization's payout history plus the payouts still to come from
+ * events with a balance.
+ */
+export const getOrganizationPayouts = async (organizationId, { status } = {}, pagination = {}) => {
+  if (status !== undefined && !PAYOUT_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${PAYOUT_STATUSES.join(', ')}`);
+  }
+
+  const history = await PayoutRepository.listForOrganization(organizationId, { status }, pagination);
+  const settlements = await getSettlements(organizationId);
+
+  return {
+    ...history,
+    upcoming: settlements
+      .filter(settlement => settlement.nextPayoutAt && settlement.nextPayoutAmount > 0)
+      .map(settlement => ({
+        eventId: settlement.eventId,
+        eventTitle: settlement.eventTitle,
+        currency: settlement.currency,
+        amount: settlement.nextPayoutAmount,
+        expectedAt: settlement.nextPayoutAt
+      }))
+  };
+};
+
+/**
+ * One event's settlement and every ledger line behind it, with the running
+ * balance owed to its organization, for anyone holding payout:view on the
+ * event. With `organizationId` the event must belong to that organization.
+ */
+export const getEventStatement = async (userId, eventId, { organizationId } = {}, now = new Date()) => {
+  const event = await permissionService.findPermittedEvent(userId, eventId, 'payout:view');
+
+  if (!event || (organizationId && event.organizationId !== organizationId)) {
+    throw new NotFoundError('Event not found or access denied');
+  }
+
+  const entries = await LedgerRepository.listEntries({
+    account: 'organizer_balance',
+    ownerId: event.organizationId,
+    eventId
+  });
+  const balances = new Map();
+
+  const lines = entries.map(entry => {
+    // Credits raise what the organization is owed
+    const amount = roundMoney(-entry.amount, entry.currency);
+    const balance = roundMoney((balances.get(entry.currency) || 0) + amount, entry.currency);
+    balances.set(entry.currency, balance);
+
+    return {
+      date: entry.createdAt,
+      type: entry.type,
+      orderNumber: entry.orderNumber,
+      description: entry.description,
+      currency: entry.currency,
+      amount,
+      balance
+    };
+  });
+
+  return {
+    event: { id: event.id, title: event.title, startDate: event.startDate, endDate: event.endDate },
+    settlements: await getSettlements(event.organizationId, { eventId }, now),
+    lines
+  };
+};
+
+/**
+ * Schedule a payout for every ended event with money owed and no open
+ * payout, dated for when its next payout becomes available. Events whose
+ * last transfer failed wait RETRY_AFTER_MS before trying again.
+ */
+export const schedulePayouts = async (now = new Date()) => {
+  const candidates = await LedgerRepository.listEventsInCredit({ endedBefore: now });
+  const blocked = await PayoutRepository.listBlocked({ failedSince: new Date(now.getTime() - RETRY_AFTER_MS) });
+  const blockedKeys = new Set(blocked.map(payout => `${payout.eventId}:${payout.currency}`));
+  const scheduled = [];
+
+  for (const candidate of candidates) {
+    if (blockedKeys.has(`${candidate.eventId}:${candidate.currency}`)) continue;
+
+    const groups = await loadSettlementRows(candidate.organizationId, { eventId: candidate.eventId });
+    const rows = groups.find(group => group[0].currency === candidate.currency);
+    if (!rows) continue;
+
+    const settlement = settle(rows, now);
+    const amount = projectedAmount(rows, settlement);
+    if (amount <= 0) continue;
+
+    const payout = await PayoutRepository.create({
+      organizationId: candidate.organizationId,
+      organizerId: candidate.organizerId,
+      eventId: candidate.eventId,
+      amount,
+      currency: candidate.currency,
+      scheduledFor: settlement.nextPayoutAt
+    });
+    if (payout) scheduled.push(payout);
+  }
+
+  return scheduled;
+};
+
+/**
+ * Pay a due payout: settle the event again, take what is available off the
+ * organization's balance and transfer it. Nothing available means the payout
+ * is moved to the reserve release date or cancelled; a failed transfer is
+ * put back on the balance and the payout marked failed.
+ */
+export const processPayout = async (payoutId, now = new Date()) => {
+  const claimed = await withTransaction(async () => {
+    const payout = await PayoutRepository.findById(payoutId, { forUpdate: true });
+    if (payout?.status !== 'scheduled') return null;
+
+    const groups = await loadSettlementRows(payout.organizationId, { eventId: payout.eventId });
+    const rows = groups.find(group => group[0].currency === payout.currency);
+    const settlement = rows ? settle(rows, now) : null;
+
+    if (!settlement || settlement.available <= 0) {
+      const later = settlement && projectedAmount(rows, settlement);
+
+      await PayoutRepository.update(payout.id, later > 0
+        ? { amount: later, scheduledFor: settlement.nextPayoutAt }
+        : { status: 'cancelled', failureReason: 'Nothing left to pay out' });
+      return null;
+    }
+
+    const provider = getPayoutProvider();
+    const processing = await PayoutRepository.update(payout.id, {
+      status: 'processing',
+      amount: settlement.available,
+      provider: provider.name
+    });
+    await ledgerService.postPayout(processing);
+    return processing;
+  });
+
+  if (!claimed) return null;
+
+  try {
+    const transfer = await getPayoutProvider(claimed.provider).transfer({
+      payoutId: claimed.id,
+      organizationId: claimed.organizationId,
+      amount: toCents(claimed.amount, claimed.currency),
+      currency: claimed.currency,
+      idempotencyKey: `payout-${claimed.id}`
+    });
+
+    return PayoutRepository.update(claimed.id, { status: 'paid', providerTransferId: transfer.id });
+  } catch (error) {
+    logger.error('Payout transfer failed', { payoutId: claimed.id, organizationId: claimed.organizationId, error: error.message });
+
+    return withTransaction(async () => {
+      await ledgerService.postPayoutReversal(claimed);
+      return PayoutRepository.update(claimed.id, { status: 'failed', failureReason: error.message });
+    });
+  }
+};
+
+// Schedule new payouts and pay the ones that are due
+export const runPayouts = async (now = new Date()) => {
+  const scheduled = await schedulePayouts(now);
+  const due = await PayoutRepository.listDue(now);
+  const results = [];
+
+  for (const payout of due) {
+    results.push(await processPayout(payout.id, now));
+  }
+
+  return {
+    scheduled: scheduled.length,
+    paid: results.filter(payout => payout?.status === 'paid').length,
+    failed: results.filter(payout => payout?.status === 'failed').length
+  };
+};
+
+export default {
+  HOLDBACK_DAYS,
+  RESERVE_PERCENT,
+  RESERVE_DAYS,
+  PAYOUT_STATUSES,
+  getSettlements,
+  getOrganizationPayouts,
+  getEventStatement,
+  schedulePayouts,
+  processPayout,
+  runPayouts
+};
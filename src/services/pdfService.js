@@ -0,0 +1,359 @@
+/**
+ * RobustTicketing - PDF Service
+ * Printable tickets (with signed QR codes) and order invoices rendered with pdf-lib
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import ticketQrService from './ticketQrService.js';
+import { formatAmount } from '../utils/money.js';
+
+const TICKET_PAGE = [420, 595]; // A5 portrait
+const INVOICE_PAGE = [595, 842]; // A4 portrait
+const MARGIN = 36;
+
+const COLORS = {
+  brand: rgb(0.16, 0.24, 0.56),
+  text: rgb(0.1, 0.1, 0.1),
+  muted: rgb(0.42, 0.42, 0.42),
+  rule: rgb(0.82, 0.82, 0.82),
+  warning: rgb(0.7, 0.1, 0.1),
+  white: rgb(1, 1, 1)
+};
+
+// Standard PDF fonts only cover WinAnsi; swap anything else for '?' rather than failing the render
+const safeText = (value) =>
+  String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, '?');
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return formatAmount(amount, currency);
+  }
+};
+
+// Event times are shown in the event's own timezone, falling back to UTC for unknown zones
+export const formatEventDate = (date, timeZone = 'UTC') => {
+  if (!date) return '';
+
+  const options = {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  };
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || 'UTC' }).format(new Date(date));
+  } catch (error) {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' }).format(new Date(date));
+  }
+};
+
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of safeText(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+};
+
+const loadFonts = async (doc) => ({
+  regular: await doc.embedFont(StandardFonts.Helvetica),
+  bold: await doc.embedFont(StandardFonts.HelveticaBold)
+});
+
+const attendeeName = (ticket) =>
+  ticket.attendeeName ||
+  [ticket.customerFirstName, ticket.customerLastName].filter(Boolean).join(' ') ||
+  ticket.customerEmail ||
+  '';
+
+const drawTicketPage = async (doc, fonts, ticket) => {
+  const page = doc.addPage(TICKET_PAGE);
+  const [width, height] = TICKET_PAGE;
+  const contentWidth = width - MARGIN * 2;
+  let y = height - MARGIN;
+
+  const text = (value, { size = 11, font = fonts.regular, color = COLORS.text, x = MARGIN } = {}) => {
+    page.drawText(safeText(value), { x, y, size, font, color });
+  };
+
+  // Header band
+  page.drawRectangle({ x: 0, y: height - 64, width, height: 64, color: COLORS.brand });
+  y = height - 40;
+  text('RobustTicketing', { size: 16, font: fonts.bold, color: COLORS.white });
+  text('ADMISSION TICKET', {
+    size: 10,
+    font: fonts.bold,
+    color: COLORS.white,
+    x: width - MARGIN - fonts.bold.widthOfTextAtSize('ADMISSION TICKET', 10)
+  });
+
+  y = height - 64 - 32;
+  for (const line of wrapText(ticket.event.title, fonts.bold, 18, contentWidth)) {
+    text(line, { size: 18, font: fonts.bold });
+    y -= 22;
+  }
+
+  y -= 4;
+  text(formatEventDate(ticket.event.startDate, ticket.event.timezone), { size: 11 });
+  y -= 16;
+
+  const venueLines = [
+    ticket.event.venue,
+    ticket.event.address,
+    [ticket.event.city, ticket.event.country].filter(Boolean).join(', ')
+  ].filter(Boolean);
+
+  for (const line of venueLines) {
+    for (const wrapped of wrapText(line, fonts.regular, 11, contentWidth)) {
+      text(wrapped, { size: 11, color: COLORS.muted });
+      y -= 15;
+    }
+  }
+
+  y -= 8;
+  page.drawLine({
+    start: { x: MARGIN, y },
+    end: { x: width - MARGIN, y },
+    thickness: 1,
+    color: COLORS.rule
+  });
+  y -= 22;
+
+  const details = [
+    ['Attendee', attendeeName(ticket)],
+    ['Ticket type', ticket.ticketType.name],
+    ['Order', ticket.order.orderNumber],
+    ['Code', ticket.code]
+  ];
+
+  for (const [label, value] of details) {
+    text(label.toUpperCase(), { size: 8, font: fonts.bold, color: COLORS.muted });
+    y -= 13;
+    text(value, { size: 12, font: fonts.bold });
+    y -= 20;
+  }
+
+  // QR code, centred below the details
+  const payload = await ticketQrService.ensureQrPayload(ticket);
+  const qrImage = await doc.embedPng(await ticketQrService.renderQrPng(payload, { width: 480 }));
+  const qrSize = 170;
+  const qrY = Math.max(y - qrSize, MARGIN + 40);
+  page.drawImage(qrImage, { x: (width - qrSize) / 2, y: qrY, width: qrSize, height: qrSize });
+
+  if (ticket.status !== 'active') {
+    const notice = `This ticket is ${ticket.status}`.toUpperCase();
+    page.drawText(notice, {
+      x: (width - fonts.bold.widthOfTextAtSize(notice, 14)) / 2,
+      y: qrY - 22,
+      size: 14,
+      font: fonts.bold,
+      color: COLORS.warning
+    });
+  }
+
+  const footer = 'Present this QR code at the entrance. Do not share it.';
+  page.drawText(footer, {
+    x: (width - fonts.regular.widthOfTextAtSize(footer, 8)) / 2,
+    y: MARGIN,
+    size: 8,
+    font: fonts.regular,
+    color: COLORS.muted
+  });
+};
+
+// One page per ticket; pass every ticket of an order for a single bundled PDF
+export const renderTicketsPdf = async (tickets) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(tickets.length === 1 ? `Ticket ${tickets[0].code}` : `Tickets for order ${tickets[0].order.orderNumber}`);
+  doc.setCreator('RobustTicketing');
+
+  const fonts = await loadFonts(doc);
+  for (const ticket of tickets) {
+    await drawTicketPage(doc, fonts, ticket);
+  }
+
+  return doc.save();
+};
+
+// Invoice lines: one per ticket type and unit price
+const invoiceLines = (tickets) => {
+  const lines = new Map();
+
+  for (const ticket of tickets) {
+    const key = `${ticket.ticketType.id}:${ticket.purchasePrice}`;
+    const line = lines.get(key) || {
+      description: ticket.ticketType.name,
+      quantity: 0,
+      unitPrice: ticket.purchasePrice
+    };
+    line.quantity += 1;
+    lines.set(key, line);
+  }
+
+  return [...lines.values()];
+};
+
+/**
+ * Render an order invoice. `tickets` are the order's formatted tickets,
+ * `event` the formatted event it was placed for and `promoCode` the code
+ * behind any discount.
+ */
+export const renderInvoicePdf = async (order, tickets, event, { promoCode = null } = {}) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Invoice ${order.orderNumber}`);
+  doc.setCreator('RobustTicketing');
+
+  const fonts = await loadFonts(doc);
+  const [width, height] = INVOICE_PAGE;
+  const currency = order.currency || 'USD';
+  const columns = { description: MARGIN, quantity: 330, unitPrice: 400, amount: width - MARGIN };
+
+  let page;
+  let y;
+
+  const text = (value, { size = 10, font = fonts.regular, color = COLORS.text, x = MARGIN, align = 'left' } = {}) => {
+    const content = safeText(value);
+    const left = align === 'right' ? x - font.widthOfTextAtSize(content, size) : x;
+    page.drawText(content, { x: left, y, size, font, color });
+  };
+
+  const rule = () => {
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: width - MARGIN, y }, thickness: 1, color: COLORS.rule });
+  };
+
+  const tableHeader = () => {
+    text('Description', { font: fonts.bold });
+    text('Qty', { font: fonts.bold, x: columns.quantity, align: 'right' });
+    text('Unit price', { font: fonts.bold, x: columns.unitPrice + 60, align: 'right' });
+    text('Amount', { font: fonts.bold, x: columns.amount, align: 'right' });
+    y -= 8;
+    rule();
+    y -= 16;
+  };
+
+  const newPage = () => {
+    page = doc.addPage(INVOICE_PAGE);
+    y = height - MARGIN;
+  };
+
+  newPage();
+
+  // Header
+  text('RobustTicketing', { size: 18, font: fonts.bold, color: COLORS.brand });
+  text('INVOICE', { size: 18, font: fonts.bold, x: width - MARGIN, align: 'right' });
+  y -= 28;
+
+  const meta = [
+    ['Invoice number', order.orderNumber],
+    ['Issued', formatEventDate(order.createdAt, event?.timezone)],
+    ['Status', order.status]
+  ];
+  for (const [label, value] of meta) {
+    text(`${label}:`, { font: fonts.bold });
+    text(value, { x: MARGIN + 100 });
+    y -= 15;
+  }
+
+  y -= 12;
+  text('Billed to', { font: fonts.bold, color: COLORS.muted });
+  y -= 15;
+  const customerLines = [
+    [order.customer.firstName, order.customer.lastName].filter(Boolean).join(' '),
+    order.customer.email,
+    order.customer.phone
+  ].filter(Boolean);
+  for (const line of customerLines) {
+    text(line);
+    y -= 14;
+  }
+
+  if (event) {
+    y -= 10;
+    text('Event', { font: fonts.bold, color: COLORS.muted });
+    y -= 15;
+    for (const line of wrapText(event.title, fonts.regular, 10, width - MARGIN * 2)) {
+      text(line);
+      y -= 14;
+    }
+    text(formatEventDate(event.startDate, event.timezone));
+    y -= 14;
+    if (event.venue) {
+      text([event.venue, event.city].filter(Boolean).join(', '));
+      y -= 14;
+    }
+  }
+
+  y -= 18;
+  tableHeader();
+
+  const lines = invoiceLines(tickets);
+  for (const line of lines) {
+    if (y < MARGIN + 120) {
+      newPage();
+      tableHeader();
+    }
+
+    const descriptionLines = wrapText(line.description, fonts.regular, 10, columns.quantity - MARGIN - 40);
+    text(descriptionLines[0] || '');
+    text(String(line.quantity), { x: columns.quantity, align: 'right' });
+    text(formatMoney(line.unitPrice, currency), { x: columns.unitPrice + 60, align: 'right' });
+    text(formatMoney(line.unitPrice * line.quantity, currency), { x: columns.amount, align: 'right' });
+
+    for (const extra of descriptionLines.slice(1)) {
+      y -= 13;
+      text(extra);
+    }
+    y -= 18;
+  }
+
+  rule();
+  y -= 18;
+
+  const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+  const totals = [['Subtotal', subtotal]];
+  if (order.discountAmount > 0) {
+    totals.push([promoCode ? `Discount (${promoCode.code})` : 'Discount', -order.discountAmount]);
+  }
+  // Fees the organizer absorbed and tax already in the price are not added to the total
+  if (order.charges?.fee?.paidBy !== 'organizer') {
+    totals.push(['Fees', order.fees]);
+  }
+  totals.push(
+    [order.charges?.tax?.inclusive ? 'Tax (included)' : 'Tax', order.tax],
+    ['Total', order.totalAmount]
+  );
+  if (order.refundedAmount > 0) {
+    totals.push(['Refunded', -order.refundedAmount]);
+  }
+
+  for (const [label, amount] of totals) {
+    const font = label === 'Total' ? fonts.bold : fonts.regular;
+    text(label, { font, x: columns.unitPrice + 60, align: 'right' });
+    text(formatMoney(amount, currency), { font, x: columns.amount, align: 'right' });
+    y -= 16;
+  }
+
+  return doc.save();
+};
+
+export default {
+  formatEventDate,
+  renderTicketsPdf,
+  renderInvoicePdf
+};
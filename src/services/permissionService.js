@@ -0,0 +1,243 @@
+/**
+ * RobustTicketing - Permission Service
+ * Roles map to named permissions. Platform roles (user_roles) apply
+ * everywhere; organization roles apply to the organization and every event
+ * it owns; event roles apply to one event, held by staff granted a role on
+ * it. Admins may do everything.
+ */
+
+import EventRepository from '../repositories/EventRepository.js';
+import OrganizationRepository from '../repositories/OrganizationRepository.js';
+import RoleRepository from '../repositories/RoleRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Permissions that apply to a single event
+const EVENT_PERMISSIONS = [
+  'event:update',
+  'event:delete',
+  'event:publish',
+  'order:view',
+  'order:refund',
+  'payment:collect',
+  'promo:manage',
+  'waitlist:view',
+  'ticket:validate',
+  'ledger:view',
+  'payout:view',
+  'staff:manage'
+];
+
+// Permissions that only make sense platform-wide
+const PLATFORM_PERMISSIONS = [
+  'event:create',
+  'pricing:manage',
+  'ledger:audit',
+  'role:assign'
+];
+
+// Permissions on an organization itself
+const ORGANIZATION_PERMISSIONS = [
+  'organization:view',
+  'organization:update',
+  'organization:delete',
+  'organization:create_event',
+  'member:manage',
+  'owner:manage'
+];
+
+export const PERMISSIONS = [...PLATFORM_PERMISSIONS, ...ORGANIZATION_PERMISSIONS, ...EVENT_PERMISSIONS];
+
+// Roles held platform-wide; every signed-in user implicitly has "user"
+export const PLATFORM_ROLES = {
+  user: ['event:create'],
+  organizer: ['event:create'],
+  admin: PERMISSIONS
+};
+
+// Roles held on one event
+export const EVENT_ROLES = {
+  owner: EVENT_PERMISSIONS,
+  manager: [
+    'event:update', 'event:publish', 'order:view', 'order:refund', 'payment:collect',
+    'promo:manage', 'waitlist:view', 'ticket:validate'
+  ],
+  finance: ['order:view', 'order:refund', 'ledger:view', 'payout:view'],
+  box_office: ['order:view', 'payment:collect', 'ticket:validate'],
+  door_staff: ['ticket:validate']
+};
+
+// Roles held in an organization; they apply to every event it owns
+export const ORGANIZATION_ROLES = {
+  owner: [...ORGANIZATION_PERMISSIONS, ...EVENT_PERMISSIONS],
+  admin: [...ORGANIZATION_PERMISSIONS.filter(permission => !['organization:delete', 'owner:manage'].includes(permission)), ...EVENT_PERMISSIONS],
+  editor: [
+    'organization:view', 'organization:create_event', 'event:update', 'event:publish', 'order:view',
+    'promo:manage', 'waitlist:view'
+  ],
+  finance: ['organization:view', 'order:view', 'order:refund', 'ledger:view', 'payout:view'],
+  door_staff: ['organization:view', 'ticket:validate']
+};
+
+// Event roles that can be granted; ownership follows the event's organization
+export const GRANTABLE_EVENT_ROLES = Object.keys(EVENT_ROLES).filter(role => role !== 'owner');
+
+const grants = (roles, definitions, permission) =>
+  roles.some(role => definitions[role]?.includes(permission));
+
+/**
+ * Whether the user holds `permission`, platform-wide or, with `eventId` or
+ * `organizationId`, on that event or organization.
+ */
+export const can = async (userId, permission, { eventId, organizationId } = {}) => {
+  if (!userId) return false;
+
+  const platformRoles = await RoleRepository.listUserRoles(userId);
+  if (grants(['user', ...platformRoles], PLATFORM_ROLES, permission)) return true;
+
+  if (organizationId) {
+    const role = await OrganizationRepository.findMemberRole(organizationId, userId);
+    if (role && grants([role], ORGANIZATION_ROLES, permission)) return true;
+  }
+
+  if (!eventId || !EVENT_PERMISSIONS.includes(permission)) return false;
+
+  const eventRoles = await RoleRepository.listEventRoles(userId, eventId);
+  if (grants(eventRoles, EVENT_ROLES, permission)) return true;
+
+  const organizationRole = await OrganizationRepository.findMemberRoleForEvent(userId, eventId);
+  return Boolean(organizationRole) && grants([organizationRole], ORGANIZATION_ROLES, permission);
+};
+
+// The event, if it exists and the user holds `permission` on it; null otherwise
+export const findPermittedEvent = async (userId, eventId, permission) => {
+  const event = await EventRepository.findById(eventId);
+  if (!event) return null;
+
+  return (await can(userId, permission, { eventId: event.id })) ? event : null;
+};
+
+// Every permission the user holds on an event, e.g. for showing the right controls
+export const listEventPermissions = async (userId, eventId) => {
+  const checks = await Promise.all(EVENT_PERMISSIONS.map(permission => can(userId, permission, { eventId })));
+  return EVENT_PERMISSIONS.filter((permission, index) => checks[index]);
+};
+
+const loadUser = async (userId) => {
+  const user = await UserRepository.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+};
+
+// A user's platform roles and the roles granted to them on resources
+export const getUserRoles = async (userId) => {
+  const user = await loadUser(userId);
+
+  return {
+    userId: user.id,
+    email: user.email,
+    roles: await RoleRepository.listUserRoles(user.id),
+    grants: await RoleRepository.listGrantsForUser(user.id)
+  };
+};
+
+export const assignPlatformRole = async (userId, role) => {
+  if (!Object.hasOwn(PLATFORM_ROLES, role)) {
+    throw new ValidationError(`role must be one of: ${Object.keys(PLATFORM_ROLES).join(', ')}`);
+  }
+
+  await loadUser(userId);
+  await RoleRepository.addUserRole(userId, role);
+  return getUserRoles(userId);
+};
+
+export const removePlatformRole = async (userId, role, { removedBy } = {}) => {
+  if (role === 'admin' && userId === removedBy) {
+    throw new ValidationError('Admins cannot remove their own admin role');
+  }
+
+  if (!(await RoleRepository.removeUserRole(userId, role))) {
+    throw new NotFoundError('User does not have this role');
+  }
+  return getUserRoles(userId);
+};
+
+// Give a user a staff role on an event, replacing any role they held there
+export const grantEventRole = async (eventId, userId, role, { grantedBy } = {}) => {
+  if (!GRANTABLE_EVENT_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${GRANTABLE_EVENT_ROLES.join(', ')}`);
+  }
+
+  const event = await EventRepository.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  await loadUser(userId);
+
+  if (!event.organizationId && event.organizerId === userId) {
+    throw new ValidationError('The event organizer already owns this event');
+  }
+
+  return RoleRepository.upsertGrant({ userId, role, resourceType: 'event', resourceId: event.id, grantedBy });
+};
+
+export const revokeEventRole = async (eventId, userId) => {
+  if (!(await RoleRepository.removeGrant({ userId, resourceType: 'event', resourceId: eventId }))) {
+    throw new NotFoundError('User has no role on this event');
+  }
+};
+
+/**
+ * Everyone with a role on the event: members of the organization that owns
+ * it (or its organizer, for an event without one) and staff granted a role
+ * on the event itself. `source` tells which.
+ */
+export const listEventStaff = async (eventId) => {
+  const event = await EventRepository.findById(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  const owners = event.organizationId
+    ? (await OrganizationRepository.listMembers(event.organizationId)).map(member => ({
+      userId: member.userId,
+      role: member.role,
+      source: 'organization',
+      user: { email: member.email, firstName: member.firstName, lastName: member.lastName }
+    }))
+    : [{ userId: event.organizerId, role: 'owner', source: 'event', user: event.organizer }];
+
+  const grantsOnEvent = await RoleRepository.listGrantsForResource('event', event.id);
+
+  return [
+    ...owners,
+    ...grantsOnEvent.map(grant => ({
+      userId: grant.userId,
+      role: grant.role,
+      source: 'event',
+      user: grant.user,
+      grantedBy: grant.grantedBy,
+      grantedAt: grant.updatedAt
+    }))
+  ];
+};
+
+export default {
+  PERMISSIONS,
+  PLATFORM_ROLES,
+  EVENT_ROLES,
+  ORGANIZATION_ROLES,
+  GRANTABLE_EVENT_ROLES,
+  can,
+  findPermittedEvent,
+  listEventPermissions,
+  getUserRoles,
+  assignPlatformRole,
+  removePlatformRole,
+  grantEventRole,
+  revokeEventRole,
+  listEventStaff
+};
@@ -0,0 +1,281 @@
+/**
+ * RobustTicketing - Pricing Service
+ * Order subtotals, promo code discounts, platform fees and tax for checkout lines
+ */
+
+import EventRepository from '../repositories/EventRepository.js';
+import PromoCodeRepository from '../repositories/PromoCodeRepository.js';
+import FeeRuleRepository from '../repositories/FeeRuleRepository.js';
+import TaxRuleRepository from '../repositories/TaxRuleRepository.js';
+import { ValidationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  DEFAULT_CURRENCY, toCents, fromCents, roundMoney, sumMoney, percentOf, allocate, normalizeCurrency
+} from '../utils/money.js';
+
+const appliesTo = (promo, line) =>
+  promo.scope === 'order' || promo.ticketTypeIds.includes(line.ticketTypeId);
+
+/**
+ * Discount per line for a promo code:
+ * - percentage: that percent off every eligible line
+ * - fixed_amount: order scope takes the amount off the eligible total once;
+ *   ticket_types scope takes it off each eligible ticket
+ * - bogo: for every buyQuantity tickets of an eligible type, getQuantity more are free
+ * A line is never discounted below zero.
+ */
+const lineDiscounts = (promo, lines, currency) => {
+  const eligible = lines.map(line => appliesTo(promo, line));
+
+  switch (promo.discountType) {
+    case 'percentage':
+      return lines.map((line, index) =>
+        eligible[index] ? percentOf(line.lineTotal, Math.min(promo.discountValue, 100), currency) : 0
+      );
+
+    case 'fixed_amount': {
+      if (promo.scope === 'ticket_types') {
+        return lines.map((line, index) =>
+          eligible[index] ? roundMoney(Math.min(promo.discountValue, line.unitPrice) * line.quantity, currency) : 0
+        );
+      }
+
+      const eligibleTotal = sumMoney(lines.filter((line, index) => eligible[index]).map(line => line.lineTotal), currency);
+      return allocate(
+        Math.min(promo.discountValue, eligibleTotal),
+        lines.map((line, index) => (eligible[index] ? line.lineTotal : 0)),
+        currency
+      );
+    }
+
+    case 'bogo': {
+      const groupSize = promo.buyQuantity + promo.getQuantity;
+      return lines.map((line, index) => {
+        if (!eligible[index]) return 0;
+        const freeTickets = Math.floor(line.quantity / groupSize) * promo.getQuantity;
+        return roundMoney(freeTickets * line.unitPrice, currency);
+      });
+    }
+
+    default:
+      return lines.map(() => 0);
+  }
+};
+
+/**
+ * Platform fee on one ticket sold for `amount`: the rule's percent of it plus
+ * its fixed amount, no more than its cap. Free tickets carry no fee.
+ */
+const ticketFee = (fee, amount, currency) => {
+  if (!fee || toCents(amount, currency) <= 0) return 0;
+
+  const charged = roundMoney(percentOf(amount, fee.percent, currency) + fee.fixedAmount, currency);
+  return fee.cap === null || fee.cap === undefined ? charged : roundMoney(Math.min(charged, fee.cap), currency);
+};
+
+// Tax on one ticket sold for `amount`; inclusive rates are already part of it
+const ticketTax = (tax, amount, currency) => {
+  if (!tax) return 0;
+
+  return tax.inclusive
+    ? fromCents(Math.round(toCents(amount, currency) * tax.rate / (100 + tax.rate)), currency)
+    : percentOf(amount, tax.rate, currency);
+};
+
+/**
+ * Price checkout lines [{ ticketTypeId, name, quantity, unitPrice }] in
+ * `currency` with an optional promo code and the fee and tax rules from
+ * resolveCharges. Each
+ * line gets a per-ticket breakdown of what the ticket sold for after
+ * discounts, its fee and its tax. Returns the priced lines, subtotal, an
+ * itemized discount (or null), the fees and tax (or null when no rule
+ * applies) and the total the buyer pays: buyer-paid fees and exclusive tax
+ * are added on top, absorbed fees and inclusive tax are not.
+ */
+export const priceLines = (lines, { promo = null, charges = null, currency = DEFAULT_CURRENCY } = {}) => {
+  const { fee = null, tax = null } = charges || {};
+  const pricedLines = lines.map(line => ({
+    ...line,
+    lineTotal: roundMoney(line.unitPrice * line.quantity, currency)
+  }));
+  const subtotal = sumMoney(pricedLines.map(line => line.lineTotal), currency);
+
+  let discount = null;
+  const discounts = promo ? lineDiscounts(promo, pricedLines, currency) : pricedLines.map(() => 0);
+
+  if (promo) {
+    const amount = sumMoney(discounts, currency);
+
+    if (amount > 0) {
+      discount = {
+        promoCodeId: promo.id,
+        code: promo.code,
+        description: promo.description,
+        type: promo.discountType,
+        amount,
+        lines: pricedLines
+          .map((line, index) => ({ ticketTypeId: line.ticketTypeId, name: line.name, amount: discounts[index] }))
+          .filter(line => line.amount > 0)
+      };
+    }
+  }
+
+  const chargedLines = pricedLines.map((line, index) => {
+    const amounts = allocate(line.lineTotal - discounts[index], Array(line.quantity).fill(1), currency);
+    const tickets = amounts.map(amount => ({
+      amount,
+      fees: ticketFee(fee, amount, currency),
+      tax: ticketTax(tax, amount, currency)
+    }));
+
+    return {
+      ...line,
+      fees: sumMoney(tickets.map(ticket => ticket.fees), currency),
+      tax: sumMoney(tickets.map(ticket => ticket.tax), currency),
+      tickets
+    };
+  });
+
+  const discountAmount = discount ? discount.amount : 0;
+  const feesAmount = sumMoney(chargedLines.map(line => line.fees), currency);
+  const taxAmount = sumMoney(chargedLines.map(line => line.tax), currency);
+
+  return {
+    currency,
+    lines: chargedLines,
+    subtotal,
+    discount,
+    discountAmount,
+    fees: fee ? { ...fee, amount: feesAmount } : null,
+    feesAmount,
+    tax: tax ? { ...tax, amount: taxAmount } : null,
+    taxAmount,
+    charges: { fee, tax },
+    total: roundMoney(
+      subtotal - discountAmount
+      + (fee?.paidBy === 'buyer' ? feesAmount : 0)
+      + (tax && !tax.inclusive ? taxAmount : 0),
+      currency
+    )
+  };
+};
+
+/**
+ * The fee rule and tax rule an event's orders are priced with: the event's
+ * own fee rule or the platform default for its currency, and the tax rule for
+ * the venue's state or else its country. A fee rule in no or another currency
+ * charges only its percent. Returned as copies so an order can keep them.
+ */
+export const resolveCharges = async (event) => {
+  const feeRule = await FeeRuleRepository.findForEvent(event.id, event.currency);
+  const taxRule = await TaxRuleRepository.findForLocation(event.country, event.state);
+
+  // A fixed amount or cap only means something in the currency it was set in
+  const sameCurrency = Boolean(feeRule?.currency) && normalizeCurrency(feeRule.currency) === normalizeCurrency(event.currency);
+
+  return {
+    fee: feeRule && {
+      ruleId: feeRule.id,
+      name: feeRule.name,
+      percent: feeRule.percent,
+      fixedAmount: sameCurrency ? feeRule.fixedAmount : 0,
+      cap: sameCurrency ? feeRule.cap : null,
+      paidBy: feeRule.paidBy
+    },
+    tax: taxRule && {
+      ruleId: taxRule.id,
+      name: taxRule.name,
+      country: taxRule.country,
+      state: taxRule.state,
+      rate: taxRule.rate,
+      inclusive: taxRule.inclusive
+    }
+  };
+};
+
+/**
+ * Check a promo code can be used by `userId` right now. With `forUpdate` the
+ * code stays locked until the surrounding transaction ends.
+ */
+export const resolvePromoCode = async (eventId, code, { userId, forUpdate = false } = {}) => {
+  const promo = await PromoCodeRepository.findByCode(eventId, code, { forUpdate });
+  const now = new Date();
+
+  if (!promo || !promo.isActive) {
+    throw new ValidationError('Promo code is not valid for this event');
+  }
+
+  if (promo.startsAt && new Date(promo.startsAt) > now) {
+    throw new ValidationError('Promo code is not active yet');
+  }
+
+  if (promo.endsAt && new Date(promo.endsAt) < now) {
+    throw new ValidationError('Promo code has expired');
+  }
+
+  if (promo.maxUses !== null && promo.usesCount >= promo.maxUses) {
+    throw new ConflictError('Promo code has reached its usage limit');
+  }
+
+  if (promo.perUserLimit !== null && userId) {
+    const used = await PromoCodeRepository.countUserRedemptions(promo.id, userId);
+    if (used >= promo.perUserLimit) {
+      throw new ConflictError('You have already used this promo code the maximum number of times');
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Price lines for checkout in the event's currency with its fees and tax,
+ * applying `promoCode` when one is given
+ */
+export const price = async (eventId, lines, { promoCode, userId, forUpdate = true } = {}) => {
+  const event = await EventRepository.findById(eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  const charges = await resolveCharges(event);
+  const currency = event.currency;
+
+  if (!promoCode) {
+    return priceLines(lines, { charges, currency });
+  }
+
+  const promo = await resolvePromoCode(eventId, promoCode, { userId, forUpdate });
+  const pricing = priceLines(lines, { promo, charges, currency });
+
+  if (!pricing.discount) {
+    throw new ValidationError('Promo code does not apply to the selected tickets');
+  }
+
+  return pricing;
+};
+
+// Record the promo use behind a priced order; call in the transaction that created the order
+export const redeemDiscount = async (pricing, { orderId, userId }) => {
+  if (!pricing.discount) return;
+
+  const redeemed = await PromoCodeRepository.redeem(pricing.discount.promoCodeId, {
+    orderId,
+    userId,
+    discountAmount: pricing.discount.amount
+  });
+
+  if (!redeemed) {
+    throw new ConflictError('Promo code has reached its usage limit');
+  }
+};
+
+export const releaseDiscounts = (orderIds) => PromoCodeRepository.releaseForOrders(orderIds);
+
+export default {
+  priceLines,
+  resolveCharges,
+  resolvePromoCode,
+  price,
+  redeemDiscount,
+  releaseDiscounts
+};
@@ -0,0 +1,329 @@
+/**
+ * RobustTicketing - Refund Request Service
+ * Attendees ask for refunds instead of taking them. Requests the event's
+ * refund policy covers are approved on the spot; the rest wait for the
+ * organizer. Every status change is recorded and emailed.
+ */
+
+import { withTransaction } from '../config/database.js';
+import EventRepository from '../repositories/EventRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import RefundRequestRepository from '../repositories/RefundRequestRepository.js';
+import permissionService from './permissionService.js';
+import refundService from './refundService.js';
+import waitlistService from './waitlistService.js';
+import { sendEmail } from '../utils/email.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Organizer decisions -> the status they leave the request in
+export const DECISIONS = {
+  approve: 'approved',
+  partial: 'partially_approved',
+  deny: 'denied'
+};
+
+export const REQUEST_STATUSES = ['pending', 'approved', 'partially_approved', 'denied', 'cancelled'];
+
+const AUTO_APPROVAL_MESSAGE = 'Approved automatically under the event refund policy';
+
+const DECISION_SUBJECTS = {
+  approved: 'Your refund has been approved',
+  partially_approved: 'Your refund has been partly approved',
+  denied: 'Your refund request was declined'
+};
+
+const withHistory = async (requests) => {
+  const history = await RefundRequestRepository.listEvents(requests.map(request => request.id));
+  return requests.map(request => ({ ...request, history: history.get(request.id) }));
+};
+
+// Close a pending request and record the change; a concurrent decision makes this a conflict
+const closeRequest = async (request, status, { actorId = null, message = null, approvedAmount = null, refundId = null }) => {
+  const closed = await RefundRequestRepository.close(request.id, {
+    status,
+    approvedAmount,
+    refundId,
+    message,
+    decidedBy: actorId
+  });
+
+  if (!closed) {
+    throw new ConflictError('This refund request has already been decided');
+  }
+
+  await RefundRequestRepository.addEvent({
+    requestId: request.id,
+    fromStatus: request.status,
+    toStatus: status,
+    actorId,
+    message
+  });
+};
+
+// Emails go out after the change has committed and never fail it
+const notify = (emails) => {
+  for (const email of emails) {
+    if (!email.to) continue;
+
+    sendEmail(email).catch(error => {
+      logger.error('Failed to send refund request email:', { template: email.template, error: error.message });
+    });
+  }
+};
+
+/**
+ * Send an approved request's refund to the provider once the approval has
+ * committed. Returns the ticket types it freed; a refund the provider could
+ * not take yet is retried by refund reconciliation.
+ */
+const settleApprovedRefund = async (refund, restockedTicketTypeIds) => {
+  if (refund?.status !== 'pending') return restockedTicketTypeIds;
+
+  const settled = await refundService.settleRefund(refund.id);
+  return settled.restockedTicketTypeIds;
+};
+
+const requestEmailData = (request, extra = {}) => ({
+  firstName: request.customer.firstName || 'there',
+  orderNumber: request.orderNumber,
+  eventTitle: request.eventTitle,
+  reason: request.reason,
+  ...extra
+});
+
+const decisionEmail = (request, order) => ({
+  to: request.customer.email,
+  subject: DECISION_SUBJECTS[request.status],
+  template: 'refund-request-decided',
+  data: requestEmailData(request, {
+    status: request.status,
+    amount: request.approvedAmount,
+    currency: order.currency,
+    message: request.decisionMessage
+  })
+});
+
+/**
+ * File a refund request for an order the user bought, for `ticketIds` or every
+ * ticket still active. Inside the event's refund window it is approved and
+ * refunded at the policy percentage straight away; outside it the full price
+ * is requested and the organizer decides.
+ */
+export const fileRequest = async (orderId, userId, { reason, ticketIds }) => {
+  const { request, order, event, refund, restockedTicketTypeIds } = await withTransaction(async () => {
+    const order = await OrderRepository.findById(orderId, { forUpdate: true });
+
+    if (!order || order.userId !== userId) {
+      throw new NotFoundError('Order not found');
+    }
+
+    refundService.assertRefundable(order);
+
+    if (await RefundRequestRepository.findPendingForOrder(order.id)) {
+      throw new ConflictError('This order already has a refund request waiting for review');
+    }
+
+    const { event, tickets } = await refundService.loadRefundContext(order);
+    const policy = refundService.refundEligibility(event);
+    const quote = refundService.quoteRefund(order, tickets, {
+      ticketIds,
+      percent: policy.eligible ? policy.percent : 100
+    });
+
+    const request = await RefundRequestRepository.create({
+      orderId: order.id,
+      eventId: order.eventId,
+      userId,
+      ticketIds: quote.ticketIds,
+      reason,
+      requestedAmount: quote.amount
+    });
+    await RefundRequestRepository.addEvent({ requestId: request.id, toStatus: 'pending', actorId: userId });
+
+    if (!policy.eligible) {
+      return { request, order, event, restockedTicketTypeIds: [] };
+    }
+
+    const refunded = await refundService.startRefund(order, quote, { reason, requestedBy: userId });
+    await closeRequest(request, 'approved', {
+      message: AUTO_APPROVAL_MESSAGE,
+      approvedAmount: refunded.refund.amount,
+      refundId: refunded.refund.id
+    });
+
+    return {
+      request: await RefundRequestRepository.findById(request.id),
+      order,
+      event,
+      refund: refunded.refund,
+      restockedTicketTypeIds: refunded.restockedTicketTypeIds
+    };
+  });
+
+  waitlistService.notifyInventoryFreed(await settleApprovedRefund(refund, restockedTicketTypeIds));
+
+  notify(request.status === 'pending'
+    ? [
+      {
+        to: request.customer.email,
+        subject: 'We received your refund request',
+        template: 'refund-request-submitted',
+        data: requestEmailData(request)
+      },
+      {
+        to: event.organizer.email,
+        subject: `Refund request for ${event.title}`,
+        template: 'refund-request-received',
+        data: requestEmailData(request, { amount: request.requestedAmount, currency: order.currency })
+      }
+    ]
+    : [decisionEmail(request, order)]);
+
+  return (await withHistory([request]))[0];
+};
+
+// Requests on an order, for its buyer or the event's staff
+export const listForOrder = async (orderId, userId) => {
+  const order = await OrderRepository.findById(orderId);
+  const isStaff = Boolean(order && await permissionService.can(userId, 'order:view', { eventId: order.eventId }));
+
+  if (!order || (!isStaff && order.userId !== userId)) {
+    throw new NotFoundError('Order not found');
+  }
+
+  return withHistory(await RefundRequestRepository.listForOrder(order.id));
+};
+
+// The organizer's queue for an event, optionally in one status
+export const listForEvent = async (eventId, userId, { status } = {}) => {
+  const event = await permissionService.findPermittedEvent(userId, eventId, 'order:view');
+
+  if (!event) {
+    throw new NotFoundError('Event not found or access denied');
+  }
+
+  return withHistory(await RefundRequestRepository.listForEvent(eventId, { status }));
+};
+
+// The buyer takes back a request that is still waiting for review
+export const withdrawRequest = async (orderId, requestId, userId) => {
+  const { request, event } = await withTransaction(async () => {
+    const request = await RefundRequestRepository.findById(requestId, { forUpdate: true });
+
+    if (!request || request.orderId !== orderId || request.userId !== userId) {
+      throw new NotFoundError('Refund request not found');
+    }
+
+    if (request.status !== 'pending') {
+      throw new ConflictError(`This refund request is already ${request.status.replace('_', ' ')}`);
+    }
+
+    await closeRequest(request, 'cancelled', { actorId: userId });
+
+    return {
+      request: await RefundRequestRepository.findById(request.id),
+      event: await EventRepository.findById(request.eventId)
+    };
+  });
+
+  notify([{
+    to: event?.organizer.email,
+    subject: `Refund request withdrawn for ${request.eventTitle}`,
+    template: 'refund-request-withdrawn',
+    data: requestEmailData(request)
+  }]);
+
+  return (await withHistory([request]))[0];
+};
+
+/**
+ * The organizer's decision on a pending request. `approve` refunds the
+ * requested tickets in full; `partial` refunds some of them (`ticketIds`)
+ * and/or less money (`amount`); `deny` refunds nothing.
+ */
+export const decide = async (eventId, requestId, userId, { decision, amount, ticketIds, message = null }) => {
+  const status = DECISIONS[decision];
+
+  if (!status) {
+    throw new ValidationError('Decision must be approve, partial or deny');
+  }
+
+  if (decision === 'partial' && amount === undefined && ticketIds === undefined) {
+    throw new ValidationError('A partial approval needs an amount or some of the requested tickets');
+  }
+
+  const { request, order, refund, restockedTicketTypeIds } = await withTransaction(async () => {
+    const event = await permissionService.findPermittedEvent(userId, eventId, 'order:refund');
+
+    if (!event) {
+      throw new NotFoundError('Event not found or access denied');
+    }
+
+    const request = await RefundRequestRepository.findById(requestId, { forUpdate: true });
+
+    if (!request || request.eventId !== eventId) {
+      throw new NotFoundError('Refund request not found');
+    }
+
+    if (request.status !== 'pending') {
+      throw new ConflictError(`This refund request is already ${request.status.replace('_', ' ')}`);
+    }
+
+    const order = await OrderRepository.findById(request.orderId, { forUpdate: true });
+
+    if (status === 'denied') {
+      await closeRequest(request, status, { actorId: userId, message });
+      return { request: await RefundRequestRepository.findById(request.id), order, restockedTicketTypeIds: [] };
+    }
+
+    refundService.assertRefundable(order);
+
+    const chosenTicketIds = decision === 'partial' && ticketIds !== undefined ? ticketIds : request.ticketIds;
+    const outside = chosenTicketIds.filter(ticketId => !request.ticketIds.includes(ticketId));
+
+    if (outside.length > 0) {
+      throw new ValidationError('Only tickets named in the request can be refunded through it');
+    }
+
+    const { tickets } = await refundService.loadRefundContext(order);
+    const quote = refundService.quoteRefund(order, tickets, {
+      ticketIds: chosenTicketIds,
+      amount: decision === 'partial' ? amount : undefined,
+      percent: 100
+    });
+
+    const refunded = await refundService.startRefund(order, quote, {
+      reason: request.reason,
+      requestedBy: request.userId
+    });
+    await closeRequest(request, status, {
+      actorId: userId,
+      message,
+      approvedAmount: refunded.refund.amount,
+      refundId: refunded.refund.id
+    });
+
+    return {
+      request: await RefundRequestRepository.findById(request.id),
+      order,
+      refund: refunded.refund,
+      restockedTicketTypeIds: refunded.restockedTicketTypeIds
+    };
+  });
+
+  waitlistService.notifyInventoryFreed(await settleApprovedRefund(refund, restockedTicketTypeIds));
+  notify([decisionEmail(request, order)]);
+
+  return (await withHistory([request]))[0];
+};
+
+export default {
+  DECISIONS,
+  REQUEST_STATUSES,
+  fileRequest,
+  listForOrder,
+  listForEvent,
+  withdrawRequest,
+  decide
+};
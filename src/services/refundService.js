@@ -0,0 +1,396 @@
+/**
+ * RobustTicketing - Refund Service
+ * Refund eligibility under each event's refund rules, and refunds of whole
+ * tickets or partial amounts. A refund is recorded as pending before the
+ * provider is asked for the money, so one interrupted part-way is retried
+ * rather than lost or sent twice.
+ */
+
+import { withTransaction } from '../config/database.js';
+import EventRepository from '../repositories/EventRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import RefundRepository from '../repositories/RefundRepository.js';
+import checkoutService from './checkoutService.js';
+import paymentService from './paymentService.js';
+import permissionService from './permissionService.js';
+import {
+  toCents, fromCents, sumMoney, percentOf, allocate, hasValidPrecision, currencyDecimals, formatAmount
+} from '../utils/money.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Used when an event sets no tiers: full refund until 7 days out, half until 48 hours
+export const DEFAULT_REFUND_TIERS = [
+  { hoursBeforeStart: 168, percent: 100 },
+  { hoursBeforeStart: 48, percent: 50 }
+];
+
+const MAX_REFUND_TIERS = 10;
+
+export const REFUNDABLE_ORDER_STATUSES = ['completed', 'partially_refunded'];
+
+// A refund left pending this long is sent to the provider again
+export const REFUND_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Provider failures before a refund is marked failed and left for staff
+export const MAX_REFUND_ATTEMPTS = 5;
+
+// `null` resets an event to the default tiers
+export const isValidRefundTiers = (tiers) =>
+  tiers === null || (
+    Array.isArray(tiers) &&
+    tiers.length <= MAX_REFUND_TIERS &&
+    tiers.every(tier =>
+      tier && typeof tier === 'object' &&
+      Number.isFinite(tier.hoursBeforeStart) && tier.hoursBeforeStart >= 0 &&
+      Number.isInteger(tier.percent) && tier.percent >= 0 && tier.percent <= 100)
+  );
+
+// Keep only the tier fields, longest notice first
+export const normalizeRefundTiers = (tiers) =>
+  tiers === null
+    ? null
+    : tiers
+      .map(({ hoursBeforeStart, percent }) => ({ hoursBeforeStart, percent }))
+      .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+
+/**
+ * The share of the ticket price a buyer gets back from `event` at `at`.
+ * Cancelled events refund in full; otherwise the first tier whose notice
+ * period is still met applies, and nothing once the last one has passed.
+ */
+export const refundEligibility = (event, at = new Date()) => {
+  const tiers = normalizeRefundTiers(event.refundTiers || DEFAULT_REFUND_TIERS);
+
+  if (event.status === 'cancelled') {
+    return { eligible: true, percent: 100, refundableUntil: null, reason: null, tiers };
+  }
+
+  if (!event.allowRefunds) {
+    return { eligible: false, percent: 0, refundableUntil: null, reason: 'This event does not offer refunds', tiers };
+  }
+
+  const startsAt = new Date(event.startDate).getTime();
+  const hoursLeft = (startsAt - at.getTime()) / (60 * 60 * 1000);
+  const tier = tiers.find(candidate => hoursLeft >= candidate.hoursBeforeStart);
+
+  if (!tier || tier.percent === 0) {
+    return { eligible: false, percent: 0, refundableUntil: null, reason: 'The refund window for this event has closed', tiers };
+  }
+
+  return {
+    eligible: true,
+    percent: tier.percent,
+    refundableUntil: new Date(startsAt - tier.hoursBeforeStart * 60 * 60 * 1000),
+    reason: null,
+    tiers
+  };
+};
+
+// What was paid for each ticket: the order total split by list price, so discounts are shared out
+const paidPerTicket = (order, tickets) => {
+  const shares = allocate(order.totalAmount, tickets.map(ticket => toCents(ticket.purchasePrice, order.currency)), order.currency);
+  return new Map(tickets.map((ticket, index) => [ticket.id, shares[index]]));
+};
+
+const remainingAmount = (order) =>
+  fromCents(toCents(order.totalAmount, order.currency) - toCents(order.refundedAmount, order.currency), order.currency);
+
+/**
+ * Work out a refund of `percent` of what was paid for the returned tickets
+ * (all remaining tickets when none are named). With `allowAmountOnly` an
+ * amount can be refunded without closing tickets. `amount`, when given,
+ * lowers the refund below the most it could be.
+ * Returns { amount, percent, ticketIds } with ticketIds null for amount-only refunds.
+ */
+export const quoteRefund = (order, tickets, { ticketIds, amount, percent = 100, allowAmountOnly = false }) => {
+  const remaining = remainingAmount(order);
+  const amountOnly = ticketIds === undefined && amount !== undefined;
+
+  if (amountOnly && !allowAmountOnly) {
+    throw new ValidationError('Choose the tickets to refund');
+  }
+
+  let selected = null;
+  let maxAmount = remaining;
+
+  if (!amountOnly) {
+    const activeTickets = tickets.filter(ticket => ticket.status === 'active');
+    selected = ticketIds === undefined
+      ? activeTickets
+      : [...new Set(ticketIds)].map(ticketId => {
+        const ticket = tickets.find(candidate => candidate.id === ticketId);
+
+        if (!ticket) {
+          throw new ValidationError(`Ticket ${ticketId} is not part of this order`);
+        }
+        if (ticket.status !== 'active') {
+          throw new ValidationError(`Ticket ${ticket.code || ticketId} is ${ticket.status} and cannot be refunded`);
+        }
+        return ticket;
+      });
+
+    if (selected.length === 0) {
+      throw new ValidationError('This order has no tickets left to refund');
+    }
+
+    const paid = paidPerTicket(order, tickets);
+    const value = sumMoney(selected.map(ticket => paid.get(ticket.id)), order.currency);
+    maxAmount = Math.min(remaining, percentOf(value, percent, order.currency));
+  }
+
+  if (amount !== undefined && !hasValidPrecision(amount, order.currency)) {
+    throw new ValidationError(`${order.currency} amounts can have at most ${currencyDecimals(order.currency)} decimal places`);
+  }
+
+  if (amount !== undefined && amount > maxAmount) {
+    throw new ValidationError(`Refund amount cannot exceed ${formatAmount(maxAmount, order.currency)}`);
+  }
+
+  const refundAmount = amount ?? maxAmount;
+
+  if (amountOnly && refundAmount <= 0) {
+    throw new ValidationError('Refund amount must be greater than zero');
+  }
+
+  return {
+    amount: refundAmount,
+    percent,
+    ticketIds: selected ? selected.map(ticket => ticket.id) : null
+  };
+};
+
+export const loadRefundContext = async (order) => {
+  const event = await EventRepository.findById(order.eventId);
+
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  return { event, tickets: await TicketRepository.listForOrder(order.id) };
+};
+
+export const assertRefundable = (order) => {
+  if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new ValidationError('Order is not eligible for refund');
+  }
+};
+
+// Close the refund's tickets, add it to the order and post it to the ledger
+const applyRefund = async (orderId, refund) => {
+  const { order, restockedTicketTypeIds } = await checkoutService.recordRefund(orderId, refund.amount, {
+    ticketIds: refund.ticketIds,
+    refundId: refund.id
+  });
+
+  const refundedTicketIds = (await TicketRepository.listForOrder(orderId))
+    .filter(ticket => ticket.refundId === refund.id)
+    .map(ticket => ticket.id);
+
+  return {
+    refund: { ...refund, ticketIds: refundedTicketIds },
+    order,
+    restockedTicketTypeIds
+  };
+};
+
+/**
+ * Start a quoted refund. Money going back through the order's provider is
+ * recorded as a pending refund for settleRefund to send once the transaction
+ * has committed; free tickets and orders never charged through a provider
+ * are refunded on the spot. An order has one pending refund at a time. Call
+ * inside withTransaction with the order locked.
+ * Returns { refund, order, restockedTicketTypeIds }.
+ */
+export const startRefund = async (order, quote, { reason, requestedBy = null }) => {
+  if (await RefundRepository.findPendingForOrder(order.id)) {
+    throw new ConflictError('A refund on this order is still being processed; try again shortly');
+  }
+
+  const viaProvider = quote.amount > 0 && Boolean(order.paymentIntentId);
+  const localRefund = quote.amount > 0 && !viaProvider
+    ? await paymentService.refundPayment(order, quote.amount, { reason })
+    : null;
+
+  const refund = await RefundRepository.create({
+    orderId: order.id,
+    amount: quote.amount,
+    currency: order.currency,
+    refundPercent: quote.percent,
+    reason,
+    status: viaProvider ? 'pending' : 'succeeded',
+    provider: viaProvider ? order.paymentMethod : null,
+    providerRefundId: localRefund?.id || null,
+    ticketIds: quote.ticketIds,
+    requestedBy
+  });
+
+  if (viaProvider) {
+    return { refund, order, restockedTicketTypeIds: [] };
+  }
+
+  return applyRefund(order.id, refund);
+};
+
+/**
+ * Send a pending refund to the provider, then close its tickets and post it.
+ * Runs outside any transaction so nothing stays locked over the network. The
+ * refund id is the provider's idempotency key, so sending it again returns
+ * the first refund instead of a second one. A provider failure leaves the
+ * refund pending for reconcileRefunds, and failed after MAX_REFUND_ATTEMPTS.
+ * Returns { refund, order, restockedTicketTypeIds }.
+ */
+export const settleRefund = async (refundId) => {
+  const refund = await RefundRepository.findById(refundId);
+
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+
+  const order = await OrderRepository.findById(refund.orderId);
+
+  if (refund.status !== 'pending') {
+    return { refund, order, restockedTicketTypeIds: [] };
+  }
+
+  let providerRefund;
+  try {
+    providerRefund = await paymentService.refundPayment(order, refund.amount, {
+      reason: refund.reason,
+      idempotencyKey: `refund-${refund.id}`
+    });
+  } catch (error) {
+    const giveUp = refund.attempts + 1 >= MAX_REFUND_ATTEMPTS;
+    logger.error('Refund failed at the payment provider', {
+      refundId: refund.id,
+      orderId: order.id,
+      attempt: refund.attempts + 1,
+      givenUp: giveUp,
+      error: error.message
+    });
+
+    const failed = await RefundRepository.recordFailedAttempt(refund.id, { failureReason: error.message, giveUp });
+    return { refund: failed || await RefundRepository.findById(refund.id), order, restockedTicketTypeIds: [] };
+  }
+
+  return withTransaction(async () => {
+    await OrderRepository.findById(order.id, { forUpdate: true });
+    const succeeded = await RefundRepository.markSucceeded(refund.id, { providerRefundId: providerRefund.id });
+
+    // Another attempt got here first
+    if (!succeeded) {
+      return {
+        refund: await RefundRepository.findById(refund.id),
+        order: await OrderRepository.findById(order.id),
+        restockedTicketTypeIds: []
+      };
+    }
+
+    return applyRefund(order.id, succeeded);
+  });
+};
+
+/**
+ * Send refunds left pending to the provider again: the request that started
+ * them failed or the process stopped before they were recorded. Returns the
+ * result of each attempt.
+ */
+export const reconcileRefunds = async (now = new Date()) => {
+  const stale = await RefundRepository.listStalePending({
+    updatedBefore: new Date(now.getTime() - REFUND_RETRY_AFTER_MS)
+  });
+  const results = [];
+
+  for (const refund of stale) {
+    results.push(await settleRefund(refund.id));
+  }
+
+  return results;
+};
+
+/**
+ * Refund an order straight away. Only the event's staff can do this, and
+ * they are not bound by the refund policy; attendees file a refund request
+ * instead. Returns { refund, order, restockedTicketTypeIds }; the refund
+ * stays pending when the provider could not be reached.
+ */
+export const refundOrder = async (orderId, userId, { ticketIds, amount, reason }) => {
+  const started = await withTransaction(async () => {
+    const order = await OrderRepository.findById(orderId, { forUpdate: true });
+    const event = order && await permissionService.findPermittedEvent(userId, order.eventId, 'order:refund');
+
+    if (!event) {
+      if (order?.userId === userId) {
+        throw new ForbiddenError('Attendees ask for refunds through a refund request on the order');
+      }
+      throw new NotFoundError('Order not found or access denied');
+    }
+
+    assertRefundable(order);
+
+    const { tickets } = await loadRefundContext(order);
+    const quote = quoteRefund(order, tickets, { ticketIds, amount, percent: 100, allowAmountOnly: true });
+
+    return startRefund(order, quote, { reason, requestedBy: userId });
+  });
+
+  return started.refund.status === 'pending' ? settleRefund(started.refund.id) : started;
+};
+
+/**
+ * An order's refunds so far and what could still be refunded now: per ticket
+ * for the buyer under the event's policy, in full for the event's staff.
+ */
+export const getRefundSummary = async (orderId, userId) => {
+  const order = await OrderRepository.findById(orderId);
+  const isStaff = Boolean(order && await permissionService.can(userId, 'order:refund', { eventId: order.eventId }));
+
+  if (!order || (!isStaff && order.userId !== userId)) {
+    throw new NotFoundError('Order not found or access denied');
+  }
+
+  const { event, tickets } = await loadRefundContext(order);
+  const policy = isStaff
+    ? { eligible: true, percent: 100, refundableUntil: null, reason: null, tiers: refundEligibility(event).tiers }
+    : refundEligibility(event);
+  const paid = paidPerTicket(order, tickets);
+  const orderRefundable = REFUNDABLE_ORDER_STATUSES.includes(order.status) && policy.eligible;
+
+  return {
+    refunds: await RefundRepository.listForOrder(order.id),
+    eligibility: {
+      ...policy,
+      eligible: orderRefundable,
+      reason: orderRefundable || !policy.eligible ? policy.reason : 'Order is not eligible for refund',
+      remainingAmount: remainingAmount(order),
+      tickets: tickets.map(ticket => ({
+        id: ticket.id,
+        code: ticket.code,
+        status: ticket.status,
+        paidAmount: paid.get(ticket.id),
+        refundableAmount: orderRefundable && ticket.status === 'active'
+          ? percentOf(paid.get(ticket.id), policy.percent, order.currency)
+          : 0
+      }))
+    }
+  };
+};
+
+export default {
+  DEFAULT_REFUND_TIERS,
+  REFUNDABLE_ORDER_STATUSES,
+  REFUND_RETRY_AFTER_MS,
+  MAX_REFUND_ATTEMPTS,
+  isValidRefundTiers,
+  normalizeRefundTiers,
+  refundEligibility,
+  quoteRefund,
+  loadRefundContext,
+  assertRefundable,
+  startRefund,
+  settleRefund,
+  reconcileRefunds,
+  refundOrder,
+  getRefundSummary
+};
@@ -0,0 +1,31 @@
+/**
+ * RobustTicketing - Ticket QR Service
+ * Signed QR payloads for issued tickets and their rendered images
+ */
+
+import QRCode from 'qrcode';
+import TicketRepository from '../repositories/TicketRepository.js';
+import { signTicketPayload } from '../utils/ticketSigning.js';
+
+// Signed payload for a formatted ticket, signing and storing one for tickets issued before payloads existed
+export const ensureQrPayload = async (ticket) => {
+  if (ticket.qrPayload) return ticket.qrPayload;
+
+  const payload = signTicketPayload({
+    ticketId: ticket.id,
+    eventId: ticket.event.id,
+    ticketTypeId: ticket.ticketType.id,
+    issuedAt: ticket.createdAt
+  });
+  await TicketRepository.setQrPayload(ticket.id, payload);
+
+  return payload;
+};
+
+export const renderQrPng = (payload, { width = 320 } = {}) =>
+  QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width });
+
+export default {
+  ensureQrPayload,
+  renderQrPng
+};
@@ -0,0 +1,166 @@
+/**
+ * RobustTicketing - Token Service
+ * Sessions and the tokens that keep them signed in. Each sign-in starts a
+ * session with a short-lived JWT access token and an opaque refresh token.
+ * Refreshing spends the refresh token and issues a new one; presenting a
+ * spent token again means it leaked, so the whole session is revoked.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { withTransaction } from '../config/database.js';
+import UserRepository from '../repositories/UserRepository.js';
+import SessionRepository from '../repositories/SessionRepository.js';
+import { UnauthorizedError, NotFoundError } from '../middleware/errorHandler.js';
+import { securityLogger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a refresh token stays usable; each refresh starts the period again
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const TOKEN_OPTIONS = {
+  issuer: 'robusttickets.com',
+  audience: 'robusttickets-users'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+/**
+ * Access token for a session. `tfa` marks a session that passed a second
+ * factor; routes behind requireTwoFactor need it.
+ */
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sid: session.id,
+    ...(session.twoFactor && { tfa: true })
+  },
+  process.env.JWT_SECRET,
+  {
+    ...TOKEN_OPTIONS,
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+  }
+);
+
+// Store the hash of a new refresh token for the session and return the token itself
+const issueRefreshToken = async (sessionId, expiresAt) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await SessionRepository.addRefreshToken({ sessionId, tokenHash: hashToken(token), expiresAt });
+  return token;
+};
+
+/**
+ * Start a session for a sign-in and return its tokens. `twoFactor` marks a
+ * sign-in that passed a second factor.
+ */
+export const createSession = async (user, { userAgent, ipAddress, twoFactor = false } = {}) => {
+  return withTransaction(async () => {
+    const expiresAt = refreshExpiry();
+    const session = await SessionRepository.create({ userId: user.id, userAgent, ipAddress, twoFactor, expiresAt });
+
+    return {
+      accessToken: signAccessToken(user, session),
+      refreshToken: await issueRefreshToken(session.id, expiresAt),
+      sessionId: session.id
+    };
+  });
+};
+
+/**
+ * Swap a refresh token for a new token pair in the same session. A token
+ * that was already spent revokes the session, so whoever holds the other
+ * copy is signed out too.
+ */
+export const refreshSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const stored = await SessionRepository.findRefreshToken(hashToken(refreshToken));
+
+  if (!stored) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const outcome = await withTransaction(async () => {
+    if (!(await SessionRepository.markRefreshTokenUsed(stored.id))) {
+      return { reused: true };
+    }
+
+    const session = await SessionRepository.findById(stored.sessionId);
+    const user = session && await UserRepository.findById(session.userId);
+
+    if (!session?.isActive || !user || new Date(stored.expiresAt) <= new Date()) {
+      return { expired: true };
+    }
+
+    const expiresAt = refreshExpiry();
+    const nextRefreshToken = await issueRefreshToken(session.id, expiresAt);
+    await SessionRepository.touch(session.id, { ipAddress, userAgent, expiresAt });
+
+    // A session stays two-factor only while the account still has 2FA on
+    const twoFactor = session.twoFactor && user.twoFactorEnabled;
+
+    return {
+      tokens: {
+        accessToken: signAccessToken(user, { ...session, twoFactor }),
+        refreshToken: nextRefreshToken,
+        sessionId: session.id
+      }
+    };
+  });
+
+  if (outcome.reused) {
+    await SessionRepository.revoke(stored.sessionId, 'refresh_token_reuse');
+    securityLogger.logSuspiciousActivity(null, 'REFRESH_TOKEN_REUSE', { sessionId: stored.sessionId }, ipAddress);
+    throw new UnauthorizedError('Refresh token was already used; the session has been signed out');
+  }
+
+  if (outcome.expired) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  return outcome.tokens;
+};
+
+// The user's signed-in devices, marking the one making the request
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await SessionRepository.listActive(userId);
+
+  return sessions.map(session => ({
+    id: session.id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    twoFactor: session.twoFactor,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  }));
+};
+
+// Sign out one of the user's sessions
+export const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const session = await SessionRepository.findById(sessionId);
+
+  if (!session || session.userId !== userId || !session.isActive) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await SessionRepository.revoke(session.id, reason);
+  return session;
+};
+
+// Sign out every session of the user, or every one but `exceptSessionId`
+export const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId } = {}) =>
+  SessionRepository.revokeAllForUser(userId, reason, { exceptSessionId });
+
+export default {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
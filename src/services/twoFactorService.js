@@ -0,0 +1,169 @@
+/**
+ * RobustTicketing - Two-Factor Service
+ * TOTP enrollment confirmed by a first code, one-time recovery codes stored
+ * as hashes, and second-factor checks for sign-in and account changes.
+ * Each TOTP step is accepted once per user, so an observed code cannot be
+ * replayed.
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { withTransaction } from '../config/database.js';
+import UserRepository from '../repositories/UserRepository.js';
+import RecoveryCodeRepository from '../repositories/RecoveryCodeRepository.js';
+import { generateSecret, verifyTOTP, otpauthURL } from '../utils/totp.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'RobustTicketing';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes look like "4f9c2-a81d0"; case and separators are ignored when checking
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+const loadUser = async (userId) => {
+  const user = await UserRepository.findCredentialsById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+};
+
+const isEnabled = (user) => UserRepository.formatUser(user).twoFactorEnabled;
+
+// New recovery codes for the user, replacing any left; only the hashes are kept
+const issueRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await RecoveryCodeRepository.replaceAll(userId, codes.map(hashRecoveryCode));
+  return codes;
+};
+
+// A TOTP code for the user's secret whose step has not been used before
+const verifyTotpCode = async (user, code) => {
+  if (!user.two_factor_secret) return false;
+
+  const step = verifyTOTP(user.two_factor_secret, code);
+  return step !== null && UserRepository.claimTwoFactorStep(user.id, step);
+};
+
+/**
+ * Check a second factor: a current TOTP code, or an unused recovery code
+ * (which is used up). Returns 'totp', 'recovery_code', or null.
+ */
+export const verifySecondFactor = async (user, code) => {
+  const candidate = String(code || '').trim();
+
+  if (/^\d{6}$/.test(candidate)) {
+    return (await verifyTotpCode(user, candidate)) ? 'totp' : null;
+  }
+
+  return (await RecoveryCodeRepository.consume(user.id, hashRecoveryCode(candidate))) ? 'recovery_code' : null;
+};
+
+/**
+ * Begin enrollment with a fresh secret. 2FA stays off until a code from
+ * the authenticator app confirms it; starting again replaces the secret.
+ */
+export const startEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+
+  if (isEnabled(user)) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await UserRepository.setTwoFactorSecret(user.id, secret);
+
+  const otpauthUrl = otpauthURL(secret, { account: user.email, issuer: ISSUER });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Turn 2FA on with the first code from the app; returns the recovery codes, shown this once
+export const confirmEnrollment = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (isEnabled(user)) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  if (!user.two_factor_secret) {
+    throw new ValidationError('Start two-factor enrollment before confirming it');
+  }
+
+  if (!(await verifyTotpCode(user, code))) {
+    throw new ValidationError('Invalid verification code');
+  }
+
+  return withTransaction(async () => {
+    const enabledUser = await UserRepository.enableTwoFactor(user.id);
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+    return { user: enabledUser, recoveryCodes };
+  });
+};
+
+// Turn 2FA off; needs a current code or a recovery code
+export const disable = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (!isEnabled(user)) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await verifySecondFactor(user, code))) {
+    throw new ValidationError('Invalid verification code');
+  }
+
+  return withTransaction(async () => {
+    await RecoveryCodeRepository.removeAll(user.id);
+    return UserRepository.disableTwoFactor(user.id);
+  });
+};
+
+// Replace the recovery codes, e.g. after using some; needs a current code
+export const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (!isEnabled(user)) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await verifyTotpCode(user, code))) {
+    throw new ValidationError('Invalid verification code');
+  }
+
+  return withTransaction(() => issueRecoveryCodes(user.id));
+};
+
+export const getStatus = async (userId) => {
+  const user = await loadUser(userId);
+  const enabled = isEnabled(user);
+
+  return {
+    enabled,
+    enabledAt: enabled ? user.two_factor_enabled_at : null,
+    recoveryCodesRemaining: enabled ? await RecoveryCodeRepository.countUnused(user.id) : 0
+  };
+};
+
+export default {
+  RECOVERY_CODE_COUNT,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  regenerateRecoveryCodes,
+  getStatus
+};
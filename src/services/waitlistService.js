@@ -0,0 +1,176 @@
+/**
+ * RobustTicketing - Waitlist Service
+ * Joining ticket type queues and turning freed inventory into time-limited offers
+ */
+
+import { withTransaction } from '../config/database.js';
+import EventRepository from '../repositories/EventRepository.js';
+import TicketRepository from '../repositories/TicketRepository.js';
+import ReservationRepository from '../repositories/ReservationRepository.js';
+import WaitlistRepository from '../repositories/WaitlistRepository.js';
+import checkoutService from './checkoutService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// How long a waitlisted buyer has to pay for an offered hold
+export const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+const isOnSale = (event, ticketType, now = new Date()) =>
+  event &&
+  event.status === 'published' &&
+  new Date(event.startDate) > now &&
+  ticketType.isActive &&
+  (!ticketType.saleEndDate || new Date(ticketType.saleEndDate) >= now);
+
+// Queue for a ticket type that cannot currently cover `quantity`
+export const join = async (userId, eventId, { ticketTypeId, quantity = 1 }) => {
+  return withTransaction(async () => {
+    const event = await EventRepository.findById(eventId);
+
+    if (!event || event.status !== 'published') {
+      throw new NotFoundError('Event not found or not available for purchase');
+    }
+
+    if (new Date(event.startDate) <= new Date()) {
+      throw new ValidationError('Cannot join the waitlist for events that have already started');
+    }
+
+    await TicketRepository.lockTicketTypes([ticketTypeId]);
+    const [ticketType] = await TicketRepository.findTicketTypes(eventId, [ticketTypeId]);
+
+    if (!ticketType || !ticketType.isActive) {
+      throw new NotFoundError('Ticket type not found');
+    }
+
+    if (quantity > ticketType.maxPerOrder) {
+      throw new ValidationError(`Maximum ${ticketType.maxPerOrder} tickets allowed per order for "${ticketType.name}"`);
+    }
+
+    if (ticketType.availableCount >= quantity) {
+      throw new ConflictError(`Tickets for "${ticketType.name}" are still available; buy them directly`);
+    }
+
+    if (await WaitlistRepository.findActive(ticketTypeId, userId)) {
+      throw new ConflictError(`You are already on the waitlist for "${ticketType.name}"`);
+    }
+
+    return WaitlistRepository.create({ eventId, ticketTypeId, userId, quantity });
+  });
+};
+
+export const listForUser = (userId, eventId) => WaitlistRepository.listForUser(userId, eventId);
+
+// Leave the queue; an outstanding offer is released so the next buyer can have it
+export const leave = async (userId, eventId, entryId) => {
+  const entry = await WaitlistRepository.findForUser(entryId, userId, eventId);
+
+  if (!entry) {
+    throw new NotFoundError('Waitlist entry not found');
+  }
+
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw new ConflictError(`Waitlist entry is already ${entry.status}`);
+  }
+
+  if (entry.status === 'offered' && entry.offer.holdId) {
+    try {
+      await checkoutService.releaseHold(entry.offer.holdId, userId);
+    } catch (error) {
+      // The hold may already have lapsed or been paid for; the entry is closed either way
+      if (!(error instanceof ConflictError)) throw error;
+    }
+  }
+
+  await WaitlistRepository.setStatus(entry.id, 'cancelled');
+
+  if (entry.status === 'offered') {
+    notifyInventoryFreed([entry.ticketTypeId]);
+  }
+
+  return { ...entry, status: 'cancelled', position: null, offer: null };
+};
+
+/**
+ * Offer freed stock of one ticket type to the front of its queue. Entries are
+ * served strictly in order: if the next buyer wants more than is free, later
+ * buyers wait too. Returns the offers made.
+ */
+const offerTicketType = async (ticketTypeId) => {
+  return withTransaction(async () => {
+    const waiting = await WaitlistRepository.listWaiting(ticketTypeId);
+    if (waiting.length === 0) return [];
+
+    await TicketRepository.lockTicketTypes([ticketTypeId]);
+    const eventId = waiting[0].eventId;
+    const [ticketType] = await TicketRepository.findTicketTypes(eventId, [ticketTypeId]);
+    const event = await EventRepository.findById(eventId);
+
+    if (!ticketType || !isOnSale(event, ticketType)) return [];
+
+    let available = ticketType.availableCount;
+    const offers = [];
+
+    for (const entry of waiting) {
+      if (entry.quantity > available) break;
+
+      const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+      const hold = await ReservationRepository.create({
+        userId: entry.userId,
+        eventId,
+        expiresAt,
+        items: [{ ticketTypeId, quantity: entry.quantity, unitPrice: ticketType.price }]
+      });
+
+      await WaitlistRepository.markOffered(entry.id, { reservationId: hold.id, expiresAt });
+      available -= entry.quantity;
+      offers.push({ entryId: entry.id, userId: entry.userId, holdId: hold.id, quantity: entry.quantity, expiresAt });
+    }
+
+    return offers;
+  });
+};
+
+/**
+ * Close lapsed offers, then offer free stock to waiting buyers. Limit the
+ * work to `ticketTypeIds` when the caller knows which types freed up.
+ */
+export const processWaitlists = async ({ ticketTypeIds } = {}) => {
+  const settled = await WaitlistRepository.settleOffers();
+  const lapsedTypes = settled.filter(entry => entry.status === 'expired').map(entry => entry.ticket_type_id);
+
+  const candidates = ticketTypeIds
+    ? [...new Set([...ticketTypeIds, ...lapsedTypes])]
+    : await WaitlistRepository.ticketTypesWithWaiting();
+
+  const offers = [];
+  for (const ticketTypeId of candidates) {
+    offers.push(...await offerTicketType(ticketTypeId));
+  }
+
+  for (const offer of offers) {
+    logger.info('Waitlist offer made', offer);
+  }
+
+  return { settled: settled.length, offered: offers.length };
+};
+
+// Kick off offers for freed stock without holding up the caller; call after the freeing transaction commits
+export const notifyInventoryFreed = (ticketTypeIds) => {
+  if (!ticketTypeIds || ticketTypeIds.length === 0) return;
+
+  processWaitlists({ ticketTypeIds }).catch(error => {
+    logger.error('Waitlist processing failed:', error);
+  });
+};
+
+export const eventSummary = (eventId) => WaitlistRepository.summaryForEvent(eventId);
+
+export default {
+  OFFER_MINUTES,
+  join,
+  listForUser,
+  leave,
+  processWaitlists,
+  notifyInventoryFreed,
+  eventSummary
+};
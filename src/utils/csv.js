@@ -0,0 +1,39 @@
+/**
+ * RobustTicketing - CSV
+ * Builds RFC 4180 CSV for downloads. Text that a spreadsheet would read as a
+ * formula is prefixed with a quote so exported data cannot run as one.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render `rows` as CSV with one column per [header, key] pair in `columns`;
+ * `key` is a property name or a function of the row.
+ */
+export const toCSV = (columns, rows) => {
+  const lines = [columns.map(([header]) => formatCell(header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns
+      .map(([, key]) => formatCell(typeof key === 'function' ? key(row) : row[key]))
+      .join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default {
+  toCSV
+};
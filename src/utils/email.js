@@ -0,0 +1,117 @@
+/**
+ * RobustTicketing - Email
+ * Templated transactional email over SMTP. Without SMTP_HOST messages are
+ * rendered and logged but not delivered, which keeps development quiet.
+ */
+
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+import { formatAmount } from './money.js';
+
+const DECISION_LINES = {
+  approved: (data) => `Your refund request for order ${data.orderNumber} has been approved. ${formatAmount(data.amount, data.currency)} is on its way back to you.`,
+  partially_approved: (data) => `Your refund request for order ${data.orderNumber} has been partly approved. ${formatAmount(data.amount, data.currency)} is on its way back to you.`,
+  denied: (data) => `Your refund request for order ${data.orderNumber} has been declined.`
+};
+
+// Each template turns `data` into plain-text paragraphs
+const TEMPLATES = {
+  'email-verification': (data) => [
+    `Hi ${data.firstName},`,
+    'Please confirm your email address to finish setting up your RobustTicketing account:',
+    data.verificationLink
+  ],
+
+  'password-reset': (data) => [
+    `Hi ${data.firstName},`,
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    data.resetLink,
+    'If you did not ask for this, you can ignore this email.'
+  ],
+
+  'refund-request-submitted': (data) => [
+    `Hi ${data.firstName},`,
+    `We have passed your refund request for order ${data.orderNumber} (${data.eventTitle}) to the organizer.`,
+    'We will email you as soon as they have made a decision.'
+  ],
+
+  'refund-request-received': (data) => [
+    `A refund request for order ${data.orderNumber} (${data.eventTitle}) is waiting for your review.`,
+    `Reason given: ${data.reason}`,
+    `Requested: ${formatAmount(data.amount, data.currency)}`
+  ],
+
+  'refund-request-decided': (data) => [
+    `Hi ${data.firstName},`,
+    DECISION_LINES[data.status](data),
+    ...(data.message ? [`Message from the organizer: ${data.message}`] : [])
+  ],
+
+  'refund-request-withdrawn': (data) => [
+    `The refund request for order ${data.orderNumber} (${data.eventTitle}) was withdrawn by the attendee.`
+  ],
+
+  'organization-invitation': (data) => [
+    `You have been invited to join ${data.organizationName} on RobustTicketing as ${data.role}.`,
+    'Sign in or create an account with this email address, then accept the invitation:',
+    data.acceptLink,
+    `The invitation expires in ${data.expiresInDays} days.`
+  ]
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    transport = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      })
+      : nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transport;
+};
+
+/**
+ * Render `template` with `data` and send it to `to`. Throws when the template
+ * is unknown or delivery fails; callers decide whether that matters.
+ */
+export const sendEmail = async ({ to, subject, template, data = {} }) => {
+  const render = TEMPLATES[template];
+
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const paragraphs = render(data);
+  const info = await getTransport().sendMail({
+    from: process.env.FROM_EMAIL || 'noreply@robusttickets.com',
+    to,
+    subject,
+    text: paragraphs.join('\n\n'),
+    html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')
+  });
+
+  if (!process.env.SMTP_HOST) {
+    logger.info('Email not delivered (SMTP_HOST is not configured)', { to, subject, template });
+  }
+
+  return info;
+};
+
+export default {
+  sendEmail
+};
@@ -190,6 +190,17 @@ export const businessLogger = {
       reason,
       timestamp: new Date().toISOString()
     });
+  },
+
+  logUserRegistration: (userId, email, ip, userAgent) => {
+    logger.info('User registered', {
+      event: 'USER_REGISTERED',
+      userId,
+      email,
+      ip,
+      userAgent,
+      timestamp: new Date().toISOString()
+    });
   }
 };
 
@@ -0,0 +1,92 @@
+/**
+ * RobustTicketing - Money Helpers
+ * Amounts are stored as decimal currency units; arithmetic happens in integer
+ * minor units (cents, or whole yen, or fils) so discounts and splits never
+ * drift by fractions of a cent. Every helper takes the ISO 4217 currency code
+ * and defaults to USD.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies whose minor unit is not a hundredth (ISO 4217)
+const CURRENCY_DECIMALS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+export const normalizeCurrency = (currency) => String(currency || DEFAULT_CURRENCY).trim().toUpperCase();
+
+export const isSupportedCurrency = (currency) =>
+  typeof currency === 'string' && KNOWN_CURRENCIES.has(normalizeCurrency(currency));
+
+// Digits after the decimal point, e.g. 2 for USD, 0 for JPY, 3 for KWD
+export const currencyDecimals = (currency = DEFAULT_CURRENCY) => CURRENCY_DECIMALS[normalizeCurrency(currency)] ?? 2;
+
+const minorPerUnit = (currency) => 10 ** currencyDecimals(currency);
+
+export const toCents = (amount, currency = DEFAULT_CURRENCY) =>
+  Math.round((Number(amount) || 0) * minorPerUnit(currency));
+
+export const fromCents = (cents, currency = DEFAULT_CURRENCY) => cents / minorPerUnit(currency);
+
+export const roundMoney = (amount, currency = DEFAULT_CURRENCY) => fromCents(toCents(amount, currency), currency);
+
+// Whether `amount` fits the currency's minor unit, e.g. no half yen
+export const hasValidPrecision = (amount, currency = DEFAULT_CURRENCY) =>
+  Math.abs(Number(amount) * minorPerUnit(currency) - toCents(amount, currency)) < 1e-6;
+
+// Sum amounts without floating point drift
+export const sumMoney = (amounts, currency = DEFAULT_CURRENCY) =>
+  fromCents(amounts.reduce((total, amount) => total + toCents(amount, currency), 0), currency);
+
+// `percent` of an amount, rounded half-up to the minor unit
+export const percentOf = (amount, percent, currency = DEFAULT_CURRENCY) =>
+  fromCents(Math.round(toCents(amount, currency) * percent / 100), currency);
+
+/**
+ * Split `amount` across `weights` proportionally. Leftover minor units go to
+ * the largest remainders, so the parts always add back up to `amount` exactly.
+ */
+export const allocate = (amount, weights, currency = DEFAULT_CURRENCY) => {
+  const totalCents = toCents(amount, currency);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (totalWeight <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map((weight, index) => {
+    const exact = totalCents * weight / totalWeight;
+    return { index, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share.cents, 0);
+  const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length, leftover--) {
+    byRemainder[i].cents += 1;
+  }
+
+  return shares.map(share => fromCents(share.cents, currency));
+};
+
+// Amount with the currency's own number of decimals, e.g. "1500 JPY" or "2.500 KWD"
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY) =>
+  `${Number(amount || 0).toFixed(currencyDecimals(currency))} ${normalizeCurrency(currency)}`;
+
+export default {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  isSupportedCurrency,
+  currencyDecimals,
+  toCents,
+  fromCents,
+  roundMoney,
+  hasValidPrecision,
+  sumMoney,
+  percentOf,
+  allocate,
+  formatAmount
+};
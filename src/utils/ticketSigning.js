@@ -0,0 +1,126 @@
+/**
+ * RobustTicketing - Ticket Signing
+ * Ed25519-signed ticket payloads that door staff can verify offline
+ */
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Payloads look like RT1.<base64url claims>.<base64url signature>
+const PAYLOAD_PREFIX = 'RT1';
+
+let keyPair = null;
+
+// Accept PEM with literal "\n" escapes so the key fits on one .env line
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+const keyIdFor = (publicKey) =>
+  crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+const loadKeyPair = () => {
+  if (keyPair) return keyPair;
+
+  let privateKey;
+
+  if (process.env.TICKET_SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(readPem(process.env.TICKET_SIGNING_PRIVATE_KEY));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('TICKET_SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('TICKET_SIGNING_PRIVATE_KEY is required in production');
+  } else {
+    // Throwaway key: tickets signed with it stop verifying after a restart
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+    logger.warn('TICKET_SIGNING_PRIVATE_KEY not set; using a temporary ticket signing key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  keyPair = { privateKey, publicKey, keyId: keyIdFor(publicKey) };
+  return keyPair;
+};
+
+// Public half of the signing key, for scanners that verify without calling the API
+export const getPublicKeyInfo = () => {
+  const { publicKey, keyId } = loadKeyPair();
+
+  return {
+    algorithm: 'Ed25519',
+    keyId,
+    format: 'spki-pem',
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    payloadFormat: `${PAYLOAD_PREFIX}.<base64url JSON claims>.<base64url signature of "${PAYLOAD_PREFIX}.<claims>">`
+  };
+};
+
+export const isSignedPayload = (value) =>
+  typeof value === 'string' && value.startsWith(`${PAYLOAD_PREFIX}.`);
+
+/**
+ * Sign the claims printed into a ticket's QR code. Claim names are kept short
+ * so the QR stays scannable: tid (ticket), eid (event), ttid (ticket type),
+ * iat (issued-at, unix seconds) and kid (signing key id).
+ */
+export const signTicketPayload = ({ ticketId, eventId, ticketTypeId, issuedAt = new Date() }) => {
+  const { privateKey, keyId } = loadKeyPair();
+  const claims = {
+    tid: ticketId,
+    eid: eventId,
+    ttid: ticketTypeId,
+    iat: Math.floor(new Date(issuedAt).getTime() / 1000),
+    kid: keyId
+  };
+
+  const body = `${PAYLOAD_PREFIX}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString('base64url');
+
+  return `${body}.${signature}`;
+};
+
+/**
+ * Check a payload's signature and return its claims as
+ * { ticketId, eventId, ticketTypeId, issuedAt, keyId }, or null when the
+ * payload is malformed or was not signed by `publicKey`. Pass a PEM string to
+ * verify against a key fetched from GET /api/tickets/signing-key.
+ */
+export const verifyTicketPayload = (payload, publicKey = loadKeyPair().publicKey) => {
+  if (!isSignedPayload(payload)) return null;
+
+  const parts = payload.split('.');
+  if (parts.length !== 3) return null;
+
+  const [prefix, encodedClaims, signature] = parts;
+
+  try {
+    const key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${prefix}.${encodedClaims}`),
+      key,
+      Buffer.from(signature, 'base64url')
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+
+    return {
+      ticketId: claims.tid,
+      eventId: claims.eid,
+      ticketTypeId: claims.ttid,
+      issuedAt: new Date(claims.iat * 1000),
+      keyId: claims.kid
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  getPublicKeyInfo,
+  isSignedPayload,
+  signTicketPayload,
+  verifyTicketPayload
+};
@@ -0,0 +1,125 @@
+/**
+ * RobustTicketing - TOTP
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second
+ * steps), compatible with Google Authenticator, 1Password and similar apps.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+// Steps either side of now still accepted, to allow for clock drift
+export const TOTP_WINDOW = 1;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// A new 160-bit shared secret, base32 encoded (32 characters)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The 30 second step `time` falls in
+export const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+// RFC 4226 HOTP value for one counter
+export const generateHOTP = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+export const generateTOTP = (secret, time = Date.now()) => generateHOTP(secret, timeStep(time));
+
+/**
+ * Check `code` against the steps within TOTP_WINDOW of `time`. Returns the
+ * matching step so callers can refuse to accept the same step twice, or
+ * null when the code does not match.
+ */
+export const verifyTOTP = (secret, code, { time = Date.now(), window = TOTP_WINDOW } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(time);
+  let matched = null;
+
+  // Compare every step in constant time so timing does not reveal which matched
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(generateHOTP(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate)) && matched === null) {
+      matched = step;
+    }
+  }
+  return matched;
+};
+
+// otpauth:// URI for authenticator apps, usually shown as a QR code
+export const otpauthURL = (secret, { account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export default {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_WINDOW,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  otpauthURL
+};
@@ -0,0 +1,102 @@
+import express from 'express';
+import request from 'supertest';
+import { query } from '../src/config/database.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { acceptApiKey, authenticateToken } from '../src/middleware/auth.js';
+import { ValidationError, NotFoundError } from '../src/middleware/errorHandler.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+// Routes that accept keys with different scopes, one of them scoped to an event
+const app = express();
+app.get('/events/:eventId', acceptApiKey('events:read', { eventParam: 'eventId' }), authenticateToken, (req, res) => res.json({ userId: req.user.id }));
+app.get('/orders', acceptApiKey('orders:read'), authenticateToken, (req, res) => res.json({ userId: req.user.id }));
+app.get('/account', authenticateToken, (req, res) => res.json({ userId: req.user.id }));
+
+const get = (path, key) => request(app).get(path).set('X-API-Key', key);
+
+describe('API keys', () => {
+  let organizer;
+  let event;
+  let otherEvent;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    ({ event } = await createPublishedEvent(organizer.id));
+    ({ event: otherEvent } = await createPublishedEvent(organizer.id));
+  });
+
+  it('acts for its owner on endpoints that accept one of its scopes', async () => {
+    const { key } = await apiKeyService.createKey(organizer.id, { name: 'CRM sync', scopes: ['events:read'] });
+
+    const response = await get(`/events/${event.id}`, key);
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBe(organizer.id);
+
+    const orders = await get('/orders', key);
+    expect(orders.status).toBe(403);
+    expect(orders.body).toEqual({ error: 'insufficient_scope', required: 'orders:read' });
+
+    expect((await get('/account', key)).status).toBe(401);
+  });
+
+  it('only reaches the event it is limited to', async () => {
+    const { key } = await apiKeyService.createKey(organizer.id, { name: 'Scanner', scopes: ['events:read'], eventId: event.id });
+
+    expect((await get(`/events/${event.id}`, key)).status).toBe(200);
+    expect((await get(`/events/${otherEvent.id}`, key)).status).toBe(403);
+  });
+
+  it('stops working once expired or revoked', async () => {
+    const expiring = await apiKeyService.createKey(organizer.id, {
+      name: 'Short-lived',
+      scopes: ['orders:read'],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    expect((await get('/orders', expiring.key)).status).toBe(200);
+
+    await query('UPDATE api_keys SET expires_at = $1 WHERE id = $2', [new Date(Date.now() - 1000).toISOString(), expiring.apiKey.id]);
+    expect((await get('/orders', expiring.key)).status).toBe(401);
+
+    const revoked = await apiKeyService.createKey(organizer.id, { name: 'Revoked', scopes: ['orders:read'] });
+    await apiKeyService.revokeKey(organizer.id, revoked.apiKey.id);
+    expect((await get('/orders', revoked.key)).status).toBe(401);
+
+    expect((await get('/orders', 'rtk_not-a-real-key')).status).toBe(401);
+  });
+
+  it('records when a key was last used', async () => {
+    const { apiKey, key } = await apiKeyService.createKey(organizer.id, { name: 'Audit', scopes: ['orders:read'] });
+    expect(apiKey.lastUsedAt).toBeFalsy();
+
+    await get('/orders', key);
+
+    const [listed] = (await apiKeyService.listKeys(organizer.id)).filter(candidate => candidate.id === apiKey.id);
+    expect(listed.lastUsedAt).toBeTruthy();
+  });
+
+  it('limits requests per minute for each key', async () => {
+    const limited = await apiKeyService.createKey(organizer.id, { name: 'Limited', scopes: ['orders:read'], rateLimit: 2 });
+    const other = await apiKeyService.createKey(organizer.id, { name: 'Other', scopes: ['orders:read'], rateLimit: 2 });
+
+    expect((await get('/orders', limited.key)).status).toBe(200);
+    expect((await get('/orders', limited.key)).status).toBe(200);
+    expect((await get('/orders', limited.key)).status).toBe(429);
+
+    expect((await get('/orders', other.key)).status).toBe(200);
+  });
+
+  it('validates scopes, limits, expiry and the event on creation', async () => {
+    await expect(apiKeyService.createKey(organizer.id, { name: 'Bad', scopes: ['admin'] })).rejects.toBeInstanceOf(ValidationError);
+    await expect(apiKeyService.createKey(organizer.id, { name: 'Bad', scopes: [] })).rejects.toBeInstanceOf(ValidationError);
+    await expect(apiKeyService.createKey(organizer.id, { name: 'Bad', scopes: ['orders:read'], rateLimit: 1.5 })).rejects.toBeInstanceOf(ValidationError);
+    await expect(apiKeyService.createKey(organizer.id, { name: 'Bad', scopes: ['orders:read'], expiresAt: '2000-01-01T00:00:00Z' }))
+      .rejects.toBeInstanceOf(ValidationError);
+
+    const stranger = await createUser();
+    await expect(apiKeyService.createKey(stranger.id, { name: 'Bad', scopes: ['events:read'], eventId: event.id }))
+      .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
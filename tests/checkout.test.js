@@ -0,0 +1,115 @@
+import { query } from '../src/config/database.js';
+import OrderRepository from '../src/repositories/OrderRepository.js';
+import TicketRepository from '../src/repositories/TicketRepository.js';
+import checkoutService from '../src/services/checkoutService.js';
+import paymentService from '../src/services/paymentService.js';
+import { ConflictError } from '../src/middleware/errorHandler.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent, buyTickets, TEST_CARD } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+const CUSTOMER = { firstName: 'Test', lastName: 'Buyer', email: 'buyer@example.com' };
+
+// Move a hold's expiry into the past
+const lapse = (holdId) => query(
+  'UPDATE reservations SET expires_at = $1 WHERE id = $2',
+  [new Date(Date.now() - 60 * 1000).toISOString(), holdId]
+);
+
+const availableCount = async (eventId) => (await TicketRepository.listTicketTypes(eventId))[0].availableCount;
+
+describe('holds and checkout', () => {
+  let organizer;
+  let buyer;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    buyer = await createUser();
+  });
+
+  it('holds tickets against availability until the hold expires', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { quantity: 2 });
+
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 2 }] });
+    expect(hold.status).toBe('active');
+    expect(new Date(hold.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(await availableCount(event.id)).toBe(0);
+
+    await expect(checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }] }))
+      .rejects.toBeInstanceOf(ConflictError);
+
+    await lapse(hold.id);
+    const { expired } = await checkoutService.expireHolds();
+
+    expect(expired).toBeGreaterThanOrEqual(1);
+    expect((await checkoutService.getHold(hold.id, buyer.id)).status).toBe('expired');
+    expect(await availableCount(event.id)).toBe(2);
+  });
+
+  it('cancels the unpaid order of an expired hold', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id);
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }] });
+    const { order } = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+
+    await lapse(hold.id);
+    await checkoutService.expireHolds();
+
+    expect((await OrderRepository.findById(order.id)).status).toBe('cancelled');
+    await expect(checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER)).rejects.toThrow('Hold has expired');
+  });
+
+  it('returns the same pending order when checkout is started again', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 25 });
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 2 }] });
+
+    const first = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+    const second = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+
+    expect(second.order.id).toBe(first.order.id);
+    expect(first.order.status).toBe('pending');
+    expect(first.order.totalAmount).toBe(50);
+  });
+
+  it('issues tickets and converts the hold once payment succeeds', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { quantity: 5 });
+
+    const { hold, order, tickets } = await buyTickets(buyer.id, event.id, ticketType.id, 2);
+
+    expect(order.status).toBe('completed');
+    expect(tickets).toHaveLength(2);
+    expect((await checkoutService.getHold(hold.id, buyer.id)).status).toBe('converted');
+    expect(await availableCount(event.id)).toBe(3);
+  });
+
+  it('cancels an order whose hold lapsed while paying', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id);
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }] });
+    const { order: pending } = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+    const { intent } = await paymentService.startPayment(pending);
+
+    await lapse(hold.id);
+
+    await expect(paymentService.confirmPayment(
+      await OrderRepository.findById(pending.id),
+      { paymentIntentId: intent.id, paymentMethodId: TEST_CARD }
+    )).rejects.toThrow('Hold expired before payment completed');
+
+    expect((await OrderRepository.findById(pending.id)).status).toBe('cancelled');
+    expect(await TicketRepository.listForOrder(pending.id)).toEqual([]);
+  });
+
+  it('routes one-step purchases through a hold without completing the order', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id);
+
+    const { hold, order } = await checkoutService.purchase(buyer.id, {
+      eventId: event.id,
+      tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }],
+      customerInfo: CUSTOMER
+    });
+
+    expect(hold.orderId).toBe(order.id);
+    expect(order.status).toBe('pending');
+    expect(await TicketRepository.listForOrder(order.id)).toEqual([]);
+  });
+});
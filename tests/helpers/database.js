@@ -0,0 +1,27 @@
+/**
+ * RobustTicketing - Test Database Helpers
+ */
+
+import crypto from 'crypto';
+import { connectDatabase, closeDatabase, query } from '../../src/config/database.js';
+
+// Connect to a fresh, fully migrated database for the file's tests
+export const useTestDatabase = ({ migrate = true } = {}) => {
+  beforeAll(() => connectDatabase({ migrate }));
+  afterAll(() => closeDatabase());
+};
+
+export const createUser = async ({ email, role = 'user', firstName = 'Test', lastName = 'User' } = {}) => {
+  const result = await query(
+    `INSERT INTO users (email, password_hash, first_name, last_name, role)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, email, role`,
+    [email || `user-${crypto.randomUUID()}@example.com`, 'not-a-real-hash', firstName, lastName, role]
+  );
+  return result.rows[0];
+};
+
+export default {
+  useTestDatabase,
+  createUser
+};
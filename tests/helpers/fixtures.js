@@ -0,0 +1,68 @@
+/**
+ * RobustTicketing - Test Fixtures
+ * Published events and paid orders built through the real services
+ */
+
+import EventRepository from '../../src/repositories/EventRepository.js';
+import OrderRepository from '../../src/repositories/OrderRepository.js';
+import TicketRepository from '../../src/repositories/TicketRepository.js';
+import checkoutService from '../../src/services/checkoutService.js';
+import organizationService from '../../src/services/organizationService.js';
+import paymentService from '../../src/services/paymentService.js';
+
+export const TEST_CARD = 'pm_fake_4242424242424242';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A published event in the organizer's personal organization with one ticket type
+export const createPublishedEvent = async (organizerId, { price = 50, quantity = 10, ...fields } = {}) => {
+  const organization = await organizationService.ensurePersonalOrganization(organizerId);
+  const startDate = new Date(Date.now() + 30 * DAY_MS);
+
+  const created = await EventRepository.create(organizerId, {
+    title: 'Test Event',
+    description: 'An event created by the test suite',
+    category: 'music',
+    venue: 'Test Hall',
+    address: '1 Test Street',
+    city: 'Paris',
+    country: 'France',
+    startDate: startDate.toISOString(),
+    endDate: new Date(startDate.getTime() + DAY_MS / 4).toISOString(),
+    capacity: quantity,
+    organizationId: organization.id,
+    ...fields
+  });
+  await EventRepository.setStatus(created.id, 'published');
+
+  const ticketType = await TicketRepository.createTicketType(created.id, {
+    name: 'General Admission',
+    price,
+    currency: created.currency,
+    quantity
+  });
+
+  return { event: await EventRepository.findById(created.id), ticketType, organization };
+};
+
+const CUSTOMER = { firstName: 'Test', lastName: 'Buyer', email: 'buyer@example.com' };
+
+// Hold, price and pay for `quantity` tickets with the fake provider's test card
+export const buyTickets = async (userId, eventId, ticketTypeId, quantity = 1) => {
+  const hold = await checkoutService.createHold(userId, { eventId, tickets: [{ ticketTypeId, quantity }] });
+  const { order: pending } = await checkoutService.startCheckout(hold.id, userId, CUSTOMER);
+  const { intent } = await paymentService.startPayment(pending);
+
+  const { intent: paid, order, tickets } = await paymentService.confirmPayment(
+    await OrderRepository.findById(pending.id),
+    { paymentIntentId: intent.id, paymentMethodId: TEST_CARD }
+  );
+
+  return { hold, order, tickets, intent: paid };
+};
+
+export default {
+  TEST_CARD,
+  createPublishedEvent,
+  buyTickets
+};
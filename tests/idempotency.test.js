@@ -0,0 +1,57 @@
+import request from 'supertest';
+import app from '../server.js';
+import checkoutService from '../src/services/checkoutService.js';
+import tokenService from '../src/services/tokenService.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+const CUSTOMER = { firstName: 'Test', lastName: 'Buyer', email: 'buyer@example.com' };
+
+describe('POST /api/orders/:id/cancel with an Idempotency-Key', () => {
+  let buyer;
+  let accessToken;
+  let event;
+  let ticketType;
+
+  beforeAll(async () => {
+    const organizer = await createUser();
+    buyer = await createUser();
+    ({ event, ticketType } = await createPublishedEvent(organizer.id));
+    ({ accessToken } = await tokenService.createSession(buyer));
+  });
+
+  const cancel = (orderId, key) => request(app)
+    .post(`/api/orders/${orderId}/cancel`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .set('User-Agent', 'idempotency-test')
+    .set('Idempotency-Key', key)
+    .send({ reason: 'Changed my mind' });
+
+  it('replays the first response to a retried cancellation', async () => {
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }] });
+    const { order } = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+
+    const first = await cancel(order.id, 'cancel-retry');
+    const retry = await cancel(order.id, 'cancel-retry');
+
+    expect(first.status).toBe(200);
+    expect(first.body.order.status).toBe('cancelled');
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+  });
+
+  it('runs a cancellation again under a new key', async () => {
+    const hold = await checkoutService.createHold(buyer.id, { eventId: event.id, tickets: [{ ticketTypeId: ticketType.id, quantity: 1 }] });
+    const { order } = await checkoutService.startCheckout(hold.id, buyer.id, CUSTOMER);
+
+    await cancel(order.id, 'cancel-first');
+    const second = await cancel(order.id, 'cancel-second');
+
+    expect(second.status).toBe(409);
+    expect(second.body.error).toMatch('this order is cancelled');
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,114 @@
+import { query } from '../src/config/database.js';
+import FeeRuleRepository from '../src/repositories/FeeRuleRepository.js';
+import TaxRuleRepository from '../src/repositories/TaxRuleRepository.js';
+import OrderRepository from '../src/repositories/OrderRepository.js';
+import ledgerService from '../src/services/ledgerService.js';
+import refundService from '../src/services/refundService.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent, buyTickets } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+// Net of every entry per transaction; each one must be zero
+const unbalancedTransactions = async () => (await query(
+  `SELECT transaction_id, SUM(amount) AS net FROM ledger_entries
+   GROUP BY transaction_id
+   HAVING ABS(SUM(amount)) >= 0.005`
+)).rows;
+
+const eventBalances = async (eventId) => {
+  const balances = {};
+  for (const row of (await query(
+    'SELECT account, SUM(amount) AS net FROM ledger_entries WHERE event_id = $1 GROUP BY account',
+    [eventId]
+  )).rows) {
+    // Float sums of settled accounts can come back as -0
+    balances[row.account] = Math.round(Number(row.net) * 100) / 100 || 0;
+  }
+  return balances;
+};
+
+describe('ledger', () => {
+  let organizer;
+  let buyer;
+  let event;
+  let ticketType;
+  let organization;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    buyer = await createUser();
+    ({ event, ticketType, organization } = await createPublishedEvent(organizer.id, { price: 40 }));
+
+    await FeeRuleRepository.create(organizer.id, { eventId: event.id, name: 'Service fee', percent: 10, fixedAmount: 1, currency: 'USD', paidBy: 'buyer' });
+    await TaxRuleRepository.create(organizer.id, { country: 'France', name: 'VAT', rate: 20, inclusive: false });
+  });
+
+  it('posts a purchase as balanced transactions for the payment, fee and tax', async () => {
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 2);
+
+    expect(order.fees).toBeGreaterThan(0);
+    expect(order.tax).toBeGreaterThan(0);
+    expect(await unbalancedTransactions()).toEqual([]);
+
+    const balances = await eventBalances(event.id);
+    expect(balances.buyer).toBe(order.totalAmount);
+    expect(balances.platform_fees).toBe(-order.fees);
+    expect(balances.tax_liability).toBe(-order.tax);
+    expect(balances.organizer_balance).toBe(-(order.totalAmount - order.fees - order.tax));
+
+    const { balances: [usd] } = await ledgerService.getOrganizationBalance(organization.id);
+    expect(usd).toMatchObject({ currency: 'USD', balance: order.totalAmount - order.fees - order.tax });
+  });
+
+  it('posts a purchase only once', async () => {
+    const [{ orderId }] = (await query('SELECT order_id AS "orderId" FROM ledger_transactions WHERE event_id = $1 LIMIT 1', [event.id])).rows;
+    const before = await eventBalances(event.id);
+
+    await ledgerService.postPurchase(await OrderRepository.findById(orderId));
+
+    expect(await eventBalances(event.id)).toEqual(before);
+  });
+
+  it('hands fees and tax back in proportion and reverses them exactly on a full refund', async () => {
+    const { event: refundEvent, ticketType: refundType } = await createPublishedEvent(organizer.id, { price: 33.33 });
+    await FeeRuleRepository.create(organizer.id, { eventId: refundEvent.id, name: 'Service fee', percent: 7, fixedAmount: 0.5, currency: 'USD', paidBy: 'buyer' });
+    const { order, tickets } = await buyTickets(buyer.id, refundEvent.id, refundType.id, 3);
+
+    await refundService.refundOrder(order.id, organizer.id, { ticketIds: [tickets[0].id], reason: 'other' });
+    await refundService.refundOrder(order.id, organizer.id, { amount: 7.77, reason: 'other' });
+    expect(await unbalancedTransactions()).toEqual([]);
+
+    const partial = await eventBalances(refundEvent.id);
+    expect(partial.platform_fees).toBeLessThan(0);
+    expect(partial.platform_fees).toBeGreaterThan(-order.fees);
+
+    await refundService.refundOrder(order.id, organizer.id, { reason: 'other' });
+    expect(await unbalancedTransactions()).toEqual([]);
+
+    const balances = await eventBalances(refundEvent.id);
+    expect(balances.buyer).toBe(0);
+    expect(balances.platform_fees).toBe(0);
+    expect(balances.tax_liability).toBe(0);
+    expect(balances.organizer_balance).toBe(0);
+  });
+
+  it('charges chargebacks to the organizer balance', async () => {
+    const { event: disputed, ticketType: disputedType } = await createPublishedEvent(organizer.id, { price: 20 });
+    const { order } = await buyTickets(buyer.id, disputed.id, disputedType.id, 1);
+    const before = await eventBalances(disputed.id);
+
+    await ledgerService.postChargeback(order, 20, { reference: 'dp_test' });
+
+    const after = await eventBalances(disputed.id);
+    expect(after.organizer_balance).toBe(before.organizer_balance + 20);
+    expect(after.platform_fees).toBe(before.platform_fees);
+    expect(await unbalancedTransactions()).toEqual([]);
+  });
+
+  it('reports a balanced trial balance per currency', async () => {
+    const { trialBalance } = await ledgerService.getPlatformAccounts();
+
+    expect(trialBalance).toEqual([expect.objectContaining({ currency: 'USD', balanced: true })]);
+  });
+});
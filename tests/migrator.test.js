@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { query } from '../src/config/database.js';
+import { loadMigrations, migrateLatest, rollback, migrationStatus } from '../src/database/migrator.js';
+import { useTestDatabase } from './helpers/database.js';
+
+useTestDatabase({ migrate: false });
+
+const tableNames = async () => {
+  const result = await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+  return result.rows.map(row => row.name);
+};
+
+const columnNames = async (table) => {
+  const result = await query(`SELECT name FROM pragma_table_info('${table}')`);
+  return result.rows.map(row => row.name);
+};
+
+describe('migrator', () => {
+  let migrations;
+
+  beforeAll(async () => {
+    migrations = await loadMigrations();
+  });
+
+  it('loads migrations in version order', () => {
+    const versions = migrations.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort());
+    expect(new Set(versions).size).toBe(versions.length);
+  });
+
+  it('applies every pending migration once', async () => {
+    const applied = await migrateLatest();
+    expect(applied.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version));
+
+    expect(await tableNames()).toEqual(expect.arrayContaining(['users', 'events', 'orders', 'ledger_entries', 'payouts', 'schema_migrations']));
+    expect(await migrateLatest()).toEqual([]);
+
+    const status = await migrationStatus();
+    expect(status.every(migration => migration.applied && !migration.modified)).toBe(true);
+  });
+
+  it('reverts the latest migration and applies it again', async () => {
+    const latest = migrations[migrations.length - 1];
+
+    const reverted = await rollback();
+    expect(reverted).toEqual([{ version: latest.version, name: latest.name }]);
+    expect((await migrationStatus()).find(migration => migration.version === latest.version).applied).toBe(false);
+
+    expect(await migrateLatest()).toEqual([{ version: latest.version, name: latest.name }]);
+  });
+
+  it('reverts every migration down to an empty schema and back up', async () => {
+    const reverted = await rollback({ steps: migrations.length });
+    expect(reverted.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version).reverse());
+    expect(await tableNames()).toEqual(['schema_migrations']);
+
+    await migrateLatest();
+    expect(await columnNames('payouts')).toEqual(expect.arrayContaining(['organization_id', 'organizer_id']));
+    expect(await columnNames('refunds')).toEqual(expect.arrayContaining(['ticket_ids', 'attempts']));
+  });
+
+  it('rejects migration files without up() and down()', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      await fs.writeFile(path.join(directory, 'package.json'), '{ "type": "module" }\n');
+      await fs.writeFile(path.join(directory, '001_broken.js'), 'export const up = async () => {};\n');
+      await expect(loadMigrations(directory)).rejects.toThrow('must export up() and down()');
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
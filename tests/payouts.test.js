@@ -0,0 +1,100 @@
+import FeeRuleRepository from '../src/repositories/FeeRuleRepository.js';
+import PayoutRepository from '../src/repositories/PayoutRepository.js';
+import ledgerService from '../src/services/ledgerService.js';
+import payoutService, { HOLDBACK_DAYS, RESERVE_DAYS, RESERVE_PERCENT } from '../src/services/payoutService.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent, buyTickets } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAfter = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+describe('payouts and the reserve', () => {
+  let organizer;
+  let buyer;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    buyer = await createUser();
+  });
+
+  // An ended-later event with 200.00 of tickets sold and a 10% fee paid by the buyer
+  const soldEvent = async () => {
+    const { event, ticketType, organization } = await createPublishedEvent(organizer.id, { price: 100 });
+    await FeeRuleRepository.create(organizer.id, { eventId: event.id, name: 'Service fee', percent: 10, currency: 'USD', paidBy: 'buyer' });
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 2);
+
+    const holdbackEndsAt = daysAfter(event.endDate, HOLDBACK_DAYS);
+    return { event, order, organization, holdbackEndsAt, reserveReleasesAt: daysAfter(holdbackEndsAt, RESERVE_DAYS) };
+  };
+
+  // Amounts paid out for one event, smallest first; runPayouts covers every event
+  const paidAmounts = async (organizationId, eventId) =>
+    (await PayoutRepository.listForOrganization(organizationId, { status: 'paid' })).payouts
+      .filter(payout => payout.eventId === eventId)
+      .map(payout => payout.amount)
+      .sort((a, b) => a - b);
+
+  const settlementFor = async (organizationId, eventId, now) =>
+    (await payoutService.getSettlements(organizationId, { eventId }, now))[0];
+
+  it('keeps the reserve as a share of what the organizer earned after fees', async () => {
+    const { event, order, organization, holdbackEndsAt } = await soldEvent();
+    const earned = order.totalAmount - order.fees - order.tax;
+    const reserve = earned * RESERVE_PERCENT / 100;
+
+    expect(order.fees).toBe(20);
+
+    const beforeHoldback = await settlementFor(organization.id, event.id, new Date());
+    expect(beforeHoldback).toMatchObject({ grossSales: order.totalAmount, platformFees: 20, balance: earned, reserve, available: 0 });
+    expect(beforeHoldback.nextPayoutAt).toBe(holdbackEndsAt.toISOString());
+    expect(beforeHoldback.nextPayoutAmount).toBe(earned - reserve);
+
+    const afterHoldback = await settlementFor(organization.id, event.id, daysAfter(holdbackEndsAt, 1));
+    expect(afterHoldback).toMatchObject({ reserve, available: earned - reserve });
+  });
+
+  it('pays out what is available, holds the reserve until it is released, then pays the rest', async () => {
+    const { event, order, organization, holdbackEndsAt, reserveReleasesAt } = await soldEvent();
+    const earned = order.totalAmount - order.fees - order.tax;
+    const reserve = earned * RESERVE_PERCENT / 100;
+
+    const firstRun = daysAfter(holdbackEndsAt, 1);
+    await payoutService.runPayouts(firstRun);
+    expect(await paidAmounts(organization.id, event.id)).toEqual([earned - reserve]);
+
+    // The reserve does not shrink once part of the balance has been paid out
+    const held = await settlementFor(organization.id, event.id, firstRun);
+    expect(held).toMatchObject({ paidOut: earned - reserve, balance: reserve, reserve, available: 0 });
+    expect(held.nextPayoutAt).toBe(reserveReleasesAt.toISOString());
+    await payoutService.runPayouts(daysAfter(firstRun, 1));
+    expect(await paidAmounts(organization.id, event.id)).toEqual([earned - reserve]);
+
+    await payoutService.runPayouts(daysAfter(reserveReleasesAt, 1));
+    expect(await paidAmounts(organization.id, event.id)).toEqual([reserve, earned - reserve]);
+
+    const settled = await settlementFor(organization.id, event.id, daysAfter(reserveReleasesAt, 1));
+    expect(settled).toMatchObject({ paidOut: earned, balance: 0, reserve: 0, available: 0, nextPayoutAt: null });
+  });
+
+  it('puts a failed transfer back on the organization balance', async () => {
+    const { event, order, organization, holdbackEndsAt } = await soldEvent();
+    const earned = order.totalAmount - order.fees - order.tax;
+
+    process.env.FAKE_PAYOUT_DECLINE = 'true';
+    try {
+      await payoutService.runPayouts(daysAfter(holdbackEndsAt, 1));
+    } finally {
+      delete process.env.FAKE_PAYOUT_DECLINE;
+    }
+
+    const [failed] = (await PayoutRepository.listForOrganization(organization.id, { status: 'failed' })).payouts
+      .filter(payout => payout.eventId === event.id);
+    expect(failed.failureReason).toMatch(/declined/);
+
+    const balance = await ledgerService.getOrganizationBalance(organization.id);
+    expect(balance.events.find(row => row.eventId === event.id).balance).toBe(earned);
+  });
+});
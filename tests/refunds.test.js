@@ -0,0 +1,207 @@
+import { query, withTransaction } from '../src/config/database.js';
+import OrderRepository from '../src/repositories/OrderRepository.js';
+import RefundRepository from '../src/repositories/RefundRepository.js';
+import TicketRepository from '../src/repositories/TicketRepository.js';
+import paymentService from '../src/services/paymentService.js';
+import refundService from '../src/services/refundService.js';
+import { ValidationError, ForbiddenError, ConflictError } from '../src/middleware/errorHandler.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent, buyTickets } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const eventStartingIn = (hours, fields = {}) => ({
+  status: 'published',
+  allowRefunds: true,
+  startDate: new Date(Date.now() + hours * HOUR_MS).toISOString(),
+  ...fields
+});
+
+describe('refund tiers', () => {
+  it('applies the default tiers by notice before the event', () => {
+    expect(refundService.refundEligibility(eventStartingIn(200)).percent).toBe(100);
+    expect(refundService.refundEligibility(eventStartingIn(72)).percent).toBe(50);
+
+    const late = refundService.refundEligibility(eventStartingIn(24));
+    expect(late.eligible).toBe(false);
+    expect(late.reason).toMatch(/window/);
+  });
+
+  it('uses an event\'s own tiers, longest notice first', () => {
+    const tiers = [{ hoursBeforeStart: 2, percent: 10 }, { hoursBeforeStart: 24, percent: 75 }];
+
+    expect(refundService.refundEligibility(eventStartingIn(30, { refundTiers: tiers })).percent).toBe(75);
+    expect(refundService.refundEligibility(eventStartingIn(5, { refundTiers: tiers })).percent).toBe(10);
+    expect(refundService.refundEligibility(eventStartingIn(1, { refundTiers: tiers })).eligible).toBe(false);
+  });
+
+  it('refunds cancelled events in full and events without refunds not at all', () => {
+    expect(refundService.refundEligibility(eventStartingIn(1, { status: 'cancelled' })).percent).toBe(100);
+    expect(refundService.refundEligibility(eventStartingIn(500, { allowRefunds: false })).eligible).toBe(false);
+  });
+
+  it('validates tier lists', () => {
+    expect(refundService.isValidRefundTiers(null)).toBe(true);
+    expect(refundService.isValidRefundTiers([{ hoursBeforeStart: 24, percent: 50 }])).toBe(true);
+    expect(refundService.isValidRefundTiers([{ hoursBeforeStart: 24, percent: 150 }])).toBe(false);
+    expect(refundService.isValidRefundTiers([{ hoursBeforeStart: -1, percent: 50 }])).toBe(false);
+  });
+});
+
+describe('quoting refunds', () => {
+  const order = { totalAmount: 90, refundedAmount: 0, currency: 'USD' };
+  const tickets = [
+    { id: 'a', status: 'active', purchasePrice: 50 },
+    { id: 'b', status: 'active', purchasePrice: 50 },
+    { id: 'c', status: 'refunded', purchasePrice: 50 }
+  ];
+
+  it('refunds the share of the order paid for the chosen tickets', () => {
+    // A discount on the order is shared out across all of its tickets
+    expect(refundService.quoteRefund(order, tickets, { ticketIds: ['a'] })).toEqual({ amount: 30, percent: 100, ticketIds: ['a'] });
+    expect(refundService.quoteRefund(order, tickets, { ticketIds: ['a'], percent: 50 }).amount).toBe(15);
+  });
+
+  it('refunds every remaining ticket when none are named', () => {
+    expect(refundService.quoteRefund(order, tickets, {}).ticketIds).toEqual(['a', 'b']);
+  });
+
+  it('rejects closed tickets, amounts over the limit and amount-only refunds for attendees', () => {
+    expect(() => refundService.quoteRefund(order, tickets, { ticketIds: ['c'] })).toThrow(ValidationError);
+    expect(() => refundService.quoteRefund(order, tickets, { ticketIds: ['a'], amount: 31 })).toThrow('cannot exceed');
+    expect(() => refundService.quoteRefund(order, tickets, { amount: 10 })).toThrow('Choose the tickets');
+    expect(refundService.quoteRefund(order, tickets, { amount: 10, allowAmountOnly: true }).ticketIds).toBeNull();
+  });
+});
+
+describe('refunding orders', () => {
+  let organizer;
+  let buyer;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    buyer = await createUser();
+  });
+
+  it('refunds single tickets and then the rest of the order', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 40, quantity: 5 });
+    const { order, tickets } = await buyTickets(buyer.id, event.id, ticketType.id, 2);
+
+    const first = await refundService.refundOrder(order.id, organizer.id, { ticketIds: [tickets[0].id], reason: 'requested_by_customer' });
+
+    expect(first.refund).toMatchObject({ status: 'succeeded', amount: 40, ticketIds: [tickets[0].id] });
+    expect(first.order.status).toBe('partially_refunded');
+    expect(first.restockedTicketTypeIds).toEqual([ticketType.id]);
+    expect((await TicketRepository.listTicketTypes(event.id))[0].availableCount).toBe(4);
+
+    const rest = await refundService.refundOrder(order.id, organizer.id, { reason: 'requested_by_customer' });
+
+    expect(rest.refund.amount).toBe(40);
+    expect(rest.order).toMatchObject({ status: 'refunded', refundedAmount: 80 });
+    expect((await TicketRepository.listForOrder(order.id)).every(ticket => ticket.status === 'refunded')).toBe(true);
+  });
+
+  it('refunds an amount without closing tickets', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 40 });
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 1);
+
+    const { refund, order: refunded } = await refundService.refundOrder(order.id, organizer.id, { amount: 15, reason: 'other' });
+
+    expect(refund.amount).toBe(15);
+    expect(refunded).toMatchObject({ status: 'partially_refunded', refundedAmount: 15 });
+    expect((await TicketRepository.listForOrder(order.id))[0].status).toBe('active');
+
+    await expect(refundService.refundOrder(order.id, organizer.id, { amount: 30, reason: 'other' }))
+      .rejects.toThrow('cannot exceed');
+  });
+
+  it('sends attendees to the refund request workflow', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id);
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 1);
+
+    await expect(refundService.refundOrder(order.id, buyer.id, { reason: 'other' })).rejects.toBeInstanceOf(ForbiddenError);
+  });
+
+  it('ignores a redelivered payment for an order that was since refunded', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 40 });
+    const { order, intent } = await buyTickets(buyer.id, event.id, ticketType.id, 2);
+
+    await refundService.refundOrder(order.id, organizer.id, { amount: 10, reason: 'other' });
+    const result = await paymentService.completePayment(await OrderRepository.findById(order.id), intent);
+
+    expect(result.order).toMatchObject({ status: 'partially_refunded', refundedAmount: 10 });
+    expect(await RefundRepository.listForOrder(order.id)).toHaveLength(1);
+  });
+});
+
+describe('pending refunds', () => {
+  let organizer;
+  let buyer;
+
+  beforeAll(async () => {
+    organizer = await createUser();
+    buyer = await createUser();
+  });
+
+  // Point the order at a provider that cannot be reached, or back at the fake one
+  const setProvider = (orderId, provider) =>
+    query('UPDATE orders SET payment_method = $1 WHERE id = $2', [provider, orderId]);
+
+  it('keeps a refund pending when the provider fails and settles it on reconciliation', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 40 });
+    const { order, tickets } = await buyTickets(buyer.id, event.id, ticketType.id, 1);
+
+    await setProvider(order.id, 'stripe');
+    const { refund } = await refundService.refundOrder(order.id, organizer.id, { reason: 'other' });
+
+    expect(refund).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(refund.failureReason).toMatch(/STRIPE_SECRET_KEY/);
+    expect((await OrderRepository.findById(order.id)).refundedAmount).toBe(0);
+    expect((await TicketRepository.listForOrder(order.id))[0].status).toBe('active');
+
+    await expect(refundService.refundOrder(order.id, organizer.id, { reason: 'other' })).rejects.toBeInstanceOf(ConflictError);
+
+    await setProvider(order.id, 'fake');
+    expect(await refundService.reconcileRefunds()).toEqual([]);
+
+    const later = new Date(Date.now() + refundService.REFUND_RETRY_AFTER_MS + 1000);
+    const [settled] = await refundService.reconcileRefunds(later);
+
+    expect(settled.refund).toMatchObject({ id: refund.id, status: 'succeeded', ticketIds: [tickets[0].id] });
+    expect(settled.order.status).toBe('refunded');
+  });
+
+  it('marks a refund failed after the last attempt', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id);
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 1);
+
+    await setProvider(order.id, 'stripe');
+    let { refund } = await refundService.refundOrder(order.id, organizer.id, { reason: 'other' });
+
+    while (refund.status === 'pending') {
+      ({ refund } = await refundService.settleRefund(refund.id));
+    }
+
+    expect(refund).toMatchObject({ status: 'failed', attempts: refundService.MAX_REFUND_ATTEMPTS });
+    expect((await OrderRepository.findById(order.id)).status).toBe('completed');
+  });
+
+  it('does not apply a refund twice when it is settled again', async () => {
+    const { event, ticketType } = await createPublishedEvent(organizer.id, { price: 40 });
+    const { order } = await buyTickets(buyer.id, event.id, ticketType.id, 1);
+
+    const { refund } = await withTransaction(async () => {
+      const locked = await OrderRepository.findById(order.id, { forUpdate: true });
+      return refundService.startRefund(locked, { amount: 20, percent: 100, ticketIds: null }, { reason: 'other' });
+    });
+    expect(refund.status).toBe('pending');
+
+    await refundService.settleRefund(refund.id);
+    const again = await refundService.settleRefund(refund.id);
+
+    expect(again.refund.status).toBe('succeeded');
+    expect((await OrderRepository.findById(order.id)).refundedAmount).toBe(20);
+  });
+});
@@ -0,0 +1,93 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { query } from '../src/config/database.js';
+import SessionRepository from '../src/repositories/SessionRepository.js';
+import tokenService from '../src/services/tokenService.js';
+import { authenticateToken } from '../src/middleware/auth.js';
+import { UnauthorizedError } from '../src/middleware/errorHandler.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+
+useTestDatabase();
+
+// A route that reports who the access token belongs to
+const app = express();
+app.get('/me', authenticateToken, (req, res) => res.json({ id: req.user.id, sessionId: req.user.sessionId }));
+
+const getMe = (accessToken) => request(app).get('/me').set('Authorization', `Bearer ${accessToken}`);
+
+describe('sessions and refresh tokens', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  it('issues an access token bound to a new session', async () => {
+    const tokens = await tokenService.createSession(user, { userAgent: 'jest' });
+    const decoded = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+
+    expect(decoded).toMatchObject({ id: user.id, sid: tokens.sessionId });
+    expect(decoded.tfa).toBeUndefined();
+
+    const response = await getMe(tokens.accessToken);
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ id: user.id, sessionId: tokens.sessionId });
+  });
+
+  it('rotates the refresh token within the same session', async () => {
+    const first = await tokenService.createSession(user);
+    const second = await tokenService.refreshSession(first.refreshToken);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+
+    const third = await tokenService.refreshSession(second.refreshToken);
+    expect(third.sessionId).toBe(first.sessionId);
+  });
+
+  it('signs the whole session out when a spent refresh token is used again', async () => {
+    const first = await tokenService.createSession(user);
+    const second = await tokenService.refreshSession(first.refreshToken);
+
+    await expect(tokenService.refreshSession(first.refreshToken)).rejects.toThrow('already used');
+
+    expect(await SessionRepository.findById(first.sessionId)).toMatchObject({ isActive: false });
+    await expect(tokenService.refreshSession(second.refreshToken)).rejects.toBeInstanceOf(UnauthorizedError);
+
+    const response = await getMe(second.accessToken);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('session_revoked');
+  });
+
+  it('refuses unknown and expired refresh tokens', async () => {
+    await expect(tokenService.refreshSession('not-a-token')).rejects.toBeInstanceOf(UnauthorizedError);
+
+    const tokens = await tokenService.createSession(user);
+    await query('UPDATE refresh_tokens SET expires_at = $1 WHERE session_id = $2', [new Date(Date.now() - 1000).toISOString(), tokens.sessionId]);
+
+    await expect(tokenService.refreshSession(tokens.refreshToken)).rejects.toThrow('Invalid or expired');
+  });
+
+  it('drops the two-factor mark on refresh once the account has 2FA off', async () => {
+    const tokens = await tokenService.createSession(user, { twoFactor: true });
+    expect(jwt.decode(tokens.accessToken).tfa).toBe(true);
+
+    const refreshed = await tokenService.refreshSession(tokens.refreshToken);
+    expect(jwt.decode(refreshed.accessToken).tfa).toBeUndefined();
+  });
+
+  it('revokes every other session and keeps the current one', async () => {
+    const current = await tokenService.createSession(user);
+    const other = await tokenService.createSession(user);
+
+    expect((await tokenService.listSessions(user.id, current.sessionId)).map(session => session.current).sort())
+      .toEqual([false, true]);
+
+    await tokenService.revokeAllSessions(user.id, { exceptSessionId: current.sessionId });
+
+    expect((await getMe(current.accessToken)).status).toBe(200);
+    expect((await getMe(other.accessToken)).status).toBe(401);
+    await expect(tokenService.refreshSession(other.refreshToken)).rejects.toBeInstanceOf(UnauthorizedError);
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * RobustTicketing - Test Setup
+ * Every test file gets its own throwaway SQLite database and the fake payment provider
+ */
+
+process.env.SQLITE_FILE = ':memory:';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
@@ -0,0 +1,69 @@
+import request from 'supertest';
+import app from '../server.js';
+import { query } from '../src/config/database.js';
+import tokenService from '../src/services/tokenService.js';
+import { signTicketPayload, verifyTicketPayload } from '../src/utils/ticketSigning.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+import { createPublishedEvent, buyTickets } from './helpers/fixtures.js';
+
+useTestDatabase();
+
+// Re-sign the ticket with different issue times until the signature contains "--"
+const payloadWithDoubleDash = (ticket, eventId, ticketTypeId) => {
+  for (let seconds = 0; seconds < 100000; seconds++) {
+    const payload = signTicketPayload({ ticketId: ticket.id, eventId, ticketTypeId, issuedAt: new Date(seconds * 1000) });
+    if (payload.includes('--')) return payload;
+  }
+  throw new Error('No payload with "--" found');
+};
+
+describe('POST /api/tickets/validate', () => {
+  let accessToken;
+  let event;
+  let ticketType;
+  let tickets;
+
+  beforeAll(async () => {
+    const organizer = await createUser();
+    const buyer = await createUser();
+    ({ event, ticketType } = await createPublishedEvent(organizer.id));
+    ({ tickets } = await buyTickets(buyer.id, event.id, ticketType.id, 2));
+
+    // Doors are open
+    await query('UPDATE events SET start_datetime = $1 WHERE id = $2', [new Date(Date.now() - 60 * 1000).toISOString(), event.id]);
+    ({ accessToken } = await tokenService.createSession(organizer));
+  });
+
+  const validate = (body) => request(app)
+    .post('/api/tickets/validate')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .set('User-Agent', 'scanner-test')
+    .send(body);
+
+  it('accepts a signed payload whose signature contains "--"', async () => {
+    const payload = payloadWithDoubleDash(tickets[0], event.id, ticketType.id);
+    expect(verifyTicketPayload(payload)).not.toBeNull();
+
+    const response = await validate({ payload });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+  });
+
+  it('accepts the payload issued with the ticket', async () => {
+    const response = await validate({ payload: tickets[1].qrPayload });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+  });
+
+  it('still checks bodies sent to other endpoints', async () => {
+    const response = await request(app)
+      .post('/api/tickets/quote')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ eventId: event.id, note: "x' OR 1=1 --" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid request');
+  });
+});
@@ -0,0 +1,99 @@
+import { query, withTransaction } from '../src/config/database.js';
+import { useTestDatabase } from './helpers/database.js';
+
+useTestDatabase({ migrate: false });
+
+const names = async () => (await query('SELECT name FROM scratch ORDER BY name')).rows.map(row => row.name);
+
+const insert = (name) => query('INSERT INTO scratch (name) VALUES ($1)', [name]);
+
+const busyError = () => Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+
+describe('withTransaction', () => {
+  beforeAll(() => query('CREATE TABLE scratch (name TEXT PRIMARY KEY)'));
+  beforeEach(() => query('DELETE FROM scratch'));
+
+  it('commits what the callback wrote and returns its result', async () => {
+    const result = await withTransaction(async (tx) => {
+      await tx.query('INSERT INTO scratch (name) VALUES ($1)', ['a']);
+      await insert('b');
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await names()).toEqual(['a', 'b']);
+  });
+
+  it('rolls everything back when the callback throws', async () => {
+    await expect(withTransaction(async () => {
+      await insert('a');
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await names()).toEqual([]);
+  });
+
+  it('rolls a failed nested call back to its savepoint only', async () => {
+    await withTransaction(async () => {
+      await insert('outer');
+      await expect(withTransaction(async () => {
+        await insert('inner');
+        throw new Error('inner failed');
+      })).rejects.toThrow('inner failed');
+
+      await withTransaction(() => insert('second'));
+    });
+
+    expect(await names()).toEqual(['outer', 'second']);
+  });
+
+  it('discards nested work when the outer transaction fails', async () => {
+    await expect(withTransaction(async () => {
+      await withTransaction(() => insert('inner'));
+      throw new Error('outer failed');
+    })).rejects.toThrow('outer failed');
+
+    expect(await names()).toEqual([]);
+  });
+
+  it('retries the whole transaction on lock contention', async () => {
+    let attempts = 0;
+
+    await withTransaction(async () => {
+      attempts++;
+      await insert(`attempt-${attempts}`);
+      if (attempts < 3) throw busyError();
+    });
+
+    expect(attempts).toBe(3);
+    expect(await names()).toEqual(['attempt-3']);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    let attempts = 0;
+
+    await expect(withTransaction(async () => {
+      attempts++;
+      throw busyError();
+    }, { retries: 1 })).rejects.toMatchObject({ code: 'SQLITE_BUSY' });
+
+    expect(attempts).toBe(2);
+  });
+
+  it('does not retry other errors', async () => {
+    let attempts = 0;
+
+    await expect(withTransaction(async () => {
+      attempts++;
+      await insert('dup');
+      await insert('dup');
+    })).rejects.toThrow();
+
+    expect(attempts).toBe(1);
+    expect(await names()).toEqual([]);
+  });
+
+  it('rejects unknown isolation levels', async () => {
+    await expect(withTransaction(async () => {}, { isolationLevel: 'chaos' })).rejects.toThrow('Unsupported isolation level');
+  });
+});
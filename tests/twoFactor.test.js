@@ -0,0 +1,93 @@
+import UserRepository from '../src/repositories/UserRepository.js';
+import twoFactorService, { RECOVERY_CODE_COUNT } from '../src/services/twoFactorService.js';
+import { base32Encode, base32Decode, generateTOTP, verifyTOTP, timeStep, TOTP_PERIOD_SECONDS } from '../src/utils/totp.js';
+import { ValidationError, ConflictError } from '../src/middleware/errorHandler.js';
+import { useTestDatabase, createUser } from './helpers/database.js';
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const STEP_MS = TOTP_PERIOD_SECONDS * 1000;
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTOTP(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTOTP(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(generateTOTP(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    expect(base32Decode(RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ')).toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32');
+  });
+
+  it('accepts codes one step either side of now and returns the matching step', () => {
+    const now = 1700000000 * 1000;
+
+    expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, now), { time: now })).toBe(timeStep(now));
+    expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, now - STEP_MS), { time: now })).toBe(timeStep(now) - 1);
+    expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, now + STEP_MS), { time: now })).toBe(timeStep(now) + 1);
+    expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, now - 2 * STEP_MS), { time: now })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTOTP(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('two-factor enrollment and verification', () => {
+  useTestDatabase();
+
+  let user;
+  let secret;
+  let enrollmentCode;
+  let recoveryCodes;
+
+  const credentials = () => UserRepository.findCredentialsById(user.id);
+
+  beforeAll(async () => {
+    user = await createUser();
+  });
+
+  it('stays off until the first code confirms enrollment', async () => {
+    ({ secret } = await twoFactorService.startEnrollment(user.id));
+
+    expect((await twoFactorService.getStatus(user.id)).enabled).toBe(false);
+    await expect(twoFactorService.confirmEnrollment(user.id, '000000')).rejects.toBeInstanceOf(ValidationError);
+
+    enrollmentCode = generateTOTP(secret);
+    ({ recoveryCodes } = await twoFactorService.confirmEnrollment(user.id, enrollmentCode));
+
+    expect(recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(await twoFactorService.getStatus(user.id)).toMatchObject({ enabled: true, recoveryCodesRemaining: RECOVERY_CODE_COUNT });
+    await expect(twoFactorService.startEnrollment(user.id)).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it('accepts each time step only once', async () => {
+    const nextCode = generateTOTP(secret, Date.now() + STEP_MS);
+
+    expect(await twoFactorService.verifySecondFactor(await credentials(), enrollmentCode)).toBeNull();
+    expect(await twoFactorService.verifySecondFactor(await credentials(), nextCode)).toBe('totp');
+    expect(await twoFactorService.verifySecondFactor(await credentials(), nextCode)).toBeNull();
+  });
+
+  it('uses up recovery codes, ignoring case and separators', async () => {
+    const [code] = recoveryCodes;
+
+    expect(await twoFactorService.verifySecondFactor(await credentials(), code.toUpperCase().replace('-', ''))).toBe('recovery_code');
+    expect(await twoFactorService.verifySecondFactor(await credentials(), code)).toBeNull();
+    expect((await twoFactorService.getStatus(user.id)).recoveryCodesRemaining).toBe(RECOVERY_CODE_COUNT - 1);
+  });
+
+  it('turns off with a recovery code and clears the remaining ones', async () => {
+    await expect(twoFactorService.disable(user.id, 'wrong-code')).rejects.toThrow('Invalid verification code');
+
+    await twoFactorService.disable(user.id, recoveryCodes[1]);
+
+    expect(await twoFactorService.getStatus(user.id)).toEqual({ enabled: false, enabledAt: null, recoveryCodesRemaining: 0 });
+  });
+});